@@ -3,13 +3,30 @@
 const Mosaic = require('@openst/mosaic.js');
 
 const AbiBinProvider = require('./lib/AbiBinProvider');
+const AcceptancePolicy = require('./lib/AcceptancePolicy');
 const BrandedToken = require('./lib/ContractInteract/BrandedToken');
 const Contracts = require('./lib/Contracts');
+const Converter = require('./lib/Converter');
 const EconomySetup = require('./lib/EconomySetup');
 const Setup = require('./lib/Setup');
 const Facilitator = require('./lib/Facilitator');
+const FacilitatorService = require('./lib/FacilitatorService');
+const RestrictedTransferError = require('./lib/Errors/RestrictedTransferError');
+const StakeRequestValidationError = require('./lib/Errors/StakeRequestValidationError');
 const GatewayComposer = require('./lib/ContractInteract/GatewayComposer');
+const Indexer = require('./lib/Indexer');
+const InMemoryAuditTrail = require('./lib/AcceptancePolicy/InMemoryAuditTrail');
+const InMemoryStore = require('./lib/Indexer/InMemoryStore');
+const InMemoryCheckpointStore = require('./lib/Staker/InMemoryCheckpointStore');
+const JsonFileAuditTrail = require('./lib/AcceptancePolicy/JsonFileAuditTrail');
+const JsonFileStore = require('./lib/Indexer/JsonFileStore');
+const JsonFileCheckpointStore = require('./lib/Staker/JsonFileCheckpointStore');
+const RedeemAndUnstake = require('./lib/RedeemAndUnstake');
+const RevertStake = require('./lib/RevertStake');
+const SecretManager = require('./lib/SecretManager');
 const StakeHelper = require('./lib/helpers/stake/gateway_composer/StakeHelper');
+const StakeAndMint = require('./lib/StakeAndMint');
+const StakeStatus = require('./lib/StakeStatus');
 const Staker = require('./lib/Staker');
 const UtilityBrandedToken = require('./lib/ContractInteract/UtilityBrandedToken');
 const Utils = require('./utils/Utils');
@@ -18,8 +35,18 @@ const mosaicContractInteracts = Mosaic.ContractInteract;
 
 module.exports = {
   AbiBinProvider,
+  AcceptancePolicy,
+  AcceptancePolicyAuditTrails: {
+    InMemoryAuditTrail,
+    JsonFileAuditTrail,
+  },
   EconomySetup,
   Contracts,
+  Converter,
+  Errors: {
+    RestrictedTransferError,
+    StakeRequestValidationError,
+  },
   ContractInteract: {
     BrandedToken,
     GatewayComposer,
@@ -29,8 +56,23 @@ module.exports = {
   Helpers: {
     StakeHelper,
   },
+  Indexer,
+  IndexerStores: {
+    InMemoryStore,
+    JsonFileStore,
+  },
+  RedeemAndUnstake,
+  RevertStake,
+  SecretManager,
+  StakeAndMint,
+  StakeStatus,
   Staker,
+  StakerCheckpointStores: {
+    InMemoryCheckpointStore,
+    JsonFileCheckpointStore,
+  },
   Facilitator,
+  FacilitatorService,
   Setup,
   Utils: {
     getStakeRequestTypedData: Utils.getStakeRequestTypedData,
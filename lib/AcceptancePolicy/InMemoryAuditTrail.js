@@ -0,0 +1,91 @@
+'use strict';
+
+const logger = require('../../logger');
+
+/**
+ * Audit trail that keeps decisions in memory. It defines the interface of
+ * audit trails; custom audit trails must implement the same asynchronous
+ * methods.
+ */
+class InMemoryAuditTrail {
+  constructor() {
+    this.decisions = [];
+  }
+
+  /**
+   * Appends a decision.
+   *
+   * @param {AcceptanceDecision} decision Decision.
+   *
+   * @returns {Promise} Promise that resolves once appended.
+   */
+  append(decision) {
+    this.decisions.push(JSON.parse(JSON.stringify(decision)));
+    return Promise.resolve();
+  }
+
+  /**
+   * Marks the latest accepted decision of a stake request as executed, i.e.
+   * the stake request is accepted on chain.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   * @param {string} transactionHash Hash of the accept transaction.
+   *
+   * @returns {Promise} Promise that resolves once marked. It rejects if there
+   *                    is no accepted decision of the stake request.
+   */
+  markExecuted(stakeRequestHash, transactionHash) {
+    const decision = this._getAcceptedDecision(stakeRequestHash);
+    if (!decision) {
+      const message = `No accepted decision of stake request ${stakeRequestHash}.`;
+      logger.error(message);
+      return Promise.reject(new Error(message));
+    }
+
+    decision.executed = true;
+    decision.transactionHash = transactionHash;
+    return Promise.resolve();
+  }
+
+  /**
+   * Returns decisions that match the query, oldest first.
+   *
+   * @param {Object} [query] Query.
+   * @param {string} [query.staker] Address of the staker.
+   * @param {boolean} [query.accepted] `true` for accepted decisions only,
+   *                                   `false` for rejected ones.
+   * @param {boolean} [query.executed] `true` for executed decisions only,
+   *                                   `false` for the others.
+   * @param {number} [query.since] Minimum decision time in milliseconds
+   *                               since epoch.
+   *
+   * @returns {Promise<Array<AcceptanceDecision>>} Promise that resolves to
+   *                                               copies of the decisions.
+   */
+  getDecisions(query = {}) {
+    const staker = query.staker && query.staker.toLowerCase();
+    const decisions = this.decisions.filter(decision => (
+      (staker === undefined || decision.staker.toLowerCase() === staker)
+      && (query.accepted === undefined || decision.accepted === query.accepted)
+      && (query.executed === undefined || decision.executed === query.executed)
+      && (query.since === undefined || decision.decidedAt >= query.since)
+    ));
+    return Promise.resolve(JSON.parse(JSON.stringify(decisions)));
+  }
+
+  /**
+   * Returns the latest accepted decision of a stake request.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   *
+   * @returns {AcceptanceDecision|undefined} Stored decision.
+   * @private
+   */
+  _getAcceptedDecision(stakeRequestHash) {
+    return this.decisions
+      .filter(decision => decision.accepted && decision.stakeRequestHash === stakeRequestHash)
+      .pop();
+  }
+}
+
+module.exports = InMemoryAuditTrail;
@@ -0,0 +1,69 @@
+'use strict';
+
+const InMemoryAuditTrail = require('./InMemoryAuditTrail');
+const JsonFile = require('../JsonFile');
+
+/**
+ * Audit trail that appends decisions to a file, one JSON object per line.
+ * Executions are appended as `{ stakeRequestHash, transactionHash, executed }`
+ * lines and applied to the decisions when the file is loaded.
+ */
+class JsonFileAuditTrail extends InMemoryAuditTrail {
+  /**
+   * JsonFileAuditTrail constructor. Loads the file if it exists.
+   *
+   * @param {string} filePath Path of the file.
+   */
+  constructor(filePath) {
+    super();
+
+    JsonFile.assertFilePath(filePath);
+
+    this.filePath = filePath;
+
+    JsonFile.readLines(this.filePath).forEach((line) => {
+      if (line.accepted === undefined) {
+        const decision = this._getAcceptedDecision(line.stakeRequestHash);
+        if (decision) {
+          decision.executed = true;
+          decision.transactionHash = line.transactionHash;
+        }
+      } else {
+        this.decisions.push(line);
+      }
+    });
+  }
+
+  /**
+   * Writes the decision to the file before it is kept in memory, so that a
+   * failed write rejects and leaves no decision that is not persisted.
+   *
+   * @see InMemoryAuditTrail#append
+   */
+  append(decision) {
+    try {
+      JsonFile.appendLine(this.filePath, decision);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    return super.append(decision);
+  }
+
+  /**
+   * Writes the execution to the file before the decision is marked.
+   *
+   * @see InMemoryAuditTrail#markExecuted
+   */
+  markExecuted(stakeRequestHash, transactionHash) {
+    if (this._getAcceptedDecision(stakeRequestHash)) {
+      try {
+        JsonFile.appendLine(this.filePath, { stakeRequestHash, transactionHash, executed: true });
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+    return super.markExecuted(stakeRequestHash, transactionHash);
+  }
+}
+
+module.exports = JsonFileAuditTrail;
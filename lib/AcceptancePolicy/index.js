@@ -0,0 +1,367 @@
+/**
+ * @typedef {Object} AcceptanceRequest
+ *
+ * @property {string} stakeRequestHash Hash of the stake request.
+ * @property {string} staker Account that stakes, i.e. the owner of the
+ *                           gateway composer for stakes through a gateway
+ *                           composer.
+ * @property {string} stakeVT Stake amount in wei.
+ */
+
+/**
+ * @typedef {Object} AcceptanceDecision
+ *
+ * @property {string} stakeRequestHash Hash of the stake request.
+ * @property {string} staker Staker of the stake request.
+ * @property {string} stakeVT Stake amount in wei.
+ * @property {boolean} accepted `true` if all rules passed.
+ * @property {Array<string>} reasons Reasons of the rules that failed.
+ * @property {number} decidedAt Decision time in milliseconds since epoch.
+ * @property {boolean} executed `true` once the stake request is accepted on
+ *                              chain, see
+ *                              {@link AcceptancePolicy#markExecuted}.
+ * @property {string} [transactionHash] Hash of the accept transaction of an
+ *                                      executed decision.
+ */
+
+/**
+ * A rule is a function `(request, context)` that returns, or resolves to, a
+ * reason if the request violates the rule and `undefined` otherwise.
+ * `context` holds the `auditTrail` and the decision time `now`.
+ *
+ * @typedef {Function} AcceptanceRule
+ */
+
+'use strict';
+
+const Web3 = require('web3');
+
+const InMemoryAuditTrail = require('./InMemoryAuditTrail');
+const logger = require('../../logger');
+
+const { BN } = Web3.utils;
+
+const DayInMilliseconds = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates the addresses of a list rule.
+ *
+ * @param {string} name Name of the rule.
+ * @param {Array<string>} addresses Addresses.
+ *
+ * @returns {Array<string>} Lower case addresses.
+ */
+function toAddressList(name, addresses) {
+  if (!Array.isArray(addresses) || !addresses.every(address => Web3.utils.isAddress(address))) {
+    const message = `Invalid ${name} addresses: ${addresses}.`;
+    logger.error(message);
+    throw new TypeError(message);
+  }
+  return addresses.map(address => address.toLowerCase());
+}
+
+/**
+ * Validates the amount of an amount rule.
+ *
+ * @param {string} name Name of the rule.
+ * @param {string} amount Amount in wei.
+ *
+ * @returns {BN} Amount.
+ */
+function toAmount(name, amount) {
+  if (amount === undefined || amount === null || !/^\d+$/.test(amount.toString())) {
+    const message = `Invalid ${name} amount: ${amount}.`;
+    logger.error(message);
+    throw new TypeError(message);
+  }
+  return new BN(amount.toString());
+}
+
+const Rules = {
+  /**
+   * @param {Array<string>} addresses Stakers that may stake.
+   *
+   * @returns {AcceptanceRule} Rule that only accepts the given stakers.
+   */
+  allowlist(addresses) {
+    const allowed = toAddressList('allowlist', addresses);
+    return (request) => {
+      if (!allowed.includes(request.staker.toLowerCase())) {
+        return `Staker ${request.staker} is not in the allowlist.`;
+      }
+      return undefined;
+    };
+  },
+
+  /**
+   * @param {Array<string>} addresses Stakers that may not stake.
+   *
+   * @returns {AcceptanceRule} Rule that rejects the given stakers.
+   */
+  denylist(addresses) {
+    const denied = toAddressList('denylist', addresses);
+    return (request) => {
+      if (denied.includes(request.staker.toLowerCase())) {
+        return `Staker ${request.staker} is in the denylist.`;
+      }
+      return undefined;
+    };
+  },
+
+  /**
+   * @param {string} amount Minimum stake in wei.
+   *
+   * @returns {AcceptanceRule} Rule that rejects smaller stakes.
+   */
+  minStake(amount) {
+    const minimum = toAmount('minStake', amount);
+    return (request) => {
+      if (new BN(request.stakeVT).lt(minimum)) {
+        return `Stake ${request.stakeVT} is less than the minimum stake ${minimum.toString(10)}.`;
+      }
+      return undefined;
+    };
+  },
+
+  /**
+   * @param {string} amount Maximum stake in wei.
+   *
+   * @returns {AcceptanceRule} Rule that rejects larger stakes.
+   */
+  maxStake(amount) {
+    const maximum = toAmount('maxStake', amount);
+    return (request) => {
+      if (new BN(request.stakeVT).gt(maximum)) {
+        return `Stake ${request.stakeVT} is more than the maximum stake ${maximum.toString(10)}.`;
+      }
+      return undefined;
+    };
+  },
+
+  /**
+   * The stakes of a staker that were accepted and executed are read from the
+   * audit trail; accepts that are not executed, e.g. because the accept
+   * transaction failed, do not count. The day starts at midnight UTC.
+   *
+   * Accepts must be marked with {@link AcceptancePolicy#markExecuted},
+   * otherwise the cap never applies. The FacilitatorService does so if the
+   * policy is passed as `markExecuted` callback.
+   *
+   * @param {string} amount Maximum sum of executed stakes per staker and day
+   *                        in wei.
+   *
+   * @returns {AcceptanceRule} Rule that rejects stakes above the cap.
+   */
+  dailyCap(amount) {
+    const cap = toAmount('dailyCap', amount);
+    return async (request, context) => {
+      const since = context.now - (context.now % DayInMilliseconds);
+      const accepted = await context.auditTrail.getDecisions({
+        staker: request.staker,
+        accepted: true,
+        executed: true,
+        since,
+      });
+      const used = accepted.reduce((sum, decision) => sum.add(new BN(decision.stakeVT)), new BN(0));
+      if (used.add(new BN(request.stakeVT)).gt(cap)) {
+        return `Stake ${request.stakeVT} exceeds the daily cap ${cap.toString(10)} of staker ${request.staker}, ${used.toString(10)} is already executed today.`;
+      }
+      return undefined;
+    };
+  },
+
+  /**
+   * Errors of the callback are not turned into a decision; the evaluation
+   * rejects with them.
+   *
+   * @param {Function} callback Called with the {@link AcceptanceRequest};
+   *                            returns, or resolves to, `true` if the staker
+   *                            passed KYC.
+   *
+   * @returns {AcceptanceRule} Rule that rejects stakers without KYC.
+   */
+  kyc(callback) {
+    if (typeof callback !== 'function') {
+      const message = `Invalid kyc callback: ${callback}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    return async (request) => {
+      if ((await callback(request)) !== true) {
+        return `Staker ${request.staker} did not pass KYC.`;
+      }
+      return undefined;
+    };
+  },
+};
+
+/**
+ * AcceptancePolicy decides whether a worker accepts or rejects a stake
+ * request. A stake request is accepted if it passes all rules. Every decision
+ * is appended to the audit trail.
+ */
+class AcceptancePolicy {
+  /**
+   * AcceptancePolicy constructor object.
+   *
+   * @param {Array<AcceptanceRule>} rules Rules, e.g. from
+   *                                      {@link AcceptancePolicy.Rules}.
+   * @param {Object} [options] Options.
+   * @param {InMemoryAuditTrail} [options.auditTrail] Audit trail of the
+   *                                                  decisions. Defaults to
+   *                                                  an InMemoryAuditTrail.
+   */
+  constructor(rules, options = {}) {
+    if (!Array.isArray(rules) || !rules.every(rule => typeof rule === 'function')) {
+      const message = `Invalid rules: ${rules}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+
+    this.rules = rules;
+    this.auditTrail = options.auditTrail || new InMemoryAuditTrail();
+    this._evaluation = Promise.resolve();
+
+    this.evaluate = this.evaluate.bind(this);
+    this.decide = this.decide.bind(this);
+    this.evaluateStakeRequest = this.evaluateStakeRequest.bind(this);
+    this.markExecuted = this.markExecuted.bind(this);
+  }
+
+  /**
+   * @returns {Object} Factories of the built-in rules.
+   */
+  static get Rules() {
+    return Rules;
+  }
+
+  /**
+   * Evaluates all rules for a stake request and appends the decision to the
+   * audit trail. Evaluations run one at a time, so that decisions are
+   * appended in call order and rules see all earlier decisions.
+   *
+   * @param {AcceptanceRequest} request Stake request.
+   *
+   * @returns {Promise<AcceptanceDecision>} Promise that resolves to the
+   *                                        decision.
+   */
+  evaluate(request) {
+    if (
+      !request
+      || !Web3.utils.isAddress(request.staker)
+      || !/^\d+$/.test(`${request.stakeVT}`)
+    ) {
+      const message = `Invalid acceptance request: ${JSON.stringify(request)}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const evaluation = this._evaluation
+      .catch(() => {})
+      .then(() => this._evaluate(request));
+    this._evaluation = evaluation;
+    return evaluation;
+  }
+
+  /**
+   * Same as {@link AcceptancePolicy#evaluate}, but resolves to `true` if
+   * the stake request is accepted. It can be passed as `decide` callback to
+   * the FacilitatorService.
+   *
+   * @param {AcceptanceRequest} request Stake request.
+   *
+   * @returns {Promise<boolean>} Promise that resolves to `true` to accept.
+   */
+  async decide(request) {
+    const { accepted } = await this.evaluate(request);
+    return accepted;
+  }
+
+  /**
+   * Reads a pending stake request from the branded token and evaluates it.
+   * For a stake through a gateway composer the rules see its owner as the
+   * staker, not the gateway composer.
+   *
+   * @param {BrandedToken} brandedToken BrandedToken contract interact.
+   * @param {string} stakeRequestHash Hash of the stake request.
+   * @param {GatewayComposer} [gatewayComposer] GatewayComposer contract
+   *                                            interact of the staker at the
+   *                                            branded token.
+   *
+   * @returns {Promise<AcceptanceDecision>} Promise that resolves to the
+   *                                        decision.
+   */
+  async evaluateStakeRequest(brandedToken, stakeRequestHash, gatewayComposer) {
+    const stakeRequest = await brandedToken.getStakeRequest(stakeRequestHash);
+    if (!stakeRequest.exists) {
+      const message = `Stake request ${stakeRequestHash} does not exist.`;
+      logger.error(message);
+      return Promise.reject(new Error(message));
+    }
+
+    let { staker } = stakeRequest;
+    if (gatewayComposer) {
+      if (staker.toLowerCase() !== gatewayComposer.address.toLowerCase()) {
+        const message = `Staker ${staker} of stake request ${stakeRequestHash} is not the gateway composer ${gatewayComposer.address}.`;
+        logger.error(message);
+        return Promise.reject(new Error(message));
+      }
+      staker = await gatewayComposer.getOwner();
+    }
+
+    return this.evaluate({
+      stakeRequestHash,
+      staker,
+      stakeVT: stakeRequest.stake,
+    });
+  }
+
+  /**
+   * Marks the accepted decision of a stake request as executed once the
+   * stake request is accepted on chain. Only executed decisions count for
+   * the daily cap, so it must be called for every mined accept. It can be
+   * passed as `markExecuted` callback to the FacilitatorService.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   * @param {string} transactionHash Hash of the accept transaction.
+   *
+   * @returns {Promise} Promise that resolves once marked.
+   */
+  markExecuted(stakeRequestHash, transactionHash) {
+    return this.auditTrail.markExecuted(stakeRequestHash, transactionHash);
+  }
+
+  /**
+   * Evaluates the rules and records the decision.
+   *
+   * @param {AcceptanceRequest} request Stake request.
+   *
+   * @returns {Promise<AcceptanceDecision>} Promise that resolves to the
+   *                                        decision.
+   * @private
+   */
+  async _evaluate(request) {
+    const context = {
+      auditTrail: this.auditTrail,
+      now: Date.now(),
+    };
+    const results = await Promise.all(this.rules.map(rule => rule(request, context)));
+    const reasons = results.filter(reason => reason !== undefined);
+
+    const decision = {
+      stakeRequestHash: request.stakeRequestHash,
+      staker: request.staker,
+      stakeVT: `${request.stakeVT}`,
+      accepted: reasons.length === 0,
+      reasons,
+      decidedAt: context.now,
+      executed: false,
+    };
+    await this.auditTrail.append(decision);
+
+    logger.info(`Stake request ${request.stakeRequestHash} ${decision.accepted ? 'accepted' : 'rejected'} by policy${reasons.length > 0 ? `: ${reasons.join(' ')}` : ''}`);
+    return decision;
+  }
+}
+
+module.exports = AcceptancePolicy;
@@ -3,10 +3,91 @@
 const Web3 = require('web3');
 const Contracts = require('../Contracts');
 const AbiBinProvider = require('../AbiBinProvider');
+const Converter = require('../Converter');
+const Events = require('./Events');
+const RestrictedTransferError = require('../Errors/RestrictedTransferError');
 const Utils = require('../../utils/Utils');
 const logger = require('../../logger');
 
+const { BN } = Web3.utils;
+
 const ContractName = 'BrandedToken';
+const BatchStatus = {
+  Pending: 'pending',
+  Succeeded: 'succeeded',
+  Failed: 'failed',
+};
+// Number of addresses used to estimate the gas cost per address.
+const GasSampleSize = 10;
+// Number of isUnrestricted calls per JSON-RPC batch request.
+const RestrictionQueryChunkSize = 100;
+// Share of the block gas limit used for a batch if no maximum is given.
+const BlockGasLimitShare = 0.8;
+// Batch size if the gas cost per address cannot be derived from estimates.
+const FallbackBatchSize = 50;
+const ZeroAddress = '0x0000000000000000000000000000000000000000';
+
+/**
+ * @typedef {Object} StakeRequest
+ *
+ * @property {string} staker Address of the staker.
+ * @property {string} stake Amount of value tokens staked in wei.
+ * @property {string} nonce BrandedToken nonce at the time of the request.
+ * @property {boolean} exists `true` if the stake request is pending.
+ */
+
+/**
+ * @typedef {Object} BrandedTokenInfo
+ *
+ * @property {string} name Name of branded token.
+ * @property {string} symbol Symbol of branded token.
+ * @property {string} decimals Decimals of branded token.
+ * @property {string} totalSupply Total supply of branded token in wei.
+ * @property {string} valueToken Address of value token.
+ * @property {string} conversionRate Conversion rate of branded token.
+ * @property {string} conversionRateDecimals Conversion rate decimals of
+ *                                          branded token.
+ * @property {string} organization Address of organization.
+ */
+
+/**
+ * @typedef {Object} RedeemPreview
+ *
+ * @property {string} brandedTokens Amount of branded tokens redeemed in wei.
+ * @property {string} valueTokens Amount of value tokens released in wei.
+ * @property {string} remainder Amount of redeemed branded tokens in wei that
+ *                              do not release value tokens due to rounding.
+ */
+
+/**
+ * @typedef {Object} LiftRestrictionBatch
+ *
+ * @property {Array<string>} addresses Checksum addresses of the batch.
+ * @property {string} status `pending`, `succeeded` or `failed`.
+ * @property {string} [transactionHash] Hash of the transaction if it was
+ *                                      mined.
+ * @property {string} [error] Error message if the batch failed.
+ */
+
+/**
+ * @typedef {Object} LiftRestrictionReport
+ *
+ * @property {Array<LiftRestrictionBatch>} batches Batches in the order they
+ *                                                 were created.
+ * @property {Array<string>} skipped Addresses that were already
+ *                                   unrestricted.
+ * @property {boolean} complete `true` if all batches succeeded.
+ */
+
+/**
+ * @typedef {Object} LiftRestrictionBulkOptions
+ *
+ * @property {number} [maxGasPerBatch] Maximum gas of a batch transaction.
+ *                                     Defaults to 80% of the gas limit of
+ *                                     the latest block.
+ * @property {number} [concurrency] Number of batch transactions sent at the
+ *                                  same time. Defaults to 1.
+ */
 
 /**
  * Contract interact for Branded token.
@@ -52,12 +133,34 @@ class BrandedToken {
     this.acceptStakeRequestRawTx = this.acceptStakeRequestRawTx.bind(this);
     this.liftRestriction = this.liftRestriction.bind(this);
     this.liftRestrictionRawTx = this.liftRestrictionRawTx.bind(this);
+    this.liftRestrictionBulk = this.liftRestrictionBulk.bind(this);
+    this.resumeLiftRestrictionBulk = this.resumeLiftRestrictionBulk.bind(this);
     this.isUnrestricted = this.isUnrestricted.bind(this);
     this.rejectStakeRequest = this.rejectStakeRequest.bind(this);
     this.rejectStakeRequestRawTx = this.rejectStakeRequestRawTx.bind(this);
+    this.revokeStakeRequest = this.revokeStakeRequest.bind(this);
+    this.revokeStakeRequestRawTx = this.revokeStakeRequestRawTx.bind(this);
     this.redeem = this.redeem.bind(this);
     this.redeemRawTx = this.redeemRawTx.bind(this);
+    this.redeemPreview = this.redeemPreview.bind(this);
+    this.redeemAll = this.redeemAll.bind(this);
     this.convertToValueTokens = this.convertToValueTokens.bind(this);
+    this.getStakeRequest = this.getStakeRequest.bind(this);
+    this.getStakeRequestHash = this.getStakeRequestHash.bind(this);
+    this.getNonce = this.getNonce.bind(this);
+    this.getConversionRate = this.getConversionRate.bind(this);
+    this.getConversionRateDecimals = this.getConversionRateDecimals.bind(this);
+    this.getInfo = this.getInfo.bind(this);
+    this.transfer = this.transfer.bind(this);
+    this.transferRawTx = this.transferRawTx.bind(this);
+    this.transferFrom = this.transferFrom.bind(this);
+    this.transferFromRawTx = this.transferFromRawTx.bind(this);
+    this.approve = this.approve.bind(this);
+    this.approveRawTx = this.approveRawTx.bind(this);
+    this.balanceOf = this.balanceOf.bind(this);
+    this.allowance = this.allowance.bind(this);
+    this.on = this.on.bind(this);
+    this.getPastEvents = this.getPastEvents.bind(this);
   }
 
   /**
@@ -400,6 +503,250 @@ class BrandedToken {
     return Promise.resolve(this.contract.methods.liftRestriction(addresses));
   }
 
+  /**
+   * Lifts restrictions for a large number of addresses. Addresses are
+   * deduplicated, addresses that are already unrestricted are skipped and the
+   * rest is split into batches that fit into `maxGasPerBatch` according to
+   * gas estimates. A failed batch does not stop the other batches; pass the
+   * report to {@link BrandedToken#resumeLiftRestrictionBulk} to retry.
+   *
+   * @param {Array<string>} addresses Addresses for which to lift
+   *                                  restrictions.
+   * @param {Object} txOptions Transaction options. `from` must be a worker of
+   *                           the organization.
+   * @param {LiftRestrictionBulkOptions} [options] Batch options.
+   *
+   * @return {Promise<LiftRestrictionReport>} Promise that resolves to the
+   *                                          report of all batches.
+   */
+  async liftRestrictionBulk(addresses, txOptions, options = {}) {
+    if (!Array.isArray(addresses) || addresses.length === 0) {
+      const message = `At least one addresses must be defined : ${addresses}`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    const invalidAddresses = addresses.filter(address => !Web3.utils.isAddress(address));
+    if (invalidAddresses.length > 0) {
+      const message = `Invalid addresses: ${invalidAddresses.join(', ')}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    const concurrency = options.concurrency || 1;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      const message = `Invalid concurrency: ${options.concurrency}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    const uniqueAddresses = [];
+    addresses
+      .map(address => Web3.utils.toChecksumAddress(address))
+      .forEach((address) => {
+        if (!uniqueAddresses.includes(address)) {
+          uniqueAddresses.push(address);
+        }
+      });
+
+    const unrestricted = await this._queryUnrestricted(uniqueAddresses);
+    const skipped = uniqueAddresses.filter((address, index) => unrestricted[index]);
+    const restricted = uniqueAddresses.filter((address, index) => !unrestricted[index]);
+
+    const batchSize = await this._liftRestrictionBatchSize(
+      restricted,
+      txOptions,
+      options.maxGasPerBatch,
+    );
+    const batches = [];
+    for (let i = 0; i < restricted.length; i += batchSize) {
+      batches.push({
+        addresses: restricted.slice(i, i + batchSize),
+        status: BatchStatus.Pending,
+      });
+    }
+
+    await this._sendLiftRestrictionBatches(batches, txOptions, concurrency);
+
+    return {
+      batches,
+      skipped,
+      complete: batches.every(batch => batch.status === BatchStatus.Succeeded),
+    };
+  }
+
+  /**
+   * Retries the batches of a report that did not succeed. Addresses that were
+   * unrestricted in the meantime are skipped.
+   *
+   * @param {LiftRestrictionReport} report Report of
+   *                                       {@link BrandedToken#liftRestrictionBulk}.
+   * @param {Object} txOptions Transaction options.
+   * @param {LiftRestrictionBulkOptions} [options] Batch options.
+   *
+   * @return {Promise<LiftRestrictionReport>} Promise that resolves to a report
+   *                                          with the succeeded batches of the
+   *                                          previous report and the batches
+   *                                          of the retry.
+   */
+  async resumeLiftRestrictionBulk(report, txOptions, options) {
+    if (!report || !Array.isArray(report.batches)) {
+      const message = `Invalid lift restriction report: ${report}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    const succeededBatches = report.batches
+      .filter(batch => batch.status === BatchStatus.Succeeded);
+    const remainingAddresses = report.batches
+      .filter(batch => batch.status !== BatchStatus.Succeeded)
+      .reduce((acc, batch) => acc.concat(batch.addresses), []);
+
+    if (remainingAddresses.length === 0) {
+      return { ...report, complete: true };
+    }
+
+    const retry = await this.liftRestrictionBulk(remainingAddresses, txOptions, options);
+    const batches = succeededBatches.concat(retry.batches);
+    return {
+      batches,
+      skipped: (report.skipped || []).concat(retry.skipped),
+      complete: retry.complete,
+    };
+  }
+
+  /**
+   * Queries in JSON-RPC batch requests which addresses are unrestricted.
+   *
+   * @param {Array<string>} addresses Addresses to query.
+   *
+   * @return {Promise<Array<boolean>>} Promise that resolves to a flag per
+   *                                   address.
+   * @private
+   */
+  async _queryUnrestricted(addresses) {
+    const chunks = [];
+    for (let i = 0; i < addresses.length; i += RestrictionQueryChunkSize) {
+      chunks.push(addresses.slice(i, i + RestrictionQueryChunkSize));
+    }
+
+    // Chunks are queried one by one to limit the size of a request.
+    return chunks.reduce(
+      (previous, chunk) => previous.then(async (results) => {
+        const chunkResults = await Utils.batchCall(
+          this.web3,
+          chunk.map(address => this.contract.methods.isUnrestricted(address)),
+        );
+        return results.concat(chunkResults);
+      }),
+      Promise.resolve([]),
+    );
+  }
+
+  /**
+   * Calculates how many addresses fit into one lift restriction transaction.
+   * The gas cost per address is derived from the estimates for one address
+   * and for a sample of addresses. If the estimates give no positive cost
+   * per address, a fixed batch size is used.
+   *
+   * @param {Array<string>} addresses Restricted addresses.
+   * @param {Object} txOptions Transaction options used for estimates.
+   * @param {number} [maxGasPerBatch] Maximum gas of a batch transaction.
+   *
+   * @return {Promise<number>} Promise that resolves to the batch size.
+   * @private
+   */
+  async _liftRestrictionBatchSize(addresses, txOptions, maxGasPerBatch) {
+    if (addresses.length <= 1) {
+      return 1;
+    }
+
+    let maxGas = maxGasPerBatch;
+    if (!maxGas) {
+      const block = await this.web3.eth.getBlock('latest');
+      maxGas = Math.floor(block.gasLimit * BlockGasLimitShare);
+    }
+
+    const sample = addresses.slice(0, GasSampleSize);
+    const estimateOptions = { from: txOptions.from };
+    const [singleGas, sampleGas] = await Promise.all([
+      this.contract.methods.liftRestriction(sample.slice(0, 1)).estimateGas(estimateOptions),
+      this.contract.methods.liftRestriction(sample).estimateGas(estimateOptions),
+    ]);
+
+    const gasPerAddress = Math.ceil((sampleGas - singleGas) / (sample.length - 1));
+    if (!(gasPerAddress > 0)) {
+      logger.warn(`Gas per address estimated as ${gasPerAddress}, using batch size ${FallbackBatchSize}.`);
+      return FallbackBatchSize;
+    }
+    const baseGas = singleGas - gasPerAddress;
+    const batchSize = Math.floor((maxGas - baseGas) / gasPerAddress);
+
+    if (batchSize < 1) {
+      const message = `Maximum gas per batch ${maxGas} is too low to lift the restriction of one address.`;
+      logger.error(message);
+      throw new Error(message);
+    }
+    return batchSize;
+  }
+
+  /**
+   * Sends lift restriction batches with bounded concurrency. Updates the
+   * status of each batch in place.
+   *
+   * @param {Array<LiftRestrictionBatch>} batches Batches to send.
+   * @param {Object} txOptions Transaction options.
+   * @param {number} concurrency Number of batches sent at the same time.
+   *
+   * @return {Promise} Promise that resolves once all batches are done.
+   * @private
+   */
+  async _sendLiftRestrictionBatches(batches, txOptions, concurrency) {
+    let next = 0;
+    // Each worker sends its batches one after the other.
+    const sendNext = async () => {
+      if (next >= batches.length) {
+        return;
+      }
+      const batch = batches[next];
+      next += 1;
+      try {
+        const tx = await this.liftRestrictionRawTx(batch.addresses);
+        const receipt = await Utils.sendTransaction(tx, txOptions);
+        batch.transactionHash = receipt.transactionHash;
+        batch.status = receipt.status === false ? BatchStatus.Failed : BatchStatus.Succeeded;
+        if (batch.status === BatchStatus.Failed) {
+          batch.error = 'Transaction reverted.';
+        }
+      } catch (error) {
+        logger.error(`Lift restriction batch failed: ${error}`);
+        batch.status = BatchStatus.Failed;
+        batch.error = error.message;
+      }
+      await sendNext();
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, batches.length); i += 1) {
+      workers.push(sendNext());
+    }
+    await Promise.all(workers);
+  }
+
   /**
    * Checks if given address is unrestricted.
    *
@@ -462,6 +809,64 @@ class BrandedToken {
     );
   }
 
+  /**
+   * Revokes a stake request, must be called by the staker who requested it.
+   * Staked value tokens are transferred back to the staker.
+   *
+   * @param {string} stakeRequestHash Hash of stake request information
+   *                                  calculated per EIP 712.
+   * @param {Object} txOptions Transaction options.
+   *
+   * @return {Promise<Object>} Promise that resolves to transaction receipt.
+   */
+  async revokeStakeRequest(stakeRequestHash, txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    const tx = await this.revokeStakeRequestRawTx(stakeRequestHash);
+
+    const { staker } = await this.getStakeRequest(stakeRequestHash);
+    if (staker.toLowerCase() !== txOptions.from.toLowerCase()) {
+      const message = `Stake request ${stakeRequestHash} can only be revoked by its staker ${staker}, not by ${txOptions.from}.`;
+      logger.error(message);
+      const err = new Error(message);
+      return Promise.reject(err);
+    }
+
+    return Utils.sendTransaction(tx, txOptions);
+  }
+
+  /**
+   * This returns raw tx for revoke stake request.
+   *
+   * @param {string} stakeRequestHash Hash of stake request information
+   *                                  calculated per EIP 712.
+   *
+   * @return Promise<Object> Raw transaction object.
+   */
+  revokeStakeRequestRawTx(stakeRequestHash) {
+    if (!stakeRequestHash) {
+      const message = `Invalid stakeRequestHash: ${stakeRequestHash}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    return Promise.resolve(
+      this.contract.methods.revokeStakeRequest(stakeRequestHash),
+    );
+  }
+
   /**
    * Redeems an amount of BrandedToken and returns the equivalent amount staked value tokens
    * to the same address.
@@ -470,7 +875,11 @@ class BrandedToken {
    *                        Amount unit is wei i.e.1 BT = 10^18 wei.
    * @param {Object} txOptions Transaction options.
    *
-   * @return {Promise<Object>} Promise that resolves to transaction receipt.
+   * @return {Promise<Object>} Promise that resolves to transaction receipt
+   *                           with the decoded Redeemed event in `redeemed`.
+   *                           Rejects before sending if the balance is
+   *                           insufficient or if the amount converts to zero
+   *                           value tokens.
    */
   async redeem(amount, txOptions) {
     if (!txOptions) {
@@ -485,7 +894,76 @@ class BrandedToken {
     }
 
     const txObject = await this.redeemRawTx(amount);
-    return Utils.sendTransaction(txObject, txOptions);
+    const balance = await this.balanceOf(txOptions.from);
+    if (new BN(balance).lt(new BN(amount))) {
+      const message = `Insufficient balance of ${txOptions.from}: ${balance} is less than ${amount}.`;
+      logger.error(message);
+      return Promise.reject(new Error(message));
+    }
+    const { valueTokens } = await this.redeemPreview(amount);
+    if (valueTokens === '0') {
+      const message = `Redeeming ${amount} branded tokens releases no value tokens.`;
+      logger.error(message);
+      return Promise.reject(new Error(message));
+    }
+    const receipt = await Utils.sendTransaction(txObject, txOptions);
+
+    const redeemedEvent = receipt.events && receipt.events.Redeemed;
+    return {
+      ...receipt,
+      redeemed: redeemedEvent ? Events.decode(this.contract, redeemedEvent) : undefined,
+    };
+  }
+
+  /**
+   * Redeems the full branded token balance of the sender.
+   *
+   * @param {Object} txOptions Transaction options.
+   *
+   * @return {Promise<Object>} Promise that resolves to the transaction
+   *                           receipt, see {@link BrandedToken#redeem}.
+   */
+  async redeemAll(txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    const balance = await this.balanceOf(txOptions.from);
+    if (balance === '0') {
+      const message = `No branded tokens to redeem for ${txOptions.from}.`;
+      logger.error(message);
+      return Promise.reject(new Error(message));
+    }
+
+    return this.redeem(balance, txOptions);
+  }
+
+  /**
+   * Calculates the value tokens that redeeming the given branded tokens
+   * releases, without sending a transaction.
+   *
+   * @param {string} amount Amount of branded tokens to redeem in wei.
+   *
+   * @return {Promise<RedeemPreview>} Promise that resolves to the preview.
+   */
+  async redeemPreview(amount) {
+    const converter = await Converter.fromBrandedToken(this);
+    const { valueTokens, dust } = converter.convertToValueTokensWithDust(amount);
+
+    return {
+      brandedTokens: amount.toString(),
+      valueTokens,
+      remainder: dust,
+    };
   }
 
   /**
@@ -519,6 +997,482 @@ class BrandedToken {
       .convertToValueTokens(brandedTokens)
       .call();
   }
+
+  /**
+   * Returns the stake request identified by the given hash.
+   *
+   * @param {string} stakeRequestHash Hash of stake request information
+   *                                  calculated per EIP 712.
+   *
+   * @return {Promise<StakeRequest>} Promise that resolves to the stake request.
+   */
+  getStakeRequest(stakeRequestHash) {
+    if (!stakeRequestHash) {
+      const message = `Invalid stakeRequestHash: ${stakeRequestHash}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    return this.contract.methods
+      .stakeRequests(stakeRequestHash)
+      .call()
+      .then(stakeRequest => ({
+        staker: stakeRequest.staker,
+        stake: stakeRequest.stake.toString(),
+        nonce: stakeRequest.nonce.toString(),
+        exists: stakeRequest.staker !== ZeroAddress,
+      }));
+  }
+
+  /**
+   * Returns the hash of the pending stake request of the given staker.
+   *
+   * @param {string} staker Address of the staker.
+   *
+   * @return {Promise<string>} Promise that resolves to stake request hash.
+   *                           It is zero bytes32 if there is no pending
+   *                           stake request.
+   */
+  getStakeRequestHash(staker) {
+    if (!Web3.utils.isAddress(staker)) {
+      const message = `Invalid staker address: ${staker}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    return this.contract.methods
+      .stakeRequestHashes(staker)
+      .call();
+  }
+
+  /**
+   * Returns the current nonce of branded token. It is used while signing
+   * stake request typed data.
+   *
+   * @return {Promise<string>} Promise that resolves to nonce.
+   */
+  getNonce() {
+    return this.contract.methods
+      .nonce()
+      .call()
+      .then(nonce => nonce.toString());
+  }
+
+  /**
+   * Returns the conversion rate of branded token. The value is cached as it
+   * cannot change.
+   *
+   * @return {Promise<string>} Promise that resolves to conversion rate.
+   */
+  getConversionRate() {
+    if (this._conversionRate) {
+      return Promise.resolve(this._conversionRate);
+    }
+
+    return this.contract.methods
+      .conversionRate()
+      .call()
+      .then((conversionRate) => {
+        this._conversionRate = conversionRate.toString();
+        return this._conversionRate;
+      });
+  }
+
+  /**
+   * Returns the conversion rate decimals of branded token. The value is
+   * cached as it cannot change.
+   *
+   * @return {Promise<string>} Promise that resolves to conversion rate
+   *                           decimals.
+   */
+  getConversionRateDecimals() {
+    if (this._conversionRateDecimals) {
+      return Promise.resolve(this._conversionRateDecimals);
+    }
+
+    return this.contract.methods
+      .conversionRateDecimals()
+      .call()
+      .then((conversionRateDecimals) => {
+        this._conversionRateDecimals = conversionRateDecimals.toString();
+        return this._conversionRateDecimals;
+      });
+  }
+
+  /**
+   * Returns the metadata of branded token. All values are fetched in one
+   * JSON-RPC batch request. Fields other than totalSupply cannot change, so
+   * they are cached and later calls only fetch totalSupply.
+   *
+   * @return {Promise<BrandedTokenInfo>} Promise that resolves to metadata.
+   */
+  getInfo() {
+    const { methods } = this.contract;
+
+    if (this._info) {
+      return Utils.batchCall(this.web3, [methods.totalSupply()])
+        .then(([totalSupply]) => ({
+          ...this._info,
+          totalSupply: totalSupply.toString(),
+        }));
+    }
+
+    return Utils.batchCall(this.web3, [
+      methods.totalSupply(),
+      methods.name(),
+      methods.symbol(),
+      methods.decimals(),
+      methods.valueToken(),
+      methods.conversionRate(),
+      methods.conversionRateDecimals(),
+      methods.organization(),
+    ]).then(([
+      totalSupply,
+      name,
+      symbol,
+      decimals,
+      valueToken,
+      conversionRate,
+      conversionRateDecimals,
+      organization,
+    ]) => {
+      this._info = {
+        name,
+        symbol,
+        decimals: decimals.toString(),
+        valueToken,
+        conversionRate: conversionRate.toString(),
+        conversionRateDecimals: conversionRateDecimals.toString(),
+        organization,
+      };
+      this._conversionRate = this._info.conversionRate;
+      this._conversionRateDecimals = this._info.conversionRateDecimals;
+
+      return {
+        ...this._info,
+        totalSupply: totalSupply.toString(),
+      };
+    });
+  }
+
+  /**
+   * Transfers branded tokens to an address. Before sending the transaction it
+   * checks that the sender is unrestricted and holds enough branded tokens.
+   *
+   * @param {string} to Address to which branded tokens are transferred.
+   * @param {string} value Amount of branded tokens in wei.
+   * @param {Object} txOptions Transaction options.
+   *
+   * @return {Promise<Object>} Promise that resolves to transaction receipt.
+   *                           Rejects with {@link RestrictedTransferError}
+   *                           if the transfer would revert.
+   */
+  async transfer(to, value, txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    const tx = await this.transferRawTx(to, value);
+    await this._assertTransferable(txOptions.from, txOptions.from, value);
+    return Utils.sendTransaction(tx, txOptions);
+  }
+
+  /**
+   * Raw transaction for {@link BrandedToken#transfer}.
+   *
+   * @param {string} to Address to which branded tokens are transferred.
+   * @param {string} value Amount of branded tokens in wei.
+   *
+   * @return {Promise<Object>} Raw transaction object.
+   */
+  transferRawTx(to, value) {
+    if (!Web3.utils.isAddress(to)) {
+      const message = `Invalid to address: ${to}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!BrandedToken._isAmount(value)) {
+      const message = `Invalid transfer amount: ${value}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    return Promise.resolve(this.contract.methods.transfer(to, value));
+  }
+
+  /**
+   * Transfers branded tokens on behalf of an owner who approved the sender.
+   * Before sending the transaction it checks that the sender is unrestricted
+   * and that balance and allowance of the owner are sufficient.
+   *
+   * @param {string} from Address from which branded tokens are transferred.
+   * @param {string} to Address to which branded tokens are transferred.
+   * @param {string} value Amount of branded tokens in wei.
+   * @param {Object} txOptions Transaction options. `from` is the spender.
+   *
+   * @return {Promise<Object>} Promise that resolves to transaction receipt.
+   *                           Rejects with {@link RestrictedTransferError}
+   *                           if the transfer would revert.
+   */
+  async transferFrom(from, to, value, txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    const tx = await this.transferFromRawTx(from, to, value);
+    await this._assertTransferable(txOptions.from, from, value);
+    return Utils.sendTransaction(tx, txOptions);
+  }
+
+  /**
+   * Raw transaction for {@link BrandedToken#transferFrom}.
+   *
+   * @param {string} from Address from which branded tokens are transferred.
+   * @param {string} to Address to which branded tokens are transferred.
+   * @param {string} value Amount of branded tokens in wei.
+   *
+   * @return {Promise<Object>} Raw transaction object.
+   */
+  transferFromRawTx(from, to, value) {
+    if (!Web3.utils.isAddress(from)) {
+      const message = `Invalid from address: ${from}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(to)) {
+      const message = `Invalid to address: ${to}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!BrandedToken._isAmount(value)) {
+      const message = `Invalid transfer amount: ${value}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    return Promise.resolve(this.contract.methods.transferFrom(from, to, value));
+  }
+
+  /**
+   * Approves a spender to transfer branded tokens of the sender. Approvals
+   * are not restricted.
+   *
+   * @param {string} spender Address which is approved.
+   * @param {string} value Amount of branded tokens in wei.
+   * @param {Object} txOptions Transaction options.
+   *
+   * @return {Promise<Object>} Promise that resolves to transaction receipt.
+   */
+  async approve(spender, value, txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    const tx = await this.approveRawTx(spender, value);
+    return Utils.sendTransaction(tx, txOptions);
+  }
+
+  /**
+   * Raw transaction for {@link BrandedToken#approve}.
+   *
+   * @param {string} spender Address which is approved.
+   * @param {string} value Amount of branded tokens in wei. Zero resets the
+   *                       allowance.
+   *
+   * @return {Promise<Object>} Raw transaction object.
+   */
+  approveRawTx(spender, value) {
+    if (!Web3.utils.isAddress(spender)) {
+      const message = `Invalid spender address: ${spender}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!BrandedToken._isAmount(value)) {
+      const message = `Invalid approval amount: ${value}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    return Promise.resolve(this.contract.methods.approve(spender, value));
+  }
+
+  /**
+   * Returns the branded token balance of an address.
+   *
+   * @param {string} address Address of the account.
+   *
+   * @return {Promise<string>} Promise that resolves to balance in wei.
+   */
+  balanceOf(address) {
+    if (!Web3.utils.isAddress(address)) {
+      const message = `Invalid address: ${address}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    return this.contract.methods
+      .balanceOf(address)
+      .call()
+      .then(balance => balance.toString());
+  }
+
+  /**
+   * Returns the amount of branded tokens a spender may transfer on behalf of
+   * an owner.
+   *
+   * @param {string} owner Address of the owner.
+   * @param {string} spender Address of the spender.
+   *
+   * @return {Promise<string>} Promise that resolves to allowance in wei.
+   */
+  allowance(owner, spender) {
+    if (!Web3.utils.isAddress(owner)) {
+      const message = `Invalid owner address: ${owner}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(spender)) {
+      const message = `Invalid spender address: ${spender}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    return this.contract.methods
+      .allowance(owner, spender)
+      .call()
+      .then(allowance => allowance.toString());
+  }
+
+  /**
+   * Checks that a transfer would not revert. The contract only lets
+   * unrestricted addresses send transfers, so the sender (msg.sender) is
+   * checked. For transferFrom the owner differs from the sender and the
+   * allowance is checked as well.
+   *
+   * @param {string} sender Address that sends the transaction.
+   * @param {string} owner Address whose branded tokens are transferred.
+   * @param {string} value Amount of branded tokens in wei.
+   *
+   * @return {Promise} Promise that rejects with
+   *                   {@link RestrictedTransferError} if the transfer would
+   *                   revert.
+   * @private
+   */
+  async _assertTransferable(sender, owner, value) {
+    const isTransferFrom = sender.toLowerCase() !== owner.toLowerCase();
+    const [unrestricted, balance, allowance] = await Promise.all([
+      this.isUnrestricted(sender),
+      this.balanceOf(owner),
+      isTransferFrom ? this.allowance(owner, sender) : undefined,
+    ]);
+
+    let error;
+    if (!unrestricted) {
+      error = new RestrictedTransferError(
+        `Address ${sender} is restricted and cannot transfer branded tokens.`,
+        RestrictedTransferError.Reasons.Restricted,
+        sender,
+      );
+    } else if (new BN(balance).lt(new BN(value))) {
+      error = new RestrictedTransferError(
+        `Insufficient balance of ${owner}: ${balance} is less than ${value}.`,
+        RestrictedTransferError.Reasons.InsufficientBalance,
+        owner,
+      );
+    } else if (isTransferFrom && new BN(allowance).lt(new BN(value))) {
+      error = new RestrictedTransferError(
+        `Insufficient allowance of ${sender} from ${owner}: ${allowance} is less than ${value}.`,
+        RestrictedTransferError.Reasons.InsufficientAllowance,
+        sender,
+      );
+    }
+
+    if (error) {
+      logger.error(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks that an amount is a non-negative integer in wei.
+   *
+   * @param {string} value Amount in wei.
+   *
+   * @return {boolean} `true` if valid.
+   * @private
+   */
+  static _isAmount(value) {
+    return value !== undefined && value !== null && /^\d+$/.test(value.toString());
+  }
+
+  /**
+   * Subscribes to an event of branded token, e.g. StakeRequested,
+   * StakeRequestAccepted, StakeRequestRejected, StakeRequestRevoked, Redeemed
+   * or Transfer. Requires a web3 provider that supports subscriptions.
+   *
+   * @param {string} eventName Name of the event.
+   * @param {Object} filter Filter on indexed event arguments, e.g.
+   *                        `{ _stakeRequestHash: hash }`.
+   * @param {Function} handler Called with `(error, decodedEvent)`. See
+   *                           {@link DecodedEvent}.
+   *
+   * @return {Object} Web3 subscription.
+   */
+  on(eventName, filter, handler) {
+    return Events.subscribe(this.contract, eventName, filter, handler);
+  }
+
+  /**
+   * Returns decoded past events of branded token.
+   *
+   * @param {string} eventName Name of the event.
+   * @param {Object} [options] Query options, see {@link Events.getPastEvents}.
+   *
+   * @return {Promise<Array<DecodedEvent>>} Promise that resolves to decoded
+   *                                         events.
+   */
+  getPastEvents(eventName, options) {
+    return Events.getPastEvents(this.web3, this.contract, eventName, options);
+  }
 }
 
 module.exports = BrandedToken;
@@ -0,0 +1,247 @@
+/**
+ * @typedef {Object} DecodedEvent
+ *
+ * @property {string} event Name of the event.
+ * @property {string} address Address of the contract that emitted the event.
+ * @property {Object} args Event arguments indexed by their name without the
+ *                         leading underscore, e.g. `stakeRequestHash`.
+ *                         Integers are returned as strings.
+ * @property {number} blockNumber Block number of the event.
+ * @property {string} blockHash Block hash of the event.
+ * @property {string} transactionHash Hash of the transaction that emitted
+ *                                    the event.
+ * @property {number} logIndex Log index of the event in the block.
+ * @property {boolean} removed `true` if the log was removed due to a chain
+ *                             reorganization.
+ */
+
+'use strict';
+
+const Web3 = require('web3');
+const logger = require('../../logger');
+
+const { BN } = Web3.utils;
+
+const DefaultBlockRange = 10000;
+
+/**
+ * Converts a block of a query to a block number. `'earliest'` is block 0;
+ * numbers may also be given as decimal or hex strings.
+ *
+ * @param {Web3} web3 Web3 object of the chain.
+ * @param {string} name Name of the option.
+ * @param {number|string} block Block number, `'earliest'` or `'latest'`.
+ *
+ * @returns {Promise<number>} Promise that resolves to the block number.
+ */
+async function toBlockNumber(web3, name, block) {
+  if (block === 'earliest') {
+    return 0;
+  }
+  if (block === 'latest') {
+    return web3.eth.getBlockNumber();
+  }
+
+  const blockNumber = typeof block === 'string' && block.trim().length > 0
+    ? Number(block)
+    : block;
+  if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+    const message = `Invalid ${name}: ${block}.`;
+    logger.error(message);
+    throw new TypeError(message);
+  }
+  return blockNumber;
+}
+
+/**
+ * This class includes the functions to query and decode contract events.
+ * It is shared by the contract interacts.
+ */
+class Events {
+  /**
+   * Returns the ABI definition of an event.
+   *
+   * @param {Object} contract Web3 contract object.
+   * @param {string} eventName Name of the event.
+   *
+   * @returns {Object} ABI definition of the event.
+   */
+  static getEventAbi(contract, eventName) {
+    const eventAbi = contract.options.jsonInterface.find(
+      item => item.type === 'event' && item.name === eventName,
+    );
+    if (!eventAbi) {
+      const message = `Invalid event name: ${eventName}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    return eventAbi;
+  }
+
+  /**
+   * Decodes the logs of a receipt into `events`, like web3 does for the
+   * receipt of a sent transaction. Receipts read with
+   * `getTransactionReceipt` only hold the raw `logs`.
+   *
+   * @param {Object} contract Web3 contract object of the called contract.
+   * @param {Object} receipt Transaction receipt.
+   *
+   * @returns {Object} Receipt with `events` instead of `logs`.
+   */
+  static decodeReceipt(contract, receipt) {
+    if (!Array.isArray(receipt.logs)) {
+      return receipt;
+    }
+
+    const { logs, ...decoded } = receipt;
+    decoded.events = {};
+    let count = 0;
+    logs.forEach((log) => {
+      const event = contract._decodeEventABI.call(
+        { name: 'ALLEVENTS', jsonInterface: contract.options.jsonInterface },
+        log,
+      );
+      if (!event.event) {
+        // Logs of other contracts are keyed by their index.
+        decoded.events[count] = event;
+        count += 1;
+      } else if (decoded.events[event.event] === undefined) {
+        decoded.events[event.event] = event;
+      } else {
+        decoded.events[event.event] = [].concat(decoded.events[event.event], event);
+      }
+    });
+    return decoded;
+  }
+
+  /**
+   * Converts a web3 event log into a {@link DecodedEvent}.
+   *
+   * @param {Object} contract Web3 contract object that emitted the event.
+   * @param {Object} eventLog Event log as returned by web3.
+   *
+   * @returns {DecodedEvent} Decoded event.
+   */
+  static decode(contract, eventLog) {
+    const eventAbi = Events.getEventAbi(contract, eventLog.event);
+
+    const args = {};
+    eventAbi.inputs.forEach((input) => {
+      const name = input.name.replace(/^_/, '');
+      const value = eventLog.returnValues[input.name];
+      if (input.type.startsWith('uint') || input.type.startsWith('int')) {
+        args[name] = new BN(value).toString(10);
+      } else {
+        args[name] = value;
+      }
+    });
+
+    return {
+      event: eventLog.event,
+      address: eventLog.address,
+      args,
+      blockNumber: eventLog.blockNumber,
+      blockHash: eventLog.blockHash,
+      transactionHash: eventLog.transactionHash,
+      logIndex: eventLog.logIndex,
+      removed: eventLog.removed === true,
+    };
+  }
+
+  /**
+   * Returns decoded past events. The block range is queried in pages so that
+   * large histories do not exceed node limits.
+   *
+   * @param {Web3} web3 Web3 object of the chain of the contract.
+   * @param {Object} contract Web3 contract object.
+   * @param {string} eventName Name of the event.
+   * @param {Object} [options] Query options.
+   * @param {number|string} [options.fromBlock] First block to query, a
+   *                                            number, `'earliest'` or
+   *                                            `'latest'`. Defaults to 0.
+   * @param {number|string} [options.toBlock] Last block to query, as
+   *                                          fromBlock. Defaults to
+   *                                          'latest'.
+   * @param {Object} [options.filter] Filter on indexed event arguments.
+   * @param {number} [options.blockRange] Number of blocks queried per page.
+   *                                      Defaults to 10000.
+   *
+   * @returns {Promise<Array<DecodedEvent>>} Promise that resolves to decoded
+   *                                         events ordered by block.
+   */
+  static async getPastEvents(web3, contract, eventName, options = {}) {
+    Events.getEventAbi(contract, eventName);
+
+    const blockRange = options.blockRange || DefaultBlockRange;
+    if (!(blockRange > 0)) {
+      const message = `Invalid block range: ${blockRange}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const fromBlock = await toBlockNumber(
+      web3,
+      'fromBlock',
+      options.fromBlock === undefined ? 0 : options.fromBlock,
+    );
+    const toBlock = await toBlockNumber(
+      web3,
+      'toBlock',
+      options.toBlock === undefined ? 'latest' : options.toBlock,
+    );
+
+    const pages = [];
+    for (let start = fromBlock; start <= toBlock; start += blockRange) {
+      pages.push({ fromBlock: start, toBlock: Math.min(start + blockRange - 1, toBlock) });
+    }
+
+    // Pages are queried sequentially to keep the load on the node bounded.
+    return pages.reduce(
+      (previous, page) => previous.then(async (events) => {
+        const eventLogs = await contract.getPastEvents(eventName, {
+          filter: options.filter,
+          fromBlock: page.fromBlock,
+          toBlock: page.toBlock,
+        });
+        return events.concat(eventLogs.map(eventLog => Events.decode(contract, eventLog)));
+      }),
+      Promise.resolve([]),
+    );
+  }
+
+  /**
+   * Subscribes to an event. Requires a web3 provider that supports
+   * subscriptions, e.g. websocket.
+   *
+   * @param {Object} contract Web3 contract object.
+   * @param {string} eventName Name of the event.
+   * @param {Object} filter Filter on indexed event arguments.
+   * @param {Function} handler Called with `(error, decodedEvent)` for every
+   *                           event. Events whose log was removed by a chain
+   *                           reorganization are passed again with
+   *                           `removed: true`.
+   *
+   * @returns {Object} Web3 subscription. Call `unsubscribe()` on it to stop.
+   */
+  static subscribe(contract, eventName, filter, handler) {
+    Events.getEventAbi(contract, eventName);
+    if (typeof handler !== 'function') {
+      const message = `Invalid event handler: ${handler}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+
+    return contract.events[eventName]({ filter })
+      .on('data', eventLog => handler(null, Events.decode(contract, eventLog)))
+      .on('changed', eventLog => handler(null, {
+        ...Events.decode(contract, eventLog),
+        removed: true,
+      }))
+      .on('error', (error) => {
+        logger.error(`Error in ${eventName} subscription: ${error}`);
+        handler(error);
+      });
+  }
+}
+
+module.exports = Events;
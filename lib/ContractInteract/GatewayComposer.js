@@ -1,8 +1,11 @@
 'use strict';
 
 const Web3 = require('web3');
+const Mosaic = require('@openst/mosaic.js');
 const Contracts = require('../Contracts');
 const AbiBinProvider = require('../AbiBinProvider');
+const BrandedToken = require('./BrandedToken');
+const Events = require('./Events');
 const Utils = require('../../utils/Utils');
 const logger = require('../../logger');
 
@@ -10,6 +13,38 @@ const { BN } = Web3.utils;
 
 const ContractName = 'GatewayComposer';
 
+/**
+ * @typedef {Object} StakeRequestParams
+ *
+ * @property {string} stakeVT Stake amount in wei.
+ * @property {string} [mintBT] Minted amount in wei. Defaults to the branded
+ *                             tokens equivalent to stakeVT.
+ * @property {string} gateway Address of gateway contract.
+ * @property {string} beneficiary Beneficiary address on auxiliary chain.
+ * @property {string} gasPrice Gas price that staker is willing to pay for the
+ *                             reward.
+ * @property {string} gasLimit Maximum gas limit for reward calculation.
+ * @property {string} [nonce] Nonce of gateway composer in gateway. Defaults
+ *                            to the current nonce read from the gateway.
+ */
+
+/**
+ * @typedef {Object} GatewayComposerStakeRequest
+ *
+ * @property {string} stakeVT Stake amount in wei.
+ * @property {string} gateway Address of gateway contract.
+ * @property {string} beneficiary Beneficiary address on auxiliary chain.
+ * @property {string} gasPrice Gas price for reward calculation.
+ * @property {string} gasLimit Maximum gas for reward calculation.
+ * @property {string} nonce Nonce of gateway composer in gateway.
+ * @property {boolean} exists `true` if the gateway composer stores the stake
+ *                           request. It is not a pending indicator: the entry
+ *                           stays after the branded token rejects the stake
+ *                           request, until it is resolved. Read the stake
+ *                           request of the branded token to know if it is
+ *                           pending.
+ */
+
 /**
  * Contract interact for Gateway composer.
  */
@@ -49,12 +84,27 @@ class GatewayComposer {
 
     this.requestStake = this.requestStake.bind(this);
     this.requestStakeRawTx = this.requestStakeRawTx.bind(this);
+    this.resolveStakeRequest = this.resolveStakeRequest.bind(this);
     this.acceptStakeRequest = this.acceptStakeRequest.bind(this);
     this.acceptStakeRequestRawTx = this.acceptStakeRequestRawTx.bind(this);
     this.revokeStakeRequest = this.revokeStakeRequest.bind(this);
     this.revokeStakeRequestRawTx = this.revokeStakeRequestRawTx.bind(this);
     this.revertStake = this.revertStake.bind(this);
     this.revertStakeRawTx = this.revertStakeRawTx.bind(this);
+    this.transferToken = this.transferToken.bind(this);
+    this.transferTokenRawTx = this.transferTokenRawTx.bind(this);
+    this.approveToken = this.approveToken.bind(this);
+    this.approveTokenRawTx = this.approveTokenRawTx.bind(this);
+    this.destroy = this.destroy.bind(this);
+    this.destroyRawTx = this.destroyRawTx.bind(this);
+    this.sweep = this.sweep.bind(this);
+    this.getOwner = this.getOwner.bind(this);
+    this.getValueToken = this.getValueToken.bind(this);
+    this.getBrandedToken = this.getBrandedToken.bind(this);
+    this.getStakeRequest = this.getStakeRequest.bind(this);
+    this.on = this.on.bind(this);
+    this.getPastEvents = this.getPastEvents.bind(this);
+    this._isOwnEvent = this._isOwnEvent.bind(this);
   }
 
   /**
@@ -159,6 +209,12 @@ class GatewayComposer {
    * Method for request stake. This transfers value tokens from caller to
    * GatewayComposer.
    *
+   * Can also be called as `requestStake(stakeRequestParams, txOptions)` with
+   * {@link StakeRequestParams}. In that case mintBT and nonce are resolved if
+   * they are not given, see {@link GatewayComposer#resolveStakeRequest}, and
+   * the promise resolves to `{ receipt, stakeRequest }` where stakeRequest
+   * holds the values that were sent.
+   *
    * @param {string} stakeVT Stake amount in wei.
    * @param {string} mintBT Minted amount in wei.
    * @param {string }gateway Address of gateway contract.
@@ -180,6 +236,22 @@ class GatewayComposer {
     nonce,
     txOptions,
   ) {
+    if (GatewayComposer._isStakeRequestParams(stakeVT)) {
+      // Called as requestStake(stakeRequestParams, txOptions).
+      const stakeRequest = await this.resolveStakeRequest(stakeVT);
+      const receipt = await this.requestStake(
+        stakeRequest.stakeVT,
+        stakeRequest.mintBT,
+        stakeRequest.gateway,
+        stakeRequest.beneficiary,
+        stakeRequest.gasPrice,
+        stakeRequest.gasLimit,
+        stakeRequest.nonce,
+        mintBT,
+      );
+      return { receipt, stakeRequest };
+    }
+
     if (!txOptions) {
       const message = `Invalid transaction options: ${txOptions}.`;
       logger.error(message);
@@ -207,6 +279,62 @@ class GatewayComposer {
   }
 
 
+  /**
+   * Completes stake request parameters. If mintBT is not given, it is
+   * calculated by the branded token from stakeVT. If nonce is not given, the
+   * current nonce of the gateway composer is read from the gateway.
+   *
+   * @param {StakeRequestParams} params Stake request parameters.
+   *
+   * @returns {Promise<StakeRequestParams>} Promise that resolves to parameters
+   *                                        with mintBT and nonce.
+   */
+  async resolveStakeRequest(params) {
+    if (!GatewayComposer._isStakeRequestParams(params)) {
+      const message = `Invalid stake request parameters: ${params}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!(new BN(params.stakeVT).gtn(0))) {
+      const message = `Stake amount must not be zero: ${params.stakeVT}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(params.gateway)) {
+      const message = `Gateway address is invalid: ${params.gateway}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    const resolveMintBT = async () => {
+      if (params.mintBT !== undefined) {
+        return params.mintBT;
+      }
+      const brandedToken = new BrandedToken(this.web3, await this.getBrandedToken());
+      return brandedToken.convertToBrandedTokens(params.stakeVT);
+    };
+    const resolveNonce = () => {
+      if (params.nonce !== undefined) {
+        return params.nonce;
+      }
+      const gateway = new Mosaic.ContractInteract.EIP20Gateway(this.web3, params.gateway);
+      return gateway.getNonce(this.address);
+    };
+
+    const [mintBT, nonce] = await Promise.all([resolveMintBT(), resolveNonce()]);
+    logger.info(`Resolved stake request with mintBT ${mintBT} and nonce ${nonce}`);
+
+    return {
+      ...params,
+      stakeVT: params.stakeVT.toString(),
+      mintBT: mintBT.toString(),
+      nonce: nonce.toString(),
+    };
+  }
+
   /**
    * Raw transaction for request stake.
    *
@@ -507,6 +635,416 @@ class GatewayComposer {
       ),
     );
   }
+
+  /**
+   * Transfers EIP20 tokens held by the gateway composer. Can only be called
+   * by the owner.
+   *
+   * @param {string} token Address of EIP20 token contract.
+   * @param {string} to Address to which tokens are transferred.
+   * @param {string} value Amount of tokens in wei.
+   * @param {Object} txOptions Transaction options.
+   *
+   * @return {Promise<Object>} Promise that resolves to transaction receipt.
+   */
+  async transferToken(token, to, value, txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    const tx = await this.transferTokenRawTx(token, to, value);
+    return Utils.sendTransaction(tx, txOptions);
+  }
+
+  /**
+   * Raw transaction for transfer token.
+   *
+   * @param {string} token Address of EIP20 token contract.
+   * @param {string} to Address to which tokens are transferred.
+   * @param {string} value Amount of tokens in wei.
+   *
+   * @return Promise<Object> Raw transaction object.
+   */
+  transferTokenRawTx(token, to, value) {
+    if (!Web3.utils.isAddress(token)) {
+      const message = `Invalid token address: ${token}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(to)) {
+      const message = `Invalid to address: ${to}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!new BN(value).gtn(0)) {
+      const message = `Transfer amount must be greater than zero: ${value}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    return Promise.resolve(
+      this.contract.methods.transferToken(
+        token,
+        to,
+        value,
+      ),
+    );
+  }
+
+  /**
+   * Approves a spender for EIP20 tokens held by the gateway composer. Can only
+   * be called by the owner.
+   *
+   * @param {string} token Address of EIP20 token contract.
+   * @param {string} spender Address which is approved.
+   * @param {string} value Amount of tokens in wei.
+   * @param {Object} txOptions Transaction options.
+   *
+   * @return {Promise<Object>} Promise that resolves to transaction receipt.
+   */
+  async approveToken(token, spender, value, txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    const tx = await this.approveTokenRawTx(token, spender, value);
+    return Utils.sendTransaction(tx, txOptions);
+  }
+
+  /**
+   * Raw transaction for approve token.
+   *
+   * @param {string} token Address of EIP20 token contract.
+   * @param {string} spender Address which is approved.
+   * @param {string} value Amount of tokens in wei. Zero resets the allowance.
+   *
+   * @return Promise<Object> Raw transaction object.
+   */
+  approveTokenRawTx(token, spender, value) {
+    if (!Web3.utils.isAddress(token)) {
+      const message = `Invalid token address: ${token}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(spender)) {
+      const message = `Invalid spender address: ${spender}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (value === undefined) {
+      const message = `Invalid approval amount: ${value}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    return Promise.resolve(
+      this.contract.methods.approveToken(
+        token,
+        spender,
+        value,
+      ),
+    );
+  }
+
+  /**
+   * Destroys the gateway composer. Can only be called by the owner when there
+   * is no stake request in progress. Use {@link GatewayComposer#sweep} before
+   * to recover tokens held by the gateway composer.
+   *
+   * @param {Object} txOptions Transaction options.
+   *
+   * @return {Promise<Object>} Promise that resolves to transaction receipt.
+   */
+  async destroy(txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    const tx = await this.destroyRawTx();
+    return Utils.sendTransaction(tx, txOptions);
+  }
+
+  /**
+   * Raw transaction for destroy.
+   *
+   * @return Promise<Object> Raw transaction object.
+   */
+  destroyRawTx() {
+    return Promise.resolve(this.contract.methods.destroy());
+  }
+
+  /**
+   * Transfers the complete value token and branded token balances held by the
+   * gateway composer to its owner. Transfers are skipped for zero balances.
+   * Rejects if a transfer fails; later transfers are not sent then.
+   *
+   * @param {Object} txOptions Transaction options.
+   *
+   * @return {Promise<Object>} Promise that resolves to an object with
+   *                           transferValueTokenReceipt and
+   *                           transferBrandedTokenReceipt. A receipt is
+   *                           undefined if its transfer was skipped.
+   */
+  async sweep(txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    const [owner, valueToken, brandedToken] = await Promise.all([
+      this.getOwner(),
+      this.getValueToken(),
+      this.getBrandedToken(),
+    ]);
+
+    const receipts = {};
+
+    const valueTokenBalance = await new Mosaic.ContractInteract.EIP20Token(
+      this.web3,
+      valueToken,
+    ).balanceOf(this.address);
+    if (new BN(valueTokenBalance).gtn(0)) {
+      receipts.transferValueTokenReceipt = await this.transferToken(
+        valueToken,
+        owner,
+        valueTokenBalance,
+        txOptions,
+      );
+      logger.info(`transferValueToken status: ${receipts.transferValueTokenReceipt.status}`);
+      if (!receipts.transferValueTokenReceipt.status) {
+        const message = `Transfer of value token is failed with transactionHash: ${receipts.transferValueTokenReceipt.transactionHash}`;
+        logger.error(message);
+        return Promise.reject(new Error(message));
+      }
+    }
+
+    const brandedTokenBalance = await new Mosaic.ContractInteract.EIP20Token(
+      this.web3,
+      brandedToken,
+    ).balanceOf(this.address);
+    if (new BN(brandedTokenBalance).gtn(0)) {
+      receipts.transferBrandedTokenReceipt = await this.transferToken(
+        brandedToken,
+        owner,
+        brandedTokenBalance,
+        txOptions,
+      );
+      logger.info(`transferBrandedToken status: ${receipts.transferBrandedTokenReceipt.status}`);
+      if (!receipts.transferBrandedTokenReceipt.status) {
+        const message = `Transfer of branded token is failed with transactionHash: ${receipts.transferBrandedTokenReceipt.transactionHash}`;
+        logger.error(message);
+        return Promise.reject(new Error(message));
+      }
+    }
+
+    return receipts;
+  }
+
+  /**
+   * Returns the owner of the gateway composer.
+   *
+   * @return {Promise<string>} Promise that resolves to owner address.
+   */
+  getOwner() {
+    return this.contract.methods.owner().call();
+  }
+
+  /**
+   * Returns the value token address of the gateway composer.
+   *
+   * @return {Promise<string>} Promise that resolves to value token address.
+   */
+  getValueToken() {
+    return this.contract.methods.valueToken().call();
+  }
+
+  /**
+   * Returns the branded token address of the gateway composer.
+   *
+   * @return {Promise<string>} Promise that resolves to branded token address.
+   */
+  getBrandedToken() {
+    return this.contract.methods.brandedToken().call();
+  }
+
+  /**
+   * Returns the stake request stored by the gateway composer. It is deleted
+   * once the stake request is accepted or revoked, and once a rejected stake
+   * request is resolved with `resolveStakeRequest`.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   *
+   * @returns {Promise<GatewayComposerStakeRequest>} Promise that resolves to
+   *                                                  the stake request.
+   */
+  getStakeRequest(stakeRequestHash) {
+    if (!stakeRequestHash) {
+      const message = `Invalid stakeRequestHash: ${stakeRequestHash}.`;
+      logger.error(message);
+      const err = new TypeError(message);
+      return Promise.reject(err);
+    }
+
+    return this.contract.methods
+      .stakeRequests(stakeRequestHash)
+      .call()
+      .then(stakeRequest => ({
+        stakeVT: stakeRequest.stakeVT.toString(),
+        gateway: stakeRequest.gateway,
+        beneficiary: stakeRequest.beneficiary,
+        gasPrice: stakeRequest.gasPrice.toString(),
+        gasLimit: stakeRequest.gasLimit.toString(),
+        nonce: stakeRequest.nonce.toString(),
+        exists: !new BN(stakeRequest.stakeVT).isZero(),
+      }));
+  }
+
+  /**
+   * Subscribes to an event of the branded token of this gateway composer.
+   * Only events that involve the gateway composer, e.g. as staker, are passed
+   * to the handler. Requires a web3 provider that supports subscriptions.
+   *
+   * @dev GatewayComposer contract does not emit events itself.
+   *
+   * @param {string} eventName Name of the branded token event.
+   * @param {Object} filter Filter on indexed event arguments.
+   * @param {Function} handler Called with `(error, decodedEvent)`. See
+   *                           {@link DecodedEvent}. An error reading the
+   *                           branded token address is passed as well.
+   *
+   * @return {Object} Subscription, like the subscriptions returned by
+   *                  {@link BrandedToken#on}. Call `unsubscribe()` on it to
+   *                  stop.
+   */
+  on(eventName, filter, handler) {
+    Events.getEventAbi(Contracts.getBrandedToken(this.web3), eventName);
+    if (typeof handler !== 'function') {
+      const message = `Invalid event handler: ${handler}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+
+    let subscription;
+    let unsubscribed = false;
+    this.getBrandedToken()
+      .then((brandedToken) => {
+        if (unsubscribed) {
+          return;
+        }
+        const contract = Contracts.getBrandedToken(this.web3, brandedToken);
+        subscription = Events.subscribe(contract, eventName, filter, (error, event) => {
+          if (error) {
+            handler(error);
+          } else if (this._isOwnEvent(event)) {
+            handler(null, event);
+          }
+        });
+      })
+      .catch((error) => {
+        logger.error(`Error in ${eventName} subscription: ${error}`);
+        handler(error);
+      });
+
+    return {
+      unsubscribe: () => {
+        unsubscribed = true;
+        if (subscription) {
+          subscription.unsubscribe();
+        }
+      },
+    };
+  }
+
+  /**
+   * Returns decoded past events of the branded token of this gateway
+   * composer that involve the gateway composer.
+   *
+   * @param {string} eventName Name of the branded token event.
+   * @param {Object} [options] Query options, see {@link Events.getPastEvents}.
+   *
+   * @return {Promise<Array<DecodedEvent>>} Promise that resolves to decoded
+   *                                         events.
+   */
+  async getPastEvents(eventName, options) {
+    const brandedToken = await this.getBrandedToken();
+    const contract = Contracts.getBrandedToken(this.web3, brandedToken);
+
+    const events = await Events.getPastEvents(this.web3, contract, eventName, options);
+    return events.filter(this._isOwnEvent);
+  }
+
+  /**
+   * Checks if the first argument of requestStake is a parameters object
+   * instead of a stake amount.
+   *
+   * @param {*} value First argument of requestStake.
+   *
+   * @returns {boolean} `true` for a parameters object.
+   * @private
+   */
+  static _isStakeRequestParams(value) {
+    return value !== null
+      && typeof value === 'object'
+      && !BN.isBN(value)
+      && value.stakeVT !== undefined;
+  }
+
+  /**
+   * Checks if any address argument of a decoded event is this gateway
+   * composer.
+   *
+   * @param {DecodedEvent} event Decoded event.
+   *
+   * @returns {boolean} `true` if the event involves this gateway composer.
+   * @private
+   */
+  _isOwnEvent(event) {
+    const address = this.address.toLowerCase();
+    return Object.values(event.args).some(
+      value => typeof value === 'string' && value.toLowerCase() === address,
+    );
+  }
 }
 
 module.exports = GatewayComposer;
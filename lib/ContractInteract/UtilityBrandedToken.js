@@ -5,10 +5,26 @@ const Mosaic = require('@openst/mosaic.js');
 
 const Contracts = require('../Contracts');
 const AbiBinProvider = require('../AbiBinProvider');
+const Events = require('./Events');
 const Utils = require('../../utils/Utils');
 const logger = require('../../logger');
 
 const ContractName = 'UtilityBrandedToken';
+const ZeroAddress = '0x0000000000000000000000000000000000000000';
+
+/**
+ * @typedef {Object} UtilityBrandedTokenInfo
+ *
+ * @property {string} name Name of utility branded token.
+ * @property {string} symbol Symbol of utility branded token.
+ * @property {string} decimals Decimals of utility branded token.
+ * @property {string} totalSupply Total supply of utility branded token in
+ *                                wei.
+ * @property {string} token Address of branded token on origin chain.
+ * @property {string} coGateway Address of co-gateway. Zero address if it is
+ *                              not set yet.
+ * @property {string} organization Address of organization.
+ */
 
 /**
  * Contract interact for UtilityBrandedToken contract.
@@ -32,6 +48,9 @@ class UtilityBrandedToken extends Mosaic.ContractInteract.UtilityToken {
 
     this.registerInternalActorsRawTx = this.registerInternalActorsRawTx.bind(this);
     this.registerInternalActors = this.registerInternalActors.bind(this);
+    this.getInfo = this.getInfo.bind(this);
+    this.on = this.on.bind(this);
+    this.getPastEvents = this.getPastEvents.bind(this);
   }
 
   /**
@@ -185,6 +204,97 @@ class UtilityBrandedToken extends Mosaic.ContractInteract.UtilityToken {
       ),
     );
   }
+
+  /**
+   * Returns the metadata of utility branded token. All values are fetched in
+   * one JSON-RPC batch request. Fields that cannot change are cached; the
+   * co-gateway is cached once it is set.
+   *
+   * @return {Promise<UtilityBrandedTokenInfo>} Promise that resolves to
+   *                                            metadata.
+   */
+  getInfo() {
+    const { methods } = this.contract;
+
+    if (this._info) {
+      const coGatewayCached = this._info.coGateway !== ZeroAddress;
+      const calls = [methods.totalSupply()];
+      if (!coGatewayCached) {
+        calls.push(methods.coGateway());
+      }
+      return Utils.batchCall(this.web3, calls)
+        .then(([totalSupply, coGateway]) => {
+          if (!coGatewayCached) {
+            this._info.coGateway = coGateway;
+          }
+          return {
+            ...this._info,
+            totalSupply: totalSupply.toString(),
+          };
+        });
+    }
+
+    return Utils.batchCall(this.web3, [
+      methods.totalSupply(),
+      methods.name(),
+      methods.symbol(),
+      methods.decimals(),
+      methods.token(),
+      methods.coGateway(),
+      methods.organization(),
+    ]).then(([
+      totalSupply,
+      name,
+      symbol,
+      decimals,
+      token,
+      coGateway,
+      organization,
+    ]) => {
+      this._info = {
+        name,
+        symbol,
+        decimals: decimals.toString(),
+        token,
+        coGateway,
+        organization,
+      };
+
+      return {
+        ...this._info,
+        totalSupply: totalSupply.toString(),
+      };
+    });
+  }
+
+  /**
+   * Subscribes to an event of utility branded token, e.g. Transfer or
+   * InternalActorRegistered. Requires a web3 provider that supports
+   * subscriptions.
+   *
+   * @param {string} eventName Name of the event.
+   * @param {Object} filter Filter on indexed event arguments.
+   * @param {Function} handler Called with `(error, decodedEvent)`. See
+   *                           {@link DecodedEvent}.
+   *
+   * @return {Object} Web3 subscription.
+   */
+  on(eventName, filter, handler) {
+    return Events.subscribe(this.contract, eventName, filter, handler);
+  }
+
+  /**
+   * Returns decoded past events of utility branded token.
+   *
+   * @param {string} eventName Name of the event.
+   * @param {Object} [options] Query options, see {@link Events.getPastEvents}.
+   *
+   * @return {Promise<Array<DecodedEvent>>} Promise that resolves to decoded
+   *                                         events.
+   */
+  getPastEvents(eventName, options) {
+    return Events.getPastEvents(this.web3, this.contract, eventName, options);
+  }
 }
 
 module.exports = UtilityBrandedToken;
@@ -118,6 +118,23 @@ class BTContracts extends Contracts {
     return contract;
   }
 
+  /**
+   * Static method which returns Organization contract instance. Only the
+   * OrganizationInterface methods, e.g. isWorker, are available.
+   *
+   * @param web3 Web3 object of the chain of the organization.
+   * @param address Organization contract address.
+   * @param options Tx options.
+   * @returns {web3.eth.Contract} Contract instance.
+   * @constructor
+   */
+  static getOrganization(web3, address, options) {
+    const web3Object = Contracts._getWeb3(web3);
+    const jsonInterface = abiBinProvider.getABI('OrganizationInterface');
+    const contract = new web3Object.eth.Contract(jsonInterface, address, options);
+    return contract;
+  }
+
   /**
    * Returns web3 instance. If input param web3 is string url, it constructs web3 object from it.
    *
@@ -0,0 +1,220 @@
+/**
+ * @typedef {Object} BrandedTokenConversion
+ *
+ * @property {string} brandedTokens Amount of branded tokens in wei.
+ * @property {string} dust Amount of value tokens in wei that do not
+ *                         contribute to the branded tokens due to rounding.
+ */
+
+/**
+ * @typedef {Object} ValueTokenConversion
+ *
+ * @property {string} valueTokens Amount of value tokens in wei.
+ * @property {string} dust Amount of branded tokens in wei that do not
+ *                         contribute to the value tokens due to rounding.
+ */
+
+'use strict';
+
+const Web3 = require('web3');
+const logger = require('../logger');
+
+const { BN } = Web3.utils;
+
+const cache = new Map();
+
+// Network ids by web3 object, so that the node is only queried once.
+const networkIds = new WeakMap();
+
+/**
+ * Returns the network id of a web3 object.
+ *
+ * @param {Web3} web3 Web3 object.
+ *
+ * @returns {Promise<number>} Promise that resolves to the network id.
+ */
+function getNetworkId(web3) {
+  if (!networkIds.has(web3)) {
+    const networkId = web3.eth.net.getId();
+    networkIds.set(web3, networkId);
+    networkId.catch(() => networkIds.delete(web3));
+  }
+  return networkIds.get(web3);
+}
+
+/**
+ * Divides and rounds up.
+ *
+ * @param {BN} numerator Numerator.
+ * @param {BN} denominator Denominator.
+ *
+ * @returns {BN} Quotient rounded up.
+ */
+function divCeil(numerator, denominator) {
+  const { div, mod } = numerator.divmod(denominator);
+  return mod.isZero() ? div : div.addn(1);
+}
+
+/**
+ * Converts between value tokens and branded tokens without calling the
+ * BrandedToken contract. The integer math matches the contract:
+ *
+ *   brandedTokens = valueTokens * conversionRate / 10^conversionRateDecimals
+ *   valueTokens = brandedTokens * 10^conversionRateDecimals / conversionRate
+ *
+ * where divisions round down.
+ */
+class Converter {
+  /**
+   * Converter constructor object.
+   *
+   * @param {string|number} conversionRate Conversion rate of branded token.
+   * @param {string|number} conversionRateDecimals Conversion rate decimals of
+   *                                               branded token.
+   */
+  constructor(conversionRate, conversionRateDecimals) {
+    if (!new BN(conversionRate).gtn(0)) {
+      const message = `Invalid conversion rate: ${conversionRate}. It should be greater than zero`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    const decimals = Number(conversionRateDecimals);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 5) {
+      const message = `Invalid conversion rate decimals: ${conversionRateDecimals}. It should not be greater than 5`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+
+    this.conversionRate = new BN(conversionRate);
+    this.conversionRateDecimals = decimals;
+    this.scale = new BN(10).pow(new BN(decimals));
+
+    this.convertToBrandedTokens = this.convertToBrandedTokens.bind(this);
+    this.convertToValueTokens = this.convertToValueTokens.bind(this);
+    this.convertToBrandedTokensWithDust = this.convertToBrandedTokensWithDust.bind(this);
+    this.convertToValueTokensWithDust = this.convertToValueTokensWithDust.bind(this);
+  }
+
+  /**
+   * Returns a converter with the conversion rate of a deployed branded token.
+   * Converters are cached by network id and branded token address, so the
+   * contract is only called once.
+   *
+   * @param {BrandedToken} brandedToken BrandedToken contract interact.
+   *
+   * @returns {Promise<Converter>} Promise that resolves to converter.
+   */
+  static async fromBrandedToken(brandedToken) {
+    const networkId = await getNetworkId(brandedToken.web3);
+    const key = `${networkId}:${brandedToken.address.toLowerCase()}`;
+    if (!cache.has(key)) {
+      const [conversionRate, conversionRateDecimals] = await Promise.all([
+        brandedToken.getConversionRate(),
+        brandedToken.getConversionRateDecimals(),
+      ]);
+      cache.set(key, new Converter(conversionRate, conversionRateDecimals));
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Removes all cached converters.
+   */
+  static clearCache() {
+    cache.clear();
+  }
+
+  /**
+   * Calculates branded tokens equivalent to given value tokens.
+   *
+   * @param {string} valueTokens Amount of value tokens in wei.
+   *
+   * @returns {string} Amount of branded tokens in wei.
+   */
+  convertToBrandedTokens(valueTokens) {
+    return this.convertToBrandedTokensWithDust(valueTokens).brandedTokens;
+  }
+
+  /**
+   * Calculates value tokens equivalent to given branded tokens.
+   *
+   * @param {string} brandedTokens Amount of branded tokens in wei.
+   *
+   * @returns {string} Amount of value tokens in wei.
+   */
+  convertToValueTokens(brandedTokens) {
+    return this.convertToValueTokensWithDust(brandedTokens).valueTokens;
+  }
+
+  /**
+   * Calculates branded tokens equivalent to given value tokens and the value
+   * tokens that are lost to rounding, i.e. the amount by which valueTokens
+   * could be reduced without reducing the branded tokens.
+   *
+   * @param {string} valueTokens Amount of value tokens in wei.
+   *
+   * @returns {BrandedTokenConversion} Conversion result.
+   */
+  convertToBrandedTokensWithDust(valueTokens) {
+    const valueTokensBN = Converter._toBN(valueTokens, 'value tokens');
+
+    const brandedTokens = valueTokensBN
+      .mul(this.conversionRate)
+      .div(this.scale);
+    const requiredValueTokens = divCeil(
+      brandedTokens.mul(this.scale),
+      this.conversionRate,
+    );
+
+    return {
+      brandedTokens: brandedTokens.toString(10),
+      dust: valueTokensBN.sub(requiredValueTokens).toString(10),
+    };
+  }
+
+  /**
+   * Calculates value tokens equivalent to given branded tokens and the
+   * branded tokens that are lost to rounding, i.e. the amount by which
+   * brandedTokens could be reduced without reducing the value tokens.
+   *
+   * @param {string} brandedTokens Amount of branded tokens in wei.
+   *
+   * @returns {ValueTokenConversion} Conversion result.
+   */
+  convertToValueTokensWithDust(brandedTokens) {
+    const brandedTokensBN = Converter._toBN(brandedTokens, 'branded tokens');
+
+    const valueTokens = brandedTokensBN
+      .mul(this.scale)
+      .div(this.conversionRate);
+    const requiredBrandedTokens = divCeil(
+      valueTokens.mul(this.conversionRate),
+      this.scale,
+    );
+
+    return {
+      valueTokens: valueTokens.toString(10),
+      dust: brandedTokensBN.sub(requiredBrandedTokens).toString(10),
+    };
+  }
+
+  /**
+   * Converts an amount to BN and validates that it is not negative.
+   *
+   * @param {string} amount Amount in wei.
+   * @param {string} name Name of the amount used in error messages.
+   *
+   * @returns {BN} Amount.
+   * @private
+   */
+  static _toBN(amount, name) {
+    if (amount === undefined || amount === null || !/^\d+$/.test(amount.toString())) {
+      const message = `Invalid amount of ${name}: ${amount}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    return new BN(amount.toString(), 10);
+  }
+}
+
+module.exports = Converter;
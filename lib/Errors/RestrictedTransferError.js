@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Reasons why a branded token transfer cannot succeed.
+ */
+const Reasons = {
+  Restricted: 'RESTRICTED',
+  InsufficientBalance: 'INSUFFICIENT_BALANCE',
+  InsufficientAllowance: 'INSUFFICIENT_ALLOWANCE',
+};
+
+/**
+ * Error thrown when a branded token transfer would revert. It is raised by the
+ * pre-flight checks before a transaction is sent, so no gas is spent.
+ */
+class RestrictedTransferError extends Error {
+  /**
+   * RestrictedTransferError constructor.
+   *
+   * @param {string} message Error message.
+   * @param {string} reason One of {@link RestrictedTransferError.Reasons}.
+   * @param {string} address Address that caused the failure, i.e. the
+   *                         restricted sender or the account with
+   *                         insufficient balance or allowance.
+   */
+  constructor(message, reason, address) {
+    super(message);
+
+    this.name = 'RestrictedTransferError';
+    this.reason = reason;
+    this.address = address;
+  }
+
+  /**
+   * @returns {Object} Reasons why a transfer cannot succeed.
+   */
+  static get Reasons() {
+    return Reasons;
+  }
+}
+
+module.exports = RestrictedTransferError;
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Reasons why a stake request cannot succeed.
+ */
+const Reasons = {
+  InsufficientValueTokenBalance: 'INSUFFICIENT_VALUE_TOKEN_BALANCE',
+  InsufficientGasFunds: 'INSUFFICIENT_GAS_FUNDS',
+  GasEstimationFailed: 'GAS_ESTIMATION_FAILED',
+  NotGatewayComposerOwner: 'NOT_GATEWAY_COMPOSER_OWNER',
+  GatewayTokenMismatch: 'GATEWAY_TOKEN_MISMATCH',
+  PendingStakeRequest: 'PENDING_STAKE_REQUEST',
+  MintAmountMismatch: 'MINT_AMOUNT_MISMATCH',
+};
+
+/**
+ * @typedef {Object} StakeRequestViolation
+ *
+ * @property {string} reason One of {@link StakeRequestValidationError.Reasons}.
+ * @property {string} message Description of the violation.
+ */
+
+/**
+ * Error thrown when a stake request would revert. It is raised by the
+ * pre-flight checks before a transaction is sent, so no gas is spent.
+ */
+class StakeRequestValidationError extends Error {
+  /**
+   * StakeRequestValidationError constructor.
+   *
+   * @param {string} message Error message.
+   * @param {Array<StakeRequestViolation>} violations All violations found.
+   */
+  constructor(message, violations) {
+    super(message);
+
+    this.name = 'StakeRequestValidationError';
+    this.violations = violations;
+  }
+
+  /**
+   * @returns {Object} Reasons why a stake request cannot succeed.
+   */
+  static get Reasons() {
+    return Reasons;
+  }
+}
+
+module.exports = StakeRequestValidationError;
@@ -1,13 +1,31 @@
 'use strict';
 
 const Mosaic = require('@openst/mosaic.js');
+const Web3 = require('web3');
+const BrandedToken = require('../ContractInteract/BrandedToken');
+const Contracts = require('../Contracts');
 const GatewayComposer = require('../ContractInteract/GatewayComposer');
+const Utils = require('../../utils/Utils');
 
 const logger = require('../../logger');
+
+const { BN } = Web3.utils;
+
+/**
+ * @typedef {Object} WorkerSigner
+ *
+ * @property {string} address Address of the worker.
+ * @property {Function} signEIP712TypedData Signs an {@link EIP712TypedData}
+ *           and returns, or resolves to, `{ v, r, s }`. Web3 wallet
+ *           accounts provide it.
+ */
+
 /**
  * Facilitator performs below tasks:
- * - approves bounty amount to GatewayComposer
+ * - reads the bounty from the gateway of the stake request
+ * - approves bounty amount to GatewayComposer, unless the allowance suffices
  * - calls GatewayComposer.acceptStakeRequest
+ * - with a worker signer, signs stake requests identified by their hash
  */
 class Facilitator {
   /**
@@ -17,21 +35,41 @@ class Facilitator {
    * @param {string} valueToken Value token contract address.
    * @param {string} brandedToken Branded Token contract address.
    * @param {string} gatewayComposer Gateway composer contract address.
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.resetAllowance] Resets a non-zero allowance to
+   *                                           zero before approving, for
+   *                                           value tokens that require it.
+   *                                           Defaults to false.
+   * @param {WorkerSigner} [options.workerSigner] Signer of an organization
+   *        worker, required by {@link Facilitator#acceptStakeRequestByHash}.
    */
-  constructor(originWeb3, valueToken, brandedToken, gatewayComposer) {
+  constructor(originWeb3, valueToken, brandedToken, gatewayComposer, options = {}) {
     this.originWeb3 = originWeb3;
     this.gatewayComposerAddress = gatewayComposer;
+    this.valueTokenAddress = valueToken;
     this.brandedToken = brandedToken;
+    this.resetAllowance = options.resetAllowance === true;
+    this.workerSigner = options.workerSigner;
 
     this.gatewayComposer = new GatewayComposer(originWeb3, gatewayComposer);
     this.valueToken = new Mosaic.ContractInteract.EIP20Token(originWeb3, valueToken);
+    this.brandedTokenInteract = new BrandedToken(originWeb3, brandedToken);
+
+    this.acceptStakeRequestByHash = this.acceptStakeRequestByHash.bind(this);
   }
 
   /**
    * Facilitator performs below tasks:
-   * - approves bounty amount to GatewayComposer
+   * - reads the bounty and base token of the gateway of the stake request
+   *   stored in the GatewayComposer
+   * - verifies that the base token is the value token and that the
+   *   facilitator holds the bounty
+   * - approves bounty amount to GatewayComposer, unless the allowance suffices
    * - calls GatewayComposer.acceptStakeRequest
    *
+   * `approveForBountyPath` in the returned receipts is one of
+   * {@link Utils.ApprovalPaths}.
+   *
    * Note: Add KYC worker account/private key in web3 wallet before calling acceptStakeRequest.
    *
    * @param {string} stakeRequestHash Stake request hash unique for each stake.
@@ -43,8 +81,8 @@ class Facilitator {
    *                    s: vrs[2],
    *                    signature: signature
    *                  }
-   * @param {string} bountyInWei Bounty amount in wei's that needs to be
-   *                             approved.
+   * @param {string} [bountyInWei] Expected bounty amount in wei. If given, it
+   *                               must match the bounty of the gateway.
    * @param {string} hashLock HashLock of facilitator.
    * @param {Object} txOptions - Tx options.
    */
@@ -55,18 +93,62 @@ class Facilitator {
     hashLock,
     txOptions,
   ) {
-    const approveForBountyReceipt = await this.valueToken.approve(
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const stakeRequest = await this.gatewayComposer.getStakeRequest(stakeRequestHash);
+    if (!stakeRequest.exists) {
+      const message = `Stake request ${stakeRequestHash} does not exist.`;
+      logger.error(message);
+      return Promise.reject(new Error(message));
+    }
+
+    const bounty = await this._getBounty(stakeRequest.gateway, bountyInWei, txOptions);
+    return this._acceptStakeRequest(stakeRequestHash, signature, bounty, hashLock, txOptions);
+  }
+
+  /**
+   * Approves the bounty and accepts the stake request.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   * @param {Object} signature Signature of the worker.
+   * @param {string} bounty Bounty in wei.
+   * @param {string} hashLock HashLock of facilitator.
+   * @param {Object} txOptions Transaction options of the facilitator.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipts.
+   * @private
+   */
+  async _acceptStakeRequest(stakeRequestHash, signature, bounty, hashLock, txOptions) {
+    const approval = await Utils.approveIfRequired(
+      this.valueToken,
       this.gatewayComposerAddress,
-      bountyInWei,
+      bounty,
       txOptions,
+      this.resetAllowance,
     );
 
     let receipts = {
-      approveForBountyReceipt,
+      approveForBountyPath: approval.path,
     };
-    logger.info(`approveForBounty status:  ${approveForBountyReceipt.status}`);
+    if (approval.resetReceipt) {
+      receipts.resetApprovalForBountyReceipt = approval.resetReceipt;
+    }
+    logger.info(`approveForBounty path: ${approval.path}`);
 
-    if (!approveForBountyReceipt.status) {
+    const { approveReceipt: approveForBountyReceipt } = approval;
+    if (approveForBountyReceipt) {
+      receipts.approveForBountyReceipt = approveForBountyReceipt;
+    }
+    if (approveForBountyReceipt && !approveForBountyReceipt.status) {
       const message = `Approval for bounty is failed with transactionHash: ${approveForBountyReceipt.transactionHash}`;
       logger.error(message);
       const err = new Error(
@@ -101,6 +183,152 @@ class Facilitator {
     };
     return receipts;
   }
+
+  /**
+   * Accepts a stake request given only its hash. The stake request is read
+   * from the BrandedToken and signed with the worker signer. The recovered
+   * signer must be an active worker of the organization of the
+   * BrandedToken. Then the bounty is read from the gateway of the stake
+   * request, approved and the stake request accepted, see
+   * {@link Facilitator#acceptStakeRequest}.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   * @param {string} hashLock HashLock of facilitator.
+   * @param {Object} txOptions Transaction options of the facilitator.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipts of
+   *                            {@link Facilitator#acceptStakeRequest} and the
+   *                            approved `bounty`.
+   */
+  async acceptStakeRequestByHash(stakeRequestHash, hashLock, txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+    if (!this.workerSigner) {
+      const message = 'Worker signer is not configured.';
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+    if (!/^0x[0-9a-fA-F]{64}$/.test(stakeRequestHash)) {
+      const message = `Invalid stakeRequestHash: ${stakeRequestHash}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const [brandedTokenStakeRequest, gatewayComposerStakeRequest] = await Promise.all([
+      this.brandedTokenInteract.getStakeRequest(stakeRequestHash),
+      this.gatewayComposer.getStakeRequest(stakeRequestHash),
+    ]);
+    if (!brandedTokenStakeRequest.exists || !gatewayComposerStakeRequest.exists) {
+      const message = `Stake request ${stakeRequestHash} does not exist.`;
+      logger.error(message);
+      return Promise.reject(new Error(message));
+    }
+
+    const typedData = Utils.getStakeRequestTypedData(
+      brandedTokenStakeRequest.stake,
+      brandedTokenStakeRequest.nonce,
+      brandedTokenStakeRequest.staker,
+      this.brandedToken,
+    );
+    const signature = await this.workerSigner.signEIP712TypedData(typedData);
+
+    const signer = this.originWeb3.eth.accounts.recover(
+      typedData.getEIP712SignHash(),
+      signature.v,
+      signature.r,
+      signature.s,
+      true,
+    );
+    await this._assertWorker(signer);
+
+    const bounty = await this._getBounty(
+      gatewayComposerStakeRequest.gateway,
+      undefined,
+      txOptions,
+    );
+    const receipts = await this._acceptStakeRequest(
+      stakeRequestHash,
+      signature,
+      bounty,
+      hashLock,
+      txOptions,
+    );
+    return {
+      ...receipts,
+      bounty,
+    };
+  }
+
+  /**
+   * Reads the bounty of a gateway. Fails if the base token of the gateway is
+   * not the value token, if the bounty differs from the expected bounty or
+   * if the facilitator does not hold the bounty.
+   *
+   * @param {string} gatewayAddress Address of the gateway.
+   * @param {string} [expectedBounty] Expected bounty in wei.
+   * @param {Object} txOptions Transaction options of the facilitator.
+   *
+   * @returns {Promise<string>} Promise that resolves to the bounty in wei.
+   * @private
+   */
+  async _getBounty(gatewayAddress, expectedBounty, txOptions) {
+    const gateway = new Mosaic.ContractInteract.EIP20Gateway(this.originWeb3, gatewayAddress);
+    const [bounty, baseToken, balance] = await Promise.all([
+      gateway.getBounty(),
+      gateway.getBaseToken(),
+      this.valueToken.balanceOf(txOptions.from),
+    ]);
+
+    let message;
+    if (baseToken.toLowerCase() !== this.valueTokenAddress.toLowerCase()) {
+      message = `Base token ${baseToken} of gateway ${gatewayAddress} is not the value token ${this.valueTokenAddress}.`;
+    } else if (
+      expectedBounty !== undefined
+      && expectedBounty !== null
+      && !new BN(expectedBounty.toString()).eq(new BN(bounty))
+    ) {
+      message = `Bounty ${expectedBounty} does not match bounty ${bounty} of gateway ${gatewayAddress}.`;
+    } else if (new BN(balance).lt(new BN(bounty))) {
+      message = `Facilitator ${txOptions.from} holds ${balance} value tokens, less than the bounty ${bounty}.`;
+    }
+    if (message) {
+      logger.error(message);
+      throw new Error(message);
+    }
+
+    return bounty;
+  }
+
+  /**
+   * Checks that an address is an active worker of the organization of the
+   * BrandedToken.
+   *
+   * @param {string} worker Address of the worker.
+   *
+   * @returns {Promise} Promise that rejects if the address is not a worker.
+   * @private
+   */
+  async _assertWorker(worker) {
+    const organization = await this.brandedTokenInteract.contract.methods.organization().call();
+    const isWorker = await Contracts.getOrganization(this.originWeb3, organization)
+      .methods
+      .isWorker(worker)
+      .call();
+
+    if (!isWorker) {
+      const message = `Signer ${worker} is not an active worker of organization ${organization}.`;
+      logger.error(message);
+      throw new Error(message);
+    }
+  }
 }
 
 module.exports = Facilitator;
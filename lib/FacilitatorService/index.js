@@ -0,0 +1,461 @@
+/**
+ * @typedef {Object} FacilitatorServiceAddresses
+ *
+ * @property {string} valueToken Value token address.
+ * @property {string} brandedToken Branded token address.
+ * @property {Array<string>} gatewayComposers Addresses of the gateway
+ *                                            composers whose stake requests
+ *                                            are processed.
+ */
+
+/**
+ * @typedef {Object} PendingStakeRequestInfo
+ *
+ * @property {string} stakeRequestHash Hash of the stake request.
+ * @property {string} gatewayComposer Address of the gateway composer.
+ * @property {string} staker Owner of the gateway composer, i.e. the account
+ *                           that staked through it.
+ * @property {string} stakeVT Stake amount in wei.
+ * @property {string} gateway Address of the gateway.
+ * @property {string} beneficiary Beneficiary address on auxiliary chain.
+ * @property {string} gasPrice Gas price for the reward.
+ * @property {string} gasLimit Gas limit for the reward.
+ * @property {string} nonce Staker nonce of the gateway.
+ * @property {number} blockNumber Block of the StakeRequested event.
+ */
+
+/**
+ * @typedef {Object} ProcessedStakeRequest
+ *
+ * @property {string} status One of {@link FacilitatorService.Statuses}.
+ * @property {string} [transactionHash] Hash of the accept or reject
+ *                                      transaction.
+ * @property {string} [hashLock] Hash lock of an accepted stake request.
+ * @property {string} [bounty] Bounty of an accepted stake request.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const Web3 = require('web3');
+
+const BrandedToken = require('../ContractInteract/BrandedToken');
+const Facilitator = require('../Facilitator');
+const logger = require('../../logger');
+
+const Statuses = {
+  Accepted: 'accepted',
+  Rejected: 'rejected',
+  Skipped: 'skipped',
+};
+
+const StoreMethods = ['get', 'save'];
+
+/**
+ * FacilitatorService is a long-running facilitator. It processes the
+ * StakeRequested events of a BrandedToken whose staker is one of the
+ * configured gateway composers:
+ * - the decision callback decides if a stake request is accepted
+ * - accepted stake requests are signed with the worker signer and accepted,
+ *   see {@link Facilitator#acceptStakeRequestByHash}
+ * - other stake requests are rejected by the worker
+ *
+ * Processed stake requests are saved in the store, so that they are not
+ * processed again after a restart. Stake requests are processed one at a time.
+ *
+ * Emits `processed` with the stake request hash and the
+ * {@link ProcessedStakeRequest}, and `failed` with the stake request hash and
+ * the error. Failed stake requests are not saved and are processed again on
+ * the next start. If the subscription fails, `failed` is emitted with an
+ * undefined stake request hash and the service subscribes again; stake
+ * requests are picked up from the block of the first failed stake request,
+ * or else the last processed block. If that fails too, the service stops.
+ *
+ * Accepted stake requests are passed to the optional `markExecuted`
+ * callback. If it fails, `failed` is emitted, but the stake request is
+ * saved because the accept is mined.
+ */
+class FacilitatorService extends EventEmitter {
+  /**
+   * FacilitatorService constructor object.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object. Its provider must
+   *                          support subscriptions.
+   * @param {FacilitatorServiceAddresses} addresses Contract addresses.
+   * @param {InMemoryCheckpointStore} store Store of processed stake requests,
+   *                                        e.g. a JsonFileCheckpointStore.
+   * @param {Object} options Options.
+   * @param {WorkerSigner} options.workerSigner Signer of an organization
+   *                                            worker.
+   * @param {Function} options.decide Called with a
+   *                                  {@link PendingStakeRequestInfo}; returns,
+   *                                  or resolves to, `true` to accept,
+   *                                  e.g. {@link AcceptancePolicy#decide}.
+   * @param {Function} options.createHashLock Called with a
+   *                                          {@link PendingStakeRequestInfo}
+   *                                          of an accepted stake request;
+   *                                          returns, or resolves to, the
+   *                                          hash lock.
+   * @param {Function} [options.markExecuted] Called with the stake request
+   *                                          hash and the transaction hash
+   *                                          once an accept is mined, e.g.
+   *                                          {@link AcceptancePolicy#markExecuted}.
+   *                                          Required if `decide` is an
+   *                                          AcceptancePolicy with a daily
+   *                                          cap.
+   * @param {Object} options.txOptions Transaction options.
+   * @param {Object} options.txOptions.facilitator Transaction options of the
+   *                                               facilitator.
+   * @param {Object} [options.txOptions.worker] Transaction options of the
+   *                                            worker for rejects. Defaults
+   *                                            to the worker signer address.
+   * @param {number} [options.fromBlock] First block searched for stake
+   *                                     requests on start. Defaults to 0.
+   * @param {boolean} [options.resetAllowance] See {@link Facilitator}.
+   */
+  constructor(originWeb3, addresses, store, options = {}) {
+    super();
+
+    if (!(originWeb3 instanceof Web3)) {
+      const message = "Mandatory Parameter 'originWeb3' is missing or invalid";
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    ['valueToken', 'brandedToken'].forEach((name) => {
+      if (!addresses || !Web3.utils.isAddress(addresses[name])) {
+        const message = `Invalid ${name} address: ${addresses && addresses[name]}.`;
+        logger.error(message);
+        throw new TypeError(message);
+      }
+    });
+    if (
+      !Array.isArray(addresses.gatewayComposers)
+      || addresses.gatewayComposers.length === 0
+      || !addresses.gatewayComposers.every(address => Web3.utils.isAddress(address))
+    ) {
+      const message = `Invalid gatewayComposers addresses: ${addresses.gatewayComposers}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    if (!store || !StoreMethods.every(method => typeof store[method] === 'function')) {
+      const message = `Invalid store, it must implement: ${StoreMethods.join(', ')}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    if (!options.workerSigner || !Web3.utils.isAddress(options.workerSigner.address)) {
+      const message = 'Worker signer is missing or invalid.';
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    ['decide', 'createHashLock'].forEach((name) => {
+      if (typeof options[name] !== 'function') {
+        const message = `Invalid ${name} callback: ${options[name]}.`;
+        logger.error(message);
+        throw new TypeError(message);
+      }
+    });
+    if (options.markExecuted !== undefined && typeof options.markExecuted !== 'function') {
+      const message = `Invalid markExecuted callback: ${options.markExecuted}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    if (!options.txOptions || !options.txOptions.facilitator) {
+      const message = 'Transaction options of the facilitator are missing.';
+      logger.error(message);
+      throw new TypeError(message);
+    }
+
+    this.originWeb3 = originWeb3;
+    this.store = store;
+    this.decide = options.decide;
+    this.createHashLock = options.createHashLock;
+    this.markExecuted = options.markExecuted;
+    this.txOptions = {
+      worker: { from: options.workerSigner.address },
+      ...options.txOptions,
+    };
+    this.fromBlock = options.fromBlock || 0;
+
+    this.brandedToken = new BrandedToken(originWeb3, addresses.brandedToken);
+    this.facilitators = {};
+    addresses.gatewayComposers.forEach((gatewayComposer) => {
+      this.facilitators[gatewayComposer.toLowerCase()] = new Facilitator(
+        originWeb3,
+        addresses.valueToken,
+        addresses.brandedToken,
+        gatewayComposer,
+        {
+          resetAllowance: options.resetAllowance,
+          workerSigner: options.workerSigner,
+        },
+      );
+    });
+
+    this._running = false;
+    this._subscription = undefined;
+    this._queue = Promise.resolve();
+    this._processedBlockNumber = this.fromBlock;
+    this._failedStakeRequests = new Set();
+
+    this.start = this.start.bind(this);
+    this.stop = this.stop.bind(this);
+    this.processStakeRequest = this.processStakeRequest.bind(this);
+  }
+
+  /**
+   * @returns {Object} Statuses of processed stake requests.
+   */
+  static get Statuses() {
+    return Statuses;
+  }
+
+  /**
+   * Subscribes to StakeRequested events and processes the stake requests
+   * that were requested since `fromBlock` and are not processed yet.
+   *
+   * @returns {Promise} Promise that resolves once subscribed. Past stake
+   *                    requests are processed afterwards. It rejects, and
+   *                    the service is stopped, if past stake requests
+   *                    cannot be read.
+   */
+  async start() {
+    if (this._running) {
+      return undefined;
+    }
+    this._running = true;
+
+    try {
+      await this._subscribe(this.fromBlock);
+    } catch (error) {
+      logger.error(`FacilitatorService cannot start: ${error}`);
+      this.stop();
+      return Promise.reject(error);
+    }
+    return undefined;
+  }
+
+  /**
+   * Unsubscribes and waits until the stake request in process is finished.
+   * Queued stake requests are dropped; they are processed on the next start.
+   *
+   * @returns {Promise} Promise that resolves once stopped.
+   */
+  stop() {
+    this._running = false;
+    if (this._subscription) {
+      this._subscription.unsubscribe();
+      this._subscription = undefined;
+    }
+    return this._queue;
+  }
+
+  /**
+   * Processes a stake request of a configured gateway composer unless it
+   * was processed before. A stake request that the BrandedToken does not
+   * store anymore, e.g. revoked, rejected or accepted by another facilitator,
+   * is skipped. The gateway composer keeps rejected stake requests until they
+   * are resolved, so it only provides the stake parameters.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   * @param {string} gatewayComposer Address of the gateway composer.
+   * @param {number} [blockNumber] Block of the StakeRequested event.
+   *
+   * @returns {Promise<ProcessedStakeRequest>} Promise that resolves to the
+   *                                           saved result.
+   */
+  async processStakeRequest(stakeRequestHash, gatewayComposer, blockNumber) {
+    const facilitator = this.facilitators[(gatewayComposer || '').toLowerCase()];
+    if (!facilitator) {
+      const message = `Gateway composer ${gatewayComposer} is not configured.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const processed = await this.store.get(stakeRequestHash);
+    if (processed) {
+      return processed;
+    }
+
+    const [brandedTokenRequest, stakeRequest] = await Promise.all([
+      this.brandedToken.getStakeRequest(stakeRequestHash),
+      facilitator.gatewayComposer.getStakeRequest(stakeRequestHash),
+    ]);
+    let result;
+    if (!brandedTokenRequest.exists || !stakeRequest.exists) {
+      result = { status: Statuses.Skipped };
+    } else {
+      const { exists, ...stakeRequestParams } = stakeRequest;
+      const owner = await facilitator.gatewayComposer.getOwner();
+      const info = {
+        stakeRequestHash,
+        gatewayComposer,
+        staker: owner,
+        ...stakeRequestParams,
+        blockNumber,
+      };
+      result = (await this.decide(info)) === true
+        ? await this._accept(facilitator, info)
+        : await this._reject(stakeRequestHash);
+    }
+
+    await this.store.save(stakeRequestHash, result);
+    logger.info(`Stake request ${stakeRequestHash} processed: ${result.status}`);
+    this.emit('processed', stakeRequestHash, result);
+
+    return result;
+  }
+
+  /**
+   * Subscribes to StakeRequested events and queues the stake requests since
+   * the given block. Events of removed blocks are ignored.
+   *
+   * @param {number} fromBlock First block searched for stake requests.
+   *
+   * @returns {Promise} Promise that resolves once past stake requests are
+   *                    queued.
+   * @private
+   */
+  async _subscribe(fromBlock) {
+    const subscription = this.brandedToken.on('StakeRequested', {}, (error, event) => {
+      if (error) {
+        // Only the current subscription is renewed.
+        if (subscription === this._subscription) {
+          this._resubscribe(error);
+        }
+        return;
+      }
+      if (!event.removed) {
+        this._enqueue(event);
+      }
+    });
+    this._subscription = subscription;
+
+    const events = await this.brandedToken.getPastEvents('StakeRequested', { fromBlock });
+    events.forEach(event => this._enqueue(event));
+  }
+
+  /**
+   * Reports a failed subscription and subscribes again from the last
+   * processed block. Stops the service if that fails.
+   *
+   * @param {Error} error Error of the subscription.
+   * @private
+   */
+  _resubscribe(error) {
+    logger.error(`StakeRequested subscription failed: ${error}`);
+    this.emit('failed', undefined, error);
+    if (!this._running) {
+      return;
+    }
+
+    this._subscription.unsubscribe();
+    this._subscription = undefined;
+    logger.info(`Subscribing again from block ${this._processedBlockNumber}`);
+    this._subscribe(this._processedBlockNumber).catch((subscribeError) => {
+      logger.error(`Subscribing again failed, stopping: ${subscribeError}`);
+      this.emit('failed', undefined, subscribeError);
+      this.stop();
+    });
+  }
+
+  /**
+   * Queues a StakeRequested event of a configured gateway composer. The
+   * last processed block only advances while no stake request has failed,
+   * so that subscribing again picks up the failed ones.
+   *
+   * @param {DecodedEvent} event StakeRequested event.
+   * @private
+   */
+  _enqueue(event) {
+    const { stakeRequestHash, staker } = event.args;
+    if (!this.facilitators[staker.toLowerCase()]) {
+      return;
+    }
+
+    this._queue = this._queue.then(() => {
+      if (!this._running) {
+        return undefined;
+      }
+      return this.processStakeRequest(stakeRequestHash, staker, event.blockNumber)
+        .then(() => {
+          this._failedStakeRequests.delete(stakeRequestHash);
+          if (
+            this._failedStakeRequests.size === 0
+            && event.blockNumber > this._processedBlockNumber
+          ) {
+            this._processedBlockNumber = event.blockNumber;
+          }
+        })
+        .catch((error) => {
+          logger.error(`Processing stake request ${stakeRequestHash} failed: ${error}`);
+          this._failedStakeRequests.add(stakeRequestHash);
+          this.emit('failed', stakeRequestHash, error);
+        });
+    });
+  }
+
+  /**
+   * Accepts a stake request and marks it executed. The accept is mined at
+   * this point, so an error of `markExecuted` is only emitted as `failed`.
+   *
+   * @param {Facilitator} facilitator Facilitator of the gateway composer.
+   * @param {PendingStakeRequestInfo} info Stake request.
+   *
+   * @returns {Promise<ProcessedStakeRequest>} Promise that resolves to the
+   *                                           result.
+   * @private
+   */
+  async _accept(facilitator, info) {
+    const hashLock = await this.createHashLock(info);
+    const { acceptStakeRequestReceipt, bounty } = await facilitator.acceptStakeRequestByHash(
+      info.stakeRequestHash,
+      hashLock,
+      this.txOptions.facilitator,
+    );
+    const { transactionHash } = acceptStakeRequestReceipt;
+
+    if (this.markExecuted) {
+      try {
+        await this.markExecuted(info.stakeRequestHash, transactionHash);
+      } catch (error) {
+        logger.error(`Marking stake request ${info.stakeRequestHash} executed failed: ${error}`);
+        this.emit('failed', info.stakeRequestHash, error);
+      }
+    }
+
+    return {
+      status: Statuses.Accepted,
+      transactionHash,
+      hashLock,
+      bounty,
+    };
+  }
+
+  /**
+   * Rejects a stake request with the worker.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   *
+   * @returns {Promise<ProcessedStakeRequest>} Promise that resolves to the
+   *                                           result.
+   * @private
+   */
+  async _reject(stakeRequestHash) {
+    const receipt = await this.brandedToken.rejectStakeRequest(
+      stakeRequestHash,
+      this.txOptions.worker,
+    );
+    if (!receipt.status) {
+      const message = `Reject stake request is failed with transactionHash: ${receipt.transactionHash}`;
+      logger.error(message);
+      throw new Error(message);
+    }
+
+    return {
+      status: Statuses.Rejected,
+      transactionHash: receipt.transactionHash,
+    };
+  }
+}
+
+module.exports = FacilitatorService;
@@ -0,0 +1,131 @@
+/**
+ * @typedef {Object} IndexedBlock
+ *
+ * @property {number} number Block number.
+ * @property {string} hash Block hash.
+ */
+
+/**
+ * @typedef {Object} EventQuery
+ *
+ * @property {string} [event] Name of the event.
+ * @property {string} [address] Address of the contract that emitted the event.
+ * @property {number} [fromBlock] First block, inclusive.
+ * @property {number} [toBlock] Last block, inclusive.
+ * @property {Object} [args] Event arguments that must match, e.g.
+ *                           `{ stakeRequestHash: hash }`. Strings are
+ *                           compared case-insensitive.
+ */
+
+'use strict';
+
+/**
+ * Compares two event argument values. Addresses and hashes are compared
+ * case-insensitive.
+ *
+ * @param {*} actual Actual value.
+ * @param {*} expected Expected value.
+ *
+ * @returns {boolean} `true` if values match.
+ */
+function valueMatches(actual, expected) {
+  if (typeof actual === 'string' && typeof expected === 'string') {
+    return actual.toLowerCase() === expected.toLowerCase();
+  }
+  return actual === expected;
+}
+
+/**
+ * Indexer store that keeps indexed blocks and events in memory. It defines
+ * the interface of indexer stores; custom stores must implement the same
+ * asynchronous methods.
+ */
+class InMemoryStore {
+  constructor() {
+    this.blocks = [];
+    this.events = [];
+  }
+
+  /**
+   * Returns the tracked blocks in ascending order. Only blocks within the
+   * confirmation depth and the last indexed block are tracked.
+   *
+   * @returns {Promise<Array<IndexedBlock>>} Promise that resolves to blocks.
+   */
+  getBlocks() {
+    return Promise.resolve(this.blocks.slice());
+  }
+
+  /**
+   * Stores indexed blocks and their events.
+   *
+   * @param {Array<IndexedBlock>} blocks Blocks to track.
+   * @param {Array<DecodedEvent>} events Events to store.
+   *
+   * @returns {Promise} Promise that resolves once stored.
+   */
+  save(blocks, events) {
+    const blockNumbers = blocks.map(block => block.number);
+    this.blocks = this.blocks
+      .filter(block => !blockNumbers.includes(block.number))
+      .concat(blocks)
+      .sort((a, b) => a.number - b.number);
+    this.events = this.events.concat(events);
+    return Promise.resolve();
+  }
+
+  /**
+   * Stops tracking blocks below the given block number. The last indexed block
+   * is always kept.
+   *
+   * @param {number} blockNumber Lowest block number to keep.
+   *
+   * @returns {Promise} Promise that resolves once pruned.
+   */
+  pruneBlocks(blockNumber) {
+    const lastBlock = this.blocks[this.blocks.length - 1];
+    this.blocks = this.blocks.filter(
+      block => block.number >= blockNumber || block === lastBlock,
+    );
+    return Promise.resolve();
+  }
+
+  /**
+   * Removes all blocks and events from the given block number onwards.
+   *
+   * @param {number} blockNumber First block number to remove.
+   *
+   * @returns {Promise} Promise that resolves once rolled back.
+   */
+  rollback(blockNumber) {
+    this.blocks = this.blocks.filter(block => block.number < blockNumber);
+    this.events = this.events.filter(event => event.blockNumber < blockNumber);
+    return Promise.resolve();
+  }
+
+  /**
+   * Returns stored events that match the query, ordered by block and log
+   * index.
+   *
+   * @param {EventQuery} [query] Query.
+   *
+   * @returns {Promise<Array<DecodedEvent>>} Promise that resolves to events.
+   */
+  getEvents(query = {}) {
+    const args = query.args || {};
+    const events = this.events
+      .filter(event => query.event === undefined || event.event === query.event)
+      .filter(event => query.address === undefined
+        || valueMatches(event.address, query.address))
+      .filter(event => query.fromBlock === undefined || event.blockNumber >= query.fromBlock)
+      .filter(event => query.toBlock === undefined || event.blockNumber <= query.toBlock)
+      .filter(event => Object.keys(args).every(
+        name => valueMatches(event.args[name], args[name]),
+      ))
+      .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+
+    return Promise.resolve(events);
+  }
+}
+
+module.exports = InMemoryStore;
@@ -0,0 +1,64 @@
+'use strict';
+
+const InMemoryStore = require('./InMemoryStore');
+const JsonFile = require('../JsonFile');
+
+/**
+ * Indexer store that persists indexed blocks and events to a JSON file. The
+ * file is rewritten after every change.
+ */
+class JsonFileStore extends InMemoryStore {
+  /**
+   * JsonFileStore constructor. Loads the file if it exists.
+   *
+   * @param {string} filePath Path of the JSON file.
+   */
+  constructor(filePath) {
+    super();
+
+    JsonFile.assertFilePath(filePath);
+
+    this.filePath = filePath;
+
+    const content = JsonFile.read(this.filePath);
+    if (content) {
+      this.blocks = content.blocks || [];
+      this.events = content.events || [];
+    }
+  }
+
+  /**
+   * @see InMemoryStore#save
+   */
+  save(blocks, events) {
+    return super.save(blocks, events).then(() => this._persist());
+  }
+
+  /**
+   * @see InMemoryStore#pruneBlocks
+   */
+  pruneBlocks(blockNumber) {
+    return super.pruneBlocks(blockNumber).then(() => this._persist());
+  }
+
+  /**
+   * @see InMemoryStore#rollback
+   */
+  rollback(blockNumber) {
+    return super.rollback(blockNumber).then(() => this._persist());
+  }
+
+  /**
+   * Writes the current blocks and events to the file.
+   *
+   * @private
+   */
+  _persist() {
+    JsonFile.write(this.filePath, {
+      blocks: this.blocks,
+      events: this.events,
+    });
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,286 @@
+/**
+ * @typedef {Object} IndexerOptions
+ *
+ * @property {number} [confirmations] Number of blocks after which a block is
+ *                                    considered final. Defaults to 6.
+ * @property {number} [startBlock] Block to start indexing from when the store
+ *                                 is empty. Defaults to 0.
+ * @property {number} [blockRange] Number of blocks indexed per request.
+ *                                 Defaults to 1000.
+ * @property {number} [pollInterval] Milliseconds between syncs after
+ *                                   {@link Indexer#start}. Defaults to 5000.
+ */
+
+/**
+ * @typedef {Object} IndexedEvent
+ *
+ * Same as {@link DecodedEvent} with an additional property.
+ *
+ * @property {boolean} confirmed `true` if the event is at least
+ *                               `confirmations` blocks deep.
+ */
+
+'use strict';
+
+const Web3 = require('web3');
+
+const Events = require('../ContractInteract/Events');
+const logger = require('../../logger');
+
+const StoreMethods = ['getBlocks', 'save', 'pruneBlocks', 'rollback', 'getEvents'];
+
+/**
+ * Indexer reads the events of branded token economy contracts block by block
+ * and persists them to a store. Blocks within the confirmation depth are
+ * tracked by hash; if a tracked hash changes on chain, all records from that
+ * block onwards are rolled back and indexed again.
+ *
+ * GatewayComposer does not emit events. Its stake requests are indexed through
+ * the BrandedToken events, where the gateway composer is the `staker`.
+ */
+class Indexer {
+  /**
+   * Indexer constructor object.
+   *
+   * @param {Web3} web3 Web3 object of the chain to index.
+   * @param {Array<Object>} contractInteracts Contract interacts to index, e.g.
+   *                                          BrandedToken or
+   *                                          UtilityBrandedToken instances.
+   * @param {InMemoryStore} store Store that persists indexed records.
+   * @param {IndexerOptions} [options] Indexer options.
+   */
+  constructor(web3, contractInteracts, store, options = {}) {
+    if (!(web3 instanceof Web3)) {
+      const message = "Mandatory Parameter 'web3' is missing or invalid";
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    if (!Array.isArray(contractInteracts) || contractInteracts.length === 0
+      || !contractInteracts.every(interact => interact && interact.contract)) {
+      const message = `Invalid contract interacts: ${contractInteracts}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    if (!store || !StoreMethods.every(method => typeof store[method] === 'function')) {
+      const message = `Invalid store, it must implement: ${StoreMethods.join(', ')}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+
+    this.web3 = web3;
+    this.contracts = contractInteracts.map(interact => interact.contract);
+    this.store = store;
+
+    this.confirmations = options.confirmations === undefined ? 6 : options.confirmations;
+    this.startBlock = options.startBlock || 0;
+    this.blockRange = options.blockRange || 1000;
+    this.pollInterval = options.pollInterval || 5000;
+
+    this.latestBlockNumber = undefined;
+    this._running = false;
+    this._timer = undefined;
+    this._syncPromise = Promise.resolve();
+
+    this.sync = this.sync.bind(this);
+    this.start = this.start.bind(this);
+    this.stop = this.stop.bind(this);
+    this.getEvents = this.getEvents.bind(this);
+    this.getStakeRequestHistory = this.getStakeRequestHistory.bind(this);
+  }
+
+  /**
+   * Indexes all blocks up to the latest block of the chain. Syncs run one at
+   * a time; a sync that is called while another one runs, e.g. the one of
+   * {@link Indexer#start}, starts after it.
+   *
+   * @returns {Promise<number>} Promise that resolves to the latest indexed
+   *                            block number.
+   */
+  sync() {
+    const sync = this._syncPromise.then(() => this._sync());
+    this._syncPromise = sync.catch(() => undefined);
+    return sync;
+  }
+
+  /**
+   * Starts syncing periodically. Errors are logged and the sync is retried
+   * after the poll interval.
+   */
+  start() {
+    if (this._running) {
+      return;
+    }
+    this._running = true;
+
+    const poll = () => {
+      this.sync()
+        .catch((error) => {
+          logger.error(`Indexer sync failed: ${error}`);
+        })
+        .then(() => {
+          if (this._running) {
+            this._timer = setTimeout(poll, this.pollInterval);
+          }
+        });
+    };
+    poll();
+  }
+
+  /**
+   * Stops syncing. Waits for running and queued syncs to finish.
+   *
+   * @returns {Promise} Promise that resolves once stopped.
+   */
+  stop() {
+    this._running = false;
+    clearTimeout(this._timer);
+    this._timer = undefined;
+    return this._syncPromise;
+  }
+
+  /**
+   * Returns indexed events that match the query.
+   *
+   * @param {EventQuery} [query] Query.
+   *
+   * @returns {Promise<Array<IndexedEvent>>} Promise that resolves to events.
+   */
+  async getEvents(query) {
+    const events = await this.store.getEvents(query);
+    return events.map(event => ({
+      ...event,
+      confirmed: this.latestBlockNumber !== undefined
+        && event.blockNumber <= this.latestBlockNumber - this.confirmations,
+    }));
+  }
+
+  /**
+   * Returns all indexed events of a stake request, e.g. StakeRequested
+   * followed by StakeRequestAccepted.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   *
+   * @returns {Promise<Array<IndexedEvent>>} Promise that resolves to events.
+   */
+  getStakeRequestHistory(stakeRequestHash) {
+    return this.getEvents({ args: { stakeRequestHash } });
+  }
+
+  /**
+   * Indexes all blocks up to the latest block of the chain.
+   *
+   * @returns {Promise<number>} Promise that resolves to the latest indexed
+   *                            block number.
+   * @private
+   */
+  async _sync() {
+    const latestBlockNumber = await this.web3.eth.getBlockNumber();
+
+    const firstBlock = await this._rollbackReorganizedBlocks();
+    const ranges = [];
+    for (let fromBlock = firstBlock; fromBlock <= latestBlockNumber; fromBlock += this.blockRange) {
+      ranges.push([fromBlock, Math.min(fromBlock + this.blockRange - 1, latestBlockNumber)]);
+    }
+    // Ranges must be stored in order so that the store can be resumed.
+    await ranges.reduce(
+      (previous, [fromBlock, toBlock]) => previous.then(
+        () => this._indexRange(fromBlock, toBlock, latestBlockNumber),
+      ),
+      Promise.resolve(),
+    );
+
+    await this.store.pruneBlocks(latestBlockNumber - this.confirmations);
+    this.latestBlockNumber = latestBlockNumber;
+
+    return latestBlockNumber;
+  }
+
+  /**
+   * Compares tracked block hashes with the chain and rolls back the store from
+   * the first block whose hash changed.
+   *
+   * @returns {Promise<number>} Promise that resolves to the next block number
+   *                            to index.
+   * @private
+   */
+  async _rollbackReorganizedBlocks() {
+    const blocks = await this.store.getBlocks();
+    if (blocks.length === 0) {
+      return this.startBlock;
+    }
+
+    // Blocks are checked in ascending order to find the oldest changed block.
+    const check = async (index) => {
+      if (index === blocks.length) {
+        return blocks[blocks.length - 1].number + 1;
+      }
+      const { number, hash } = blocks[index];
+      const chainBlock = await this.web3.eth.getBlock(number);
+      if (!chainBlock || chainBlock.hash !== hash) {
+        logger.warn(`Block ${number} was reorganized, rolling back indexed records.`);
+        await this.store.rollback(number);
+        return number;
+      }
+      return check(index + 1);
+    };
+    return check(0);
+  }
+
+  /**
+   * Indexes the events of a block range and tracks the hashes of the blocks
+   * that are not final yet.
+   *
+   * @param {number} fromBlock First block, inclusive.
+   * @param {number} toBlock Last block, inclusive.
+   * @param {number} latestBlockNumber Latest block number of the chain.
+   *
+   * @private
+   */
+  async _indexRange(fromBlock, toBlock, latestBlockNumber) {
+    const logsPerContract = await Promise.all(
+      this.contracts.map(contract => contract.getPastEvents('allEvents', {
+        fromBlock,
+        toBlock,
+      })),
+    );
+
+    let events = [];
+    logsPerContract.forEach((logs, index) => {
+      const contract = this.contracts[index];
+      events = events.concat(
+        logs
+          .filter(log => log.event !== undefined)
+          .map(log => Events.decode(contract, log)),
+      );
+    });
+
+    const blockNumbers = [];
+    const firstTrackedBlock = Math.max(fromBlock, latestBlockNumber - this.confirmations);
+    for (let number = firstTrackedBlock; number <= toBlock; number += 1) {
+      blockNumbers.push(number);
+    }
+    if (!blockNumbers.includes(toBlock)) {
+      blockNumbers.push(toBlock);
+    }
+
+    const blocks = await Promise.all(
+      blockNumbers.map(number => this.web3.eth.getBlock(number)
+        .then(block => ({ number, hash: block.hash }))),
+    );
+
+    const mismatch = events.find((event) => {
+      const block = blocks.find(b => b.number === event.blockNumber);
+      return block !== undefined && block.hash !== event.blockHash;
+    });
+    if (mismatch) {
+      const message = `Block ${mismatch.blockNumber} was reorganized while indexing.`;
+      logger.error(message);
+      throw new Error(message);
+    }
+
+    await this.store.save(blocks, events);
+    logger.info(`Indexed blocks ${fromBlock} to ${toBlock} with ${events.length} events`);
+  }
+}
+
+module.exports = Indexer;
@@ -0,0 +1,107 @@
+'use strict';
+
+const fs = require('fs');
+
+const logger = require('../logger');
+
+/**
+ * Helpers to persist stores and logs in JSON files, either as one JSON value
+ * or as one JSON value per line. File errors are logged and thrown with the
+ * path of the file.
+ */
+
+/**
+ * Throws if the file path is not a non-empty string.
+ *
+ * @param {string} filePath Path of the file.
+ */
+function assertFilePath(filePath) {
+  if (typeof filePath !== 'string' || filePath.length === 0) {
+    const message = `Invalid file path: ${filePath}.`;
+    logger.error(message);
+    throw new TypeError(message);
+  }
+}
+
+/**
+ * Runs a file operation and rethrows its error with the path of the file.
+ *
+ * @param {string} action Description of the operation.
+ * @param {string} filePath Path of the file.
+ * @param {Function} operation Synchronous file operation.
+ *
+ * @returns {*} Result of the operation.
+ */
+function run(action, filePath, operation) {
+  try {
+    return operation();
+  } catch (error) {
+    const message = `Cannot ${action} ${filePath}: ${error.message}`;
+    logger.error(message);
+    throw new Error(message);
+  }
+}
+
+/**
+ * Reads a JSON file.
+ *
+ * @param {string} filePath Path of the file.
+ *
+ * @returns {*} Parsed content, or `undefined` if the file does not exist.
+ */
+function read(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return undefined;
+  }
+  return run('read', filePath, () => JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Writes a value to a JSON file. A temporary file is renamed so that a crash
+ * does not leave a partially written file behind.
+ *
+ * @param {string} filePath Path of the file.
+ * @param {*} value Value to write.
+ */
+function write(filePath, value) {
+  run('write', filePath, () => {
+    const tempFilePath = `${filePath}.tmp`;
+    fs.writeFileSync(tempFilePath, JSON.stringify(value));
+    fs.renameSync(tempFilePath, filePath);
+  });
+}
+
+/**
+ * Reads a file with one JSON value per line.
+ *
+ * @param {string} filePath Path of the file.
+ *
+ * @returns {Array} Parsed lines, empty if the file does not exist.
+ */
+function readLines(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return run('read', filePath, () => fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.length > 0)
+    .map(line => JSON.parse(line)));
+}
+
+/**
+ * Appends a value as one JSON line to a file.
+ *
+ * @param {string} filePath Path of the file.
+ * @param {*} value Value to append.
+ */
+function appendLine(filePath, value) {
+  run('append to', filePath, () => fs.appendFileSync(filePath, `${JSON.stringify(value)}\n`));
+}
+
+module.exports = {
+  assertFilePath,
+  read,
+  write,
+  readLines,
+  appendLine,
+};
@@ -0,0 +1,459 @@
+/**
+ * @typedef {Object} RedeemAndUnstakeAddresses
+ *
+ * @property {string} brandedToken Branded token address on origin.
+ * @property {string} utilityBrandedToken Utility branded token address on
+ *                                        auxiliary.
+ * @property {string} gateway EIP20Gateway address on origin.
+ * @property {string} coGateway EIP20CoGateway address on auxiliary.
+ * @property {string} originAnchor Anchor address on origin that stores
+ *                                 auxiliary state roots.
+ */
+
+/**
+ * @typedef {Object} RedeemParams
+ *
+ * @property {string} amount Amount of utility branded tokens to redeem in
+ *                           wei.
+ * @property {string} beneficiary Origin address that receives the branded
+ *                                tokens and redeems them for value tokens.
+ * @property {string} gasPrice Gas price that the redeemer pays for the
+ *                             reward of the facilitator.
+ * @property {string} gasLimit Gas limit that the redeemer pays for the
+ *                             reward of the facilitator.
+ */
+
+/**
+ * @typedef {Object} RedeemAndUnstakeTxOptions
+ *
+ * @property {Object} redeemer Auxiliary transaction options of the holder
+ *                             of the utility branded tokens.
+ * @property {Object} facilitator Origin transaction options of the
+ *                                facilitator.
+ * @property {Object} auxiliary Auxiliary transaction options of the
+ *                              facilitator.
+ * @property {Object} beneficiary Origin transaction options of the
+ *                                beneficiary.
+ * @property {Object} [originAnchor] Origin transaction options of an anchor
+ *                                   worker. If omitted, the workflow waits
+ *                                   until someone else anchors a recent
+ *                                   auxiliary state root.
+ */
+
+/**
+ * @typedef {Object} RedeemAndUnstakeState
+ *
+ * @property {RedeemParams} redeemParams Redeem parameters.
+ * @property {string} unlockSecret Unlock secret of the redeem. It must be
+ *                                 kept private until the redeem is
+ *                                 progressed.
+ * @property {string} hashLock Hash lock of the redeem.
+ * @property {string} redeemerNonce Nonce of the redeemer at the co-gateway.
+ * @property {string} messageHash Co-gateway message hash of the redeem.
+ * @property {number} redeemBlockNumber Auxiliary block of the redeem.
+ * @property {string} anchoredBlockHeight Anchored auxiliary block height.
+ * @property {string} unstakeAmount Branded tokens released on origin.
+ * @property {Object} receipts Results of the completed steps by step name.
+ */
+
+'use strict';
+
+const Web3 = require('web3');
+const Mosaic = require('@openst/mosaic.js');
+
+const BrandedToken = require('../ContractInteract/BrandedToken');
+const Events = require('../ContractInteract/Events');
+const SecretManager = require('../SecretManager');
+const Workflow = require('../Workflow');
+const logger = require('../../logger');
+
+const Steps = [
+  'approveRedeem',
+  'redeem',
+  'anchorStateRoot',
+  'confirmRedeemIntent',
+  'progressRedeem',
+  'progressUnstake',
+  'redeemBrandedTokens',
+];
+
+const AddressNames = [
+  'brandedToken',
+  'utilityBrandedToken',
+  'gateway',
+  'coGateway',
+  'originAnchor',
+];
+
+/**
+ * RedeemAndUnstake drives utility branded tokens on auxiliary back to value
+ * tokens on origin:
+ * - redeemer approves the co-gateway for the utility branded tokens
+ * - redeemer redeems at the co-gateway
+ * - auxiliary state root is anchored on origin
+ * - redeem intent is confirmed on the gateway with a Merkle proof
+ * - redeem is progressed on the co-gateway
+ * - unstake is progressed on the gateway, releasing branded tokens
+ * - beneficiary redeems the branded tokens for value tokens
+ *
+ * Completed steps are kept in the state. {@link RedeemAndUnstake#perform}
+ * skips them, so a failed workflow continues from the failed step when it is
+ * performed again, also by a new instance created with the saved state.
+ *
+ * A `progress` event with a {@link WorkflowProgress} is emitted when a
+ * step starts, completes or fails.
+ */
+class RedeemAndUnstake extends Workflow {
+  /**
+   * RedeemAndUnstake constructor object.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {Web3} auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param {RedeemAndUnstakeAddresses} addresses Contract addresses.
+   * @param {Object} [options] Options, see also {@link Workflow}.
+   * @param {RedeemAndUnstakeState} [options.state] State of an earlier run to
+   *                                                resume from.
+   */
+  constructor(originWeb3, auxiliaryWeb3, addresses, options = {}) {
+    super('RedeemAndUnstake', originWeb3, auxiliaryWeb3, addresses, AddressNames, options);
+
+    this.brandedToken = new BrandedToken(originWeb3, addresses.brandedToken);
+    this.utilityBrandedToken = new Mosaic.ContractInteract.EIP20Token(
+      auxiliaryWeb3,
+      addresses.utilityBrandedToken,
+    );
+    this.gateway = new Mosaic.ContractInteract.EIP20Gateway(originWeb3, addresses.gateway);
+    this.coGateway = new Mosaic.ContractInteract.EIP20CoGateway(
+      auxiliaryWeb3,
+      addresses.coGateway,
+    );
+    this.originAnchor = new Mosaic.ContractInteract.Anchor(originWeb3, addresses.originAnchor);
+
+    const mosaic = new Mosaic(
+      new Mosaic.Chain(originWeb3, {
+        EIP20Gateway: addresses.gateway,
+        Anchor: addresses.originAnchor,
+      }),
+      new Mosaic.Chain(auxiliaryWeb3, {
+        EIP20CoGateway: addresses.coGateway,
+      }),
+    );
+    this.mosaicFacilitator = new Mosaic.Facilitator(mosaic);
+
+    const state = options.state || {};
+    this.state = {
+      redeemParams: state.redeemParams,
+      unlockSecret: state.unlockSecret,
+      hashLock: state.hashLock,
+      redeemerNonce: state.redeemerNonce,
+      messageHash: state.messageHash,
+      redeemBlockNumber: state.redeemBlockNumber,
+      anchoredBlockHeight: state.anchoredBlockHeight,
+      unstakeAmount: state.unstakeAmount,
+      receipts: { ...state.receipts },
+    };
+
+    this.perform = this.perform.bind(this);
+    this.approveRedeem = this.approveRedeem.bind(this);
+    this.redeem = this.redeem.bind(this);
+    this.anchorStateRoot = this.anchorStateRoot.bind(this);
+    this.confirmRedeemIntent = this.confirmRedeemIntent.bind(this);
+    this.progressRedeem = this.progressRedeem.bind(this);
+    this.progressUnstake = this.progressUnstake.bind(this);
+    this.redeemBrandedTokens = this.redeemBrandedTokens.bind(this);
+  }
+
+  /**
+   * @returns {Array<string>} Names of the steps in the order they are
+   *                          performed.
+   */
+  static get Steps() {
+    return Steps.slice();
+  }
+
+  /**
+   * Performs all steps that are not completed yet.
+   *
+   * @param {RedeemParams} [redeemParams] Redeem parameters. May be omitted
+   *                                      when resuming from a state that
+   *                                      contains them.
+   * @param {RedeemAndUnstakeTxOptions} txOptions Transaction options per
+   *                                              actor.
+   *
+   * @returns {Promise<RedeemAndUnstakeState>} Promise that resolves to the
+   *                                           workflow state with the
+   *                                           results of all steps.
+   */
+  async perform(redeemParams, txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const pending = Steps.filter(step => this.state.receipts[step] === undefined);
+    if (pending.length < Steps.length) {
+      logger.info(`RedeemAndUnstake: resuming at ${pending[0] || 'end'}`);
+    }
+
+    // Steps depend on the results of the previous steps.
+    await pending.reduce(
+      (previous, step) => previous.then(() => (step === 'approveRedeem'
+        ? this.approveRedeem(redeemParams || this.state.redeemParams, txOptions)
+        : this[step](txOptions))),
+      Promise.resolve(),
+    );
+
+    return this.state;
+  }
+
+  /**
+   * Approves the co-gateway to transfer the utility branded tokens of the
+   * redeemer.
+   *
+   * @param {RedeemParams} redeemParams Redeem parameters.
+   * @param {RedeemAndUnstakeTxOptions} txOptions Transaction options per
+   *                                              actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   */
+  approveRedeem(redeemParams, txOptions) {
+    return this._runStep('approveRedeem', async () => {
+      RedeemAndUnstake._validateRedeemParams(redeemParams);
+
+      const receipt = await this.utilityBrandedToken.approve(
+        this.addresses.coGateway,
+        redeemParams.amount,
+        txOptions.redeemer,
+      );
+      this.state.redeemParams = { ...redeemParams };
+
+      return receipt;
+    });
+  }
+
+  /**
+   * Redeems the utility branded tokens at the co-gateway. The co-gateway
+   * bounty is sent as value. A new unlock secret is created for the redeem
+   * and kept in the state, so that a retried redeem uses the same hash lock.
+   *
+   * @param {RedeemAndUnstakeTxOptions} txOptions Transaction options per
+   *                                              actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   */
+  redeem(txOptions) {
+    return this._runStep('redeem', async () => {
+      this._assertState('redeemParams', 'approveRedeem');
+
+      const {
+        amount,
+        beneficiary,
+        gasPrice,
+        gasLimit,
+      } = this.state.redeemParams;
+      if (this.state.hashLock === undefined) {
+        const { unlockSecret, hashLock } = SecretManager.createSecretHashLock();
+        this.state.unlockSecret = unlockSecret;
+        this.state.hashLock = hashLock;
+      }
+
+      const [nonce, bounty] = await Promise.all([
+        this.coGateway.getNonce(txOptions.redeemer.from),
+        this.coGateway.getBounty(),
+      ]);
+
+      const receipt = await this.coGateway.redeem(
+        amount,
+        beneficiary,
+        gasPrice,
+        gasLimit,
+        nonce.toString(),
+        this.state.hashLock,
+        { ...txOptions.redeemer, value: bounty.toString() },
+      );
+
+      const declared = Events.decode(
+        this.coGateway.contract,
+        receipt.events.RedeemIntentDeclared,
+      );
+      this.state.redeemerNonce = declared.args.redeemerNonce;
+      this.state.messageHash = declared.args.messageHash;
+      this.state.redeemBlockNumber = receipt.blockNumber;
+
+      return receipt;
+    });
+  }
+
+  /**
+   * Makes an auxiliary state root that includes the redeem available on
+   * origin. Anchors the latest auxiliary state root if origin anchor
+   * transaction options are given, otherwise waits until a recent state root
+   * is anchored.
+   *
+   * @param {RedeemAndUnstakeTxOptions} txOptions Transaction options per
+   *                                              actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the anchor receipt or
+   *                            to `{ blockHeight }` of the anchored state
+   *                            root.
+   */
+  anchorStateRoot(txOptions) {
+    return this._runStep('anchorStateRoot', async () => {
+      this._assertState('redeemBlockNumber', 'redeem');
+
+      const { blockHeight, receipt } = await this._anchorStateRoot(
+        this.auxiliaryWeb3,
+        this.originAnchor,
+        this.state.redeemBlockNumber,
+        txOptions.originAnchor,
+      );
+      this.state.anchoredBlockHeight = blockHeight;
+      return receipt || { blockHeight };
+    });
+  }
+
+  /**
+   * Proves the co-gateway and confirms the redeem intent on the gateway.
+   *
+   * @param {RedeemAndUnstakeTxOptions} txOptions Transaction options per
+   *                                              actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt, or to
+   *                            `true` if the intent was already confirmed.
+   */
+  confirmRedeemIntent(txOptions) {
+    return this._runStep('confirmRedeemIntent', async () => {
+      this._assertState('anchoredBlockHeight', 'anchorStateRoot');
+
+      const {
+        amount,
+        beneficiary,
+        gasPrice,
+        gasLimit,
+      } = this.state.redeemParams;
+      return this.mosaicFacilitator.confirmRedeemIntent(
+        txOptions.redeemer.from,
+        this.state.redeemerNonce,
+        beneficiary,
+        amount,
+        gasPrice.toString(),
+        gasLimit.toString(),
+        this.state.hashLock,
+        txOptions.facilitator,
+      );
+    });
+  }
+
+  /**
+   * Progresses the redeem on the co-gateway with the unlock secret.
+   *
+   * @param {RedeemAndUnstakeTxOptions} txOptions Transaction options per
+   *                                              actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   */
+  progressRedeem(txOptions) {
+    return this._runStep('progressRedeem', async () => {
+      this._assertState('messageHash', 'redeem');
+
+      return this.mosaicFacilitator.performProgressRedeem(
+        this.state.messageHash,
+        this.state.unlockSecret,
+        txOptions.auxiliary,
+      );
+    });
+  }
+
+  /**
+   * Progresses the unstake on the gateway with the unlock secret. The
+   * branded tokens are released to the beneficiary.
+   *
+   * @param {RedeemAndUnstakeTxOptions} txOptions Transaction options per
+   *                                              actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   */
+  progressUnstake(txOptions) {
+    return this._runStep('progressUnstake', async () => {
+      this._assertState('messageHash', 'redeem');
+
+      const receipt = await this.mosaicFacilitator.performProgressUnstake(
+        this.state.messageHash,
+        this.state.unlockSecret,
+        txOptions.facilitator,
+      );
+      this.state.unstakeAmount = await this._getUnstakeAmount(receipt);
+
+      return receipt;
+    });
+  }
+
+  /**
+   * Redeems the released branded tokens of the beneficiary for value tokens.
+   *
+   * @param {RedeemAndUnstakeTxOptions} txOptions Transaction options per
+   *                                              actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   */
+  redeemBrandedTokens(txOptions) {
+    return this._runStep('redeemBrandedTokens', async () => {
+      this._assertState('unstakeAmount', 'progressUnstake');
+
+      return this.brandedToken.redeem(this.state.unstakeAmount, txOptions.beneficiary);
+    });
+  }
+
+  /**
+   * Reads the amount of released branded tokens from the progress unstake
+   * receipt. If the unstake was progressed before, e.g. by another
+   * facilitator, the UnstakeProgressed event is read from the gateway.
+   *
+   * @param {Object|boolean} receipt Progress unstake receipt or `true`.
+   *
+   * @returns {Promise<string>} Promise that resolves to the unstake amount.
+   * @private
+   */
+  async _getUnstakeAmount(receipt) {
+    if (receipt && receipt.events && receipt.events.UnstakeProgressed) {
+      return Events.decode(this.gateway.contract, receipt.events.UnstakeProgressed)
+        .args.unstakeAmount;
+    }
+
+    const events = await Events.getPastEvents(
+      this.originWeb3,
+      this.gateway.contract,
+      'UnstakeProgressed',
+      { filter: { _messageHash: this.state.messageHash } },
+    );
+    if (events.length === 0) {
+      throw new Error(`UnstakeProgressed event not found for message ${this.state.messageHash}.`);
+    }
+    return events[0].args.unstakeAmount;
+  }
+
+  /**
+   * Throws if the redeem parameters are invalid.
+   *
+   * @param {RedeemParams} redeemParams Redeem parameters.
+   *
+   * @private
+   */
+  static _validateRedeemParams(redeemParams) {
+    if (!redeemParams) {
+      throw new TypeError(`Invalid redeem parameters: ${redeemParams}.`);
+    }
+    if (!/^\d+$/.test(String(redeemParams.amount)) || /^0+$/.test(String(redeemParams.amount))) {
+      throw new TypeError(`Invalid redeem amount: ${redeemParams.amount}.`);
+    }
+    if (!Web3.utils.isAddress(redeemParams.beneficiary)) {
+      throw new TypeError(`Invalid beneficiary address: ${redeemParams.beneficiary}.`);
+    }
+    if (redeemParams.gasPrice === undefined || redeemParams.gasLimit === undefined) {
+      throw new TypeError('Gas price and gas limit must be given.');
+    }
+  }
+}
+
+module.exports = RedeemAndUnstake;
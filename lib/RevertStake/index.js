@@ -0,0 +1,340 @@
+/**
+ * @typedef {Object} RevertStakeAddresses
+ *
+ * @property {string} valueToken Value token address on origin.
+ * @property {string} gatewayComposer Gateway composer address on origin.
+ * @property {string} gateway EIP20Gateway address on origin.
+ * @property {string} coGateway EIP20CoGateway address on auxiliary.
+ * @property {string} anchor Anchor address on auxiliary that stores origin
+ *                           state roots.
+ * @property {string} originAnchor Anchor address on origin that stores
+ *                                 auxiliary state roots.
+ */
+
+/**
+ * @typedef {Object} RevertStakeTxOptions
+ *
+ * @property {Object} staker Origin transaction options of the staker, i.e.
+ *                           the owner of the gateway composer.
+ * @property {Object} auxiliary Auxiliary transaction options of the account
+ *                              that confirms the revert on the co-gateway.
+ * @property {Object} [anchor] Auxiliary transaction options of an anchor
+ *                             worker. If omitted, the workflow waits until
+ *                             someone else anchors a recent origin state
+ *                             root.
+ * @property {Object} [originAnchor] Origin transaction options of an anchor
+ *                                   worker. If omitted, the workflow waits
+ *                                   until someone else anchors a recent
+ *                                   auxiliary state root.
+ */
+
+'use strict';
+
+const Web3 = require('web3');
+const Mosaic = require('@openst/mosaic.js');
+
+const GatewayComposer = require('../ContractInteract/GatewayComposer');
+const Utils = require('../../utils/Utils');
+const Workflow = require('../Workflow');
+const logger = require('../../logger');
+
+const Steps = [
+  'approvePenalty',
+  'revertStake',
+  'anchorOriginStateRoot',
+  'confirmRevertStakeIntent',
+  'anchorAuxiliaryStateRoot',
+  'progressRevertStake',
+];
+
+const AddressNames = [
+  'valueToken',
+  'gatewayComposer',
+  'gateway',
+  'coGateway',
+  'anchor',
+  'originAnchor',
+];
+
+/**
+ * RevertStake drives the revert of an accepted stake of a gateway composer
+ * until the branded tokens are returned to the gateway composer:
+ * - staker approves the penalty for the gateway composer
+ * - gateway composer declares the revert on the gateway
+ * - origin state root is anchored on auxiliary
+ * - revert is confirmed on the co-gateway with a Merkle proof
+ * - auxiliary state root is anchored on origin
+ * - revert is progressed on the gateway with a Merkle proof
+ *
+ * A `progress` event with a {@link WorkflowProgress} is emitted when a
+ * step starts, completes or fails.
+ */
+class RevertStake extends Workflow {
+  /**
+   * RevertStake constructor object.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {Web3} auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param {RevertStakeAddresses} addresses Contract addresses.
+   * @param {Object} [options] Options, see {@link Workflow}.
+   */
+  constructor(originWeb3, auxiliaryWeb3, addresses, options = {}) {
+    super('RevertStake', originWeb3, auxiliaryWeb3, addresses, AddressNames, options);
+
+    this.valueToken = new Mosaic.ContractInteract.EIP20Token(originWeb3, addresses.valueToken);
+    this.gatewayComposer = new GatewayComposer(originWeb3, addresses.gatewayComposer);
+    this.gateway = new Mosaic.ContractInteract.EIP20Gateway(originWeb3, addresses.gateway);
+    this.coGateway = new Mosaic.ContractInteract.EIP20CoGateway(
+      auxiliaryWeb3,
+      addresses.coGateway,
+    );
+    this.anchor = new Mosaic.ContractInteract.Anchor(auxiliaryWeb3, addresses.anchor);
+    this.originAnchor = new Mosaic.ContractInteract.Anchor(originWeb3, addresses.originAnchor);
+    this.proofGenerator = new Mosaic.Utils.ProofGenerator(originWeb3, auxiliaryWeb3);
+
+    this.state = {
+      messageHash: undefined,
+      penalty: undefined,
+      revertBlockNumber: undefined,
+      anchoredOriginBlockHeight: undefined,
+      confirmBlockNumber: undefined,
+      anchoredAuxiliaryBlockHeight: undefined,
+      receipts: {},
+    };
+
+    this.perform = this.perform.bind(this);
+    this.getPenalty = this.getPenalty.bind(this);
+    this.approvePenalty = this.approvePenalty.bind(this);
+    this.revertStake = this.revertStake.bind(this);
+    this.anchorOriginStateRoot = this.anchorOriginStateRoot.bind(this);
+    this.confirmRevertStakeIntent = this.confirmRevertStakeIntent.bind(this);
+    this.anchorAuxiliaryStateRoot = this.anchorAuxiliaryStateRoot.bind(this);
+    this.progressRevertStake = this.progressRevertStake.bind(this);
+  }
+
+  /**
+   * @returns {Array<string>} Names of the steps in the order they are
+   *                          performed.
+   */
+  static get Steps() {
+    return Steps.slice();
+  }
+
+  /**
+   * Performs all steps.
+   *
+   * @param {string} messageHash Gateway message hash of the stake.
+   * @param {RevertStakeTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the workflow state
+   *                            with the receipts of all steps.
+   */
+  async perform(messageHash, txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    await this.approvePenalty(messageHash, txOptions);
+    await this.revertStake(txOptions);
+    await this.anchorOriginStateRoot(txOptions);
+    await this.confirmRevertStakeIntent(txOptions);
+    await this.anchorAuxiliaryStateRoot(txOptions);
+    await this.progressRevertStake(txOptions);
+
+    return this.state;
+  }
+
+  /**
+   * Returns the penalty of a revert as computed by the gateway from the
+   * bounty of the stake.
+   *
+   * @param {string} messageHash Gateway message hash of the stake.
+   *
+   * @returns {Promise<string>} Promise that resolves to the penalty in wei.
+   */
+  async getPenalty(messageHash) {
+    const penalty = await this.gateway.contract.methods.penalty(messageHash).call();
+    return penalty.toString();
+  }
+
+  /**
+   * Approves the gateway composer to transfer the penalty in value tokens
+   * from the staker.
+   *
+   * @param {string} messageHash Gateway message hash of the stake.
+   * @param {RevertStakeTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   */
+  approvePenalty(messageHash, txOptions) {
+    return this._runStep('approvePenalty', async () => {
+      if (!/^0x[0-9a-fA-F]{64}$/.test(messageHash)) {
+        throw new TypeError(`Invalid messageHash: ${messageHash}.`);
+      }
+
+      const penalty = await this.getPenalty(messageHash);
+      const receipt = await this.valueToken.approve(
+        this.addresses.gatewayComposer,
+        penalty,
+        txOptions.staker,
+      );
+
+      this.state.messageHash = messageHash;
+      this.state.penalty = penalty;
+
+      return receipt;
+    });
+  }
+
+  /**
+   * Declares the revert of the stake on the gateway through the gateway
+   * composer, which pays the penalty.
+   *
+   * @param {RevertStakeTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   */
+  revertStake(txOptions) {
+    return this._runStep('revertStake', async () => {
+      this._assertState('penalty', 'approvePenalty');
+
+      const receipt = await this.gatewayComposer.revertStake(
+        this.addresses.gateway,
+        this.state.penalty,
+        this.state.messageHash,
+        txOptions.staker,
+      );
+      this.state.revertBlockNumber = receipt.blockNumber;
+
+      return receipt;
+    });
+  }
+
+  /**
+   * Makes an origin state root that includes the declared revert available
+   * on auxiliary.
+   *
+   * @param {RevertStakeTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the anchor receipt or
+   *                            to `{ blockHeight }` of the anchored state
+   *                            root.
+   */
+  anchorOriginStateRoot(txOptions) {
+    return this._runStep('anchorOriginStateRoot', async () => {
+      this._assertState('revertBlockNumber', 'revertStake');
+
+      const { blockHeight, receipt } = await this._anchorStateRoot(
+        this.originWeb3,
+        this.anchor,
+        this.state.revertBlockNumber,
+        txOptions.anchor,
+      );
+      this.state.anchoredOriginBlockHeight = blockHeight;
+      return receipt || { blockHeight };
+    });
+  }
+
+  /**
+   * Proves the gateway and confirms the revert on the co-gateway.
+   *
+   * @param {RevertStakeTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   */
+  confirmRevertStakeIntent(txOptions) {
+    return this._runStep('confirmRevertStakeIntent', async () => {
+      this._assertState('anchoredOriginBlockHeight', 'anchorOriginStateRoot');
+
+      const blockHeight = this.state.anchoredOriginBlockHeight;
+      const proof = await this.proofGenerator.getOutboxProof(
+        this.addresses.gateway,
+        [this.state.messageHash],
+        Web3.utils.toHex(blockHeight),
+      );
+
+      await this.coGateway.proveGateway(
+        blockHeight,
+        proof.encodedAccountValue,
+        proof.serializedAccountProof,
+        txOptions.auxiliary,
+      );
+      const receipt = await Utils.sendTransaction(
+        this.coGateway.contract.methods.confirmRevertStakeIntent(
+          this.state.messageHash,
+          blockHeight,
+          proof.storageProof[0].serializedProof,
+        ),
+        txOptions.auxiliary,
+      );
+      this.state.confirmBlockNumber = receipt.blockNumber;
+
+      return receipt;
+    });
+  }
+
+  /**
+   * Makes an auxiliary state root that includes the confirmed revert
+   * available on origin.
+   *
+   * @param {RevertStakeTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the anchor receipt or
+   *                            to `{ blockHeight }` of the anchored state
+   *                            root.
+   */
+  anchorAuxiliaryStateRoot(txOptions) {
+    return this._runStep('anchorAuxiliaryStateRoot', async () => {
+      this._assertState('confirmBlockNumber', 'confirmRevertStakeIntent');
+
+      const { blockHeight, receipt } = await this._anchorStateRoot(
+        this.auxiliaryWeb3,
+        this.originAnchor,
+        this.state.confirmBlockNumber,
+        txOptions.originAnchor,
+      );
+      this.state.anchoredAuxiliaryBlockHeight = blockHeight;
+      return receipt || { blockHeight };
+    });
+  }
+
+  /**
+   * Proves the co-gateway and progresses the revert on the gateway, which
+   * returns the staked branded tokens to the gateway composer.
+   *
+   * @param {RevertStakeTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   */
+  progressRevertStake(txOptions) {
+    return this._runStep('progressRevertStake', async () => {
+      this._assertState('anchoredAuxiliaryBlockHeight', 'anchorAuxiliaryStateRoot');
+
+      const blockHeight = this.state.anchoredAuxiliaryBlockHeight;
+      const proof = await this.proofGenerator.getInboxProof(
+        this.addresses.coGateway,
+        [this.state.messageHash],
+        Web3.utils.toHex(blockHeight),
+      );
+
+      await this.gateway.proveGateway(
+        blockHeight,
+        proof.encodedAccountValue,
+        proof.serializedAccountProof,
+        txOptions.staker,
+      );
+      return Utils.sendTransaction(
+        this.gateway.contract.methods.progressRevertStake(
+          this.state.messageHash,
+          blockHeight,
+          proof.storageProof[0].serializedProof,
+        ),
+        txOptions.staker,
+      );
+    });
+  }
+}
+
+module.exports = RevertStake;
@@ -0,0 +1,280 @@
+/**
+ * @typedef {Object} SecretHashLock
+ *
+ * @property {string} unlockSecret Unlock secret as 32 bytes hex string.
+ * @property {string} hashLock Keccak256 hash of the unlock secret.
+ */
+
+/**
+ * @typedef {Object} EncryptedSecret
+ *
+ * @property {string} hashLock Hash lock of the secret.
+ * @property {string} stakeRequestHash Hash of the stake request.
+ * @property {string} [messageHash] Message hash of the stake at the gateway.
+ * @property {string} iv Initialization vector as hex string.
+ * @property {string} authTag Authentication tag as hex string.
+ * @property {string} cipherText Encrypted unlock secret as hex string.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const Web3 = require('web3');
+
+const logger = require('../../logger');
+
+const Cipher = 'aes-256-gcm';
+
+const StoreMethods = ['get', 'save', 'remove'];
+
+/**
+ * SecretManager creates the unlock secrets and hash locks of facilitators.
+ * Secrets are stored encrypted with AES-256-GCM, keyed by the stake request
+ * hash and, once known, by the message hash of the stake, so that they can be
+ * read again to progress the stake. Hashes are stored in lower case, so they
+ * may be passed in any case.
+ */
+class SecretManager {
+  /**
+   * SecretManager constructor object.
+   *
+   * @param {InMemoryCheckpointStore} store Store of the encrypted secrets,
+   *                                        e.g. a JsonFileCheckpointStore.
+   * @param {Object} options Options.
+   * @param {string|Buffer} options.encryptionKey Key of 32 bytes, as Buffer or
+   *                                              hex string.
+   */
+  constructor(store, options = {}) {
+    if (!store || !StoreMethods.every(method => typeof store[method] === 'function')) {
+      const message = `Invalid store, it must implement: ${StoreMethods.join(', ')}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+
+    const encryptionKey = typeof options.encryptionKey === 'string'
+      ? Buffer.from(options.encryptionKey.replace(/^0x/, ''), 'hex')
+      : options.encryptionKey;
+    if (!Buffer.isBuffer(encryptionKey) || encryptionKey.length !== 32) {
+      const message = 'Encryption key must be 32 bytes.';
+      logger.error(message);
+      throw new TypeError(message);
+    }
+
+    this.store = store;
+    this._encryptionKey = encryptionKey;
+    this._hashLockCreations = {};
+
+    this.createHashLock = this.createHashLock.bind(this);
+    this.setMessageHash = this.setMessageHash.bind(this);
+    this.getUnlockSecret = this.getUnlockSecret.bind(this);
+    this.removeSecret = this.removeSecret.bind(this);
+  }
+
+  /**
+   * Creates a cryptographically random unlock secret and its hash lock, as
+   * expected by mosaic gateways.
+   *
+   * @returns {SecretHashLock} Unlock secret and hash lock.
+   */
+  static createSecretHashLock() {
+    const unlockSecret = `0x${crypto.randomBytes(32).toString('hex')}`;
+    return {
+      unlockSecret,
+      hashLock: Web3.utils.keccak256(unlockSecret),
+    };
+  }
+
+  /**
+   * Returns the hash lock for a stake request. A new secret is created and
+   * stored on the first call; later calls return the same hash lock, so that
+   * a retried accept uses the stored secret. Calls for the same stake request
+   * run one at a time, so that concurrent calls do not create two secrets.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   *
+   * @returns {Promise<string>} Promise that resolves to the hash lock.
+   */
+  async createHashLock(stakeRequestHash) {
+    SecretManager._assertHash('stakeRequestHash', stakeRequestHash);
+
+    const key = stakeRequestHash.toLowerCase();
+    const creation = (this._hashLockCreations[key] || Promise.resolve())
+      .catch(() => {})
+      .then(() => this._createHashLock(key));
+    this._hashLockCreations[key] = creation;
+
+    try {
+      return await creation;
+    } finally {
+      if (this._hashLockCreations[key] === creation) {
+        delete this._hashLockCreations[key];
+      }
+    }
+  }
+
+  /**
+   * Reads the stored hash lock of a stake request, or creates and stores a
+   * new secret.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request in lower
+   *                                  case.
+   *
+   * @returns {Promise<string>} Promise that resolves to the hash lock.
+   * @private
+   */
+  async _createHashLock(stakeRequestHash) {
+    const stored = await this.store.get(stakeRequestHash);
+    if (stored) {
+      return stored.hashLock;
+    }
+
+    const { unlockSecret, hashLock } = SecretManager.createSecretHashLock();
+    await this.store.save(stakeRequestHash, {
+      hashLock,
+      stakeRequestHash,
+      ...this._encrypt(unlockSecret, hashLock),
+    });
+    return hashLock;
+  }
+
+  /**
+   * Stores the secret of a stake request also under the message hash of the
+   * stake, which is known once the stake request is accepted.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   * @param {string} messageHash Message hash of the stake at the gateway.
+   *
+   * @returns {Promise} Promise that resolves once stored.
+   */
+  async setMessageHash(stakeRequestHash, messageHash) {
+    SecretManager._assertHash('messageHash', messageHash);
+
+    const stored = await this._getStored(stakeRequestHash);
+    const secret = { ...stored, messageHash: messageHash.toLowerCase() };
+    await this.store.save(secret.stakeRequestHash, secret);
+    await this.store.save(secret.messageHash, secret);
+  }
+
+  /**
+   * Reads and decrypts the unlock secret, e.g. to progress the stake.
+   *
+   * @param {string} hash Stake request hash or message hash.
+   *
+   * @returns {Promise<string>} Promise that resolves to the unlock secret.
+   */
+  async getUnlockSecret(hash) {
+    const stored = await this._getStored(hash);
+    const unlockSecret = this._decrypt(stored);
+
+    if (Web3.utils.keccak256(unlockSecret) !== stored.hashLock) {
+      const message = `Secret stored for ${hash} does not match its hash lock.`;
+      logger.error(message);
+      throw new Error(message);
+    }
+
+    return unlockSecret;
+  }
+
+  /**
+   * Removes the secret, e.g. once the stake is progressed.
+   *
+   * @param {string} hash Stake request hash or message hash.
+   *
+   * @returns {Promise} Promise that resolves once removed.
+   */
+  async removeSecret(hash) {
+    const stored = await this._getStored(hash);
+    await this.store.remove(stored.stakeRequestHash);
+    if (stored.messageHash) {
+      await this.store.remove(stored.messageHash);
+    }
+  }
+
+  /**
+   * Reads a stored secret.
+   *
+   * @param {string} hash Stake request hash or message hash.
+   *
+   * @returns {Promise<EncryptedSecret>} Promise that resolves to the stored
+   *                                     secret.
+   * @private
+   */
+  async _getStored(hash) {
+    SecretManager._assertHash('hash', hash);
+
+    const stored = await this.store.get(hash.toLowerCase());
+    if (!stored) {
+      const message = `No secret is stored for ${hash}.`;
+      logger.error(message);
+      throw new Error(message);
+    }
+    return stored;
+  }
+
+  /**
+   * Encrypts an unlock secret. The hash lock is authenticated with it.
+   *
+   * @param {string} unlockSecret Unlock secret.
+   * @param {string} hashLock Hash lock.
+   *
+   * @returns {Object} `iv`, `authTag` and `cipherText` as hex strings.
+   * @private
+   */
+  _encrypt(unlockSecret, hashLock) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(Cipher, this._encryptionKey, iv);
+    cipher.setAAD(Buffer.from(hashLock));
+    const cipherText = Buffer.concat([cipher.update(unlockSecret, 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex'),
+      cipherText: cipherText.toString('hex'),
+    };
+  }
+
+  /**
+   * Decrypts an unlock secret.
+   *
+   * @param {EncryptedSecret} stored Stored secret.
+   *
+   * @returns {string} Unlock secret.
+   * @private
+   */
+  _decrypt(stored) {
+    try {
+      const decipher = crypto.createDecipheriv(
+        Cipher,
+        this._encryptionKey,
+        Buffer.from(stored.iv, 'hex'),
+      );
+      decipher.setAAD(Buffer.from(stored.hashLock));
+      decipher.setAuthTag(Buffer.from(stored.authTag, 'hex'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(stored.cipherText, 'hex')),
+        decipher.final(),
+      ]).toString('utf8');
+    } catch (error) {
+      const message = `Secret of hash lock ${stored.hashLock} cannot be decrypted: ${error.message}`;
+      logger.error(message);
+      throw new Error(message);
+    }
+  }
+
+  /**
+   * Checks that a value is a 32 bytes hex string.
+   *
+   * @param {string} name Name of the value.
+   * @param {string} hash Value.
+   * @private
+   */
+  static _assertHash(name, hash) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(hash)) {
+      const message = `Invalid ${name}: ${hash}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+  }
+}
+
+module.exports = SecretManager;
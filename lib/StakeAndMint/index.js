@@ -0,0 +1,376 @@
+/**
+ * @typedef {Object} StakeAndMintAddresses
+ *
+ * @property {string} valueToken Value token address on origin.
+ * @property {string} brandedToken Branded token address on origin.
+ * @property {string} gatewayComposer Gateway composer address on origin.
+ * @property {string} gateway EIP20Gateway address on origin.
+ * @property {string} coGateway EIP20CoGateway address on auxiliary.
+ * @property {string} anchor Anchor address on auxiliary that stores origin
+ *                           state roots.
+ */
+
+/**
+ * @typedef {Object} StakeAndMintTxOptions
+ *
+ * @property {Object} staker Origin transaction options of the staker, i.e.
+ *                           the owner of the gateway composer.
+ * @property {Object} facilitator Origin transaction options of the
+ *                                facilitator.
+ * @property {string} worker Address of an organization worker of the branded
+ *                           token. Its account must be in the origin web3
+ *                           wallet to sign the stake request.
+ * @property {Object} auxiliary Auxiliary transaction options of the
+ *                              facilitator.
+ * @property {Object} [anchor] Auxiliary transaction options of an anchor
+ *                             worker. If omitted, the workflow waits until
+ *                             someone else anchors a recent state root.
+ */
+
+'use strict';
+
+const Web3 = require('web3');
+const Mosaic = require('@openst/mosaic.js');
+
+const BrandedToken = require('../ContractInteract/BrandedToken');
+const Events = require('../ContractInteract/Events');
+const Facilitator = require('../Facilitator');
+const Staker = require('../Staker');
+const Utils = require('../../utils/Utils');
+const Workflow = require('../Workflow');
+const logger = require('../../logger');
+
+const Steps = [
+  'requestStake',
+  'acceptStakeRequest',
+  'anchorStateRoot',
+  'confirmStakeIntent',
+  'progressStake',
+  'progressMint',
+];
+
+const AddressNames = [
+  'valueToken',
+  'brandedToken',
+  'gatewayComposer',
+  'gateway',
+  'coGateway',
+  'anchor',
+];
+
+/**
+ * StakeAndMint drives a stake of value tokens through a gateway composer
+ * until utility branded tokens are minted on the auxiliary chain:
+ * - staker requests the stake at the gateway composer
+ * - facilitator accepts the stake request with a worker signature
+ * - origin state root is anchored on auxiliary
+ * - stake intent is confirmed on the co-gateway with a Merkle proof
+ * - stake is progressed on the gateway
+ * - mint is progressed on the co-gateway
+ *
+ * A `progress` event with a {@link WorkflowProgress} is emitted when a
+ * step starts, completes or fails.
+ */
+class StakeAndMint extends Workflow {
+  /**
+   * StakeAndMint constructor object.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {Web3} auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param {StakeAndMintAddresses} addresses Contract addresses.
+   * @param {string} facilitatorSecret Secret of the facilitator. The hash
+   *                                   lock of the stake is derived from it.
+   * @param {Object} [options] Options, see {@link Workflow}.
+   */
+  constructor(originWeb3, auxiliaryWeb3, addresses, facilitatorSecret, options = {}) {
+    super('StakeAndMint', originWeb3, auxiliaryWeb3, addresses, AddressNames, options);
+
+    if (typeof facilitatorSecret !== 'string' || facilitatorSecret.length === 0) {
+      const message = 'Invalid facilitator secret.';
+      logger.error(message);
+      throw new TypeError(message);
+    }
+
+    // Same derivation as mosaic.js Utils.toHashLock.
+    const unlockSecret = Web3.utils.keccak256(facilitatorSecret);
+    this.unlockSecret = unlockSecret;
+    this.hashLock = Web3.utils.keccak256(unlockSecret);
+
+    this.brandedToken = new BrandedToken(originWeb3, addresses.brandedToken);
+    this.gateway = new Mosaic.ContractInteract.EIP20Gateway(originWeb3, addresses.gateway);
+    this.anchor = new Mosaic.ContractInteract.Anchor(auxiliaryWeb3, addresses.anchor);
+    this.staker = new Staker(
+      originWeb3,
+      addresses.valueToken,
+      addresses.brandedToken,
+      addresses.gatewayComposer,
+    );
+    this.facilitator = new Facilitator(
+      originWeb3,
+      addresses.valueToken,
+      addresses.brandedToken,
+      addresses.gatewayComposer,
+    );
+
+    const mosaic = new Mosaic(
+      new Mosaic.Chain(originWeb3, {
+        EIP20Gateway: addresses.gateway,
+      }),
+      new Mosaic.Chain(auxiliaryWeb3, {
+        EIP20CoGateway: addresses.coGateway,
+        Anchor: addresses.anchor,
+      }),
+    );
+    this.mosaicFacilitator = new Mosaic.Facilitator(mosaic);
+
+    this.state = {
+      stakeRequest: undefined,
+      stakeRequestHash: undefined,
+      brandedTokenNonce: undefined,
+      mintBT: undefined,
+      messageHash: undefined,
+      stakeBlockNumber: undefined,
+      anchoredBlockHeight: undefined,
+      receipts: {},
+    };
+
+    this.perform = this.perform.bind(this);
+    this.requestStake = this.requestStake.bind(this);
+    this.acceptStakeRequest = this.acceptStakeRequest.bind(this);
+    this.anchorStateRoot = this.anchorStateRoot.bind(this);
+    this.confirmStakeIntent = this.confirmStakeIntent.bind(this);
+    this.progressStake = this.progressStake.bind(this);
+    this.progressMint = this.progressMint.bind(this);
+  }
+
+  /**
+   * @returns {Array<string>} Names of the steps in the order they are
+   *                          performed.
+   */
+  static get Steps() {
+    return Steps.slice();
+  }
+
+  /**
+   * Performs all steps.
+   *
+   * @param {StakeRequestParams} stakeParams Stake request parameters without
+   *                                         gateway. mintBT and nonce are
+   *                                         resolved if omitted.
+   * @param {StakeAndMintTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the workflow state
+   *                            with the receipts of all steps.
+   */
+  async perform(stakeParams, txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    await this.requestStake(stakeParams, txOptions);
+    await this.acceptStakeRequest(txOptions);
+    await this.anchorStateRoot(txOptions);
+    await this.confirmStakeIntent(txOptions);
+    await this.progressStake(txOptions);
+    await this.progressMint(txOptions);
+
+    return this.state;
+  }
+
+  /**
+   * Approves value tokens and requests the stake at the gateway composer.
+   *
+   * @param {StakeRequestParams} stakeParams Stake request parameters without
+   *                                         gateway.
+   * @param {StakeAndMintTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipts.
+   */
+  requestStake(stakeParams, txOptions) {
+    return this._runStep('requestStake', async () => {
+      const result = await this.staker.requestStake(
+        { ...stakeParams, gateway: this.addresses.gateway },
+        txOptions.staker,
+      );
+
+      const stakeRequestHash = await this.brandedToken.getStakeRequestHash(
+        this.addresses.gatewayComposer,
+      );
+      const brandedTokenStakeRequest = await this.brandedToken.getStakeRequest(stakeRequestHash);
+
+      this.state.stakeRequest = result.stakeRequest;
+      this.state.stakeRequestHash = stakeRequestHash;
+      this.state.brandedTokenNonce = brandedTokenStakeRequest.nonce;
+      // The gateway composer stakes the minted branded tokens at the gateway.
+      this.state.mintBT = result.stakeRequest.mintBT;
+
+      return result;
+    });
+  }
+
+  /**
+   * Signs the stake request with the worker key and accepts it. Accepting
+   * stakes the value tokens at the gateway.
+   *
+   * @param {StakeAndMintTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipts.
+   */
+  acceptStakeRequest(txOptions) {
+    return this._runStep('acceptStakeRequest', async () => {
+      this._assertState('stakeRequestHash', 'requestStake');
+
+      const workerAccount = this.originWeb3.eth.accounts.wallet[txOptions.worker];
+      if (!workerAccount) {
+        throw new Error(`Worker ${txOptions.worker} must be added to the origin web3 wallet.`);
+      }
+
+      const typedData = Utils.getStakeRequestTypedData(
+        this.state.stakeRequest.stakeVT,
+        this.state.brandedTokenNonce,
+        this.addresses.gatewayComposer,
+        this.addresses.brandedToken,
+      );
+      const signature = await workerAccount.signEIP712TypedData(typedData);
+      const bounty = await this.gateway.getBounty();
+
+      const result = await this.facilitator.acceptStakeRequest(
+        this.state.stakeRequestHash,
+        signature,
+        bounty,
+        this.hashLock,
+        txOptions.facilitator,
+      );
+
+      const { blockNumber } = result.acceptStakeRequestReceipt;
+      this.state.messageHash = await this._getStakeMessageHash(blockNumber);
+      this.state.stakeBlockNumber = blockNumber;
+
+      return result;
+    });
+  }
+
+  /**
+   * Makes an origin state root that includes the stake available on
+   * auxiliary. Anchors the latest origin state root if anchor transaction
+   * options are given, otherwise waits until a recent state root is
+   * anchored.
+   *
+   * @param {StakeAndMintTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the anchor receipt or
+   *                            to `{ blockHeight }` of the anchored state
+   *                            root.
+   */
+  anchorStateRoot(txOptions) {
+    return this._runStep('anchorStateRoot', async () => {
+      this._assertState('stakeBlockNumber', 'acceptStakeRequest');
+
+      const { blockHeight, receipt } = await this._anchorStateRoot(
+        this.originWeb3,
+        this.anchor,
+        this.state.stakeBlockNumber,
+        txOptions.anchor,
+      );
+      this.state.anchoredBlockHeight = blockHeight;
+      return receipt || { blockHeight };
+    });
+  }
+
+  /**
+   * Proves the gateway and confirms the stake intent on the co-gateway. The
+   * staked amount is the amount of branded tokens minted for the stake.
+   *
+   * @param {StakeAndMintTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   */
+  confirmStakeIntent(txOptions) {
+    return this._runStep('confirmStakeIntent', async () => {
+      this._assertState('anchoredBlockHeight', 'anchorStateRoot');
+
+      const { stakeRequest } = this.state;
+      return this.mosaicFacilitator.confirmStakeIntent(
+        this.addresses.gatewayComposer,
+        this.state.mintBT,
+        stakeRequest.beneficiary,
+        stakeRequest.gasPrice.toString(),
+        stakeRequest.gasLimit.toString(),
+        stakeRequest.nonce,
+        this.hashLock,
+        txOptions.auxiliary,
+      );
+    });
+  }
+
+  /**
+   * Progresses the stake on the gateway with the unlock secret.
+   *
+   * @param {StakeAndMintTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   */
+  progressStake(txOptions) {
+    return this._runStep('progressStake', async () => {
+      this._assertState('messageHash', 'acceptStakeRequest');
+
+      return this.mosaicFacilitator.performProgressStake(
+        this.state.messageHash,
+        this.unlockSecret,
+        txOptions.facilitator,
+      );
+    });
+  }
+
+  /**
+   * Progresses the mint on the co-gateway with the unlock secret.
+   *
+   * @param {StakeAndMintTxOptions} txOptions Transaction options per actor.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   */
+  progressMint(txOptions) {
+    return this._runStep('progressMint', async () => {
+      this._assertState('messageHash', 'acceptStakeRequest');
+
+      return this.mosaicFacilitator.performProgressMint(
+        this.state.messageHash,
+        this.unlockSecret,
+        txOptions.auxiliary,
+      );
+    });
+  }
+
+  /**
+   * Reads the hash of the stake message that the gateway declared when the
+   * stake request was accepted.
+   *
+   * @param {number} blockNumber Block of the accept stake request
+   *                             transaction.
+   *
+   * @returns {Promise<string>} Promise that resolves to the message hash.
+   * @private
+   */
+  async _getStakeMessageHash(blockNumber) {
+    const events = await Events.getPastEvents(
+      this.originWeb3,
+      this.gateway.contract,
+      'StakeIntentDeclared',
+      { fromBlock: blockNumber, toBlock: blockNumber },
+    );
+
+    const gatewayComposer = this.addresses.gatewayComposer.toLowerCase();
+    const event = events.find(
+      e => e.args.staker.toLowerCase() === gatewayComposer
+        && e.args.stakerNonce === this.state.stakeRequest.nonce,
+    );
+    if (!event) {
+      throw new Error(`StakeIntentDeclared event not found in block ${blockNumber}.`);
+    }
+    return event.args.messageHash;
+  }
+}
+
+module.exports = StakeAndMint;
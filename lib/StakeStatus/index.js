@@ -0,0 +1,325 @@
+/**
+ * @typedef {Object} StakeStatusAddresses
+ *
+ * @property {string} brandedToken Branded token address on origin.
+ * @property {string} gatewayComposer Gateway composer address on origin.
+ * @property {string} gateway EIP20Gateway address on origin.
+ * @property {string} coGateway EIP20CoGateway address on auxiliary.
+ */
+
+/**
+ * @typedef {Object} StakeTransaction
+ *
+ * @property {string} transactionHash Transaction hash.
+ * @property {number} blockNumber Block number.
+ */
+
+/**
+ * @typedef {Object} StakeStatusInfo
+ *
+ * @property {string} stakeRequestHash Hash of the stake request.
+ * @property {string} status One of {@link StakeStatus.Statuses}.
+ * @property {string} [staker] Address of the staker, i.e. the gateway
+ *                             composer.
+ * @property {string} [stake] Stake amount in wei.
+ * @property {string} [gateway] Gateway of the stake request, while the
+ *                              gateway composer stores it.
+ * @property {string} [gatewayNonce] Staker nonce of the gateway, while the
+ *                                   gateway composer stores the stake
+ *                                   request.
+ * @property {string} [messageHash] Gateway message hash once accepted.
+ * @property {string} [gatewayStatus] Outbox message status on the gateway.
+ * @property {string} [coGatewayStatus] Inbox message status on the
+ *                                      co-gateway.
+ * @property {Object<string, StakeTransaction>} transactions Transactions of
+ *           the stake by step: requested, accepted, rejected, revoked,
+ *           stakeProgressed, minted and reverted.
+ */
+
+'use strict';
+
+const Web3 = require('web3');
+const Mosaic = require('@openst/mosaic.js');
+
+const BrandedToken = require('../ContractInteract/BrandedToken');
+const Events = require('../ContractInteract/Events');
+const GatewayComposer = require('../ContractInteract/GatewayComposer');
+const logger = require('../../logger');
+
+const Statuses = {
+  Unknown: 'unknown',
+  Requested: 'requested',
+  Accepted: 'accepted',
+  Rejected: 'rejected',
+  Revoked: 'revoked',
+  StakeProgressed: 'stake-progressed',
+  Minted: 'minted',
+  Reverted: 'reverted',
+};
+
+// Message status values of mosaic gateways.
+const MessageStatus = {
+  Undeclared: '0',
+  Declared: '1',
+  Progressed: '2',
+  RevocationDeclared: '3',
+  Revoked: '4',
+};
+
+/**
+ * Converts a decoded event to the transaction it was emitted in.
+ *
+ * @param {DecodedEvent} [event] Decoded event.
+ *
+ * @returns {StakeTransaction|undefined} Transaction.
+ */
+function toTransaction(event) {
+  if (!event) {
+    return undefined;
+  }
+  return {
+    transactionHash: event.transactionHash,
+    blockNumber: event.blockNumber,
+  };
+}
+
+/**
+ * StakeStatus reads the state of a stake request from the branded token, the
+ * gateway composer, the gateway and the co-gateway and combines it into a
+ * single status.
+ */
+class StakeStatus {
+  /**
+   * StakeStatus constructor object.
+   *
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {Web3} auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param {StakeStatusAddresses} addresses Contract addresses.
+   * @param {Object} [options] Options.
+   * @param {number} [options.originFromBlock] First origin block searched for
+   *                                           events. Defaults to 0.
+   * @param {number} [options.auxiliaryFromBlock] First auxiliary block
+   *                                              searched for events.
+   *                                              Defaults to 0.
+   */
+  constructor(originWeb3, auxiliaryWeb3, addresses, options = {}) {
+    if (!(originWeb3 instanceof Web3)) {
+      const message = "Mandatory Parameter 'originWeb3' is missing or invalid";
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    if (!(auxiliaryWeb3 instanceof Web3)) {
+      const message = "Mandatory Parameter 'auxiliaryWeb3' is missing or invalid";
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    ['brandedToken', 'gatewayComposer', 'gateway', 'coGateway'].forEach((name) => {
+      if (!addresses || !Web3.utils.isAddress(addresses[name])) {
+        const message = `Invalid ${name} address: ${addresses && addresses[name]}.`;
+        logger.error(message);
+        throw new TypeError(message);
+      }
+    });
+
+    this.originWeb3 = originWeb3;
+    this.auxiliaryWeb3 = auxiliaryWeb3;
+    this.originFromBlock = options.originFromBlock || 0;
+    this.auxiliaryFromBlock = options.auxiliaryFromBlock || 0;
+
+    this.brandedToken = new BrandedToken(originWeb3, addresses.brandedToken);
+    this.gatewayComposer = new GatewayComposer(originWeb3, addresses.gatewayComposer);
+    this.gateway = new Mosaic.ContractInteract.EIP20Gateway(originWeb3, addresses.gateway);
+    this.coGateway = new Mosaic.ContractInteract.EIP20CoGateway(
+      auxiliaryWeb3,
+      addresses.coGateway,
+    );
+
+    this.get = this.get.bind(this);
+  }
+
+  /**
+   * @returns {Object} Statuses returned by {@link StakeStatus#get}.
+   */
+  static get Statuses() {
+    return Statuses;
+  }
+
+  /**
+   * Returns the status of a stake request. The status is decided from the
+   * branded token state and events. The gateway composer keeps a stake
+   * request after the branded token rejected it, so it only provides the
+   * gateway and its nonce.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   *
+   * @returns {Promise<StakeStatusInfo>} Promise that resolves to the status.
+   */
+  async get(stakeRequestHash) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(stakeRequestHash)) {
+      const message = `Invalid stakeRequestHash: ${stakeRequestHash}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const [brandedTokenRequest, gatewayComposerRequest, events] = await Promise.all([
+      this.brandedToken.getStakeRequest(stakeRequestHash),
+      this.gatewayComposer.getStakeRequest(stakeRequestHash),
+      this._getBrandedTokenEvents(stakeRequestHash),
+    ]);
+
+    const info = {
+      stakeRequestHash,
+      status: Statuses.Unknown,
+      transactions: {
+        requested: toTransaction(events.StakeRequested),
+        accepted: toTransaction(events.StakeRequestAccepted),
+        rejected: toTransaction(events.StakeRequestRejected),
+        revoked: toTransaction(events.StakeRequestRevoked),
+      },
+    };
+    if (events.StakeRequested) {
+      info.staker = events.StakeRequested.args.staker;
+      info.stake = events.StakeRequested.args.stake;
+    } else if (brandedTokenRequest.exists) {
+      info.staker = brandedTokenRequest.staker;
+      info.stake = brandedTokenRequest.stake;
+    }
+
+    if (gatewayComposerRequest.exists) {
+      info.gateway = gatewayComposerRequest.gateway;
+      info.gatewayNonce = gatewayComposerRequest.nonce;
+    }
+
+    if (brandedTokenRequest.exists) {
+      info.status = Statuses.Requested;
+    } else if (events.StakeRequestRejected) {
+      info.status = Statuses.Rejected;
+    } else if (events.StakeRequestRevoked) {
+      info.status = Statuses.Revoked;
+    } else if (events.StakeRequestAccepted) {
+      const { transactions, ...message } = await this._getMessageStatus(
+        events.StakeRequestAccepted,
+      );
+      Object.assign(info, message);
+      Object.assign(info.transactions, transactions);
+    }
+
+    return info;
+  }
+
+  /**
+   * Reads the BrandedToken events of a stake request.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   *
+   * @returns {Promise<Object<string, DecodedEvent>>} Promise that resolves to
+   *                                                  the latest event per
+   *                                                  event name.
+   * @private
+   */
+  async _getBrandedTokenEvents(stakeRequestHash) {
+    const eventNames = [
+      'StakeRequested',
+      'StakeRequestAccepted',
+      'StakeRequestRejected',
+      'StakeRequestRevoked',
+    ];
+    const eventLists = await Promise.all(eventNames.map(
+      eventName => Events.getPastEvents(
+        this.originWeb3,
+        this.brandedToken.contract,
+        eventName,
+        {
+          fromBlock: this.originFromBlock,
+          filter: { _stakeRequestHash: stakeRequestHash },
+        },
+      ),
+    ));
+
+    const events = {};
+    eventNames.forEach((eventName, index) => {
+      const list = eventLists[index];
+      events[eventName] = list[list.length - 1];
+    });
+    return events;
+  }
+
+  /**
+   * Reads the gateway message of an accepted stake request and its progress
+   * on both chains.
+   *
+   * @param {DecodedEvent} acceptedEvent StakeRequestAccepted event.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the status, message
+   *                            hash, message statuses and transactions of
+   *                            the message.
+   * @private
+   */
+  async _getMessageStatus(acceptedEvent) {
+    const declaredEvents = await Events.getPastEvents(
+      this.originWeb3,
+      this.gateway.contract,
+      'StakeIntentDeclared',
+      { fromBlock: acceptedEvent.blockNumber, toBlock: acceptedEvent.blockNumber },
+    );
+    const declaredEvent = declaredEvents.find(
+      event => event.transactionHash === acceptedEvent.transactionHash,
+    );
+    if (!declaredEvent) {
+      const message = `StakeIntentDeclared event not found in transaction ${acceptedEvent.transactionHash}.`;
+      logger.error(message);
+      throw new Error(message);
+    }
+
+    const { messageHash } = declaredEvent.args;
+    const messageFilter = { _messageHash: messageHash };
+    const [
+      gatewayStatus,
+      coGatewayStatus,
+      progressedEvents,
+      mintedEvents,
+      revertedEvents,
+    ] = await Promise.all([
+      this.gateway.getOutboxMessageStatus(messageHash),
+      this.coGateway.getInboxMessageStatus(messageHash),
+      Events.getPastEvents(this.originWeb3, this.gateway.contract, 'StakeProgressed', {
+        fromBlock: acceptedEvent.blockNumber,
+        filter: messageFilter,
+      }),
+      Events.getPastEvents(this.auxiliaryWeb3, this.coGateway.contract, 'MintProgressed', {
+        fromBlock: this.auxiliaryFromBlock,
+        filter: messageFilter,
+      }),
+      Events.getPastEvents(this.originWeb3, this.gateway.contract, 'RevertStakeIntentDeclared', {
+        fromBlock: acceptedEvent.blockNumber,
+        filter: messageFilter,
+      }),
+    ]);
+
+    let status = Statuses.Accepted;
+    if (coGatewayStatus === MessageStatus.Progressed) {
+      status = Statuses.Minted;
+    } else if (
+      gatewayStatus === MessageStatus.RevocationDeclared
+      || gatewayStatus === MessageStatus.Revoked
+    ) {
+      status = Statuses.Reverted;
+    } else if (gatewayStatus === MessageStatus.Progressed) {
+      status = Statuses.StakeProgressed;
+    }
+
+    return {
+      status,
+      messageHash,
+      gatewayStatus,
+      coGatewayStatus,
+      transactions: {
+        stakeProgressed: toTransaction(progressedEvents[0]),
+        minted: toTransaction(mintedEvents[0]),
+        reverted: toTransaction(revertedEvents[0]),
+      },
+    };
+  }
+}
+
+module.exports = StakeStatus;
@@ -0,0 +1,70 @@
+/**
+ * @typedef {Object} CheckpointStep
+ *
+ * @property {string} [transactionHash] Hash of the sent transaction.
+ * @property {Object} [receipt] Receipt once the transaction is mined.
+ */
+
+/**
+ * @typedef {Object} Checkpoint
+ *
+ * @property {Object} [stakeRequest] Resolved stake request parameters.
+ * @property {Object<string, CheckpointStep>} steps Sent transactions by
+ *                                                  step name.
+ * @property {Object} [result] Result of the completed operation.
+ */
+
+'use strict';
+
+/**
+ * Checkpoint store that keeps checkpoints in memory. It defines the interface
+ * of checkpoint stores; custom stores must implement the same asynchronous
+ * methods.
+ */
+class InMemoryCheckpointStore {
+  constructor() {
+    this.checkpoints = {};
+  }
+
+  /**
+   * Returns the checkpoint of an operation.
+   *
+   * @param {string} operationId Id of the operation.
+   *
+   * @returns {Promise<Checkpoint|undefined>} Promise that resolves to a copy
+   *                                          of the checkpoint.
+   */
+  get(operationId) {
+    const checkpoint = this.checkpoints[operationId];
+    return Promise.resolve(
+      checkpoint === undefined ? undefined : JSON.parse(JSON.stringify(checkpoint)),
+    );
+  }
+
+  /**
+   * Stores the checkpoint of an operation, replacing an earlier one.
+   *
+   * @param {string} operationId Id of the operation.
+   * @param {Checkpoint} checkpoint Checkpoint.
+   *
+   * @returns {Promise} Promise that resolves once stored.
+   */
+  save(operationId, checkpoint) {
+    this.checkpoints[operationId] = JSON.parse(JSON.stringify(checkpoint));
+    return Promise.resolve();
+  }
+
+  /**
+   * Removes the checkpoint of an operation.
+   *
+   * @param {string} operationId Id of the operation.
+   *
+   * @returns {Promise} Promise that resolves once removed.
+   */
+  remove(operationId) {
+    delete this.checkpoints[operationId];
+    return Promise.resolve();
+  }
+}
+
+module.exports = InMemoryCheckpointStore;
@@ -0,0 +1,50 @@
+'use strict';
+
+const InMemoryCheckpointStore = require('./InMemoryCheckpointStore');
+const JsonFile = require('../JsonFile');
+
+/**
+ * Checkpoint store that persists checkpoints to a JSON file. The file is
+ * rewritten after every change.
+ */
+class JsonFileCheckpointStore extends InMemoryCheckpointStore {
+  /**
+   * JsonFileCheckpointStore constructor. Loads the file if it exists.
+   *
+   * @param {string} filePath Path of the JSON file.
+   */
+  constructor(filePath) {
+    super();
+
+    JsonFile.assertFilePath(filePath);
+
+    this.filePath = filePath;
+
+    this.checkpoints = JsonFile.read(this.filePath) || this.checkpoints;
+  }
+
+  /**
+   * @see InMemoryCheckpointStore#save
+   */
+  save(operationId, checkpoint) {
+    return super.save(operationId, checkpoint).then(() => this._persist());
+  }
+
+  /**
+   * @see InMemoryCheckpointStore#remove
+   */
+  remove(operationId) {
+    return super.remove(operationId).then(() => this._persist());
+  }
+
+  /**
+   * Writes the checkpoints to the file.
+   *
+   * @private
+   */
+  _persist() {
+    JsonFile.write(this.filePath, this.checkpoints);
+  }
+}
+
+module.exports = JsonFileCheckpointStore;
@@ -1,13 +1,43 @@
 'use strict';
 
+const Web3 = require('web3');
 const Mosaic = require('@openst/mosaic.js');
+const BrandedToken = require('../ContractInteract/BrandedToken');
 const GatewayComposer = require('../ContractInteract/GatewayComposer');
+const Events = require('../ContractInteract/Events');
+const StakeRequestValidationError = require('../Errors/StakeRequestValidationError');
+const StakeStatus = require('../StakeStatus');
+const Utils = require('../../utils/Utils');
 const logger = require('../../logger');
 
+const { BN } = Web3.utils;
+
+const Modes = {
+  GatewayComposer: 'gatewayComposer',
+  Direct: 'direct',
+};
+
+/**
+ * @typedef {Object} PendingStakeRequest
+ *
+ * @property {string} stakeRequestHash Hash of the stake request.
+ * @property {string} stakeVT Stake amount in wei.
+ * @property {string} gateway Address of the gateway.
+ * @property {string} beneficiary Beneficiary address on auxiliary chain.
+ * @property {string} gasPrice Gas price for the reward.
+ * @property {string} gasLimit Gas limit for the reward.
+ * @property {string} nonce Staker nonce of the gateway.
+ */
+
 /**
  * Staker performs below tasks:
- * - approves GatewayComposer for ValueToken
+ * - approves GatewayComposer for ValueToken, unless the allowance suffices
  * - calls GatewayComposer.requestStake
+ * - revokes, lists and tracks the stake requests of the GatewayComposer
+ *
+ * In direct mode, see {@link Staker.Modes}, the staker stakes at the
+ * BrandedToken without a GatewayComposer and only receives branded tokens on
+ * origin.
  */
 class Staker {
   /**
@@ -16,21 +46,72 @@ class Staker {
    * @param originWeb3 Origin chain web3 address.
    * @param valueToken Value token contract address.
    * @param brandedToken Branded Token contract address.
-   * @param gatewayComposer Gateway composer contract address.
+   * @param gatewayComposer Gateway composer contract address. Not used in
+   *                        direct mode.
+   * @param {Object} [options] Options.
+   * @param {string} [options.mode] One of {@link Staker.Modes}. Defaults to
+   *                                `gatewayComposer`.
+   * @param {boolean} [options.resetAllowance] Resets a non-zero allowance to
+   *                                           zero before approving, for
+   *                                           value tokens that require it.
+   *                                           Defaults to false.
+   * @param {InMemoryCheckpointStore} [options.checkpointStore] Store of the
+   *        checkpoints of {@link Staker#requestStakeWithCheckpoint}.
+   * @param {number} [options.pollInterval] Milliseconds between checks while
+   *                                        waiting for a pending transaction.
+   *                                        Defaults to 5000.
+   * @param {number} [options.receiptTimeout] Milliseconds to wait for a
+   *                                          pending transaction. Defaults to
+   *                                          600000.
+   * @param {number} [options.fromBlock] First block searched for stake
+   *                                     request events. Defaults to 0.
    */
-  constructor(originWeb3, valueToken, brandedToken, gatewayComposer) {
+  constructor(originWeb3, valueToken, brandedToken, gatewayComposer, options = {}) {
+    const mode = options.mode || Modes.GatewayComposer;
+    if (!Object.values(Modes).includes(mode)) {
+      const message = `Invalid staker mode: ${mode}.`;
+      logger.error(message);
+      throw new TypeError(message);
+    }
+
+    this.mode = mode;
     this.originWeb3 = originWeb3;
     this.valueToken = valueToken;
     this.brandedToken = brandedToken;
     this.gatewayComposerAddress = gatewayComposer;
+    this.resetAllowance = options.resetAllowance === true;
+    this.checkpointStore = options.checkpointStore;
+    this.pollInterval = options.pollInterval || 5000;
+    this.receiptTimeout = options.receiptTimeout || 600000;
+    this.fromBlock = options.fromBlock || 0;
+    this._checkpointSave = Promise.resolve();
 
     this.valueToken = new Mosaic.ContractInteract.EIP20Token(originWeb3, valueToken);
-    this.gatewayComposer = new GatewayComposer(originWeb3, gatewayComposer);
+    if (mode === Modes.GatewayComposer) {
+      this.gatewayComposer = new GatewayComposer(originWeb3, gatewayComposer);
+    }
+    this.brandedTokenInteract = new BrandedToken(originWeb3, brandedToken);
+
+    this.validateStakeRequest = this.validateStakeRequest.bind(this);
+    this.requestStakeWithCheckpoint = this.requestStakeWithCheckpoint.bind(this);
+    this.revokeStakeRequest = this.revokeStakeRequest.bind(this);
+    this.getPendingStakeRequests = this.getPendingStakeRequests.bind(this);
+    this.getStakeRequestStatus = this.getStakeRequestStatus.bind(this);
+    this.waitForAcceptance = this.waitForAcceptance.bind(this);
+  }
+
+  /**
+   * @returns {Object} Modes of the staker: `gatewayComposer` stakes through
+   *                   the GatewayComposer to mint utility branded tokens on
+   *                   auxiliary, `direct` stakes at the BrandedToken.
+   */
+  static get Modes() {
+    return Modes;
   }
 
   /**
    * Staker performs below tasks:
-   * - approves GatewayComposer for ValueToken
+   * - approves GatewayComposer for ValueToken, unless the allowance suffices
    * - calls GatewayComposer.requestStake
    *
    * @param stakeVTAmountInWei ValueToken amount which is staked.
@@ -43,6 +124,24 @@ class Staker {
    *                     tokens will be minted.
    * @param stakerGatewayNonce Nonce of the staker address stored in Gateway.
    * @param txOptions - Tx options.
+   *
+   * Can also be called as `requestStake(stakeRequestParams, txOptions)` with
+   * {@link StakeRequestParams}. Missing mintBT and nonce are resolved by
+   * {@link GatewayComposer#resolveStakeRequest} and the resolved values are
+   * returned in `stakeRequest` alongside the receipts.
+   *
+   * The approval is skipped if the allowance of the GatewayComposer already
+   * covers the stake. `approveForValueTokenPath` in the returned receipts is
+   * one of {@link Utils.ApprovalPaths}.
+   *
+   * Nothing is sent if {@link Staker#validateStakeRequest} finds violations;
+   * the promise rejects with a {@link StakeRequestValidationError} that lists
+   * all of them.
+   *
+   * In direct mode it is called as `requestStake({ stakeVT, mintBT },
+   * txOptions)`. mintBT is optional and calculated by the BrandedToken if
+   * omitted. Value tokens are approved to the BrandedToken and the returned
+   * receipts additionally hold the `stakeRequestHash`.
    */
   async requestStake(
     stakeVTAmountInWei,
@@ -54,25 +153,51 @@ class Staker {
     stakerGatewayNonce,
     txOptions,
   ) {
-    const approveForValueTokenReceipt = await this.valueToken.approve(
+    if (this.mode === Modes.Direct) {
+      // Called as requestStake(stakeRequestParams, txOptions).
+      return this._requestDirectStake(stakeVTAmountInWei, mintBTAmountInWei);
+    }
+    if (
+      stakeVTAmountInWei !== null
+      && typeof stakeVTAmountInWei === 'object'
+      && stakeVTAmountInWei.stakeVT !== undefined
+    ) {
+      // Called as requestStake(stakeRequestParams, txOptions).
+      const stakeRequest = await this.gatewayComposer.resolveStakeRequest(stakeVTAmountInWei);
+      const receipts = await this.requestStake(
+        stakeRequest.stakeVT,
+        stakeRequest.mintBT,
+        stakeRequest.gateway,
+        stakeRequest.gasPrice,
+        stakeRequest.gasLimit,
+        stakeRequest.beneficiary,
+        stakeRequest.nonce,
+        mintBTAmountInWei,
+      );
+      return {
+        ...receipts,
+        stakeRequest,
+      };
+    }
+
+    await this._assertValidStakeRequest(
+      {
+        stakeVT: stakeVTAmountInWei,
+        mintBT: mintBTAmountInWei,
+        gateway: gatewayAddress,
+        beneficiary,
+        gasPrice,
+        gasLimit,
+        nonce: stakerGatewayNonce,
+      },
+      txOptions,
+    );
+
+    let receipts = await this._approveValueToken(
       this.gatewayComposerAddress,
       stakeVTAmountInWei,
       txOptions,
     );
-    let receipts = {
-      approveForValueTokenReceipt,
-    };
-
-    if (!approveForValueTokenReceipt.status) {
-      const message = `Approval for value token is failed with transactionHash: ${approveForValueTokenReceipt.transactionHash}`;
-      logger.error(message);
-      const err = new Error(
-        message,
-      );
-      return Promise.reject(err);
-    }
-
-    logger.info(`approveForValueToken status: ${approveForValueTokenReceipt.status}`);
 
     const requestStakeReceipt = await this.gatewayComposer.requestStake(
       stakeVTAmountInWei,
@@ -102,6 +227,768 @@ class Staker {
     logger.info(`requestStake status: ${requestStakeReceipt.status}`);
     return receipts;
   }
+
+  /**
+   * Approves value tokens to the BrandedToken and requests the stake there.
+   *
+   * @param {Object} stakeRequestParams Stake request parameters.
+   * @param {string} stakeRequestParams.stakeVT Stake amount in wei.
+   * @param {string} [stakeRequestParams.mintBT] Minted amount in wei.
+   *                                            Calculated by the
+   *                                            BrandedToken if omitted.
+   * @param {Object} txOptions Transaction options of the staker.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipts, the
+   *                            resolved `stakeRequest` and the
+   *                            `stakeRequestHash`.
+   * @private
+   */
+  async _requestDirectStake(stakeRequestParams, txOptions) {
+    if (
+      stakeRequestParams === null
+      || typeof stakeRequestParams !== 'object'
+      || !new BN(stakeRequestParams.stakeVT || 0).gtn(0)
+    ) {
+      const message = `Invalid stake request parameters: ${JSON.stringify(stakeRequestParams)}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const { stakeVT } = stakeRequestParams;
+    const mintBT = stakeRequestParams.mintBT
+      || await this.brandedTokenInteract.convertToBrandedTokens(stakeVT);
+    const stakeRequest = { stakeVT, mintBT };
+
+    await this._assertValidStakeRequest(stakeRequest, txOptions);
+
+    const receipts = await this._approveValueToken(this.brandedToken, stakeVT, txOptions);
+
+    const tx = await this.brandedTokenInteract.requestStakeRawTx(stakeVT, mintBT);
+    const requestStakeReceipt = await Utils.sendTransaction(tx, txOptions);
+    if (!requestStakeReceipt.status) {
+      const message = `Request stake is failed with transactionHash: ${requestStakeReceipt.transactionHash}`;
+      logger.error(message);
+      return Promise.reject(new Error(message));
+    }
+    logger.info(`requestStake status: ${requestStakeReceipt.status}`);
+
+    const stakeRequested = requestStakeReceipt.events
+      && requestStakeReceipt.events.StakeRequested;
+    const stakeRequestHash = stakeRequested
+      ? stakeRequested.returnValues._stakeRequestHash
+      : await this.brandedTokenInteract.getStakeRequestHash(txOptions.from);
+
+    return {
+      requestStakeReceipt,
+      ...receipts,
+      stakeRequest,
+      stakeRequestHash,
+    };
+  }
+
+  /**
+   * Approves value tokens to the spender unless the allowance suffices.
+   *
+   * @param {string} spender Address that transfers the value tokens.
+   * @param {string} amount Stake amount in wei.
+   * @param {Object} txOptions Transaction options of the staker.
+   *
+   * @returns {Promise<Object>} Promise that resolves to
+   *                            `approveForValueTokenPath` and the approval
+   *                            receipts. Rejects if the approval fails.
+   * @private
+   */
+  async _approveValueToken(spender, amount, txOptions) {
+    const approval = await Utils.approveIfRequired(
+      this.valueToken,
+      spender,
+      amount,
+      txOptions,
+      this.resetAllowance,
+    );
+    const receipts = {
+      approveForValueTokenPath: approval.path,
+    };
+    if (approval.resetReceipt) {
+      receipts.resetApprovalForValueTokenReceipt = approval.resetReceipt;
+    }
+    logger.info(`approveForValueToken path: ${approval.path}`);
+
+    const { approveReceipt: approveForValueTokenReceipt } = approval;
+    if (approveForValueTokenReceipt) {
+      receipts.approveForValueTokenReceipt = approveForValueTokenReceipt;
+    }
+    if (approveForValueTokenReceipt && !approveForValueTokenReceipt.status) {
+      const message = `Approval for value token is failed with transactionHash: ${approveForValueTokenReceipt.transactionHash}`;
+      logger.error(message);
+      throw new Error(message);
+    }
+
+    return receipts;
+  }
+
+  /**
+   * Checks everything that makes a stake request revert, without sending a
+   * transaction:
+   * - the value token balance of the owner covers the stake
+   * - the ether balance of the owner covers the gas of the approval and the
+   *   stake request
+   * - the owner of the gateway composer is `txOptions.from`
+   * - the token of the gateway is the branded token
+   * - the gateway composer has no pending stake request
+   * - mintBT equals the converted stake amount
+   *
+   * In direct mode the gateway composer and gateway checks are replaced by
+   * a check that `txOptions.from` has no pending stake request.
+   *
+   * The gas of the stake request cannot be estimated before the approval is
+   * mined. If an approval is required and `txOptions.gas` is not set, the
+   * ether balance is not checked.
+   *
+   * @param {StakeRequestParams} stakeRequest Stake request with all values
+   *                                          resolved.
+   * @param {Object} txOptions Transaction options of the owner.
+   *
+   * @returns {Promise<Array<StakeRequestViolation>>} Promise that resolves to
+   *                                                  all violations. It is
+   *                                                  empty for a valid stake
+   *                                                  request.
+   */
+  async validateStakeRequest(stakeRequest, txOptions) {
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+    if (!Web3.utils.isAddress(txOptions.from)) {
+      const message = `Invalid from address ${txOptions.from} in transaction options.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const { from } = txOptions;
+    const { Reasons } = StakeRequestValidationError;
+    const direct = this.mode === Modes.Direct;
+    const gateway = direct
+      ? undefined
+      : new Mosaic.ContractInteract.EIP20Gateway(this.originWeb3, stakeRequest.gateway);
+    const [
+      valueTokenBalance,
+      etherBalance,
+      owner,
+      gatewayToken,
+      pendingStakeRequestHash,
+      convertedMintBT,
+      gasCost,
+    ] = await Promise.all([
+      this.valueToken.balanceOf(from),
+      this.originWeb3.eth.getBalance(from),
+      direct ? from : this.gatewayComposer.getOwner(),
+      direct ? this.brandedToken : gateway.getValueToken(),
+      this.brandedTokenInteract.getStakeRequestHash(
+        direct ? from : this.gatewayComposerAddress,
+      ),
+      this.brandedTokenInteract.convertToBrandedTokens(stakeRequest.stakeVT),
+      this._estimateStakeRequestCost(stakeRequest, txOptions).catch(error => ({ error })),
+    ]);
+
+    const violations = [];
+    if (new BN(valueTokenBalance).lt(new BN(stakeRequest.stakeVT))) {
+      violations.push({
+        reason: Reasons.InsufficientValueTokenBalance,
+        message: `Insufficient value token balance of ${from}: ${valueTokenBalance} is less than ${stakeRequest.stakeVT}.`,
+      });
+    }
+    if (gasCost && gasCost.error) {
+      violations.push({
+        reason: Reasons.GasEstimationFailed,
+        message: `Gas estimation failed: ${gasCost.error.message}`,
+      });
+    } else if (gasCost && new BN(etherBalance).lt(gasCost)) {
+      violations.push({
+        reason: Reasons.InsufficientGasFunds,
+        message: `Insufficient ether balance of ${from}: ${etherBalance} is less than the estimated gas cost ${gasCost.toString(10)}.`,
+      });
+    }
+    if (owner.toLowerCase() !== from.toLowerCase()) {
+      violations.push({
+        reason: Reasons.NotGatewayComposerOwner,
+        message: `${from} is not the owner ${owner} of gateway composer ${this.gatewayComposerAddress}.`,
+      });
+    }
+    if (gatewayToken.toLowerCase() !== this.brandedToken.toLowerCase()) {
+      violations.push({
+        reason: Reasons.GatewayTokenMismatch,
+        message: `Token ${gatewayToken} of gateway ${stakeRequest.gateway} is not the branded token ${this.brandedToken}.`,
+      });
+    }
+    if (!new BN(Web3.utils.hexToNumberString(pendingStakeRequestHash)).isZero()) {
+      violations.push({
+        reason: Reasons.PendingStakeRequest,
+        message: direct
+          ? `${from} has a pending stake request ${pendingStakeRequestHash}.`
+          : `Gateway composer ${this.gatewayComposerAddress} has a pending stake request ${pendingStakeRequestHash}.`,
+      });
+    }
+    if (!new BN(convertedMintBT).eq(new BN(stakeRequest.mintBT))) {
+      violations.push({
+        reason: Reasons.MintAmountMismatch,
+        message: `Mint amount ${stakeRequest.mintBT} does not equal the converted stake amount ${convertedMintBT}.`,
+      });
+    }
+
+    return violations;
+  }
+
+  /**
+   * Rejects with all violations of a stake request.
+   *
+   * @param {StakeRequestParams} stakeRequest Stake request with all values
+   *                                          resolved.
+   * @param {Object} txOptions Transaction options of the owner.
+   *
+   * @returns {Promise} Promise that rejects with
+   *                    {@link StakeRequestValidationError} if there are
+   *                    violations.
+   * @private
+   */
+  async _assertValidStakeRequest(stakeRequest, txOptions) {
+    const violations = await this.validateStakeRequest(stakeRequest, txOptions);
+    if (violations.length > 0) {
+      const message = `Stake request is invalid: ${violations.map(v => v.message).join(' ')}`;
+      logger.error(message);
+      throw new StakeRequestValidationError(message, violations);
+    }
+  }
+
+  /**
+   * Estimates the gas cost in wei of the approval, if required, and the
+   * stake request. `txOptions.gas` is used as the gas of the stake request
+   * if set. Otherwise the stake request is estimated, which is only possible
+   * if no approval is required.
+   *
+   * @param {StakeRequestParams} stakeRequest Stake request with all values
+   *                                          resolved.
+   * @param {Object} txOptions Transaction options of the owner.
+   *
+   * @returns {Promise<BN|undefined>} Promise that resolves to the gas cost,
+   *                                   or to undefined if the stake request
+   *                                   cannot be estimated before the
+   *                                   approval is mined.
+   * @private
+   */
+  async _estimateStakeRequestCost(stakeRequest, txOptions) {
+    const { from } = txOptions;
+    const spender = this.mode === Modes.Direct ? this.brandedToken : this.gatewayComposerAddress;
+    const [allowance, gasPrice] = await Promise.all([
+      this.valueToken.allowance(from, spender),
+      txOptions.gasPrice || this.originWeb3.eth.getGasPrice(),
+    ]);
+    const approvalRequired = new BN(allowance).lt(new BN(stakeRequest.stakeVT));
+
+    if (approvalRequired && !txOptions.gas) {
+      return undefined;
+    }
+
+    let gas = new BN(0);
+    if (approvalRequired) {
+      const approveTx = await this.valueToken.approveRawTx(spender, stakeRequest.stakeVT);
+      const approveGas = new BN(await approveTx.estimateGas({ from }));
+      // Resetting the allowance to zero costs at most as much as the approval.
+      const resetRequired = this.resetAllowance && !new BN(allowance).isZero();
+      gas = resetRequired ? approveGas.muln(2) : approveGas;
+    }
+    if (txOptions.gas) {
+      gas = gas.add(new BN(txOptions.gas));
+    } else {
+      const requestStakeTx = this.mode === Modes.Direct
+        ? await this.brandedTokenInteract.requestStakeRawTx(
+          stakeRequest.stakeVT,
+          stakeRequest.mintBT,
+        )
+        : await this.gatewayComposer.requestStakeRawTx(
+          stakeRequest.stakeVT,
+          stakeRequest.mintBT,
+          stakeRequest.gateway,
+          stakeRequest.beneficiary,
+          stakeRequest.gasPrice,
+          stakeRequest.gasLimit,
+          stakeRequest.nonce,
+        );
+      gas = gas.add(new BN(await requestStakeTx.estimateGas({ from })));
+    }
+
+    return gas.mul(new BN(gasPrice));
+  }
+
+  /**
+   * Revokes a stake request of the gateway composer that is not accepted or
+   * rejected yet. The staked value tokens are transferred back to the owner.
+   * In direct mode the stake request is revoked at the BrandedToken.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   * @param {Object} txOptions Transaction options of the owner.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the revoke receipt.
+   */
+  async revokeStakeRequest(stakeRequestHash, txOptions) {
+    if (!Staker._isHash(stakeRequestHash)) {
+      const message = `Invalid stakeRequestHash: ${stakeRequestHash}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const receipt = this.mode === Modes.Direct
+      ? await this.brandedTokenInteract.revokeStakeRequest(stakeRequestHash, txOptions)
+      : await this.gatewayComposer.revokeStakeRequest(stakeRequestHash, txOptions);
+    if (!receipt.status) {
+      const message = `Revoke stake request is failed with transactionHash: ${receipt.transactionHash}`;
+      logger.error(message);
+      return Promise.reject(new Error(message));
+    }
+
+    logger.info(`revokeStakeRequest status: ${receipt.status}`);
+    return receipt;
+  }
+
+  /**
+   * Returns the stake requests of the gateway composer that are not
+   * accepted, rejected or revoked yet, i.e. that the BrandedToken still
+   * stores. Not available in direct mode.
+   *
+   * @returns {Promise<Array<PendingStakeRequest>>} Promise that resolves to
+   *                                                the pending stake requests
+   *                                                in request order.
+   */
+  async getPendingStakeRequests() {
+    if (this.mode === Modes.Direct) {
+      return Staker._rejectInDirectMode('getPendingStakeRequests');
+    }
+
+    const events = await this.gatewayComposer.getPastEvents('StakeRequested', {
+      fromBlock: this.fromBlock,
+      filter: { _staker: this.gatewayComposerAddress },
+    });
+    const hashes = events
+      .map(event => event.args.stakeRequestHash)
+      .filter((hash, index, all) => all.indexOf(hash) === index);
+
+    // The gateway composer keeps rejected stake requests until they are
+    // resolved, so the BrandedToken decides which ones are pending.
+    const [brandedTokenRequests, stakeRequests] = await Promise.all([
+      Promise.all(hashes.map(hash => this.brandedTokenInteract.getStakeRequest(hash))),
+      Promise.all(hashes.map(hash => this.gatewayComposer.getStakeRequest(hash))),
+    ]);
+
+    return stakeRequests
+      .map((stakeRequest, index) => ({ stakeRequestHash: hashes[index], ...stakeRequest }))
+      .filter((stakeRequest, index) => (
+        brandedTokenRequests[index].exists && stakeRequest.exists
+      ))
+      .map(({ exists, ...stakeRequest }) => stakeRequest);
+  }
+
+  /**
+   * Returns the status of a stake request on the origin chain. Use
+   * {@link StakeStatus} to follow an accepted stake request across chains.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   *
+   * @returns {Promise<string>} Promise that resolves to one of `requested`,
+   *                            `accepted`, `rejected`, `revoked` or `unknown`,
+   *                            see {@link StakeStatus.Statuses}.
+   */
+  async getStakeRequestStatus(stakeRequestHash) {
+    if (!Staker._isHash(stakeRequestHash)) {
+      const message = `Invalid stakeRequestHash: ${stakeRequestHash}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const { status } = await this._getStakeRequestDecision(stakeRequestHash);
+    return status;
+  }
+
+  /**
+   * Waits until a stake request is accepted by the facilitator.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   * @param {Object} [options] Options.
+   * @param {number} [options.timeout] Milliseconds to wait. Waits without
+   *                                   limit if not given.
+   *
+   * @returns {Promise<DecodedEvent>} Promise that resolves to the
+   *                                  StakeRequestAccepted event. It rejects
+   *                                  if the stake request is rejected or
+   *                                  revoked, or if it is not accepted in
+   *                                  time.
+   */
+  async waitForAcceptance(stakeRequestHash, options = {}) {
+    if (!Staker._isHash(stakeRequestHash)) {
+      const message = `Invalid stakeRequestHash: ${stakeRequestHash}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const deadline = options.timeout === undefined
+      ? Infinity
+      : Date.now() + options.timeout;
+
+    // Polls until the stake request is decided.
+    const poll = async () => {
+      const { status, event } = await this._getStakeRequestDecision(stakeRequestHash);
+      if (status === StakeStatus.Statuses.Accepted) {
+        return event;
+      }
+      if (
+        status === StakeStatus.Statuses.Rejected
+        || status === StakeStatus.Statuses.Revoked
+      ) {
+        const message = `Stake request ${stakeRequestHash} was ${status}.`;
+        logger.error(message);
+        return Promise.reject(new Error(message));
+      }
+      if (Date.now() >= deadline) {
+        const message = `Stake request ${stakeRequestHash} was not accepted in time.`;
+        logger.error(message);
+        return Promise.reject(new Error(message));
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      return poll();
+    };
+    return poll();
+  }
+
+  /**
+   * Reads the origin chain state of a stake request from the BrandedToken,
+   * also for stakes through a gateway composer, whose entry stays after a
+   * rejection. Events are only queried once the BrandedToken does not store
+   * the stake request anymore.
+   *
+   * @param {string} stakeRequestHash Hash of the stake request.
+   *
+   * @returns {Promise<Object>} Promise that resolves to `{ status, event }`
+   *                            where event is the event that decided the
+   *                            stake request.
+   * @private
+   */
+  async _getStakeRequestDecision(stakeRequestHash) {
+    const stakeRequest = await this.brandedTokenInteract.getStakeRequest(stakeRequestHash);
+    if (stakeRequest.exists) {
+      return { status: StakeStatus.Statuses.Requested };
+    }
+
+    const decisions = [
+      ['StakeRequestAccepted', StakeStatus.Statuses.Accepted],
+      ['StakeRequestRejected', StakeStatus.Statuses.Rejected],
+      ['StakeRequestRevoked', StakeStatus.Statuses.Revoked],
+    ];
+    const eventLists = await Promise.all(decisions.map(
+      ([eventName]) => this.brandedTokenInteract.getPastEvents(eventName, {
+        fromBlock: this.fromBlock,
+        filter: { _stakeRequestHash: stakeRequestHash },
+      }),
+    ));
+
+    const index = eventLists.findIndex(events => events.length > 0);
+    if (index === -1) {
+      return { status: StakeStatus.Statuses.Unknown };
+    }
+    return {
+      status: decisions[index][1],
+      event: eventLists[index][eventLists[index].length - 1],
+    };
+  }
+
+  /**
+   * Rejects a call of a method that needs a gateway composer.
+   *
+   * @param {string} method Name of the method.
+   *
+   * @returns {Promise} Promise that rejects with a TypeError.
+   * @private
+   */
+  static _rejectInDirectMode(method) {
+    const message = `${method} is not available in direct mode.`;
+    logger.error(message);
+    return Promise.reject(new TypeError(message));
+  }
+
+  /**
+   * Checks if a value is a 32 bytes hex string.
+   *
+   * @param {*} value Value to check.
+   *
+   * @returns {boolean} `true` for a 32 bytes hex string.
+   * @private
+   */
+  static _isHash(value) {
+    return /^0x[0-9a-fA-F]{64}$/.test(value);
+  }
+
+  /**
+   * Same as `requestStake(stakeRequestParams, txOptions)`, but records the
+   * resolved stake request and the hashes and receipts of the sent
+   * transactions in the checkpoint store under the given operation id.
+   *
+   * Calling it again with the same operation id continues the operation:
+   * mined transactions are not sent again, pending transactions are waited
+   * for and only dropped transactions are sent again. Once the operation is
+   * completed, its result is returned without sending any transaction. A
+   * failed transaction fails the operation on every call; remove the
+   * checkpoint from the store to start over. Not available in direct mode.
+   *
+   * @param {string} operationId Id of the operation, chosen by the caller.
+   * @param {StakeRequestParams} stakeRequestParams Stake request parameters.
+   * @param {Object} txOptions Transaction options of the staker.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipts and the
+   *                            resolved stake request, as returned by
+   *                            {@link Staker#requestStake}.
+   */
+  async requestStakeWithCheckpoint(operationId, stakeRequestParams, txOptions) {
+    if (this.mode === Modes.Direct) {
+      return Staker._rejectInDirectMode('requestStakeWithCheckpoint');
+    }
+    if (!this.checkpointStore) {
+      const message = 'Checkpoint store is not configured.';
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+    if (typeof operationId !== 'string' || operationId.length === 0) {
+      const message = `Invalid operation id: ${operationId}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+    if (!txOptions) {
+      const message = `Invalid transaction options: ${txOptions}.`;
+      logger.error(message);
+      return Promise.reject(new TypeError(message));
+    }
+
+    const checkpoint = (await this.checkpointStore.get(operationId)) || { steps: {} };
+    if (checkpoint.result) {
+      logger.info(`Operation ${operationId} is already completed`);
+      return checkpoint.result;
+    }
+
+    if (!checkpoint.stakeRequest) {
+      checkpoint.stakeRequest = await this.gatewayComposer.resolveStakeRequest(
+        stakeRequestParams,
+      );
+      await this._saveCheckpoint(operationId, checkpoint);
+    }
+    const { stakeRequest } = checkpoint;
+    if (Object.keys(checkpoint.steps).length === 0) {
+      await this._assertValidStakeRequest(stakeRequest, txOptions);
+    }
+
+    const approval = await this._approveWithCheckpoint(
+      operationId,
+      checkpoint,
+      stakeRequest.stakeVT,
+      txOptions,
+    );
+    const receipts = {
+      approveForValueTokenPath: approval.path,
+    };
+    if (approval.resetReceipt) {
+      receipts.resetApprovalForValueTokenReceipt = approval.resetReceipt;
+    }
+    if (approval.approveReceipt) {
+      receipts.approveForValueTokenReceipt = approval.approveReceipt;
+      if (!approval.approveReceipt.status) {
+        const message = `Approval for value token is failed with transactionHash: ${approval.approveReceipt.transactionHash}`;
+        logger.error(message);
+        return Promise.reject(new Error(message));
+      }
+    }
+
+    const requestStakeReceipt = await this._sendWithCheckpoint(
+      operationId,
+      checkpoint,
+      'requestStake',
+      this.gatewayComposer.contract,
+      () => this.gatewayComposer.requestStakeRawTx(
+        stakeRequest.stakeVT,
+        stakeRequest.mintBT,
+        stakeRequest.gateway,
+        stakeRequest.beneficiary,
+        stakeRequest.gasPrice,
+        stakeRequest.gasLimit,
+        stakeRequest.nonce,
+      ),
+      txOptions,
+    );
+    if (!requestStakeReceipt.status) {
+      const message = `Request stake is failed with transactionHash: ${requestStakeReceipt.transactionHash}`;
+      logger.error(message);
+      return Promise.reject(new Error(message));
+    }
+
+    checkpoint.result = {
+      requestStakeReceipt,
+      ...receipts,
+      stakeRequest,
+    };
+    await this._saveCheckpoint(operationId, checkpoint);
+
+    return checkpoint.result;
+  }
+
+  /**
+   * Approves the GatewayComposer for the stake unless the allowance suffices.
+   * Approve transactions that were sent by an earlier call of the operation
+   * are reattached.
+   *
+   * @param {string} operationId Id of the operation.
+   * @param {Checkpoint} checkpoint Checkpoint of the operation.
+   * @param {string} amount Stake amount in wei.
+   * @param {Object} txOptions Transaction options of the staker.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the result of
+   *                            {@link Utils.approveIfRequired}.
+   * @private
+   */
+  async _approveWithCheckpoint(operationId, checkpoint, amount, txOptions) {
+    const approveStep = checkpoint.steps.approve;
+    if (approveStep) {
+      const resetReceipt = checkpoint.steps.resetApproval
+        && checkpoint.steps.resetApproval.receipt;
+      const approveReceipt = await this._sendWithCheckpoint(
+        operationId,
+        checkpoint,
+        'approve',
+        this.valueToken.contract,
+        () => this.valueToken.approveRawTx(this.gatewayComposerAddress, amount),
+        txOptions,
+      );
+      return {
+        path: resetReceipt ? Utils.ApprovalPaths.ResetAndApproved : Utils.ApprovalPaths.Approved,
+        resetReceipt,
+        approveReceipt,
+      };
+    }
+
+    const token = {
+      allowance: this.valueToken.allowance,
+      approve: (spender, value, options) => this._sendWithCheckpoint(
+        operationId,
+        checkpoint,
+        value === '0' ? 'resetApproval' : 'approve',
+        this.valueToken.contract,
+        () => this.valueToken.approveRawTx(spender, value),
+        options,
+      ),
+    };
+    return Utils.approveIfRequired(
+      token,
+      this.gatewayComposerAddress,
+      amount,
+      txOptions,
+      this.resetAllowance,
+    );
+  }
+
+  /**
+   * Sends the transaction of a step unless an earlier call of the operation
+   * sent it already. The transaction hash is saved as soon as the
+   * transaction is sent and the receipt once it is mined.
+   *
+   * @param {string} operationId Id of the operation.
+   * @param {Checkpoint} checkpoint Checkpoint of the operation.
+   * @param {string} step Name of the step.
+   * @param {Object} contract Web3 contract object of the called contract.
+   * @param {Function} createTx Function that returns a promise of the raw
+   *                            transaction.
+   * @param {Object} txOptions Transaction options.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the receipt.
+   * @private
+   */
+  async _sendWithCheckpoint(operationId, checkpoint, step, contract, createTx, txOptions) {
+    const saved = checkpoint.steps[step];
+    if (saved && saved.receipt) {
+      return saved.receipt;
+    }
+    if (saved && saved.transactionHash) {
+      logger.info(`Reattaching to transaction ${saved.transactionHash} of step ${step}`);
+      const receipt = await this._waitForReceipt(saved.transactionHash, contract);
+      if (receipt) {
+        saved.receipt = receipt;
+        await this._saveCheckpoint(operationId, checkpoint);
+        return receipt;
+      }
+      logger.warn(`Transaction ${saved.transactionHash} of step ${step} was dropped, sending it again`);
+    }
+
+    const tx = await createTx();
+    const receipt = await Utils.sendTransaction(tx, txOptions, (transactionHash) => {
+      // eslint-disable-next-line no-param-reassign
+      checkpoint.steps[step] = { transactionHash };
+      this._saveCheckpoint(operationId, checkpoint).catch((error) => {
+        logger.error(`Saving checkpoint of operation ${operationId} failed: ${error}`);
+      });
+    });
+    // eslint-disable-next-line no-param-reassign
+    checkpoint.steps[step] = { transactionHash: receipt.transactionHash, receipt };
+    await this._saveCheckpoint(operationId, checkpoint);
+
+    return receipt;
+  }
+
+  /**
+   * Saves a checkpoint. Saves are queued so that a later state is never
+   * overwritten by an earlier one.
+   *
+   * @param {string} operationId Id of the operation.
+   * @param {Checkpoint} checkpoint Checkpoint of the operation.
+   *
+   * @returns {Promise} Promise that resolves once saved.
+   * @private
+   */
+  _saveCheckpoint(operationId, checkpoint) {
+    const snapshot = JSON.parse(JSON.stringify(checkpoint));
+    const save = this._checkpointSave
+      .catch(() => {})
+      .then(() => this.checkpointStore.save(operationId, snapshot));
+    this._checkpointSave = save;
+    return save;
+  }
+
+  /**
+   * Waits until a sent transaction is mined. The logs of the receipt are
+   * decoded into `events`, as for the receipt of a sent transaction.
+   *
+   * @param {string} transactionHash Hash of the transaction.
+   * @param {Object} contract Web3 contract object of the called contract.
+   *
+   * @returns {Promise<Object|undefined>} Promise that resolves to the receipt,
+   *                                      or to `undefined` if the node does
+   *                                      not know the transaction anymore.
+   * @private
+   */
+  async _waitForReceipt(transactionHash, contract) {
+    const deadline = Date.now() + this.receiptTimeout;
+
+    // Polls the node until the transaction is mined or dropped.
+    const poll = async () => {
+      const receipt = await this.originWeb3.eth.getTransactionReceipt(transactionHash);
+      if (receipt) {
+        return Events.decodeReceipt(contract, receipt);
+      }
+      const transaction = await this.originWeb3.eth.getTransaction(transactionHash);
+      if (!transaction) {
+        return undefined;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Transaction ${transactionHash} was not mined in time.`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      return poll();
+    };
+    return poll();
+  }
 }
 
 module.exports = Staker;
@@ -0,0 +1,159 @@
+/**
+ * @typedef {Object} WorkflowProgress
+ *
+ * @property {string} step Name of the step.
+ * @property {string} status `started`, `completed` or `failed`.
+ * @property {Object} [result] Result of a completed step.
+ * @property {Error} [error] Error of a failed step.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const Web3 = require('web3');
+
+const logger = require('../../logger');
+
+/**
+ * Workflow is the base of the multi-step workflows between origin and
+ * auxiliary chain, e.g. {@link StakeAndMint}. It runs steps, keeps their
+ * results in `state.receipts` and anchors state roots.
+ *
+ * A `progress` event with a {@link WorkflowProgress} is emitted when a step
+ * starts, completes or fails.
+ */
+class Workflow extends EventEmitter {
+  /**
+   * Workflow constructor object.
+   *
+   * @param {string} name Name of the workflow used in log messages.
+   * @param {Web3} originWeb3 Origin chain web3 object.
+   * @param {Web3} auxiliaryWeb3 Auxiliary chain web3 object.
+   * @param {Object} addresses Contract addresses.
+   * @param {Array<string>} addressNames Names of the mandatory addresses.
+   * @param {Object} [options] Options.
+   * @param {number} [options.pollInterval] Milliseconds between checks while
+   *                                        waiting for an anchored state
+   *                                        root. Defaults to 5000.
+   * @param {number} [options.anchorTimeout] Milliseconds to wait for an
+   *                                         anchored state root. Defaults to
+   *                                         600000.
+   */
+  constructor(name, originWeb3, auxiliaryWeb3, addresses, addressNames, options = {}) {
+    super();
+
+    if (!(originWeb3 instanceof Web3)) {
+      const message = "Mandatory Parameter 'originWeb3' is missing or invalid";
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    if (!(auxiliaryWeb3 instanceof Web3)) {
+      const message = "Mandatory Parameter 'auxiliaryWeb3' is missing or invalid";
+      logger.error(message);
+      throw new TypeError(message);
+    }
+    addressNames.forEach((addressName) => {
+      if (!addresses || !Web3.utils.isAddress(addresses[addressName])) {
+        const message = `Invalid ${addressName} address: ${addresses && addresses[addressName]}.`;
+        logger.error(message);
+        throw new TypeError(message);
+      }
+    });
+
+    this.workflowName = name;
+    this.originWeb3 = originWeb3;
+    this.auxiliaryWeb3 = auxiliaryWeb3;
+    this.addresses = { ...addresses };
+    this.pollInterval = options.pollInterval || 5000;
+    this.anchorTimeout = options.anchorTimeout || 600000;
+  }
+
+  /**
+   * Runs a step, stores its result and emits progress events.
+   *
+   * @param {string} step Name of the step.
+   * @param {Function} action Async function that performs the step.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the result of the
+   *                            step.
+   * @protected
+   */
+  async _runStep(step, action) {
+    logger.info(`${this.workflowName}: ${step} started`);
+    this.emit('progress', { step, status: 'started' });
+
+    let result;
+    try {
+      result = await action();
+    } catch (error) {
+      logger.error(`${this.workflowName}: ${step} failed: ${error}`);
+      this.emit('progress', { step, status: 'failed', error });
+      throw error;
+    }
+
+    this.state.receipts[step] = result;
+    logger.info(`${this.workflowName}: ${step} completed`);
+    this.emit('progress', { step, status: 'completed', result });
+    return result;
+  }
+
+  /**
+   * Throws if a previous step has not set the given state.
+   *
+   * @param {string} key State key.
+   * @param {string} step Step that sets the key.
+   *
+   * @protected
+   */
+  _assertState(key, step) {
+    if (this.state[key] === undefined) {
+      throw new Error(`Step ${step} must be completed first.`);
+    }
+  }
+
+  /**
+   * Anchors the latest state root of the source chain if transaction options
+   * are given, otherwise waits until a state root at or after the given
+   * block is anchored.
+   *
+   * @param {Web3} sourceWeb3 Web3 object of the chain whose state root is
+   *                          anchored.
+   * @param {Object} anchor Anchor contract interact on the target chain.
+   * @param {number} blockNumber Source block that must be anchored.
+   * @param {Object} [txOptions] Transaction options of an anchor worker.
+   *
+   * @returns {Promise<Object>} Promise that resolves to the anchored
+   *                            `blockHeight` and the anchor `receipt`, if
+   *                            any.
+   * @protected
+   */
+  async _anchorStateRoot(sourceWeb3, anchor, blockNumber, txOptions) {
+    if (txOptions) {
+      const block = await sourceWeb3.eth.getBlock('latest');
+      const receipt = await anchor.anchorStateRoot(
+        block.number.toString(),
+        block.stateRoot,
+        txOptions,
+      );
+      return { blockHeight: block.number.toString(), receipt };
+    }
+
+    const deadline = Date.now() + this.anchorTimeout;
+    // Polls the anchor until a recent state root is available.
+    const poll = async () => {
+      const blockHeight = await anchor.getLatestStateRootBlockHeight();
+      if (Number(blockHeight) >= Number(blockNumber)) {
+        return { blockHeight: blockHeight.toString() };
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`No state root at or after block ${blockNumber} was anchored in time.`);
+      }
+      logger.info(`Waiting for a state root at or after block ${blockNumber}, latest is ${blockHeight}`);
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      return poll();
+    };
+    return poll();
+  }
+}
+
+module.exports = Workflow;
@@ -0,0 +1,148 @@
+'use strict';
+
+// Load external packages
+const BN = require('bn.js');
+const { assert } = require('chai');
+const Mosaic = require('@openst/mosaic.js');
+
+const Package = require('../../../index');
+const MockContractsDeployer = require('../../utils/MockContractsDeployer');
+const config = require('../../utils/configReader');
+const shared = require('../shared');
+
+const BTHelper = Package.EconomySetup.BrandedTokenHelper;
+const { BrandedToken } = Package.ContractInteract;
+const { Converter } = Package;
+
+// Number of random amounts compared per conversion direction.
+const SampleCount = 25;
+
+let originWeb3;
+let deployerAddress;
+let caOrganization;
+let caMockToken;
+let brandedToken;
+let converter;
+
+/**
+ * Returns random amounts of up to the given number of bytes, including edge
+ * cases around zero.
+ *
+ * @param {number} maxBytes Maximum number of bytes of an amount.
+ *
+ * @returns {Array<string>} Amounts in wei.
+ */
+const randomAmounts = (maxBytes) => {
+  const amounts = ['0', '1', '2', '3', '9', '10', '11'];
+  for (let i = 0; i < SampleCount; i += 1) {
+    const bytes = 1 + Math.floor(Math.random() * maxBytes);
+    amounts.push(new BN(originWeb3.utils.randomHex(bytes).substr(2), 16).toString(10));
+  }
+  return amounts;
+};
+
+describe('Converter', async () => {
+  before(async () => {
+    originWeb3 = shared.origin.web3;
+    [deployerAddress] = await originWeb3.eth.getAccounts();
+  });
+
+  it('Deploys Organization contract', async () => {
+    const { Organization } = Mosaic.ContractInteract;
+    const orgConfig = {
+      deployer: deployerAddress,
+      owner: deployerAddress,
+      admin: deployerAddress,
+      workers: [],
+      workerExpirationHeight: config.workerExpirationHeight,
+    };
+    const organizationContractInstance = await Organization.setup(originWeb3, orgConfig);
+    caOrganization = organizationContractInstance.address;
+    assert.isNotNull(caOrganization, 'Organization contract address should not be null.');
+  });
+
+  it('Deploys EIP20Token contract', async () => {
+    const deployerInstance = new MockContractsDeployer(deployerAddress, originWeb3);
+    await deployerInstance.deployMockToken();
+    caMockToken = deployerInstance.addresses.MockToken;
+    assert.isNotNull(caMockToken, 'EIP20Token contract address should not be null.');
+  });
+
+  it('Deploys BrandedToken contract with a rate that requires rounding', async () => {
+    const btHelperConfig = {
+      deployer: deployerAddress,
+      valueToken: caMockToken,
+      symbol: config.symbol,
+      name: config.name,
+      decimals: config.decimals,
+      // 1 value token is equivalent to 3.14159 branded tokens.
+      conversionRate: 314159,
+      conversionRateDecimals: 5,
+      organization: caOrganization,
+    };
+
+    const btDeployParams = {
+      from: deployerAddress,
+      gasPrice: config.gasPrice,
+    };
+
+    const btHelper = new BTHelper(originWeb3, null);
+    const brandedTokenInstance = await btHelper.setup(btHelperConfig, btDeployParams);
+    brandedToken = new BrandedToken(originWeb3, brandedTokenInstance.contractAddress);
+  });
+
+  it('Hydrates converter from BrandedToken', async () => {
+    converter = await Converter.fromBrandedToken(brandedToken);
+    assert.strictEqual(converter.conversionRate.toString(10), '314159');
+    assert.strictEqual(converter.conversionRateDecimals, 5);
+  });
+
+  it('Matches convertToBrandedTokens of the contract', async () => {
+    const amounts = randomAmounts(24);
+    const onChain = await Promise.all(
+      amounts.map(amount => brandedToken.contract.methods.convertToBrandedTokens(amount).call()),
+    );
+    amounts.forEach((amount, index) => {
+      assert.strictEqual(
+        converter.convertToBrandedTokens(amount),
+        onChain[index],
+        `Conversion of ${amount} value tokens must match the contract`,
+      );
+    });
+  });
+
+  it('Matches convertToValueTokens of the contract', async () => {
+    const amounts = randomAmounts(24);
+    const onChain = await Promise.all(
+      amounts.map(amount => brandedToken.contract.methods.convertToValueTokens(amount).call()),
+    );
+    amounts.forEach((amount, index) => {
+      assert.strictEqual(
+        converter.convertToValueTokens(amount),
+        onChain[index],
+        `Conversion of ${amount} branded tokens must match the contract`,
+      );
+    });
+  });
+
+  it('Reports dust that does not change the contract result', async () => {
+    const amounts = randomAmounts(24);
+    const checks = amounts.map(async (amount) => {
+      const { brandedTokens, dust } = converter.convertToBrandedTokensWithDust(amount);
+      const withoutDust = new BN(amount).sub(new BN(dust)).toString(10);
+      const onChain = await brandedToken.contract.methods
+        .convertToBrandedTokens(withoutDust)
+        .call();
+      assert.strictEqual(onChain, brandedTokens, `Dust of ${amount} must not be required`);
+
+      if (withoutDust !== '0') {
+        const lessThanRequired = new BN(withoutDust).subn(1).toString(10);
+        const onChainLess = await brandedToken.contract.methods
+          .convertToBrandedTokens(lessThanRequired)
+          .call();
+        assert.notStrictEqual(onChainLess, brandedTokens, `Dust of ${amount} must be minimal`);
+      }
+    });
+    await Promise.all(checks);
+  });
+});
@@ -0,0 +1,30 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const AcceptancePolicy = require('../../../lib/AcceptancePolicy');
+const InMemoryAuditTrail = require('../../../lib/AcceptancePolicy/InMemoryAuditTrail');
+
+const { Rules } = AcceptancePolicy;
+
+describe('AcceptancePolicy.constructor()', () => {
+  it('should default to an in-memory audit trail', () => {
+    const policy = new AcceptancePolicy([]);
+
+    assert.instanceOf(policy.auditTrail, InMemoryAuditTrail, 'Audit trail must be in memory');
+  });
+
+  it('should throw for invalid rules', () => {
+    assert.throws(() => new AcceptancePolicy([{}]), 'Invalid rules: [object Object].');
+    assert.throws(() => new AcceptancePolicy(), 'Invalid rules: undefined.');
+  });
+
+  it('should throw for invalid rule parameters', () => {
+    assert.throws(() => Rules.allowlist(['0x123']), 'Invalid allowlist addresses: 0x123.');
+    assert.throws(() => Rules.denylist('0x123'), 'Invalid denylist addresses: 0x123.');
+    assert.throws(() => Rules.minStake('-1'), 'Invalid minStake amount: -1.');
+    assert.throws(() => Rules.maxStake(), 'Invalid maxStake amount: undefined.');
+    assert.throws(() => Rules.dailyCap('1.5'), 'Invalid dailyCap amount: 1.5.');
+    assert.throws(() => Rules.kyc(true), 'Invalid kyc callback: true.');
+  });
+});
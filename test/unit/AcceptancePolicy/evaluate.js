@@ -0,0 +1,272 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const AcceptancePolicy = require('../../../lib/AcceptancePolicy');
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+
+const { Rules } = AcceptancePolicy;
+
+describe('AcceptancePolicy.evaluate()', () => {
+  const staker = '0x0000000000000000000000000000000000000001';
+  const otherStaker = '0x0000000000000000000000000000000000000002';
+  const request = (stakeVT, name = 'stakeRequest', address = staker) => ({
+    stakeRequestHash: Web3.utils.sha3(name),
+    staker: address,
+    stakeVT,
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should accept a stake request that passes all rules', async () => {
+    const kyc = sinon.fake.resolves(true);
+    const policy = new AcceptancePolicy([
+      Rules.allowlist([staker]),
+      Rules.denylist([otherStaker]),
+      Rules.minStake('10'),
+      Rules.maxStake('100'),
+      Rules.kyc(kyc),
+    ]);
+
+    const decision = await policy.evaluate(request('50'));
+
+    assert.strictEqual(decision.accepted, true, 'Stake request must be accepted');
+    assert.deepEqual(decision.reasons, [], 'Reasons must be empty');
+    Spy.assert(kyc, 1, [[request('50')]]);
+    assert.deepEqual(
+      await policy.auditTrail.getDecisions(),
+      [decision],
+      'Decision must be appended to the audit trail',
+    );
+  });
+
+  it('should reject with the reasons of all failed rules', async () => {
+    const policy = new AcceptancePolicy([
+      Rules.allowlist([otherStaker]),
+      Rules.denylist([staker]),
+      Rules.minStake('10'),
+      Rules.maxStake('100'),
+      Rules.kyc(() => false),
+    ]);
+
+    const decision = await policy.evaluate(request('5'));
+
+    assert.strictEqual(decision.accepted, false, 'Stake request must be rejected');
+    assert.deepEqual(
+      decision.reasons,
+      [
+        `Staker ${staker} is not in the allowlist.`,
+        `Staker ${staker} is in the denylist.`,
+        'Stake 5 is less than the minimum stake 10.',
+        `Staker ${staker} did not pass KYC.`,
+      ],
+      'Reasons must match',
+    );
+    assert.deepEqual(
+      await policy.auditTrail.getDecisions({ accepted: false }),
+      [decision],
+      'Rejection must be appended to the audit trail',
+    );
+  });
+
+  it('should reject stakes above the maximum', async () => {
+    const policy = new AcceptancePolicy([Rules.maxStake('100')]);
+
+    const decision = await policy.evaluate(request('101'));
+
+    assert.deepEqual(
+      decision.reasons,
+      ['Stake 101 is more than the maximum stake 100.'],
+      'Reasons must match',
+    );
+  });
+
+  it('should enforce the daily cap per staker', async () => {
+    const policy = new AcceptancePolicy([Rules.dailyCap('100')]);
+
+    const first = await policy.evaluate(request('60', 'first'));
+    await policy.markExecuted(first.stakeRequestHash, '0xa');
+    const second = await policy.evaluate(request('50', 'second'));
+    const other = await policy.evaluate(request('50', 'other', otherStaker));
+    const third = await policy.evaluate(request('40', 'third'));
+
+    assert.strictEqual(first.accepted, true, 'First stake must be accepted');
+    assert.deepEqual(
+      second.reasons,
+      [`Stake 50 exceeds the daily cap 100 of staker ${staker}, 60 is already executed today.`],
+      'Second stake must exceed the cap',
+    );
+    assert.strictEqual(other.accepted, true, 'Stake of another staker must be accepted');
+    assert.strictEqual(third.accepted, true, 'Rejected stakes must not count');
+  });
+
+  it('should not count accepted stakes of previous days', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const clock = sinon.useFakeTimers(10 * day + 1000);
+    const policy = new AcceptancePolicy([Rules.dailyCap('100')]);
+    const yesterday = await policy.evaluate(request('100', 'yesterday'));
+    await policy.markExecuted(yesterday.stakeRequestHash, '0xa');
+
+    clock.tick(day);
+    const decision = await policy.evaluate(request('100', 'today'));
+
+    assert.strictEqual(decision.accepted, true, 'Stake must be accepted on the next day');
+  });
+
+  it('should not count accepts that are not executed', async () => {
+    const policy = new AcceptancePolicy([Rules.dailyCap('100')]);
+
+    const first = await policy.evaluate(request('60', 'first'));
+    const second = await policy.evaluate(request('60', 'second'));
+
+    assert.strictEqual(first.executed, false, 'Decision must not be executed');
+    assert.strictEqual(second.accepted, true, 'Accept that is not executed must not count');
+    assert.deepEqual(
+      await policy.auditTrail.getDecisions({ executed: false }),
+      [first, second],
+      'Decisions must not be executed',
+    );
+  });
+
+  it('should reject marking a stake request without accepted decision', async () => {
+    const policy = new AcceptancePolicy([Rules.maxStake('10')]);
+    const rejected = await policy.evaluate(request('60', 'rejected'));
+
+    await AssertAsync.reject(
+      policy.markExecuted(rejected.stakeRequestHash, '0xa'),
+      `No accepted decision of stake request ${rejected.stakeRequestHash}.`,
+    );
+  });
+
+  it('should serialize concurrent evaluations', async () => {
+    const kyc = sinon.fake(({ stakeRequestHash }) => new Promise((resolve) => {
+      // The first evaluation is the slower one.
+      const delay = stakeRequestHash === Web3.utils.sha3('first') ? 5 : 0;
+      setTimeout(() => resolve(true), delay);
+    }));
+    const policy = new AcceptancePolicy([Rules.kyc(kyc)]);
+
+    await Promise.all([
+      policy.evaluate(request('60', 'first')),
+      policy.evaluate(request('60', 'second')),
+    ]);
+
+    assert.deepEqual(
+      (await policy.auditTrail.getDecisions()).map(decision => decision.stakeRequestHash),
+      [Web3.utils.sha3('first'), Web3.utils.sha3('second')],
+      'Decisions must be appended in call order',
+    );
+  });
+
+  it('should reject if the KYC callback fails', async () => {
+    const auditTrail = { append: sinon.fake.resolves() };
+    const policy = new AcceptancePolicy(
+      [Rules.kyc(sinon.fake.rejects(new Error('KYC service unavailable')))],
+      { auditTrail },
+    );
+
+    await AssertAsync.reject(policy.evaluate(request('50')), 'KYC service unavailable');
+    Spy.assert(auditTrail.append, 0, [[]]);
+  });
+
+  it('should reject an invalid request', async () => {
+    const policy = new AcceptancePolicy([]);
+
+    await AssertAsync.reject(
+      policy.evaluate({ staker: '0x123', stakeVT: '1' }),
+      'Invalid acceptance request: {"staker":"0x123","stakeVT":"1"}.',
+    );
+  });
+
+  it('should resolve decide to the acceptance', async () => {
+    const policy = new AcceptancePolicy([Rules.maxStake('100')]);
+
+    assert.strictEqual(await policy.decide(request('100', 'first')), true, 'Must accept');
+    assert.strictEqual(await policy.decide(request('101', 'second')), false, 'Must reject');
+  });
+
+  it('should evaluate a stake request of a branded token', async () => {
+    const policy = new AcceptancePolicy([Rules.minStake('10')]);
+    const brandedToken = {
+      getStakeRequest: sinon.fake.resolves({
+        staker,
+        stake: '20',
+        nonce: '0',
+        exists: true,
+      }),
+    };
+    const stakeRequestHash = Web3.utils.sha3('stakeRequest');
+
+    const decision = await policy.evaluateStakeRequest(brandedToken, stakeRequestHash);
+
+    assert.deepEqual(
+      { ...decision, decidedAt: undefined },
+      {
+        stakeRequestHash,
+        staker,
+        stakeVT: '20',
+        accepted: true,
+        reasons: [],
+        decidedAt: undefined,
+        executed: false,
+      },
+      'Decision must match',
+    );
+    Spy.assert(brandedToken.getStakeRequest, 1, [[stakeRequestHash]]);
+  });
+
+  it('should evaluate the owner of the gateway composer as staker', async () => {
+    const owner = '0x0000000000000000000000000000000000000006';
+    const policy = new AcceptancePolicy([Rules.allowlist([owner])]);
+    const brandedToken = {
+      getStakeRequest: sinon.fake.resolves({
+        staker,
+        stake: '20',
+        nonce: '0',
+        exists: true,
+      }),
+    };
+    const gatewayComposer = { address: staker, getOwner: sinon.fake.resolves(owner) };
+
+    const decision = await policy.evaluateStakeRequest(
+      brandedToken,
+      Web3.utils.sha3('stakeRequest'),
+      gatewayComposer,
+    );
+
+    assert.strictEqual(decision.staker, owner, 'Owner must be the staker');
+    assert.strictEqual(decision.accepted, true, 'Owner must pass the allowlist');
+  });
+
+  it('should reject evaluation when the staker is not the gateway composer', async () => {
+    const policy = new AcceptancePolicy([]);
+    const stakeRequestHash = Web3.utils.sha3('stakeRequest');
+    const brandedToken = {
+      getStakeRequest: sinon.fake.resolves({ staker, stake: '20', exists: true }),
+    };
+    const gatewayComposer = {
+      address: '0x0000000000000000000000000000000000000004',
+      getOwner: sinon.fake(),
+    };
+
+    await AssertAsync.reject(
+      policy.evaluateStakeRequest(brandedToken, stakeRequestHash, gatewayComposer),
+      `Staker ${staker} of stake request ${stakeRequestHash} is not the gateway composer ${gatewayComposer.address}.`,
+    );
+  });
+
+  it('should reject evaluation of an unknown stake request', async () => {
+    const policy = new AcceptancePolicy([]);
+    const brandedToken = { getStakeRequest: sinon.fake.resolves({ exists: false }) };
+
+    await AssertAsync.reject(
+      policy.evaluateStakeRequest(brandedToken, '0x1'),
+      'Stake request 0x1 does not exist.',
+    );
+  });
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+
+describe('BrandedToken.allowance()', () => {
+  let brandedToken;
+  const account = '0x0000000000000000000000000000000000000003';
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return allowance as string', async () => {
+    const spender = '0x0000000000000000000000000000000000000004';
+    const spyAllowance = sinon.replace(
+      brandedToken.contract.methods,
+      'allowance',
+      sinon.fake.returns({ call: () => Promise.resolve(50) }),
+    );
+
+    const allowance = await brandedToken.allowance(account, spender);
+
+    assert.strictEqual(allowance, '50', 'Allowance must match');
+    Spy.assert(spyAllowance, 1, [[account, spender]]);
+  });
+
+  it('should throw an error when spender address is invalid', async () => {
+    await AssertAsync.reject(
+      brandedToken.allowance(account, '0x123'),
+      'Invalid spender address: 0x123.',
+    );
+  });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const Utils = require('../../../utils/Utils');
+
+describe('BrandedToken.approve()', () => {
+  let brandedToken;
+  const spender = '0x0000000000000000000000000000000000000004';
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should pass with correct params', async () => {
+    const mockTx = 'mockTx';
+    const spyRawTx = sinon.replace(
+      brandedToken.contract.methods,
+      'approve',
+      sinon.fake.returns(mockTx),
+    );
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(true),
+    );
+    const txOptions = { from: '0x0000000000000000000000000000000000000003' };
+
+    const response = await brandedToken.approve(spender, '0', txOptions);
+
+    assert.isTrue(response, 'Approve should return true');
+    Spy.assert(spyRawTx, 1, [[spender, '0']]);
+    Spy.assert(spySendTransaction, 1, [[mockTx, txOptions]]);
+  });
+
+  it('should throw an error when spender address is invalid', async () => {
+    await AssertAsync.reject(
+      brandedToken.approveRawTx('0x123', '100'),
+      'Invalid spender address: 0x123.',
+    );
+  });
+
+  it('should throw an error when amount is undefined', async () => {
+    await AssertAsync.reject(
+      brandedToken.approveRawTx(spender, undefined),
+      'Invalid approval amount: undefined.',
+    );
+  });
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+
+describe('BrandedToken.balanceOf()', () => {
+  let brandedToken;
+  const account = '0x0000000000000000000000000000000000000003';
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return balance as string', async () => {
+    const spyBalanceOf = sinon.replace(
+      brandedToken.contract.methods,
+      'balanceOf',
+      sinon.fake.returns({ call: () => Promise.resolve(100) }),
+    );
+
+    const balance = await brandedToken.balanceOf(account);
+
+    assert.strictEqual(balance, '100', 'Balance must match');
+    Spy.assert(spyBalanceOf, 1, [[account]]);
+  });
+
+  it('should throw an error when address is invalid', async () => {
+    await AssertAsync.reject(
+      brandedToken.balanceOf('0x123'),
+      'Invalid address: 0x123.',
+    );
+  });
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const Utils = require('../../../utils/Utils');
+
+describe('BrandedToken.getInfo()', () => {
+  let brandedToken;
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should fetch metadata in one batch request', async () => {
+    const spyBatchCall = sinon.replace(
+      Utils,
+      'batchCall',
+      sinon.fake.resolves([
+        '1000',
+        'Branded Token',
+        'BT',
+        '18',
+        '0x0000000000000000000000000000000000000003',
+        '35',
+        '1',
+        '0x0000000000000000000000000000000000000004',
+      ]),
+    );
+
+    const info = await brandedToken.getInfo();
+
+    assert.deepEqual(
+      info,
+      {
+        name: 'Branded Token',
+        symbol: 'BT',
+        decimals: '18',
+        totalSupply: '1000',
+        valueToken: '0x0000000000000000000000000000000000000003',
+        conversionRate: '35',
+        conversionRateDecimals: '1',
+        organization: '0x0000000000000000000000000000000000000004',
+      },
+      'Info must match',
+    );
+    assert.strictEqual(spyBatchCall.callCount, 1, 'Batch call must be made once');
+    assert.strictEqual(spyBatchCall.args[0][1].length, 8, 'All fields must be fetched');
+  });
+
+  it('should only fetch total supply once immutable fields are cached', async () => {
+    sinon.replace(
+      Utils,
+      'batchCall',
+      sinon.fake.resolves([
+        '1000',
+        'Branded Token',
+        'BT',
+        '18',
+        '0x0000000000000000000000000000000000000003',
+        '35',
+        '1',
+        '0x0000000000000000000000000000000000000004',
+      ]),
+    );
+    await brandedToken.getInfo();
+
+    sinon.restore();
+    const spyTotalSupply = sinon.replace(
+      Utils,
+      'batchCall',
+      sinon.fake.resolves(['2000']),
+    );
+
+    const info = await brandedToken.getInfo();
+
+    assert.strictEqual(info.totalSupply, '2000', 'Total supply must be updated');
+    assert.strictEqual(info.symbol, 'BT', 'Cached symbol must be returned');
+    assert.strictEqual(spyTotalSupply.args[0][1].length, 1, 'Only total supply must be fetched');
+    assert.strictEqual(
+      await brandedToken.getConversionRate(),
+      '35',
+      'Conversion rate must be cached',
+    );
+  });
+});
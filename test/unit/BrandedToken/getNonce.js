@@ -0,0 +1,41 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+
+describe('BrandedToken.getNonce()', () => {
+  let brandedToken;
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return nonce as string', async () => {
+    const spyNonce = sinon.replace(
+      brandedToken.contract.methods,
+      'nonce',
+      sinon.fake.returns({
+        call: () => Promise.resolve(5),
+      }),
+    );
+
+    const nonce = await brandedToken.getNonce();
+
+    assert.strictEqual(
+      nonce,
+      '5',
+      'Nonce must match',
+    );
+    Spy.assert(spyNonce, 1, [[]]);
+  });
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const Events = require('../../../lib/ContractInteract/Events');
+
+describe('BrandedToken.getPastEvents()', () => {
+  let brandedToken;
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return decoded events of branded token contract', async () => {
+    const fakeEvents = [{ event: 'StakeRequested' }];
+    const spyGetPastEvents = sinon.replace(
+      Events,
+      'getPastEvents',
+      sinon.fake.resolves(fakeEvents),
+    );
+    const options = { fromBlock: 1, toBlock: 10 };
+
+    const events = await brandedToken.getPastEvents('StakeRequested', options);
+
+    assert.strictEqual(events, fakeEvents, 'Events must match');
+    Spy.assert(
+      spyGetPastEvents,
+      1,
+      [[brandedToken.web3, brandedToken.contract, 'StakeRequested', options]],
+    );
+  });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+
+describe('BrandedToken.getStakeRequest()', () => {
+  let brandedToken;
+  let web3;
+
+  beforeEach(() => {
+    web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return normalized stake request', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const staker = '0x0000000000000000000000000000000000000003';
+
+    const spyStakeRequests = sinon.replace(
+      brandedToken.contract.methods,
+      'stakeRequests',
+      sinon.fake.returns({
+        call: () => Promise.resolve({
+          0: staker,
+          1: '100',
+          2: '1',
+          staker,
+          stake: '100',
+          nonce: '1',
+        }),
+      }),
+    );
+
+    const stakeRequest = await brandedToken.getStakeRequest(stakeRequestHash);
+
+    assert.deepEqual(
+      stakeRequest,
+      {
+        staker,
+        stake: '100',
+        nonce: '1',
+        exists: true,
+      },
+      'Stake request must match',
+    );
+    Spy.assert(spyStakeRequests, 1, [[stakeRequestHash]]);
+  });
+
+  it('should return exists as false for unknown stake request', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const staker = '0x0000000000000000000000000000000000000000';
+
+    sinon.replace(
+      brandedToken.contract.methods,
+      'stakeRequests',
+      sinon.fake.returns({
+        call: () => Promise.resolve({ staker, stake: '0', nonce: '0' }),
+      }),
+    );
+
+    const stakeRequest = await brandedToken.getStakeRequest(stakeRequestHash);
+
+    assert.isFalse(
+      stakeRequest.exists,
+      'Stake request must not exist',
+    );
+  });
+
+  it('should throw an error when stakeRequestHash is invalid', async () => {
+    const stakeRequestHash = undefined;
+
+    await AssertAsync.reject(
+      brandedToken.getStakeRequest(stakeRequestHash),
+      `Invalid stakeRequestHash: ${stakeRequestHash}.`,
+    );
+  });
+});
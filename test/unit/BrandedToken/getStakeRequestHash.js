@@ -0,0 +1,55 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+
+describe('BrandedToken.getStakeRequestHash()', () => {
+  let brandedToken;
+  let web3;
+
+  beforeEach(() => {
+    web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return stake request hash of the staker', async () => {
+    const staker = '0x0000000000000000000000000000000000000003';
+    const stakeRequestHash = web3.utils.sha3('dummy');
+
+    const spyStakeRequestHashes = sinon.replace(
+      brandedToken.contract.methods,
+      'stakeRequestHashes',
+      sinon.fake.returns({
+        call: () => Promise.resolve(stakeRequestHash),
+      }),
+    );
+
+    const response = await brandedToken.getStakeRequestHash(staker);
+
+    assert.strictEqual(
+      response,
+      stakeRequestHash,
+      'Stake request hash must match',
+    );
+    Spy.assert(spyStakeRequestHashes, 1, [[staker]]);
+  });
+
+  it('should throw an error when staker address is invalid', async () => {
+    const staker = '0x123';
+
+    await AssertAsync.reject(
+      brandedToken.getStakeRequestHash(staker),
+      `Invalid staker address: ${staker}.`,
+    );
+  });
+});
@@ -0,0 +1,198 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const Utils = require('../../../utils/Utils');
+
+describe('BrandedToken.liftRestrictionBulk()', () => {
+  let brandedToken;
+  const txOptions = { from: '0x0000000000000000000000000000000000000001' };
+  // 30000 gas for the transaction plus 25000 gas per address.
+  const maxGasPerBatch = 30000 + 25000 * 3;
+
+  const address = index => Web3.utils.toChecksumAddress(
+    `0x${(index + 16).toString(16).padStart(40, '0')}`,
+  );
+  const addresses = count => Array.from({ length: count }, (value, index) => address(index));
+
+  const fakeContract = (unrestrictedAddresses = []) => {
+    sinon.replace(
+      Utils,
+      'batchCall',
+      sinon.fake(
+        (web3, methods) => Promise.resolve(methods.map(method => method.isUnrestricted)),
+      ),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'isUnrestricted',
+      sinon.fake(account => ({ isUnrestricted: unrestrictedAddresses.includes(account) })),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'liftRestriction',
+      sinon.fake(accounts => ({
+        accounts,
+        estimateGas: () => Promise.resolve(30000 + 25000 * accounts.length),
+      })),
+    );
+  };
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should dedupe, skip unrestricted addresses and split into batches', async () => {
+    fakeContract([address(1)]);
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake(tx => Promise.resolve({ transactionHash: `0x${tx.accounts.length}`, status: true })),
+    );
+    const input = addresses(8).concat([address(0).toLowerCase()]);
+
+    const report = await brandedToken.liftRestrictionBulk(
+      input,
+      txOptions,
+      { maxGasPerBatch },
+    );
+
+    assert.deepEqual(report.skipped, [address(1)], 'Unrestricted address must be skipped');
+    assert.deepEqual(
+      report.batches.map(batch => batch.addresses),
+      [
+        [address(0), address(2), address(3)],
+        [address(4), address(5), address(6)],
+        [address(7)],
+      ],
+      'Addresses must be deduplicated and split by gas',
+    );
+    assert.isTrue(report.complete, 'Report must be complete');
+    assert.strictEqual(spySendTransaction.callCount, 3, 'One transaction per batch must be sent');
+  });
+
+  it('should report failed batches and resume them', async () => {
+    fakeContract();
+    let calls = 0;
+    sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake(() => {
+        calls += 1;
+        return calls === 2
+          ? Promise.reject(new Error('nonce too low'))
+          : Promise.resolve({ transactionHash: '0x1', status: true });
+      }),
+    );
+
+    const report = await brandedToken.liftRestrictionBulk(
+      addresses(6),
+      txOptions,
+      { maxGasPerBatch },
+    );
+
+    assert.isFalse(report.complete, 'Report must not be complete');
+    assert.deepEqual(
+      report.batches.map(batch => batch.status),
+      ['succeeded', 'failed'],
+      'Batch statuses must match',
+    );
+    assert.strictEqual(report.batches[1].error, 'nonce too low', 'Error must be reported');
+
+    const resumedReport = await brandedToken.resumeLiftRestrictionBulk(
+      report,
+      txOptions,
+      { maxGasPerBatch },
+    );
+
+    assert.isTrue(resumedReport.complete, 'Resumed report must be complete');
+    assert.deepEqual(
+      resumedReport.batches.map(batch => batch.addresses),
+      [
+        [address(0), address(1), address(2)],
+        [address(3), address(4), address(5)],
+      ],
+      'Only the failed batch must be retried',
+    );
+    assert.strictEqual(calls, 3, 'Failed batch must be sent again');
+  });
+
+  it('should send batches with bounded concurrency', async () => {
+    fakeContract();
+    let running = 0;
+    let maxRunning = 0;
+    sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake(() => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        return new Promise(resolve => setImmediate(() => {
+          running -= 1;
+          resolve({ transactionHash: '0x1', status: true });
+        }));
+      }),
+    );
+
+    const report = await brandedToken.liftRestrictionBulk(
+      addresses(12),
+      txOptions,
+      { maxGasPerBatch, concurrency: 2 },
+    );
+
+    assert.strictEqual(report.batches.length, 4, 'Number of batches must match');
+    assert.strictEqual(maxRunning, 2, 'Two batches must be sent at the same time');
+  });
+
+  it('should use a fixed batch size when the gas per address is not positive', async () => {
+    sinon.replace(Utils, 'batchCall', sinon.fake(
+      (web3, methods) => Promise.resolve(methods.map(() => false)),
+    ));
+    sinon.replace(
+      brandedToken.contract.methods,
+      'liftRestriction',
+      sinon.fake(accounts => ({ accounts, estimateGas: () => Promise.resolve(30000) })),
+    );
+    sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves({ transactionHash: '0x1', status: true }),
+    );
+
+    const report = await brandedToken.liftRestrictionBulk(
+      addresses(60),
+      txOptions,
+      { maxGasPerBatch },
+    );
+
+    assert.deepEqual(
+      report.batches.map(batch => batch.addresses.length),
+      [50, 10],
+      'Batches must have the fixed size',
+    );
+  });
+
+  it('should throw an error for invalid addresses', async () => {
+    await AssertAsync.reject(
+      brandedToken.liftRestrictionBulk(['0x123'], txOptions),
+      'Invalid addresses: 0x123.',
+    );
+  });
+
+  it('should throw an error when transaction options is undefined', async () => {
+    await AssertAsync.reject(
+      brandedToken.liftRestrictionBulk(addresses(1), undefined),
+      'Invalid transaction options: undefined.',
+    );
+  });
+});
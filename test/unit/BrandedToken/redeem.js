@@ -7,6 +7,7 @@ const { assert } = require('chai');
 const Spy = require('../../utils/Spy');
 const AssertAsync = require('../../utils/AssertAsync');
 const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const RestrictedTransferError = require('../../../lib/Errors/RestrictedTransferError');
 const Utils = require('../../../utils/Utils');
 
 describe('BrandedToken.redeem()', () => {
@@ -29,10 +30,21 @@ describe('BrandedToken.redeem()', () => {
       sinon.fake.resolves(mockRawTx),
     );
 
+    const spyBalanceOf = sinon.replace(
+      brandedToken,
+      'balanceOf',
+      sinon.fake.resolves('100'),
+    );
+    sinon.replace(
+      brandedToken,
+      'redeemPreview',
+      sinon.fake.resolves({ brandedTokens: '100', valueTokens: '28', remainder: '2' }),
+    );
+
     const spySendTransaction = sinon.replace(
       Utils,
       'sendTransaction',
-      sinon.fake.resolves(true),
+      sinon.fake.resolves({ status: true }),
     );
     const txOptions = {
       from: '0x0000000000000000000000000000000000000003',
@@ -42,14 +54,102 @@ describe('BrandedToken.redeem()', () => {
       txOptions,
     );
     assert.isTrue(
-      response,
-      'Redeem should return true',
+      response.status,
+      'Redeem should return receipt',
+    );
+    assert.isUndefined(
+      response.redeemed,
+      'Redeemed event must be undefined without events in receipt',
     );
     Spy.assert(rawTx, 1, [[brandedTokens]]);
+    Spy.assert(spyBalanceOf, 1, [[txOptions.from]]);
     Spy.assert(spySendTransaction, 1, [[mockRawTx, txOptions]]);
     sinon.restore();
   });
 
+  it('should return decoded Redeemed event', async () => {
+    const redeemer = '0x0000000000000000000000000000000000000003';
+    sinon.replace(brandedToken, 'redeemRawTx', sinon.fake.resolves('mockRawTx'));
+    sinon.replace(brandedToken, 'balanceOf', sinon.fake.resolves('100'));
+    sinon.replace(
+      brandedToken,
+      'redeemPreview',
+      sinon.fake.resolves({ brandedTokens: '100', valueTokens: '28', remainder: '2' }),
+    );
+    sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves({
+        status: true,
+        events: {
+          Redeemed: {
+            event: 'Redeemed',
+            address: brandedToken.address,
+            returnValues: { _redeemer: redeemer, _valueTokens: '28' },
+            blockNumber: 10,
+            blockHash: '0x01',
+            transactionHash: '0x02',
+            logIndex: 0,
+          },
+        },
+      }),
+    );
+
+    const response = await brandedToken.redeem('100', { from: redeemer });
+
+    assert.deepEqual(
+      response.redeemed.args,
+      { redeemer, valueTokens: '28' },
+      'Redeemed event must be decoded',
+    );
+    sinon.restore();
+  });
+
+  it('should throw an error when balance is insufficient', async () => {
+    const txOptions = { from: '0x0000000000000000000000000000000000000003' };
+    sinon.replace(brandedToken, 'redeemRawTx', sinon.fake.resolves('mockRawTx'));
+    sinon.replace(brandedToken, 'balanceOf', sinon.fake.resolves('99'));
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves({ status: true }),
+    );
+
+    const promise = brandedToken.redeem('100', txOptions);
+    await AssertAsync.reject(
+      promise,
+      `Insufficient balance of ${txOptions.from}: 99 is less than 100.`,
+    );
+    const error = await promise.catch(e => e);
+    assert.notInstanceOf(error, RestrictedTransferError);
+    Spy.assert(spySendTransaction, 0);
+    sinon.restore();
+  });
+
+  it('should throw an error when no value tokens are released', async () => {
+    const txOptions = { from: '0x0000000000000000000000000000000000000003' };
+    sinon.replace(brandedToken, 'redeemRawTx', sinon.fake.resolves('mockRawTx'));
+    sinon.replace(brandedToken, 'balanceOf', sinon.fake.resolves('100'));
+    const spyRedeemPreview = sinon.replace(
+      brandedToken,
+      'redeemPreview',
+      sinon.fake.resolves({ brandedTokens: '3', valueTokens: '0', remainder: '3' }),
+    );
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves({ status: true }),
+    );
+
+    await AssertAsync.reject(
+      brandedToken.redeem('3', txOptions),
+      'Redeeming 3 branded tokens releases no value tokens.',
+    );
+    Spy.assert(spyRedeemPreview, 1, [['3']]);
+    Spy.assert(spySendTransaction, 0);
+    sinon.restore();
+  });
+
   it('should throw an error when transaction options is undefined', async () => {
     const brandedTokens = '100';
     const txOptions = undefined;
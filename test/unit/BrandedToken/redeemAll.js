@@ -0,0 +1,53 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+
+describe('BrandedToken.redeemAll()', () => {
+  let brandedToken;
+  const txOptions = { from: '0x0000000000000000000000000000000000000003' };
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should redeem the full balance', async () => {
+    const receipt = { status: true };
+    sinon.replace(brandedToken, 'balanceOf', sinon.fake.resolves('250'));
+    const spyRedeem = sinon.replace(brandedToken, 'redeem', sinon.fake.resolves(receipt));
+
+    const response = await brandedToken.redeemAll(txOptions);
+
+    assert.strictEqual(response, receipt, 'Receipt of redeem must be returned');
+    Spy.assert(spyRedeem, 1, [['250', txOptions]]);
+  });
+
+  it('should throw an error when balance is zero', async () => {
+    sinon.replace(brandedToken, 'balanceOf', sinon.fake.resolves('0'));
+    const spyRedeem = sinon.replace(brandedToken, 'redeem', sinon.fake.resolves(true));
+
+    await AssertAsync.reject(
+      brandedToken.redeemAll(txOptions),
+      `No branded tokens to redeem for ${txOptions.from}.`,
+    );
+    Spy.assert(spyRedeem, 0);
+  });
+
+  it('should throw an error when transaction options is undefined', async () => {
+    await AssertAsync.reject(
+      brandedToken.redeemAll(undefined),
+      'Invalid transaction options: undefined.',
+    );
+  });
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const Converter = require('../../../lib/Converter');
+
+describe('BrandedToken.redeemPreview()', () => {
+  let brandedToken;
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    sinon.replace(web3.eth.net, 'getId', sinon.fake.resolves(3));
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+    Converter.clearCache();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    Converter.clearCache();
+  });
+
+  it('should return released value tokens and rounding remainder', async () => {
+    // 1 value token is equivalent to 3.5 branded tokens.
+    sinon.replace(brandedToken, 'getConversionRate', sinon.fake.resolves('35'));
+    sinon.replace(brandedToken, 'getConversionRateDecimals', sinon.fake.resolves('1'));
+
+    const preview = await brandedToken.redeemPreview('10');
+
+    assert.deepEqual(
+      preview,
+      { brandedTokens: '10', valueTokens: '2', remainder: '3' },
+      'Preview must match',
+    );
+  });
+});
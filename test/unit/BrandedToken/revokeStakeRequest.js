@@ -0,0 +1,128 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const Utils = require('../../../utils/Utils');
+
+describe('BrandedToken.revokeStakeRequest()', () => {
+  let brandedToken;
+  let web3;
+  const staker = '0x0000000000000000000000000000000000000003';
+
+  beforeEach(() => {
+    web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should pass with correct params', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const mockRawTx = 'mockRawTx';
+
+    const rawTx = sinon.replace(
+      brandedToken,
+      'revokeStakeRequestRawTx',
+      sinon.fake.resolves(mockRawTx),
+    );
+
+    const spyStakeRequests = sinon.replace(
+      brandedToken.contract.methods,
+      'stakeRequests',
+      sinon.fake.returns({
+        call: () => Promise.resolve({ staker, stake: '100', nonce: '1' }),
+      }),
+    );
+
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(true),
+    );
+    const txOptions = {
+      from: staker,
+    };
+    const response = await brandedToken.revokeStakeRequest(
+      stakeRequestHash,
+      txOptions,
+    );
+    assert.isTrue(
+      response,
+      'Revoke stake should return true',
+    );
+    Spy.assert(rawTx, 1, [[stakeRequestHash]]);
+    Spy.assert(spyStakeRequests, 1, [[stakeRequestHash]]);
+    Spy.assert(spySendTransaction, 1, [[mockRawTx, txOptions]]);
+  });
+
+  it('should throw an error when caller is not the staker', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+
+    sinon.replace(
+      brandedToken,
+      'revokeStakeRequestRawTx',
+      sinon.fake.resolves('mockRawTx'),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'stakeRequests',
+      sinon.fake.returns({
+        call: () => Promise.resolve({ staker, stake: '100', nonce: '1' }),
+      }),
+    );
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(true),
+    );
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000004',
+    };
+
+    await AssertAsync.reject(
+      brandedToken.revokeStakeRequest(stakeRequestHash, txOptions),
+      `Stake request ${stakeRequestHash} can only be revoked by its staker ${staker}, not by ${txOptions.from}.`,
+    );
+    Spy.assert(spySendTransaction, 0);
+  });
+
+  it('should throw an error when transaction options is undefined', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const txOptions = undefined;
+
+    await AssertAsync.reject(
+      brandedToken.revokeStakeRequest(stakeRequestHash, txOptions),
+      `Invalid transaction options: ${txOptions}.`,
+    );
+  });
+
+  it('should throw an error when account address is undefined', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const txOptions = {};
+
+    await AssertAsync.reject(
+      brandedToken.revokeStakeRequest(stakeRequestHash, txOptions),
+      `Invalid from address ${txOptions.from} in transaction options.`,
+    );
+  });
+
+  it('should throw an error when account address is invalid', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const txOptions = {
+      from: '0x123',
+    };
+
+    await AssertAsync.reject(
+      brandedToken.revokeStakeRequest(stakeRequestHash, txOptions),
+      `Invalid from address ${txOptions.from} in transaction options.`,
+    );
+  });
+});
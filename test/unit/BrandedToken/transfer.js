@@ -0,0 +1,116 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const RestrictedTransferError = require('../../../lib/Errors/RestrictedTransferError');
+const Utils = require('../../../utils/Utils');
+
+describe('BrandedToken.transfer()', () => {
+  let brandedToken;
+  const sender = '0x0000000000000000000000000000000000000003';
+  const to = '0x0000000000000000000000000000000000000004';
+  const txOptions = { from: sender };
+
+  const fakeChecks = (unrestricted, balance) => {
+    sinon.replace(
+      brandedToken.contract.methods,
+      'isUnrestricted',
+      sinon.fake.returns({ call: () => Promise.resolve(unrestricted) }),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'balanceOf',
+      sinon.fake.returns({ call: () => Promise.resolve(balance) }),
+    );
+  };
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should pass with correct params', async () => {
+    const mockRawTx = 'mockRawTx';
+    const rawTx = sinon.replace(
+      brandedToken,
+      'transferRawTx',
+      sinon.fake.resolves(mockRawTx),
+    );
+    fakeChecks(true, '100');
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(true),
+    );
+
+    const response = await brandedToken.transfer(to, '100', txOptions);
+
+    assert.isTrue(response, 'Transfer should return true');
+    Spy.assert(rawTx, 1, [[to, '100']]);
+    Spy.assert(spySendTransaction, 1, [[mockRawTx, txOptions]]);
+  });
+
+  it('should throw RestrictedTransferError when sender is restricted', async () => {
+    fakeChecks(false, '100');
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(true),
+    );
+
+    const promise = brandedToken.transfer(to, '100', txOptions);
+    await AssertAsync.reject(
+      promise,
+      `Address ${sender} is restricted and cannot transfer branded tokens.`,
+    );
+    const error = await promise.catch(e => e);
+    assert.instanceOf(error, RestrictedTransferError);
+    assert.strictEqual(error.reason, RestrictedTransferError.Reasons.Restricted);
+    assert.strictEqual(error.address, sender);
+    Spy.assert(spySendTransaction, 0);
+  });
+
+  it('should throw RestrictedTransferError when balance is insufficient', async () => {
+    fakeChecks(true, '99');
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(true),
+    );
+
+    const promise = brandedToken.transfer(to, '100', txOptions);
+    await AssertAsync.reject(
+      promise,
+      `Insufficient balance of ${sender}: 99 is less than 100.`,
+    );
+    const error = await promise.catch(e => e);
+    assert.strictEqual(error.reason, RestrictedTransferError.Reasons.InsufficientBalance);
+    Spy.assert(spySendTransaction, 0);
+  });
+
+  it('should throw an error when transaction options is undefined', async () => {
+    await AssertAsync.reject(
+      brandedToken.transfer(to, '100', undefined),
+      'Invalid transaction options: undefined.',
+    );
+  });
+
+  it('should throw an error when account address is invalid', async () => {
+    const invalidTxOptions = { from: '0x123' };
+
+    await AssertAsync.reject(
+      brandedToken.transfer(to, '100', invalidTxOptions),
+      `Invalid from address ${invalidTxOptions.from} in transaction options.`,
+    );
+  });
+});
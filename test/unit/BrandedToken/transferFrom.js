@@ -0,0 +1,96 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const RestrictedTransferError = require('../../../lib/Errors/RestrictedTransferError');
+const Utils = require('../../../utils/Utils');
+
+describe('BrandedToken.transferFrom()', () => {
+  let brandedToken;
+  const spender = '0x0000000000000000000000000000000000000003';
+  const owner = '0x0000000000000000000000000000000000000005';
+  const to = '0x0000000000000000000000000000000000000004';
+  const txOptions = { from: spender };
+
+  const fakeChecks = (unrestricted, balance, allowance) => {
+    const spyIsUnrestricted = sinon.replace(
+      brandedToken.contract.methods,
+      'isUnrestricted',
+      sinon.fake.returns({ call: () => Promise.resolve(unrestricted) }),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'balanceOf',
+      sinon.fake.returns({ call: () => Promise.resolve(balance) }),
+    );
+    sinon.replace(
+      brandedToken.contract.methods,
+      'allowance',
+      sinon.fake.returns({ call: () => Promise.resolve(allowance) }),
+    );
+    return spyIsUnrestricted;
+  };
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should check the spender restriction and pass with correct params', async () => {
+    const mockRawTx = 'mockRawTx';
+    const rawTx = sinon.replace(
+      brandedToken,
+      'transferFromRawTx',
+      sinon.fake.resolves(mockRawTx),
+    );
+    const spyIsUnrestricted = fakeChecks(true, '100', '100');
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(true),
+    );
+
+    const response = await brandedToken.transferFrom(owner, to, '100', txOptions);
+
+    assert.isTrue(response, 'Transfer from should return true');
+    Spy.assert(rawTx, 1, [[owner, to, '100']]);
+    Spy.assert(spyIsUnrestricted, 1, [[spender]]);
+    Spy.assert(spySendTransaction, 1, [[mockRawTx, txOptions]]);
+  });
+
+  it('should throw RestrictedTransferError when allowance is insufficient', async () => {
+    fakeChecks(true, '100', '50');
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(true),
+    );
+
+    const promise = brandedToken.transferFrom(owner, to, '100', txOptions);
+    await AssertAsync.reject(
+      promise,
+      `Insufficient allowance of ${spender} from ${owner}: 50 is less than 100.`,
+    );
+    const error = await promise.catch(e => e);
+    assert.instanceOf(error, RestrictedTransferError);
+    assert.strictEqual(error.reason, RestrictedTransferError.Reasons.InsufficientAllowance);
+    Spy.assert(spySendTransaction, 0);
+  });
+
+  it('should throw an error when from address is invalid', async () => {
+    await AssertAsync.reject(
+      brandedToken.transferFrom('0x123', to, '100', txOptions),
+      'Invalid from address: 0x123.',
+    );
+  });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('BrandedToken.transferRawTx()', () => {
+  let brandedToken;
+  const to = '0x0000000000000000000000000000000000000004';
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    brandedToken = new BrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return correct raw tx', async () => {
+    const mockTx = 'mockTx';
+    const spyRawTx = sinon.replace(
+      brandedToken.contract.methods,
+      'transfer',
+      sinon.fake.returns(mockTx),
+    );
+
+    const response = await brandedToken.transferRawTx(to, '100');
+
+    assert.strictEqual(response, mockTx, 'It must return correct raw tx');
+    Spy.assert(spyRawTx, 1, [[to, '100']]);
+  });
+
+  it('should throw an error when to address is invalid', async () => {
+    await AssertAsync.reject(
+      brandedToken.transferRawTx('0x123', '100'),
+      'Invalid to address: 0x123.',
+    );
+  });
+
+  it('should throw an error when amount is invalid', async () => {
+    await AssertAsync.reject(
+      brandedToken.transferRawTx(to, '-1'),
+      'Invalid transfer amount: -1.',
+    );
+  });
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const Converter = require('../../../lib/Converter');
+
+describe('Converter.constructor()', () => {
+  it('should construct with correct parameters', () => {
+    const converter = new Converter('35', '1');
+
+    assert.strictEqual(
+      converter.conversionRate.toString(10),
+      '35',
+      'Conversion rate must match',
+    );
+    assert.strictEqual(
+      converter.conversionRateDecimals,
+      1,
+      'Conversion rate decimals must match',
+    );
+  });
+
+  it('should throw an error when conversion rate is zero', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new Converter('0', '1');
+    }, 'Invalid conversion rate: 0. It should be greater than zero');
+  });
+
+  it('should throw an error when conversion rate decimals is greater than 5', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new Converter('35', '6');
+    }, 'Invalid conversion rate decimals: 6. It should not be greater than 5');
+  });
+});
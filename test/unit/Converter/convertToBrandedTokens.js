@@ -0,0 +1,67 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const Converter = require('../../../lib/Converter');
+
+describe('Converter.convertToBrandedTokens()', () => {
+  // 1 value token is equivalent to 3.5 branded tokens.
+  const converter = new Converter('35', '1');
+
+  it('should round down like the contract', () => {
+    assert.strictEqual(converter.convertToBrandedTokens('1'), '3', '1 * 3.5 rounds to 3');
+    assert.strictEqual(converter.convertToBrandedTokens('2'), '7', '2 * 3.5 is 7');
+    assert.strictEqual(converter.convertToBrandedTokens('0'), '0', '0 * 3.5 is 0');
+  });
+
+  it('should report value tokens lost to rounding', () => {
+    // 3 BT only require 1 VT (3.5 BT), so nothing is lost.
+    assert.deepEqual(
+      converter.convertToBrandedTokensWithDust('1'),
+      { brandedTokens: '3', dust: '0' },
+      'No dust must be reported',
+    );
+    // 10 VT mint 35 BT. 11 VT also only mint 38 BT, which 11 VT are needed for.
+    assert.deepEqual(
+      converter.convertToBrandedTokensWithDust('11'),
+      { brandedTokens: '38', dust: '0' },
+      'No dust must be reported',
+    );
+  });
+
+  it('should report dust when several value token amounts mint the same', () => {
+    // 1 VT is equivalent to 0.7 BT, so 2 VT and 1 VT both mint 1 BT.
+    const smallRateConverter = new Converter('7', '1');
+
+    assert.deepEqual(
+      smallRateConverter.convertToBrandedTokensWithDust('2'),
+      { brandedTokens: '1', dust: '0' },
+      '2 VT are required for 1 BT',
+    );
+    assert.deepEqual(
+      smallRateConverter.convertToBrandedTokensWithDust('3'),
+      { brandedTokens: '2', dust: '0' },
+      '3 VT are required for 2 BT',
+    );
+    assert.deepEqual(
+      smallRateConverter.convertToBrandedTokensWithDust('4'),
+      { brandedTokens: '2', dust: '1' },
+      'One VT is lost to rounding',
+    );
+  });
+
+  it('should handle large amounts', () => {
+    assert.strictEqual(
+      converter.convertToBrandedTokens('1000000000000000000000000000'),
+      '3500000000000000000000000000',
+      'Large amounts must be converted without precision loss',
+    );
+  });
+
+  it('should throw an error for invalid amount', () => {
+    assert.throws(
+      () => converter.convertToBrandedTokens('-1'),
+      'Invalid amount of value tokens: -1.',
+    );
+  });
+});
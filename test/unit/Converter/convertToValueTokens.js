@@ -0,0 +1,41 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const Converter = require('../../../lib/Converter');
+
+describe('Converter.convertToValueTokens()', () => {
+  // 1 value token is equivalent to 3.5 branded tokens.
+  const converter = new Converter('35', '1');
+
+  it('should round down like the contract', () => {
+    assert.strictEqual(converter.convertToValueTokens('7'), '2', '7 / 3.5 is 2');
+    assert.strictEqual(converter.convertToValueTokens('10'), '2', '10 / 3.5 rounds to 2');
+    assert.strictEqual(converter.convertToValueTokens('3'), '0', '3 / 3.5 rounds to 0');
+  });
+
+  it('should report branded tokens lost to rounding', () => {
+    assert.deepEqual(
+      converter.convertToValueTokensWithDust('7'),
+      { valueTokens: '2', dust: '0' },
+      'No dust must be reported',
+    );
+    assert.deepEqual(
+      converter.convertToValueTokensWithDust('10'),
+      { valueTokens: '2', dust: '3' },
+      '3 BT are lost to rounding',
+    );
+    assert.deepEqual(
+      converter.convertToValueTokensWithDust('3'),
+      { valueTokens: '0', dust: '3' },
+      'All BT are lost to rounding',
+    );
+  });
+
+  it('should throw an error for invalid amount', () => {
+    assert.throws(
+      () => converter.convertToValueTokens(undefined),
+      'Invalid amount of branded tokens: undefined.',
+    );
+  });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const Converter = require('../../../lib/Converter');
+
+describe('Converter.fromBrandedToken()', () => {
+  let brandedToken;
+  let web3;
+  const tokenAddress = '0x0000000000000000000000000000000000000002';
+
+  beforeEach(() => {
+    web3 = new Web3();
+    sinon.replace(web3.eth.net, 'getId', sinon.fake.resolves(3));
+    brandedToken = new BrandedToken(web3, tokenAddress);
+    Converter.clearCache();
+  });
+
+  afterEach(() => {
+    sinon.restore();
+    Converter.clearCache();
+  });
+
+  it('should hydrate converter once per branded token', async () => {
+    const spyConversionRate = sinon.replace(
+      brandedToken,
+      'getConversionRate',
+      sinon.fake.resolves('35'),
+    );
+    const spyConversionRateDecimals = sinon.replace(
+      brandedToken,
+      'getConversionRateDecimals',
+      sinon.fake.resolves('1'),
+    );
+
+    const converter = await Converter.fromBrandedToken(brandedToken);
+    const cachedConverter = await Converter.fromBrandedToken(brandedToken);
+
+    assert.strictEqual(converter, cachedConverter, 'Converter must be cached');
+    assert.strictEqual(
+      converter.convertToBrandedTokens('2'),
+      '7',
+      'Converter must use conversion rate of branded token',
+    );
+    Spy.assert(spyConversionRate, 1, [[]]);
+    Spy.assert(spyConversionRateDecimals, 1, [[]]);
+  });
+
+  it('should cache converters per chain', async () => {
+    const otherWeb3 = new Web3();
+    sinon.replace(otherWeb3.eth.net, 'getId', sinon.fake.resolves(5));
+    const otherBrandedToken = new BrandedToken(otherWeb3, tokenAddress);
+    sinon.replace(brandedToken, 'getConversionRate', sinon.fake.resolves('35'));
+    sinon.replace(brandedToken, 'getConversionRateDecimals', sinon.fake.resolves('1'));
+    sinon.replace(otherBrandedToken, 'getConversionRate', sinon.fake.resolves('2'));
+    sinon.replace(otherBrandedToken, 'getConversionRateDecimals', sinon.fake.resolves('0'));
+
+    const converter = await Converter.fromBrandedToken(brandedToken);
+    const otherConverter = await Converter.fromBrandedToken(otherBrandedToken);
+
+    assert.notStrictEqual(converter, otherConverter, 'Converters must differ');
+    assert.strictEqual(
+      otherConverter.convertToBrandedTokens('2'),
+      '4',
+      'Converter must use conversion rate of its chain',
+    );
+    Spy.assert(web3.eth.net.getId, 1, [[]]);
+  });
+});
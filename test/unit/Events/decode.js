@@ -0,0 +1,72 @@
+'use strict';
+
+const Web3 = require('web3');
+const { assert } = require('chai');
+
+const Contracts = require('../../../lib/Contracts');
+const Events = require('../../../lib/ContractInteract/Events');
+
+describe('Events.decode()', () => {
+  let contract;
+  let web3;
+
+  beforeEach(() => {
+    web3 = new Web3();
+    contract = Contracts.getBrandedToken(
+      web3,
+      '0x0000000000000000000000000000000000000002',
+    );
+  });
+
+  it('should decode StakeRequested event', () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const staker = '0x0000000000000000000000000000000000000003';
+    const eventLog = {
+      event: 'StakeRequested',
+      address: contract.options.address,
+      returnValues: {
+        0: stakeRequestHash,
+        1: staker,
+        2: '100',
+        3: '1',
+        _stakeRequestHash: stakeRequestHash,
+        _staker: staker,
+        _stake: '100',
+        _nonce: '1',
+      },
+      blockNumber: 10,
+      blockHash: web3.utils.sha3('block'),
+      transactionHash: web3.utils.sha3('tx'),
+      logIndex: 2,
+    };
+
+    const event = Events.decode(contract, eventLog);
+
+    assert.deepEqual(
+      event,
+      {
+        event: 'StakeRequested',
+        address: contract.options.address,
+        args: {
+          stakeRequestHash,
+          staker,
+          stake: '100',
+          nonce: '1',
+        },
+        blockNumber: 10,
+        blockHash: eventLog.blockHash,
+        transactionHash: eventLog.transactionHash,
+        logIndex: 2,
+        removed: false,
+      },
+      'Decoded event must match',
+    );
+  });
+
+  it('should throw an error for unknown event', () => {
+    assert.throws(
+      () => Events.decode(contract, { event: 'Unknown', returnValues: {} }),
+      'Invalid event name: Unknown.',
+    );
+  });
+});
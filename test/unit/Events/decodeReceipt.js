@@ -0,0 +1,68 @@
+'use strict';
+
+const Web3 = require('web3');
+const { assert } = require('chai');
+
+const Contracts = require('../../../lib/Contracts');
+const Events = require('../../../lib/ContractInteract/Events');
+
+describe('Events.decodeReceipt()', () => {
+  let contract;
+  let web3;
+
+  const stakeRequestedLog = (name, logIndex) => ({
+    address: contract.options.address,
+    topics: [
+      web3.eth.abi.encodeEventSignature('StakeRequested(bytes32,address,uint256,uint256)'),
+      web3.utils.sha3(name),
+    ],
+    data: web3.eth.abi.encodeParameters(
+      ['address', 'uint256', 'uint256'],
+      ['0x0000000000000000000000000000000000000003', '100', '1'],
+    ),
+    blockNumber: 10,
+    blockHash: web3.utils.sha3('block'),
+    transactionHash: web3.utils.sha3('tx'),
+    transactionIndex: 0,
+    logIndex,
+  });
+
+  beforeEach(() => {
+    web3 = new Web3();
+    contract = Contracts.getBrandedToken(
+      web3,
+      '0x0000000000000000000000000000000000000002',
+    );
+  });
+
+  it('should decode logs into events like a sent transaction', () => {
+    const otherLog = {
+      ...stakeRequestedLog('other', 2),
+      topics: [web3.utils.sha3('Other()')],
+      data: '0x',
+    };
+    const receipt = {
+      status: true,
+      transactionHash: web3.utils.sha3('tx'),
+      logs: [stakeRequestedLog('first', 0), stakeRequestedLog('second', 1), otherLog],
+    };
+
+    const decoded = Events.decodeReceipt(contract, receipt);
+
+    assert.isUndefined(decoded.logs, 'Logs must be replaced by events');
+    assert.strictEqual(decoded.transactionHash, receipt.transactionHash);
+    assert.deepEqual(
+      decoded.events.StakeRequested.map(event => event.returnValues._stakeRequestHash),
+      [web3.utils.sha3('first'), web3.utils.sha3('second')],
+      'Events of the same name must be collected',
+    );
+    assert.strictEqual(decoded.events.StakeRequested[0].returnValues._stake, '100');
+    assert.strictEqual(decoded.events[0].raw.topics[0], web3.utils.sha3('Other()'));
+  });
+
+  it('should return a receipt without logs unchanged', () => {
+    const receipt = { status: true, events: {} };
+
+    assert.strictEqual(Events.decodeReceipt(contract, receipt), receipt);
+  });
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const Contracts = require('../../../lib/Contracts');
+const Events = require('../../../lib/ContractInteract/Events');
+
+describe('Events.getPastEvents()', () => {
+  let contract;
+  let web3;
+  const redeemer = '0x0000000000000000000000000000000000000003';
+
+  const redeemedLog = blockNumber => ({
+    event: 'Redeemed',
+    returnValues: {
+      _redeemer: redeemer,
+      _valueTokens: '10',
+    },
+    blockNumber,
+    blockHash: web3.utils.sha3(`block${blockNumber}`),
+    transactionHash: web3.utils.sha3(`tx${blockNumber}`),
+    logIndex: 0,
+  });
+
+  beforeEach(() => {
+    web3 = new Web3();
+    contract = Contracts.getBrandedToken(
+      web3,
+      '0x0000000000000000000000000000000000000002',
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should query block range in pages', async () => {
+    const spyGetPastEvents = sinon.replace(
+      contract,
+      'getPastEvents',
+      sinon.fake((eventName, options) => Promise.resolve([redeemedLog(options.fromBlock)])),
+    );
+    const filter = { _staker: redeemer };
+
+    const events = await Events.getPastEvents(
+      web3,
+      contract,
+      'Redeemed',
+      {
+        fromBlock: 0,
+        toBlock: 25,
+        filter,
+        blockRange: 10,
+      },
+    );
+
+    Spy.assert(
+      spyGetPastEvents,
+      3,
+      [
+        ['Redeemed', { filter, fromBlock: 0, toBlock: 9 }],
+        ['Redeemed', { filter, fromBlock: 10, toBlock: 19 }],
+        ['Redeemed', { filter, fromBlock: 20, toBlock: 25 }],
+      ],
+    );
+    assert.deepEqual(
+      events.map(event => event.blockNumber),
+      [0, 10, 20],
+      'Events of all pages must be returned in order',
+    );
+    assert.deepEqual(
+      events[0].args,
+      { redeemer, valueTokens: '10' },
+      'Event arguments must be decoded',
+    );
+  });
+
+  it('should resolve latest block number when toBlock is not given', async () => {
+    const spyGetBlockNumber = sinon.replace(
+      web3.eth,
+      'getBlockNumber',
+      sinon.fake.resolves(5),
+    );
+    const spyGetPastEvents = sinon.replace(
+      contract,
+      'getPastEvents',
+      sinon.fake.resolves([]),
+    );
+
+    await Events.getPastEvents(web3, contract, 'Redeemed', { fromBlock: 3 });
+
+    Spy.assert(spyGetBlockNumber, 1, [[]]);
+    Spy.assert(
+      spyGetPastEvents,
+      1,
+      [['Redeemed', { filter: undefined, fromBlock: 3, toBlock: 5 }]],
+    );
+  });
+
+  it('should convert string blocks to numbers', async () => {
+    const spyGetPastEvents = sinon.replace(
+      contract,
+      'getPastEvents',
+      sinon.fake.resolves([]),
+    );
+
+    await Events.getPastEvents(web3, contract, 'Redeemed', {
+      fromBlock: 'earliest',
+      toBlock: '0x10',
+      blockRange: 10,
+    });
+    await Events.getPastEvents(web3, contract, 'Redeemed', {
+      fromBlock: '20',
+      toBlock: 25,
+      blockRange: 10,
+    });
+
+    Spy.assert(
+      spyGetPastEvents,
+      3,
+      [
+        ['Redeemed', { filter: undefined, fromBlock: 0, toBlock: 9 }],
+        ['Redeemed', { filter: undefined, fromBlock: 10, toBlock: 16 }],
+        ['Redeemed', { filter: undefined, fromBlock: 20, toBlock: 25 }],
+      ],
+    );
+  });
+
+  it('should reject blocks that are not integers', async () => {
+    await AssertAsync.reject(
+      Events.getPastEvents(web3, contract, 'Redeemed', { fromBlock: 'pending', toBlock: 5 }),
+      'Invalid fromBlock: pending.',
+    );
+    await AssertAsync.reject(
+      Events.getPastEvents(web3, contract, 'Redeemed', { fromBlock: 0, toBlock: 1.5 }),
+      'Invalid toBlock: 1.5.',
+    );
+  });
+
+  it('should throw an error for unknown event', async () => {
+    await AssertAsync.reject(
+      Events.getPastEvents(web3, contract, 'Unknown', {}),
+      'Invalid event name: Unknown.',
+    );
+  });
+});
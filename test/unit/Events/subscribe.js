@@ -0,0 +1,89 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { EventEmitter } = require('events');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const Contracts = require('../../../lib/Contracts');
+const Events = require('../../../lib/ContractInteract/Events');
+
+describe('Events.subscribe()', () => {
+  let contract;
+  let web3;
+
+  beforeEach(() => {
+    web3 = new Web3();
+    contract = Contracts.getBrandedToken(
+      web3,
+      '0x0000000000000000000000000000000000000002',
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should pass decoded events and errors to handler', () => {
+    const emitter = new EventEmitter();
+    const spyEvent = sinon.replace(
+      contract.events,
+      'Redeemed',
+      sinon.fake.returns(emitter),
+    );
+    const handler = sinon.fake();
+    const filter = {};
+
+    const subscription = Events.subscribe(contract, 'Redeemed', filter, handler);
+    emitter.emit('data', {
+      event: 'Redeemed',
+      returnValues: {
+        _redeemer: '0x0000000000000000000000000000000000000003',
+        _valueTokens: '10',
+      },
+      blockNumber: 1,
+    });
+    const error = new Error('connection lost');
+    emitter.emit('error', error);
+
+    assert.strictEqual(subscription, emitter, 'Subscription must be returned');
+    Spy.assert(spyEvent, 1, [[{ filter }]]);
+    assert.strictEqual(handler.callCount, 2, 'Handler must be called twice');
+    assert.deepEqual(
+      handler.args[0][1].args,
+      {
+        redeemer: '0x0000000000000000000000000000000000000003',
+        valueTokens: '10',
+      },
+      'Decoded event must be passed to handler',
+    );
+    assert.strictEqual(handler.args[1][0], error, 'Error must be passed to handler');
+  });
+
+  it('should mark logs removed by a reorganization', () => {
+    const emitter = new EventEmitter();
+    sinon.replace(contract.events, 'Redeemed', sinon.fake.returns(emitter));
+    const handler = sinon.fake();
+
+    Events.subscribe(contract, 'Redeemed', {}, handler);
+    emitter.emit('changed', {
+      event: 'Redeemed',
+      returnValues: {
+        _redeemer: '0x0000000000000000000000000000000000000003',
+        _valueTokens: '10',
+      },
+      blockNumber: 1,
+      removed: false,
+    });
+
+    assert.strictEqual(handler.args[0][1].removed, true, 'Event must be marked removed');
+  });
+
+  it('should throw an error when handler is not a function', () => {
+    assert.throws(
+      () => Events.subscribe(contract, 'Redeemed', {}, undefined),
+      'Invalid event handler: undefined.',
+    );
+  });
+});
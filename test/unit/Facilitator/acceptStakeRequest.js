@@ -1,6 +1,7 @@
 'use strict';
 
 const Web3 = require('web3');
+const Mosaic = require('@openst/mosaic.js');
 const sinon = require('sinon');
 const { assert } = require('chai');
 
@@ -13,7 +14,28 @@ describe('Facilitator.acceptStakeRequest()', () => {
   const valueToken = '0x0000000000000000000000000000000000000002';
   const brandedToken = '0x0000000000000000000000000000000000000003';
   const gatewayComposer = '0x0000000000000000000000000000000000000004';
+  const gateway = '0x0000000000000000000000000000000000000001';
   let originWeb3;
+  let fakeGetStakeRequest;
+
+  const fakeGateway = ({ bounty = '100', baseToken = valueToken, balance = '100' } = {}) => {
+    fakeGetStakeRequest = sinon.replace(
+      facilitator.gatewayComposer,
+      'getStakeRequest',
+      sinon.fake.resolves({ gateway, exists: true }),
+    );
+    sinon.replace(
+      Mosaic.ContractInteract.EIP20Gateway.prototype,
+      'getBounty',
+      sinon.fake.resolves(bounty),
+    );
+    sinon.replace(
+      Mosaic.ContractInteract.EIP20Gateway.prototype,
+      'getBaseToken',
+      sinon.fake.resolves(baseToken),
+    );
+    sinon.replace(facilitator.valueToken, 'balanceOf', sinon.fake.resolves(balance));
+  };
 
   beforeEach(() => {
     originWeb3 = new Web3();
@@ -24,6 +46,12 @@ describe('Facilitator.acceptStakeRequest()', () => {
       brandedToken,
       gatewayComposer,
     );
+    sinon.replace(facilitator.valueToken, 'allowance', sinon.fake.resolves('0'));
+    fakeGateway();
+  });
+
+  afterEach(() => {
+    sinon.restore();
   });
 
   it('should return valid receipts on success ', async () => {
@@ -124,7 +152,7 @@ describe('Facilitator.acceptStakeRequest()', () => {
 
     const expectedMessage = `Approval for bounty is failed with transactionHash: ${fakeApproveReceipt.transactionHash}`;
 
-    AssertAsync.reject(
+    await AssertAsync.reject(
       facilitator.acceptStakeRequest(
         stakeRequestHash,
         signature,
@@ -200,4 +228,160 @@ describe('Facilitator.acceptStakeRequest()', () => {
       ],
     );
   });
+
+  it('should skip approval when the allowance covers the bounty', async () => {
+    sinon.restore();
+    fakeGateway();
+    sinon.replace(facilitator.valueToken, 'allowance', sinon.fake.resolves('100'));
+    const fakeValueTokenApprove = sinon.replace(
+      facilitator.valueToken,
+      'approve',
+      sinon.fake.resolves({ status: true }),
+    );
+    const fakeAcceptStakeReceipt = { status: true };
+    sinon.replace(
+      facilitator.gatewayComposer,
+      'acceptStakeRequest',
+      sinon.fake.resolves(fakeAcceptStakeReceipt),
+    );
+
+    const receipts = await facilitator.acceptStakeRequest(
+      originWeb3.utils.sha3('dummy'),
+      { r: 'r', s: 's', v: 'v' },
+      '100',
+      originWeb3.utils.sha3('dummy'),
+      { from: '0x0000000000000000000000000000000000000002' },
+    );
+
+    assert.deepEqual(
+      receipts,
+      {
+        approveForBountyPath: 'skipped',
+        acceptStakeRequestReceipt: fakeAcceptStakeReceipt,
+      },
+      'Receipts must not contain an approval',
+    );
+    Spy.assert(fakeValueTokenApprove, 0, [[]]);
+  });
+
+  it('should approve the bounty of the gateway if no bounty is given', async () => {
+    sinon.restore();
+    fakeGateway({ bounty: '70' });
+    sinon.replace(facilitator.valueToken, 'allowance', sinon.fake.resolves('0'));
+    const fakeValueTokenApprove = sinon.replace(
+      facilitator.valueToken,
+      'approve',
+      sinon.fake.resolves({ status: true }),
+    );
+    sinon.replace(
+      facilitator.gatewayComposer,
+      'acceptStakeRequest',
+      sinon.fake.resolves({ status: true }),
+    );
+    const stakeRequestHash = originWeb3.utils.sha3('dummy');
+    const txOptions = { from: '0x0000000000000000000000000000000000000005' };
+
+    await facilitator.acceptStakeRequest(
+      stakeRequestHash,
+      { r: 'r', s: 's', v: 'v' },
+      undefined,
+      originWeb3.utils.sha3('dummy'),
+      txOptions,
+    );
+
+    Spy.assert(fakeGetStakeRequest, 1, [[stakeRequestHash]]);
+    Spy.assert(facilitator.valueToken.balanceOf, 1, [[txOptions.from]]);
+    Spy.assert(fakeValueTokenApprove, 1, [[gatewayComposer, '70', txOptions]]);
+  });
+
+  describe('fails early', () => {
+    let fakeValueTokenApprove;
+    const accept = bountyInWei => facilitator.acceptStakeRequest(
+      originWeb3.utils.sha3('dummy'),
+      { r: 'r', s: 's', v: 'v' },
+      bountyInWei,
+      originWeb3.utils.sha3('dummy'),
+      { from: '0x0000000000000000000000000000000000000005' },
+    );
+
+    beforeEach(() => {
+      sinon.restore();
+      fakeValueTokenApprove = sinon.replace(
+        facilitator.valueToken,
+        'approve',
+        sinon.fake.resolves({ status: true }),
+      );
+    });
+
+    afterEach(() => {
+      Spy.assert(fakeValueTokenApprove, 0, [[]]);
+    });
+
+    it('should fail if transaction options are undefined', async () => {
+      await AssertAsync.reject(
+        facilitator.acceptStakeRequest(
+          originWeb3.utils.sha3('dummy'),
+          { r: 'r', s: 's', v: 'v' },
+          '100',
+          originWeb3.utils.sha3('dummy'),
+          undefined,
+        ),
+        'Invalid transaction options: undefined.',
+      );
+    });
+
+    it('should fail if the from address is invalid', async () => {
+      await AssertAsync.reject(
+        facilitator.acceptStakeRequest(
+          originWeb3.utils.sha3('dummy'),
+          { r: 'r', s: 's', v: 'v' },
+          '100',
+          originWeb3.utils.sha3('dummy'),
+          { from: '0x12' },
+        ),
+        'Invalid from address 0x12 in transaction options.',
+      );
+    });
+
+    it('should fail if the stake request does not exist', async () => {
+      sinon.replace(
+        facilitator.gatewayComposer,
+        'getStakeRequest',
+        sinon.fake.resolves({ exists: false }),
+      );
+
+      await AssertAsync.reject(
+        accept('100'),
+        `Stake request ${originWeb3.utils.sha3('dummy')} does not exist.`,
+      );
+    });
+
+    it('should fail if the bounty does not match the gateway', async () => {
+      fakeGateway({ bounty: '150' });
+
+      await AssertAsync.reject(
+        accept('100'),
+        `Bounty 100 does not match bounty 150 of gateway ${gateway}.`,
+      );
+    });
+
+    it('should fail if the base token is not the value token', async () => {
+      const baseToken = '0x0000000000000000000000000000000000000008';
+      fakeGateway({ baseToken });
+
+      await AssertAsync.reject(
+        accept('100'),
+        `Base token ${baseToken} of gateway ${gateway} is not the value token ${valueToken}.`,
+      );
+    });
+
+    it('should fail if the facilitator does not hold the bounty', async () => {
+      fakeGateway({ balance: '99' });
+
+      await AssertAsync.reject(
+        accept(undefined),
+        'Facilitator 0x0000000000000000000000000000000000000005 holds 99 value tokens, less than the bounty 100.',
+      );
+    });
+  });
 });
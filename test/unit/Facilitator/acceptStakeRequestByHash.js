@@ -0,0 +1,188 @@
+'use strict';
+
+const Web3 = require('web3');
+const Mosaic = require('@openst/mosaic.js');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Contracts = require('../../../lib/Contracts');
+const Facilitator = require('../../../lib/Facilitator');
+const Utils = require('../../../utils/Utils');
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('Facilitator.acceptStakeRequestByHash()', () => {
+  let facilitator;
+  let originWeb3;
+  let worker;
+  let isWorker;
+  const valueToken = '0x0000000000000000000000000000000000000002';
+  const brandedToken = '0x0000000000000000000000000000000000000003';
+  const gatewayComposer = '0x0000000000000000000000000000000000000004';
+  const gateway = '0x0000000000000000000000000000000000000001';
+  const organization = '0x0000000000000000000000000000000000000009';
+  const stakeRequestHash = Web3.utils.sha3('stakeRequest');
+  const hashLock = Web3.utils.sha3('hashLock');
+  const txOptions = { from: '0x0000000000000000000000000000000000000005' };
+
+  const fakeChain = (exists = true) => {
+    const fakes = {};
+    sinon.replace(
+      facilitator.brandedTokenInteract,
+      'getStakeRequest',
+      sinon.fake.resolves({
+        staker: gatewayComposer,
+        stake: '100',
+        nonce: '7',
+        exists,
+      }),
+    );
+    sinon.replace(
+      facilitator.gatewayComposer,
+      'getStakeRequest',
+      sinon.fake.resolves({ stakeVT: '100', gateway, exists }),
+    );
+    fakes.organization = sinon.replace(
+      facilitator.brandedTokenInteract.contract.methods,
+      'organization',
+      sinon.fake.returns({ call: () => Promise.resolve(organization) }),
+    );
+    isWorker = sinon.fake(address => ({
+      call: () => Promise.resolve(address === worker.address),
+    }));
+    fakes.getOrganization = sinon.replace(
+      Contracts,
+      'getOrganization',
+      sinon.fake.returns({ methods: { isWorker } }),
+    );
+    sinon.replace(
+      Mosaic.ContractInteract.EIP20Gateway.prototype,
+      'getBounty',
+      sinon.fake.resolves('10'),
+    );
+    sinon.replace(
+      Mosaic.ContractInteract.EIP20Gateway.prototype,
+      'getBaseToken',
+      sinon.fake.resolves(valueToken),
+    );
+    sinon.replace(facilitator.valueToken, 'balanceOf', sinon.fake.resolves('10'));
+    sinon.replace(facilitator.valueToken, 'allowance', sinon.fake.resolves('10'));
+    fakes.acceptStakeRequest = sinon.replace(
+      facilitator.gatewayComposer,
+      'acceptStakeRequest',
+      sinon.fake.resolves({ status: true }),
+    );
+    return fakes;
+  };
+
+  const createFacilitator = signer => new Facilitator(
+    originWeb3,
+    valueToken,
+    brandedToken,
+    gatewayComposer,
+    { workerSigner: signer },
+  );
+
+  beforeEach(() => {
+    originWeb3 = new Web3();
+    worker = originWeb3.eth.accounts.create();
+    facilitator = createFacilitator({
+      address: worker.address,
+      signEIP712TypedData: typedData => originWeb3.eth.accounts.signEIP712TypedData(
+        typedData,
+        worker.privateKey,
+      ),
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should sign with the worker and accept the stake request', async () => {
+    const fakes = fakeChain();
+
+    const result = await facilitator.acceptStakeRequestByHash(
+      stakeRequestHash,
+      hashLock,
+      txOptions,
+    );
+
+    assert.deepEqual(result, {
+      acceptStakeRequestReceipt: { status: true },
+      approveForBountyPath: Utils.ApprovalPaths.Skipped,
+      bounty: '10',
+    }, 'Result must match');
+
+    const typedData = Utils.getStakeRequestTypedData('100', '7', gatewayComposer, brandedToken);
+    const signature = originWeb3.eth.accounts.signEIP712TypedData(typedData, worker.privateKey);
+    Spy.assert(fakes.acceptStakeRequest, 1, [[
+      stakeRequestHash,
+      signature.r,
+      signature.s,
+      signature.v,
+      hashLock,
+      txOptions,
+    ]]);
+    Spy.assert(fakes.organization, 1, [[]]);
+    Spy.assert(fakes.getOrganization, 1, [[originWeb3, organization]]);
+    Spy.assert(isWorker, 1, [[worker.address]]);
+  });
+
+  it('should reject when the signer is not a worker', async () => {
+    const other = originWeb3.eth.accounts.create();
+    facilitator = createFacilitator({
+      address: worker.address,
+      signEIP712TypedData: typedData => originWeb3.eth.accounts.signEIP712TypedData(
+        typedData,
+        other.privateKey,
+      ),
+    });
+    const fakes = fakeChain();
+
+    await AssertAsync.reject(
+      facilitator.acceptStakeRequestByHash(stakeRequestHash, hashLock, txOptions),
+      `Signer ${other.address} is not an active worker of organization ${organization}.`,
+    );
+    Spy.assert(fakes.acceptStakeRequest, 0, [[]]);
+  });
+
+  it('should reject when the stake request does not exist', async () => {
+    fakeChain(false);
+
+    await AssertAsync.reject(
+      facilitator.acceptStakeRequestByHash(stakeRequestHash, hashLock, txOptions),
+      `Stake request ${stakeRequestHash} does not exist.`,
+    );
+  });
+
+  it('should reject when worker signer is not configured', async () => {
+    facilitator = createFacilitator(undefined);
+
+    await AssertAsync.reject(
+      facilitator.acceptStakeRequestByHash(stakeRequestHash, hashLock, txOptions),
+      'Worker signer is not configured.',
+    );
+  });
+
+  it('should reject when transaction options are undefined', async () => {
+    await AssertAsync.reject(
+      facilitator.acceptStakeRequestByHash(stakeRequestHash, hashLock, undefined),
+      'Invalid transaction options: undefined.',
+    );
+  });
+
+  it('should reject when from address is invalid', async () => {
+    await AssertAsync.reject(
+      facilitator.acceptStakeRequestByHash(stakeRequestHash, hashLock, { from: '0x12' }),
+      'Invalid from address 0x12 in transaction options.',
+    );
+  });
+
+  it('should reject when stake request hash is invalid', async () => {
+    await AssertAsync.reject(
+      facilitator.acceptStakeRequestByHash('0x12', hashLock, txOptions),
+      'Invalid stakeRequestHash: 0x12.',
+    );
+  });
+});
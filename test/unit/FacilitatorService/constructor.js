@@ -0,0 +1,99 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const FacilitatorService = require('../../../lib/FacilitatorService');
+const InMemoryCheckpointStore = require('../../../lib/Staker/InMemoryCheckpointStore');
+
+describe('FacilitatorService.constructor()', () => {
+  const gatewayComposer = '0x000000000000000000000000000000000000000A';
+  const addresses = {
+    valueToken: '0x0000000000000000000000000000000000000002',
+    brandedToken: '0x0000000000000000000000000000000000000003',
+    gatewayComposers: [gatewayComposer],
+  };
+  const options = {
+    workerSigner: {
+      address: '0x0000000000000000000000000000000000000008',
+      signEIP712TypedData: sinon.fake(),
+    },
+    decide: () => true,
+    createHashLock: () => '0x1',
+    txOptions: { facilitator: { from: '0x0000000000000000000000000000000000000007' } },
+  };
+
+  it('should construct a facilitator per gateway composer', () => {
+    const service = new FacilitatorService(
+      new Web3(),
+      addresses,
+      new InMemoryCheckpointStore(),
+      options,
+    );
+
+    const facilitator = service.facilitators[gatewayComposer.toLowerCase()];
+    assert.strictEqual(facilitator.gatewayComposerAddress, gatewayComposer);
+    assert.strictEqual(facilitator.workerSigner, options.workerSigner);
+    assert.deepEqual(
+      service.txOptions.worker,
+      { from: options.workerSigner.address },
+      'Worker transaction options must default to the signer address',
+    );
+  });
+
+  it('should throw an error when gateway composers are missing', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new FacilitatorService(
+        new Web3(),
+        { ...addresses, gatewayComposers: [] },
+        new InMemoryCheckpointStore(),
+        options,
+      );
+    }, 'Invalid gatewayComposers addresses: .');
+  });
+
+  it('should throw an error when store is invalid', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new FacilitatorService(new Web3(), addresses, {}, options);
+    }, 'Invalid store, it must implement: get, save.');
+  });
+
+  it('should throw an error when decision callback is missing', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new FacilitatorService(
+        new Web3(),
+        addresses,
+        new InMemoryCheckpointStore(),
+        { ...options, decide: undefined },
+      );
+    }, 'Invalid decide callback: undefined.');
+  });
+
+  it('should throw an error when markExecuted callback is invalid', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new FacilitatorService(
+        new Web3(),
+        addresses,
+        new InMemoryCheckpointStore(),
+        { ...options, markExecuted: 'policy' },
+      );
+    }, 'Invalid markExecuted callback: policy.');
+  });
+
+  it('should throw an error when facilitator transaction options are missing', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new FacilitatorService(
+        new Web3(),
+        addresses,
+        new InMemoryCheckpointStore(),
+        { ...options, txOptions: {} },
+      );
+    }, 'Transaction options of the facilitator are missing.');
+  });
+});
@@ -0,0 +1,254 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const AcceptancePolicy = require('../../../lib/AcceptancePolicy');
+const FacilitatorService = require('../../../lib/FacilitatorService');
+const InMemoryCheckpointStore = require('../../../lib/Staker/InMemoryCheckpointStore');
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('FacilitatorService.processStakeRequest()', () => {
+  let service;
+  let store;
+  let decide;
+  let createHashLock;
+  const gatewayComposer = '0x0000000000000000000000000000000000000004';
+  const owner = '0x0000000000000000000000000000000000000006';
+  const worker = '0x0000000000000000000000000000000000000008';
+  const stakeRequestHash = Web3.utils.sha3('stakeRequest');
+  const hashLock = Web3.utils.sha3('hashLock');
+  const txOptions = { facilitator: { from: '0x0000000000000000000000000000000000000007' } };
+  const stakeRequest = {
+    stakeVT: '100',
+    gateway: '0x0000000000000000000000000000000000000001',
+    beneficiary: '0x0000000000000000000000000000000000000005',
+    gasPrice: '1',
+    gasLimit: '2',
+    nonce: '3',
+  };
+
+  const fakeChain = (exists = true, gatewayComposerExists = exists) => {
+    const facilitator = service.facilitators[gatewayComposer];
+    sinon.replace(
+      service.brandedToken,
+      'getStakeRequest',
+      sinon.fake.resolves({ staker: gatewayComposer, stake: stakeRequest.stakeVT, exists }),
+    );
+    sinon.replace(
+      facilitator.gatewayComposer,
+      'getStakeRequest',
+      sinon.fake.resolves({ ...stakeRequest, exists: gatewayComposerExists }),
+    );
+    sinon.replace(facilitator.gatewayComposer, 'getOwner', sinon.fake.resolves(owner));
+    return {
+      acceptStakeRequestByHash: sinon.replace(
+        facilitator,
+        'acceptStakeRequestByHash',
+        sinon.fake.resolves({
+          acceptStakeRequestReceipt: { status: true, transactionHash: '0xa' },
+          bounty: '10',
+        }),
+      ),
+      rejectStakeRequest: sinon.replace(
+        service.brandedToken,
+        'rejectStakeRequest',
+        sinon.fake.resolves({ status: true, transactionHash: '0xb' }),
+      ),
+    };
+  };
+
+  beforeEach(() => {
+    store = new InMemoryCheckpointStore();
+    decide = sinon.fake.returns(true);
+    createHashLock = sinon.fake.resolves(hashLock);
+    service = new FacilitatorService(
+      new Web3(),
+      {
+        valueToken: '0x0000000000000000000000000000000000000002',
+        brandedToken: '0x0000000000000000000000000000000000000003',
+        gatewayComposers: [gatewayComposer],
+      },
+      store,
+      {
+        workerSigner: { address: worker, signEIP712TypedData: sinon.fake() },
+        decide,
+        createHashLock,
+        txOptions,
+      },
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should accept when the decision callback accepts', async () => {
+    const fakes = fakeChain();
+    const processed = [];
+    service.on('processed', (hash, result) => processed.push([hash, result]));
+
+    const result = await service.processStakeRequest(stakeRequestHash, gatewayComposer, 12);
+
+    const expected = {
+      status: FacilitatorService.Statuses.Accepted,
+      transactionHash: '0xa',
+      hashLock,
+      bounty: '10',
+    };
+    assert.deepEqual(result, expected, 'Result must match');
+    assert.deepEqual(await store.get(stakeRequestHash), expected, 'Result must be saved');
+    assert.deepEqual(processed, [[stakeRequestHash, expected]], 'Processed must be emitted');
+    const info = {
+      stakeRequestHash,
+      gatewayComposer,
+      staker: owner,
+      ...stakeRequest,
+      blockNumber: 12,
+    };
+    Spy.assert(decide, 1, [[info]]);
+    Spy.assert(createHashLock, 1, [[info]]);
+    Spy.assert(fakes.acceptStakeRequestByHash, 1, [[
+      stakeRequestHash,
+      hashLock,
+      txOptions.facilitator,
+    ]]);
+    Spy.assert(fakes.rejectStakeRequest, 0, [[]]);
+  });
+
+  it('should mark an accepted stake request executed', async () => {
+    fakeChain();
+    service.markExecuted = sinon.fake.resolves();
+
+    await service.processStakeRequest(stakeRequestHash, gatewayComposer);
+
+    Spy.assert(service.markExecuted, 1, [[stakeRequestHash, '0xa']]);
+  });
+
+  it('should emit failed but save the accept when marking it executed fails', async () => {
+    fakeChain();
+    service.markExecuted = sinon.fake.rejects(new Error('disk full'));
+    const failed = [];
+    service.on('failed', (hash, error) => failed.push([hash, error.message]));
+
+    const result = await service.processStakeRequest(stakeRequestHash, gatewayComposer);
+
+    assert.strictEqual(result.status, FacilitatorService.Statuses.Accepted);
+    assert.deepEqual(await store.get(stakeRequestHash), result, 'Result must be saved');
+    assert.deepEqual(failed, [[stakeRequestHash, 'disk full']]);
+  });
+
+  it('should count accepts for the daily cap of an acceptance policy', async () => {
+    const policy = new AcceptancePolicy([AcceptancePolicy.Rules.dailyCap('150')]);
+    service.decide = policy.decide;
+    service.markExecuted = policy.markExecuted;
+    const fakes = fakeChain();
+    const otherStakeRequestHash = Web3.utils.sha3('otherStakeRequest');
+
+    const first = await service.processStakeRequest(stakeRequestHash, gatewayComposer);
+    const second = await service.processStakeRequest(otherStakeRequestHash, gatewayComposer);
+
+    assert.strictEqual(first.status, FacilitatorService.Statuses.Accepted);
+    assert.strictEqual(second.status, FacilitatorService.Statuses.Rejected);
+    const [executed] = await policy.auditTrail.getDecisions({ executed: true });
+    assert.strictEqual(executed.stakeRequestHash, stakeRequestHash);
+    assert.strictEqual(executed.transactionHash, '0xa');
+    Spy.assert(fakes.rejectStakeRequest, 1, [[otherStakeRequestHash, { from: worker }]]);
+  });
+
+  it('should not mark a rejected stake request executed', async () => {
+    service.decide = sinon.fake.resolves(false);
+    fakeChain();
+    service.markExecuted = sinon.fake.resolves();
+
+    await service.processStakeRequest(stakeRequestHash, gatewayComposer);
+
+    Spy.assert(service.markExecuted, 0, [[]]);
+  });
+
+  it('should reject with the worker when the decision callback declines', async () => {
+    service.decide = sinon.fake.resolves(false);
+    const fakes = fakeChain();
+
+    const result = await service.processStakeRequest(stakeRequestHash, gatewayComposer);
+
+    assert.deepEqual(result, {
+      status: FacilitatorService.Statuses.Rejected,
+      transactionHash: '0xb',
+    });
+    Spy.assert(fakes.rejectStakeRequest, 1, [[stakeRequestHash, { from: worker }]]);
+    Spy.assert(fakes.acceptStakeRequestByHash, 0, [[]]);
+  });
+
+  it('should skip a stake request that is not pending', async () => {
+    const fakes = fakeChain(false);
+
+    const result = await service.processStakeRequest(stakeRequestHash, gatewayComposer);
+
+    assert.deepEqual(result, { status: FacilitatorService.Statuses.Skipped });
+    assert.strictEqual(decide.callCount, 0, 'Decision callback must not be called');
+    Spy.assert(fakes.acceptStakeRequestByHash, 0, [[]]);
+  });
+
+  it('should skip a rejected stake request that the gateway composer keeps', async () => {
+    const fakes = fakeChain(false, true);
+
+    const result = await service.processStakeRequest(stakeRequestHash, gatewayComposer);
+
+    assert.deepEqual(result, { status: FacilitatorService.Statuses.Skipped });
+    assert.strictEqual(decide.callCount, 0, 'Decision callback must not be called');
+    Spy.assert(fakes.rejectStakeRequest, 0, [[]]);
+  });
+
+  it('should not process a saved stake request again', async () => {
+    const fakes = fakeChain();
+    await store.save(stakeRequestHash, { status: FacilitatorService.Statuses.Rejected });
+
+    const result = await service.processStakeRequest(stakeRequestHash, gatewayComposer);
+
+    assert.deepEqual(result, { status: FacilitatorService.Statuses.Rejected });
+    Spy.assert(fakes.acceptStakeRequestByHash, 0, [[]]);
+    Spy.assert(fakes.rejectStakeRequest, 0, [[]]);
+  });
+
+  it('should not save when the reject fails', async () => {
+    service.decide = sinon.fake.resolves(false);
+    fakeChain();
+    sinon.restore();
+    sinon.replace(
+      service.brandedToken,
+      'getStakeRequest',
+      sinon.fake.resolves({ exists: true }),
+    );
+    sinon.replace(
+      service.facilitators[gatewayComposer].gatewayComposer,
+      'getStakeRequest',
+      sinon.fake.resolves({ ...stakeRequest, exists: true }),
+    );
+    sinon.replace(
+      service.facilitators[gatewayComposer].gatewayComposer,
+      'getOwner',
+      sinon.fake.resolves(owner),
+    );
+    sinon.replace(
+      service.brandedToken,
+      'rejectStakeRequest',
+      sinon.fake.resolves({ status: false, transactionHash: '0xb' }),
+    );
+
+    await AssertAsync.reject(
+      service.processStakeRequest(stakeRequestHash, gatewayComposer),
+      'Reject stake request is failed with transactionHash: 0xb',
+    );
+    assert.strictEqual(await store.get(stakeRequestHash), undefined, 'Result must not be saved');
+  });
+
+  it('should reject when gateway composer is not configured', async () => {
+    await AssertAsync.reject(
+      service.processStakeRequest(stakeRequestHash, worker),
+      `Gateway composer ${worker} is not configured.`,
+    );
+  });
+});
@@ -0,0 +1,240 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const FacilitatorService = require('../../../lib/FacilitatorService');
+const InMemoryCheckpointStore = require('../../../lib/Staker/InMemoryCheckpointStore');
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('FacilitatorService.start() and stop()', () => {
+  let service;
+  let subscription;
+  let subscriptions;
+  let handler;
+  const gatewayComposer = '0x0000000000000000000000000000000000000004';
+  const otherStaker = '0x0000000000000000000000000000000000000009';
+
+  const stakeRequested = (name, staker, blockNumber) => ({
+    event: 'StakeRequested',
+    args: { stakeRequestHash: Web3.utils.sha3(name), staker },
+    blockNumber,
+  });
+
+  beforeEach(() => {
+    service = new FacilitatorService(
+      new Web3(),
+      {
+        valueToken: '0x0000000000000000000000000000000000000002',
+        brandedToken: '0x0000000000000000000000000000000000000003',
+        gatewayComposers: [gatewayComposer],
+      },
+      new InMemoryCheckpointStore(),
+      {
+        workerSigner: {
+          address: '0x0000000000000000000000000000000000000008',
+          signEIP712TypedData: sinon.fake(),
+        },
+        decide: sinon.fake.returns(true),
+        createHashLock: sinon.fake.returns('0x1'),
+        txOptions: { facilitator: { from: '0x0000000000000000000000000000000000000007' } },
+        fromBlock: 5,
+      },
+    );
+    subscriptions = [];
+    sinon.replace(service.brandedToken, 'on', sinon.fake((eventName, filter, callback) => {
+      handler = callback;
+      subscription = { unsubscribe: sinon.fake() };
+      subscriptions.push(subscription);
+      return subscription;
+    }));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should process past and new stake requests of configured composers', async () => {
+    const getPastEvents = sinon.replace(
+      service.brandedToken,
+      'getPastEvents',
+      sinon.fake.resolves([
+        stakeRequested('past', gatewayComposer, 6),
+        stakeRequested('other', otherStaker, 7),
+      ]),
+    );
+    const processStakeRequest = sinon.replace(
+      service,
+      'processStakeRequest',
+      sinon.fake.resolves({ status: FacilitatorService.Statuses.Accepted }),
+    );
+
+    await service.start();
+    handler(null, stakeRequested('new', gatewayComposer, 8));
+    await service._queue;
+    await service.stop();
+
+    Spy.assert(getPastEvents, 1, [['StakeRequested', { fromBlock: 5 }]]);
+    Spy.assert(processStakeRequest, 2, [
+      [Web3.utils.sha3('past'), gatewayComposer, 6],
+      [Web3.utils.sha3('new'), gatewayComposer, 8],
+    ]);
+    assert.strictEqual(subscription.unsubscribe.callCount, 1, 'Must unsubscribe on stop');
+  });
+
+  it('should ignore stake requests of removed blocks', async () => {
+    sinon.replace(service.brandedToken, 'getPastEvents', sinon.fake.resolves([]));
+    const processStakeRequest = sinon.replace(
+      service,
+      'processStakeRequest',
+      sinon.fake.resolves({ status: FacilitatorService.Statuses.Accepted }),
+    );
+
+    await service.start();
+    handler(null, { ...stakeRequested('removed', gatewayComposer, 8), removed: true });
+    await service._queue;
+    await service.stop();
+
+    Spy.assert(processStakeRequest, 0, [[]]);
+  });
+
+  it('should emit failed and subscribe again from the last processed block', async () => {
+    const getPastEvents = sinon.replace(
+      service.brandedToken,
+      'getPastEvents',
+      sinon.fake.resolves([stakeRequested('past', gatewayComposer, 6)]),
+    );
+    sinon.replace(
+      service,
+      'processStakeRequest',
+      sinon.fake.resolves({ status: FacilitatorService.Statuses.Accepted }),
+    );
+    const failed = [];
+    service.on('failed', (hash, error) => failed.push([hash, error.message]));
+
+    await service.start();
+    await service._queue;
+    const firstSubscription = subscription;
+    const firstHandler = handler;
+    firstHandler(new Error('connection closed'));
+    firstHandler(new Error('connection closed'));
+    // Lets the new subscription read the past stake requests.
+    await new Promise(resolve => setImmediate(resolve));
+    await service.stop();
+
+    assert.deepEqual(failed, [[undefined, 'connection closed']], 'Failed must be emitted once');
+    assert.strictEqual(subscriptions.length, 2, 'Must subscribe again once');
+    assert.strictEqual(firstSubscription.unsubscribe.callCount, 1, 'Must unsubscribe the failed subscription');
+    Spy.assert(getPastEvents, 2, [
+      ['StakeRequested', { fromBlock: 5 }],
+      ['StakeRequested', { fromBlock: 6 }],
+    ]);
+  });
+
+  it('should subscribe again from the block of a failed stake request', async () => {
+    const getPastEvents = sinon.replace(
+      service.brandedToken,
+      'getPastEvents',
+      sinon.fake.resolves([
+        stakeRequested('first', gatewayComposer, 6),
+        stakeRequested('second', gatewayComposer, 7),
+      ]),
+    );
+    sinon.replace(
+      service,
+      'processStakeRequest',
+      sinon.fake((hash) => {
+        if (hash === Web3.utils.sha3('first')) {
+          return Promise.reject(new Error('nonce too low'));
+        }
+        return Promise.resolve({ status: FacilitatorService.Statuses.Accepted });
+      }),
+    );
+    service.on('failed', () => {});
+
+    await service.start();
+    await service._queue;
+    handler(new Error('connection closed'));
+    // Lets the new subscription read the past stake requests.
+    await new Promise(resolve => setImmediate(resolve));
+    await service.stop();
+
+    Spy.assert(getPastEvents, 2, [
+      ['StakeRequested', { fromBlock: 5 }],
+      ['StakeRequested', { fromBlock: 5 }],
+    ]);
+  });
+
+  it('should stop when past stake requests cannot be read on start', async () => {
+    sinon.replace(
+      service.brandedToken,
+      'getPastEvents',
+      sinon.fake.rejects(new Error('connection refused')),
+    );
+
+    await AssertAsync.reject(service.start(), 'connection refused');
+
+    assert.strictEqual(service._running, false, 'Service must be stopped');
+    assert.strictEqual(subscription.unsubscribe.callCount, 1, 'Must unsubscribe');
+  });
+
+  it('should emit failed and continue with the next stake request', async () => {
+    sinon.replace(
+      service.brandedToken,
+      'getPastEvents',
+      sinon.fake.resolves([
+        stakeRequested('first', gatewayComposer, 6),
+        stakeRequested('second', gatewayComposer, 7),
+      ]),
+    );
+    const processStakeRequest = sinon.replace(
+      service,
+      'processStakeRequest',
+      sinon.fake((hash) => {
+        if (hash === Web3.utils.sha3('first')) {
+          return Promise.reject(new Error('nonce too low'));
+        }
+        return Promise.resolve({ status: FacilitatorService.Statuses.Accepted });
+      }),
+    );
+    const failed = [];
+    service.on('failed', (hash, error) => failed.push([hash, error.message]));
+
+    await service.start();
+    await service._queue;
+    await service.stop();
+
+    assert.deepEqual(failed, [[Web3.utils.sha3('first'), 'nonce too low']]);
+    assert.strictEqual(processStakeRequest.callCount, 2);
+  });
+
+  it('should drop queued stake requests after stop', async () => {
+    let finishFirst;
+    sinon.replace(
+      service.brandedToken,
+      'getPastEvents',
+      sinon.fake.resolves([
+        stakeRequested('first', gatewayComposer, 6),
+        stakeRequested('second', gatewayComposer, 7),
+      ]),
+    );
+    const processStakeRequest = sinon.replace(
+      service,
+      'processStakeRequest',
+      sinon.fake(() => new Promise((resolve) => {
+        finishFirst = resolve;
+      })),
+    );
+
+    await service.start();
+    // Lets the queue start the first stake request.
+    await new Promise(resolve => setImmediate(resolve));
+    const stopped = service.stop();
+    finishFirst({ status: FacilitatorService.Statuses.Accepted });
+    await stopped;
+
+    assert.strictEqual(processStakeRequest.callCount, 1, 'Queued stake requests must be dropped');
+  });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const GatewayComposer = require('../../../lib/ContractInteract/GatewayComposer');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('GatewayComposer.approveTokenRawTx()', () => {
+  let gatewayComposer;
+  const token = '0x0000000000000000000000000000000000000005';
+  const spender = '0x0000000000000000000000000000000000000006';
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const contractAddress = '0x0000000000000000000000000000000000000002';
+    gatewayComposer = new GatewayComposer(web3, contractAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return correct raw tx', async () => {
+    const mockTx = 'mockTx';
+    const value = '100';
+
+    const spyRawTx = sinon.replace(
+      gatewayComposer.contract.methods,
+      'approveToken',
+      sinon.fake.returns(mockTx),
+    );
+
+    const response = await gatewayComposer.approveTokenRawTx(token, spender, value);
+
+    assert.strictEqual(
+      response,
+      mockTx,
+      'It must return correct raw tx',
+    );
+
+    Spy.assert(spyRawTx, 1, [[token, spender, value]]);
+  });
+
+  it('should allow zero value to reset allowance', async () => {
+    const value = '0';
+
+    const spyRawTx = sinon.replace(
+      gatewayComposer.contract.methods,
+      'approveToken',
+      sinon.fake.returns('mockTx'),
+    );
+
+    await gatewayComposer.approveTokenRawTx(token, spender, value);
+
+    Spy.assert(spyRawTx, 1, [[token, spender, value]]);
+  });
+
+  it('should throw an error when token address is invalid', async () => {
+    const invalidToken = '0x123';
+
+    await AssertAsync.reject(
+      gatewayComposer.approveTokenRawTx(invalidToken, spender, '100'),
+      `Invalid token address: ${invalidToken}.`,
+    );
+  });
+
+  it('should throw an error when spender address is invalid', async () => {
+    const invalidSpender = undefined;
+
+    await AssertAsync.reject(
+      gatewayComposer.approveTokenRawTx(token, invalidSpender, '100'),
+      `Invalid spender address: ${invalidSpender}.`,
+    );
+  });
+
+  it('should throw an error when value is undefined', async () => {
+    const value = undefined;
+
+    await AssertAsync.reject(
+      gatewayComposer.approveTokenRawTx(token, spender, value),
+      `Invalid approval amount: ${value}.`,
+    );
+  });
+});
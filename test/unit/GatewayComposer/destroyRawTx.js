@@ -0,0 +1,39 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const GatewayComposer = require('../../../lib/ContractInteract/GatewayComposer');
+
+describe('GatewayComposer.destroyRawTx()', () => {
+  let gatewayComposer;
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const contractAddress = '0x0000000000000000000000000000000000000002';
+    gatewayComposer = new GatewayComposer(web3, contractAddress);
+  });
+
+  it('should return correct raw tx', async () => {
+    const mockTx = 'mockTx';
+
+    const spyRawTx = sinon.replace(
+      gatewayComposer.contract.methods,
+      'destroy',
+      sinon.fake.returns(mockTx),
+    );
+
+    const response = await gatewayComposer.destroyRawTx();
+
+    assert.strictEqual(
+      response,
+      mockTx,
+      'It must return correct raw tx',
+    );
+
+    Spy.assert(spyRawTx, 1, [[]]);
+    sinon.restore();
+  });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const GatewayComposer = require('../../../lib/ContractInteract/GatewayComposer');
+const Events = require('../../../lib/ContractInteract/Events');
+
+describe('GatewayComposer.getPastEvents()', () => {
+  let gatewayComposer;
+  const contractAddress = '0x00000000000000000000000000000000000000aa';
+  const brandedToken = '0x0000000000000000000000000000000000000005';
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    gatewayComposer = new GatewayComposer(web3, contractAddress);
+    sinon.replace(
+      gatewayComposer,
+      'getBrandedToken',
+      sinon.fake.resolves(brandedToken),
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return only events of the gateway composer', async () => {
+    const ownEvent = {
+      event: 'StakeRequested',
+      args: { staker: '0x00000000000000000000000000000000000000AA', stake: '1' },
+    };
+    const otherEvent = {
+      event: 'StakeRequested',
+      args: { staker: '0x0000000000000000000000000000000000000003', stake: '1' },
+    };
+    const spyGetPastEvents = sinon.replace(
+      Events,
+      'getPastEvents',
+      sinon.fake.resolves([ownEvent, otherEvent]),
+    );
+
+    const events = await gatewayComposer.getPastEvents('StakeRequested', {});
+
+    assert.deepEqual(events, [ownEvent], 'Only own events must be returned');
+    assert.strictEqual(
+      spyGetPastEvents.args[0][1].options.address,
+      brandedToken,
+      'Events must be read from branded token',
+    );
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const GatewayComposer = require('../../../lib/ContractInteract/GatewayComposer');
+
+describe('GatewayComposer.getStakeRequest()', () => {
+  let gatewayComposer;
+  let web3;
+
+  beforeEach(() => {
+    web3 = new Web3();
+    const contractAddress = '0x0000000000000000000000000000000000000002';
+    gatewayComposer = new GatewayComposer(web3, contractAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return normalized stake request', async () => {
+    const stakeRequestHash = web3.utils.sha3('dummy');
+    const gateway = '0x0000000000000000000000000000000000000003';
+    const beneficiary = '0x0000000000000000000000000000000000000004';
+
+    const spyStakeRequests = sinon.replace(
+      gatewayComposer.contract.methods,
+      'stakeRequests',
+      sinon.fake.returns({
+        call: () => Promise.resolve({
+          stakeVT: '100',
+          gateway,
+          beneficiary,
+          gasPrice: '1',
+          gasLimit: '2',
+          nonce: '3',
+        }),
+      }),
+    );
+
+    const stakeRequest = await gatewayComposer.getStakeRequest(stakeRequestHash);
+
+    assert.deepEqual(
+      stakeRequest,
+      {
+        stakeVT: '100',
+        gateway,
+        beneficiary,
+        gasPrice: '1',
+        gasLimit: '2',
+        nonce: '3',
+        exists: true,
+      },
+      'Stake request must match',
+    );
+    Spy.assert(spyStakeRequests, 1, [[stakeRequestHash]]);
+  });
+
+  it('should mark deleted stake request as not existing', async () => {
+    sinon.replace(
+      gatewayComposer.contract.methods,
+      'stakeRequests',
+      sinon.fake.returns({
+        call: () => Promise.resolve({
+          stakeVT: '0',
+          gateway: '0x0000000000000000000000000000000000000000',
+          beneficiary: '0x0000000000000000000000000000000000000000',
+          gasPrice: '0',
+          gasLimit: '0',
+          nonce: '0',
+        }),
+      }),
+    );
+
+    const stakeRequest = await gatewayComposer.getStakeRequest(web3.utils.sha3('dummy'));
+
+    assert.isFalse(stakeRequest.exists, 'Stake request must not exist');
+  });
+
+  it('should throw an error when stake request hash is undefined', async () => {
+    await AssertAsync.reject(
+      gatewayComposer.getStakeRequest(undefined),
+      'Invalid stakeRequestHash: undefined.',
+    );
+  });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const GatewayComposer = require('../../../lib/ContractInteract/GatewayComposer');
+const Events = require('../../../lib/ContractInteract/Events');
+
+describe('GatewayComposer.on()', () => {
+  let gatewayComposer;
+  let subscription;
+  const contractAddress = '0x00000000000000000000000000000000000000aa';
+  const brandedToken = '0x0000000000000000000000000000000000000005';
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    gatewayComposer = new GatewayComposer(web3, contractAddress);
+    subscription = { unsubscribe: sinon.fake() };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return a subscription and pass only own events', async () => {
+    let brandedTokenHandler;
+    const spySubscribe = sinon.replace(
+      Events,
+      'subscribe',
+      sinon.fake((contract, eventName, filter, handler) => {
+        brandedTokenHandler = handler;
+        return subscription;
+      }),
+    );
+    const getBrandedToken = Promise.resolve(brandedToken);
+    sinon.replace(gatewayComposer, 'getBrandedToken', sinon.fake.returns(getBrandedToken));
+    const handler = sinon.fake();
+
+    const result = gatewayComposer.on('StakeRequested', {}, handler);
+    await getBrandedToken;
+    brandedTokenHandler(null, { args: { staker: contractAddress } });
+    brandedTokenHandler(null, { args: { staker: brandedToken } });
+    result.unsubscribe();
+
+    assert.strictEqual(
+      spySubscribe.args[0][0].options.address,
+      brandedToken,
+      'Events must be read from branded token',
+    );
+    assert.strictEqual(handler.callCount, 1, 'Only own events must be passed');
+    assert.strictEqual(subscription.unsubscribe.callCount, 1, 'Must unsubscribe');
+  });
+
+  it('should not subscribe if unsubscribed before', async () => {
+    const spySubscribe = sinon.replace(Events, 'subscribe', sinon.fake.returns(subscription));
+    const getBrandedToken = Promise.resolve(brandedToken);
+    sinon.replace(gatewayComposer, 'getBrandedToken', sinon.fake.returns(getBrandedToken));
+
+    gatewayComposer.on('StakeRequested', {}, () => {}).unsubscribe();
+    await getBrandedToken;
+
+    assert.strictEqual(spySubscribe.callCount, 0, 'Must not subscribe');
+  });
+
+  it('should throw for an unknown event or invalid handler', () => {
+    assert.throws(
+      () => gatewayComposer.on('Unknown', {}, () => {}),
+      'Invalid event name: Unknown.',
+    );
+    assert.throws(
+      () => gatewayComposer.on('StakeRequested', {}, undefined),
+      'Invalid event handler: undefined.',
+    );
+  });
+});
@@ -67,6 +67,64 @@ describe('GatewayComposer.requestStake()', () => {
     sinon.restore();
   });
 
+  it('should resolve parameters when called with an object', async () => {
+    const stakeRequest = {
+      stakeVT: '100',
+      mintBT: '350',
+      gateway: '0x0000000000000000000000000000000000000002',
+      beneficiary: '0x0000000000000000000000000000000000000003',
+      gasPrice: '1',
+      gasLimit: '1',
+      nonce: '7',
+    };
+    const fakeReceipt = { status: true };
+
+    const spyResolve = sinon.replace(
+      gatewayComposer,
+      'resolveStakeRequest',
+      sinon.fake.resolves(stakeRequest),
+    );
+    const rawTx = sinon.replace(
+      gatewayComposer,
+      'requestStakeRawTx',
+      sinon.fake.resolves('mockRawTx'),
+    );
+    sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(fakeReceipt),
+    );
+    const params = {
+      stakeVT: '100',
+      gateway: stakeRequest.gateway,
+      beneficiary: stakeRequest.beneficiary,
+      gasPrice: '1',
+      gasLimit: '1',
+    };
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000003',
+    };
+
+    const response = await gatewayComposer.requestStake(params, txOptions);
+
+    assert.deepEqual(
+      response,
+      { receipt: fakeReceipt, stakeRequest },
+      'Receipt and resolved stake request must be returned',
+    );
+    Spy.assert(spyResolve, 1, [[params]]);
+    Spy.assert(rawTx, 1, [[
+      stakeRequest.stakeVT,
+      stakeRequest.mintBT,
+      stakeRequest.gateway,
+      stakeRequest.beneficiary,
+      stakeRequest.gasPrice,
+      stakeRequest.gasLimit,
+      stakeRequest.nonce,
+    ]]);
+    sinon.restore();
+  });
+
   it('should throw an error when transaction options is undefined', async () => {
     const stakeVT = '100';
     const mintBT = '100';
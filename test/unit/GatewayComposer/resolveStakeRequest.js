@@ -0,0 +1,91 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+const Mosaic = require('@openst/mosaic.js');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const BrandedToken = require('../../../lib/ContractInteract/BrandedToken');
+const GatewayComposer = require('../../../lib/ContractInteract/GatewayComposer');
+
+describe('GatewayComposer.resolveStakeRequest()', () => {
+  let gatewayComposer;
+  const gatewayComposerAddress = '0x0000000000000000000000000000000000000002';
+  const params = {
+    stakeVT: '100',
+    gateway: '0x0000000000000000000000000000000000000005',
+    beneficiary: '0x0000000000000000000000000000000000000003',
+    gasPrice: '1',
+    gasLimit: '1',
+  };
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    gatewayComposer = new GatewayComposer(web3, gatewayComposerAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should resolve mintBT and nonce', async () => {
+    sinon.replace(
+      gatewayComposer,
+      'getBrandedToken',
+      sinon.fake.resolves('0x0000000000000000000000000000000000000004'),
+    );
+    const spyConvert = sinon.replace(
+      BrandedToken.prototype,
+      'convertToBrandedTokens',
+      sinon.fake.resolves('350'),
+    );
+    const spyGetNonce = sinon.replace(
+      Mosaic.ContractInteract.EIP20Gateway.prototype,
+      'getNonce',
+      sinon.fake.resolves('7'),
+    );
+
+    const stakeRequest = await gatewayComposer.resolveStakeRequest(params);
+
+    assert.deepEqual(
+      stakeRequest,
+      { ...params, mintBT: '350', nonce: '7' },
+      'Stake request must be resolved',
+    );
+    Spy.assert(spyConvert, 1, [[params.stakeVT]]);
+    Spy.assert(spyGetNonce, 1, [[gatewayComposerAddress]]);
+  });
+
+  it('should keep given mintBT and nonce', async () => {
+    const spyGetBrandedToken = sinon.replace(
+      gatewayComposer,
+      'getBrandedToken',
+      sinon.fake.resolves('0x0000000000000000000000000000000000000004'),
+    );
+    const spyGetNonce = sinon.replace(
+      Mosaic.ContractInteract.EIP20Gateway.prototype,
+      'getNonce',
+      sinon.fake.resolves('7'),
+    );
+
+    const stakeRequest = await gatewayComposer.resolveStakeRequest({
+      ...params,
+      mintBT: '300',
+      nonce: '2',
+    });
+
+    assert.strictEqual(stakeRequest.mintBT, '300', 'Given mintBT must be kept');
+    assert.strictEqual(stakeRequest.nonce, '2', 'Given nonce must be kept');
+    Spy.assert(spyGetBrandedToken, 0);
+    Spy.assert(spyGetNonce, 0);
+  });
+
+  it('should throw an error when gateway address is invalid', async () => {
+    await AssertAsync.reject(
+      gatewayComposer.resolveStakeRequest({ ...params, gateway: '0x123' }),
+      'Gateway address is invalid: 0x123.',
+    );
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const Mosaic = require('@openst/mosaic.js');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const GatewayComposer = require('../../../lib/ContractInteract/GatewayComposer');
+
+const { EIP20Token } = Mosaic.ContractInteract;
+
+describe('GatewayComposer.sweep()', () => {
+  let gatewayComposer;
+  const contractAddress = '0x0000000000000000000000000000000000000002';
+  const owner = '0x0000000000000000000000000000000000000003';
+  const valueToken = '0x0000000000000000000000000000000000000004';
+  const brandedToken = '0x0000000000000000000000000000000000000005';
+  const txOptions = {
+    from: owner,
+  };
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    gatewayComposer = new GatewayComposer(web3, contractAddress);
+
+    sinon.replace(gatewayComposer, 'getOwner', sinon.fake.resolves(owner));
+    sinon.replace(gatewayComposer, 'getValueToken', sinon.fake.resolves(valueToken));
+    sinon.replace(gatewayComposer, 'getBrandedToken', sinon.fake.resolves(brandedToken));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should transfer value token and branded token balances to owner', async () => {
+    sinon.replace(
+      EIP20Token.prototype,
+      'balanceOf',
+      sinon.fake.resolves('100'),
+    );
+    const fakeReceipt = { status: true };
+    const spyTransferToken = sinon.replace(
+      gatewayComposer,
+      'transferToken',
+      sinon.fake.resolves(fakeReceipt),
+    );
+
+    const receipts = await gatewayComposer.sweep(txOptions);
+
+    assert.deepEqual(
+      receipts,
+      {
+        transferValueTokenReceipt: fakeReceipt,
+        transferBrandedTokenReceipt: fakeReceipt,
+      },
+      'Receipts must match',
+    );
+    Spy.assert(
+      spyTransferToken,
+      2,
+      [
+        [valueToken, owner, '100', txOptions],
+        [brandedToken, owner, '100', txOptions],
+      ],
+    );
+  });
+
+  it('should skip transfers of zero balances', async () => {
+    sinon.replace(
+      EIP20Token.prototype,
+      'balanceOf',
+      sinon.fake.resolves('0'),
+    );
+    const spyTransferToken = sinon.replace(
+      gatewayComposer,
+      'transferToken',
+      sinon.fake.resolves({ status: true }),
+    );
+
+    const receipts = await gatewayComposer.sweep(txOptions);
+
+    assert.deepEqual(receipts, {}, 'Receipts must be empty');
+    Spy.assert(spyTransferToken, 0);
+  });
+
+  it('should stop when the value token transfer fails', async () => {
+    sinon.replace(
+      EIP20Token.prototype,
+      'balanceOf',
+      sinon.fake.resolves('100'),
+    );
+    const spyTransferToken = sinon.replace(
+      gatewayComposer,
+      'transferToken',
+      sinon.fake.resolves({ status: false, transactionHash: '0x1' }),
+    );
+
+    await AssertAsync.reject(
+      gatewayComposer.sweep(txOptions),
+      'Transfer of value token is failed with transactionHash: 0x1',
+    );
+    Spy.assert(spyTransferToken, 1, [[valueToken, owner, '100', txOptions]]);
+  });
+
+  it('should reject when the branded token transfer fails', async () => {
+    sinon.replace(
+      EIP20Token.prototype,
+      'balanceOf',
+      sinon.fake.resolves('100'),
+    );
+    const transferToken = sinon.stub();
+    transferToken.onFirstCall().resolves({ status: true });
+    transferToken.onSecondCall().resolves({ status: false, transactionHash: '0x2' });
+    sinon.replace(gatewayComposer, 'transferToken', transferToken);
+
+    await AssertAsync.reject(
+      gatewayComposer.sweep(txOptions),
+      'Transfer of branded token is failed with transactionHash: 0x2',
+    );
+  });
+
+  it('should throw an error when transaction options is undefined', async () => {
+    await AssertAsync.reject(
+      gatewayComposer.sweep(undefined),
+      'Invalid transaction options: undefined.',
+    );
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const GatewayComposer = require('../../../lib/ContractInteract/GatewayComposer');
+const Utils = require('../../../utils/Utils');
+
+describe('GatewayComposer.transferToken()', () => {
+  let gatewayComposer;
+  let web3;
+  const token = '0x0000000000000000000000000000000000000005';
+  const to = '0x0000000000000000000000000000000000000006';
+  const value = '100';
+
+  beforeEach(() => {
+    web3 = new Web3();
+    const contractAddress = '0x0000000000000000000000000000000000000002';
+    gatewayComposer = new GatewayComposer(web3, contractAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should pass with correct params', async () => {
+    const mockRawTx = 'mockRawTx';
+
+    const rawTx = sinon.replace(
+      gatewayComposer,
+      'transferTokenRawTx',
+      sinon.fake.resolves(mockRawTx),
+    );
+
+    const spySendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(true),
+    );
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000003',
+    };
+    const response = await gatewayComposer.transferToken(
+      token, to, value, txOptions,
+    );
+    assert.isTrue(
+      response,
+      'transferToken should return true',
+    );
+    Spy.assert(rawTx, 1, [[token, to, value]]);
+    Spy.assert(spySendTransaction, 1, [[mockRawTx, txOptions]]);
+  });
+
+  it('should throw an error when transaction options is undefined', async () => {
+    const txOptions = undefined;
+
+    await AssertAsync.reject(
+      gatewayComposer.transferToken(token, to, value, txOptions),
+      `Invalid transaction options: ${txOptions}.`,
+    );
+  });
+
+  it('should throw an error when account address is undefined', async () => {
+    const txOptions = {};
+
+    await AssertAsync.reject(
+      gatewayComposer.transferToken(token, to, value, txOptions),
+      `Invalid from address ${txOptions.from} in transaction options.`,
+    );
+  });
+
+  it('should throw an error when account address is invalid', async () => {
+    const txOptions = {
+      from: '0x123',
+    };
+
+    await AssertAsync.reject(
+      gatewayComposer.transferToken(token, to, value, txOptions),
+      `Invalid from address ${txOptions.from} in transaction options.`,
+    );
+  });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const GatewayComposer = require('../../../lib/ContractInteract/GatewayComposer');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('GatewayComposer.transferTokenRawTx()', () => {
+  let gatewayComposer;
+  const token = '0x0000000000000000000000000000000000000005';
+  const to = '0x0000000000000000000000000000000000000006';
+  const value = '100';
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const contractAddress = '0x0000000000000000000000000000000000000002';
+    gatewayComposer = new GatewayComposer(web3, contractAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return correct raw tx', async () => {
+    const mockTx = 'mockTx';
+
+    const spyRawTx = sinon.replace(
+      gatewayComposer.contract.methods,
+      'transferToken',
+      sinon.fake.returns(mockTx),
+    );
+
+    const response = await gatewayComposer.transferTokenRawTx(token, to, value);
+
+    assert.strictEqual(
+      response,
+      mockTx,
+      'It must return correct raw tx',
+    );
+
+    Spy.assert(spyRawTx, 1, [[token, to, value]]);
+  });
+
+  it('should throw an error when token address is invalid', async () => {
+    const invalidToken = '0x123';
+
+    await AssertAsync.reject(
+      gatewayComposer.transferTokenRawTx(invalidToken, to, value),
+      `Invalid token address: ${invalidToken}.`,
+    );
+  });
+
+  it('should throw an error when to address is invalid', async () => {
+    const invalidTo = undefined;
+
+    await AssertAsync.reject(
+      gatewayComposer.transferTokenRawTx(token, invalidTo, value),
+      `Invalid to address: ${invalidTo}.`,
+    );
+  });
+
+  it('should throw an error when value is zero', async () => {
+    const zeroValue = '0';
+
+    await AssertAsync.reject(
+      gatewayComposer.transferTokenRawTx(token, to, zeroValue),
+      `Transfer amount must be greater than zero: ${zeroValue}.`,
+    );
+  });
+});
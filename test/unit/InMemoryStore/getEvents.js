@@ -0,0 +1,83 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const InMemoryStore = require('../../../lib/Indexer/InMemoryStore');
+
+describe('InMemoryStore.getEvents()', () => {
+  let store;
+  const contractAddress = '0x00000000000000000000000000000000000000Aa';
+
+  beforeEach(async () => {
+    store = new InMemoryStore();
+    await store.save(
+      [{ number: 3, hash: '0x3' }],
+      [
+        {
+          event: 'StakeRequestAccepted',
+          address: contractAddress,
+          args: { stakeRequestHash: '0xAB' },
+          blockNumber: 3,
+          logIndex: 0,
+        },
+        {
+          event: 'StakeRequested',
+          address: contractAddress,
+          args: { stakeRequestHash: '0xab' },
+          blockNumber: 1,
+          logIndex: 0,
+        },
+        {
+          event: 'Redeemed',
+          address: contractAddress,
+          args: { valueTokens: '1' },
+          blockNumber: 2,
+          logIndex: 0,
+        },
+      ],
+    );
+  });
+
+  it('should return events ordered by block', async () => {
+    const events = await store.getEvents();
+
+    assert.deepEqual(
+      events.map(event => event.blockNumber),
+      [1, 2, 3],
+      'Events must be ordered',
+    );
+  });
+
+  it('should filter by arguments case-insensitive', async () => {
+    const events = await store.getEvents({
+      address: contractAddress.toLowerCase(),
+      args: { stakeRequestHash: '0xab' },
+    });
+
+    assert.deepEqual(
+      events.map(event => event.event),
+      ['StakeRequested', 'StakeRequestAccepted'],
+      'Events must match',
+    );
+  });
+
+  it('should filter by event name and block range', async () => {
+    const events = await store.getEvents({
+      event: 'StakeRequestAccepted',
+      fromBlock: 2,
+      toBlock: 3,
+    });
+
+    assert.strictEqual(events.length, 1, 'One event must match');
+  });
+
+  it('should remove events on rollback', async () => {
+    await store.rollback(2);
+
+    const events = await store.getEvents();
+    const blocks = await store.getBlocks();
+
+    assert.strictEqual(events.length, 1, 'Only events before block 2 must remain');
+    assert.strictEqual(blocks.length, 0, 'Blocks from block 2 must be removed');
+  });
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const Web3 = require('web3');
+const { assert } = require('chai');
+
+const Indexer = require('../../../lib/Indexer');
+const InMemoryStore = require('../../../lib/Indexer/InMemoryStore');
+
+describe('Indexer.constructor()', () => {
+  let web3;
+  const contractInteracts = [{ contract: {} }];
+
+  beforeEach(() => {
+    web3 = new Web3();
+  });
+
+  it('should construct with default options', () => {
+    const indexer = new Indexer(web3, contractInteracts, new InMemoryStore());
+
+    assert.strictEqual(indexer.confirmations, 6, 'Default confirmations must match');
+    assert.strictEqual(indexer.startBlock, 0, 'Default start block must match');
+    assert.strictEqual(indexer.blockRange, 1000, 'Default block range must match');
+  });
+
+  it('should throw an error when web3 object is undefined', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new Indexer(undefined, contractInteracts, new InMemoryStore());
+    }, /Mandatory Parameter 'web3' is missing or invalid/);
+  });
+
+  it('should throw an error when contract interacts are empty', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new Indexer(web3, [], new InMemoryStore());
+    }, /Invalid contract interacts/);
+  });
+
+  it('should throw an error when store does not implement the interface', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new Indexer(web3, contractInteracts, {});
+    }, /Invalid store, it must implement/);
+  });
+});
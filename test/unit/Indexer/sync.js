@@ -0,0 +1,143 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Contracts = require('../../../lib/Contracts');
+const Indexer = require('../../../lib/Indexer');
+const InMemoryStore = require('../../../lib/Indexer/InMemoryStore');
+
+describe('Indexer.sync()', () => {
+  let web3;
+  let contract;
+  let store;
+  let indexer;
+  let chain;
+  const staker = '0x0000000000000000000000000000000000000003';
+
+  const blockHash = (number, fork = '') => web3.utils.sha3(`block${number}${fork}`);
+
+  const stakeRequestedLog = (number, fork = '') => ({
+    event: 'StakeRequested',
+    address: contract.options.address,
+    returnValues: {
+      _stakeRequestHash: web3.utils.sha3(`request${number}${fork}`),
+      _staker: staker,
+      _stake: '100',
+      _nonce: String(number),
+    },
+    blockNumber: number,
+    blockHash: blockHash(number, fork),
+    transactionHash: web3.utils.sha3(`tx${number}${fork}`),
+    logIndex: 0,
+  });
+
+  beforeEach(() => {
+    web3 = new Web3();
+    contract = Contracts.getBrandedToken(
+      web3,
+      '0x0000000000000000000000000000000000000002',
+    );
+    // Simulated chain: block number => { hash, logs }.
+    chain = {};
+    for (let number = 0; number <= 10; number += 1) {
+      chain[number] = { hash: blockHash(number), logs: [] };
+    }
+    chain[2].logs = [stakeRequestedLog(2)];
+    chain[9].logs = [stakeRequestedLog(9)];
+
+    sinon.replace(
+      web3.eth,
+      'getBlockNumber',
+      sinon.fake(() => Promise.resolve(Math.max(...Object.keys(chain).map(Number)))),
+    );
+    sinon.replace(
+      web3.eth,
+      'getBlock',
+      sinon.fake(number => Promise.resolve(chain[number] ? { hash: chain[number].hash } : null)),
+    );
+    sinon.replace(
+      contract,
+      'getPastEvents',
+      sinon.fake((eventName, options) => {
+        let logs = [];
+        for (let number = options.fromBlock; number <= options.toBlock; number += 1) {
+          logs = logs.concat(chain[number].logs);
+        }
+        return Promise.resolve(logs);
+      }),
+    );
+
+    store = new InMemoryStore();
+    indexer = new Indexer(web3, [{ contract }], store, {
+      confirmations: 3,
+      blockRange: 4,
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should index all events up to latest block', async () => {
+    const latestBlockNumber = await indexer.sync();
+
+    assert.strictEqual(latestBlockNumber, 10, 'Latest block must be indexed');
+
+    const events = await indexer.getEvents({ event: 'StakeRequested' });
+    assert.deepEqual(
+      events.map(event => [event.blockNumber, event.confirmed]),
+      [[2, true], [9, false]],
+      'Events and their confirmation must match',
+    );
+
+    const blocks = await store.getBlocks();
+    assert.deepEqual(
+      blocks.map(block => block.number),
+      [7, 8, 9, 10],
+      'Only unconfirmed blocks must be tracked',
+    );
+  });
+
+  it('should roll back and re-index reorganized blocks', async () => {
+    await indexer.sync();
+
+    // Blocks 9 and 10 are replaced and block 11 is added.
+    chain[9] = { hash: blockHash(9, 'fork'), logs: [] };
+    chain[10] = { hash: blockHash(10, 'fork'), logs: [stakeRequestedLog(10, 'fork')] };
+    chain[11] = { hash: blockHash(11, 'fork'), logs: [] };
+
+    await indexer.sync();
+
+    const events = await indexer.getEvents();
+    assert.deepEqual(
+      events.map(event => [event.blockNumber, event.blockHash]),
+      [[2, blockHash(2)], [10, blockHash(10, 'fork')]],
+      'Reorganized events must be replaced',
+    );
+  });
+
+  it('should run concurrent syncs one at a time', async () => {
+    const latestBlockNumbers = await Promise.all([indexer.sync(), indexer.sync()]);
+
+    assert.deepEqual(latestBlockNumbers, [10, 10]);
+    const events = await indexer.getEvents({ event: 'StakeRequested' });
+    assert.deepEqual(
+      events.map(event => event.blockNumber),
+      [2, 9],
+      'Events must be indexed once',
+    );
+  });
+
+  it('should return history of a stake request', async () => {
+    await indexer.sync();
+
+    const history = await indexer.getStakeRequestHistory(
+      web3.utils.sha3('request2'),
+    );
+
+    assert.strictEqual(history.length, 1, 'History must contain one event');
+    assert.strictEqual(history[0].event, 'StakeRequested', 'Event must match');
+  });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { assert } = require('chai');
+
+const AssertAsync = require('../../utils/AssertAsync');
+const JsonFileAuditTrail = require('../../../lib/AcceptancePolicy/JsonFileAuditTrail');
+
+describe('JsonFileAuditTrail persistence', () => {
+  let filePath;
+  const decision = {
+    stakeRequestHash: '0x1',
+    staker: '0x0000000000000000000000000000000000000001',
+    stakeVT: '10',
+    accepted: true,
+    reasons: [],
+    decidedAt: 1000,
+  };
+
+  beforeEach(() => {
+    filePath = path.join(os.tmpdir(), `brandedtoken-audit-${Date.now()}.log`);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('should restore appended decisions', async () => {
+    const auditTrail = new JsonFileAuditTrail(filePath);
+    await auditTrail.append(decision);
+    await auditTrail.append({ ...decision, stakeRequestHash: '0x2', accepted: false });
+
+    const restoredAuditTrail = new JsonFileAuditTrail(filePath);
+
+    assert.deepEqual(
+      await restoredAuditTrail.getDecisions({ accepted: true }),
+      [decision],
+      'Decisions must be restored',
+    );
+    assert.strictEqual(
+      fs.readFileSync(filePath, 'utf8').split('\n').length,
+      3,
+      'File must contain one line per decision',
+    );
+  });
+
+  it('should restore executed decisions', async () => {
+    const auditTrail = new JsonFileAuditTrail(filePath);
+    await auditTrail.append({ ...decision, executed: false });
+    await auditTrail.markExecuted(decision.stakeRequestHash, '0xa');
+
+    const restoredAuditTrail = new JsonFileAuditTrail(filePath);
+
+    assert.deepEqual(
+      await restoredAuditTrail.getDecisions({ executed: true }),
+      [{ ...decision, executed: true, transactionHash: '0xa' }],
+      'Execution must be restored',
+    );
+  });
+
+  it('should reject and keep no decision when the file cannot be written', async () => {
+    const missingDirectoryPath = path.join(filePath, 'audit.log');
+    const auditTrail = new JsonFileAuditTrail(missingDirectoryPath);
+
+    await AssertAsync.reject(
+      auditTrail.append(decision),
+      `Cannot append to ${missingDirectoryPath}: ENOENT: no such file or directory, open '${missingDirectoryPath}'`,
+    );
+    assert.deepEqual(await auditTrail.getDecisions(), [], 'Decision must not be kept');
+  });
+
+  it('should throw for an invalid file path', () => {
+    assert.throws(() => new JsonFileAuditTrail(''), 'Invalid file path: .');
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { assert } = require('chai');
+
+const JsonFileCheckpointStore = require('../../../lib/Staker/JsonFileCheckpointStore');
+
+describe('JsonFileCheckpointStore persistence', () => {
+  let filePath;
+
+  beforeEach(() => {
+    filePath = path.join(os.tmpdir(), `brandedtoken-checkpoints-${Date.now()}.json`);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('should restore saved checkpoints', async () => {
+    const store = new JsonFileCheckpointStore(filePath);
+    await store.save('stake-1', { steps: { approve: { transactionHash: '0xa' } } });
+
+    const restoredStore = new JsonFileCheckpointStore(filePath);
+
+    assert.deepEqual(
+      await restoredStore.get('stake-1'),
+      { steps: { approve: { transactionHash: '0xa' } } },
+      'Checkpoint must be restored',
+    );
+  });
+
+  it('should persist removal', async () => {
+    const store = new JsonFileCheckpointStore(filePath);
+    await store.save('stake-1', { steps: {} });
+    await store.remove('stake-1');
+
+    const restoredStore = new JsonFileCheckpointStore(filePath);
+
+    assert.strictEqual(
+      await restoredStore.get('stake-1'),
+      undefined,
+      'Removed checkpoint must not be restored',
+    );
+  });
+
+  it('should throw an error when file path is invalid', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new JsonFileCheckpointStore(undefined);
+    }, 'Invalid file path: undefined.');
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { assert } = require('chai');
+
+const JsonFileStore = require('../../../lib/Indexer/JsonFileStore');
+
+describe('JsonFileStore persistence', () => {
+  let filePath;
+
+  beforeEach(() => {
+    filePath = path.join(os.tmpdir(), `brandedtoken-indexer-${Date.now()}.json`);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('should restore saved blocks and events', async () => {
+    const store = new JsonFileStore(filePath);
+    await store.save(
+      [{ number: 5, hash: '0x5' }],
+      [{ event: 'Redeemed', args: {}, blockNumber: 5 }],
+    );
+
+    const restoredStore = new JsonFileStore(filePath);
+
+    assert.deepEqual(
+      await restoredStore.getBlocks(),
+      [{ number: 5, hash: '0x5' }],
+      'Blocks must be restored',
+    );
+    assert.strictEqual(
+      (await restoredStore.getEvents()).length,
+      1,
+      'Events must be restored',
+    );
+  });
+
+  it('should persist rollback', async () => {
+    const store = new JsonFileStore(filePath);
+    await store.save(
+      [{ number: 5, hash: '0x5' }],
+      [{ event: 'Redeemed', args: {}, blockNumber: 5 }],
+    );
+    await store.rollback(5);
+
+    const restoredStore = new JsonFileStore(filePath);
+
+    assert.strictEqual(
+      (await restoredStore.getEvents()).length,
+      0,
+      'Rolled back events must not be restored',
+    );
+  });
+
+  it('should throw an error when file path is invalid', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new JsonFileStore(undefined);
+    }, 'Invalid file path: undefined.');
+  });
+});
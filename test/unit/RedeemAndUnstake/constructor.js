@@ -0,0 +1,53 @@
+'use strict';
+
+const Web3 = require('web3');
+const { assert } = require('chai');
+
+const RedeemAndUnstake = require('../../../lib/RedeemAndUnstake');
+
+describe('RedeemAndUnstake.constructor()', () => {
+  const addresses = {
+    brandedToken: '0x0000000000000000000000000000000000000001',
+    utilityBrandedToken: '0x0000000000000000000000000000000000000002',
+    gateway: '0x0000000000000000000000000000000000000003',
+    coGateway: '0x0000000000000000000000000000000000000004',
+    originAnchor: '0x0000000000000000000000000000000000000005',
+  };
+
+  it('should restore the state of an earlier run', () => {
+    const state = {
+      unlockSecret: Web3.utils.sha3('secret'),
+      hashLock: Web3.utils.keccak256(Web3.utils.sha3('secret')),
+      messageHash: Web3.utils.sha3('message'),
+      receipts: { approveRedeem: { status: true } },
+    };
+
+    const redeemAndUnstake = new RedeemAndUnstake(
+      new Web3(),
+      new Web3(),
+      addresses,
+      { state },
+    );
+
+    assert.strictEqual(redeemAndUnstake.state.unlockSecret, state.unlockSecret);
+    assert.strictEqual(redeemAndUnstake.state.hashLock, state.hashLock);
+    assert.strictEqual(redeemAndUnstake.state.messageHash, state.messageHash);
+    assert.deepEqual(redeemAndUnstake.state.receipts, state.receipts);
+    assert.notStrictEqual(
+      redeemAndUnstake.state.receipts,
+      state.receipts,
+      'Receipts must be copied',
+    );
+  });
+
+  it('should throw an error when an address is invalid', () => {
+    assert.throws(
+      () => new RedeemAndUnstake(
+        new Web3(),
+        new Web3(),
+        { ...addresses, utilityBrandedToken: '0x123' },
+      ),
+      'Invalid utilityBrandedToken address: 0x123.',
+    );
+  });
+});
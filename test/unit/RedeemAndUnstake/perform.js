@@ -0,0 +1,295 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const Events = require('../../../lib/ContractInteract/Events');
+const RedeemAndUnstake = require('../../../lib/RedeemAndUnstake');
+
+describe('RedeemAndUnstake.perform()', () => {
+  let redeemAndUnstake;
+  let auxiliaryWeb3;
+  const messageHash = Web3.utils.sha3('message');
+  const addresses = {
+    brandedToken: '0x0000000000000000000000000000000000000001',
+    utilityBrandedToken: '0x0000000000000000000000000000000000000002',
+    gateway: '0x0000000000000000000000000000000000000003',
+    coGateway: '0x0000000000000000000000000000000000000004',
+    originAnchor: '0x0000000000000000000000000000000000000005',
+  };
+  const redeemParams = {
+    amount: '100',
+    beneficiary: '0x0000000000000000000000000000000000000006',
+    gasPrice: '1',
+    gasLimit: '2',
+  };
+  const txOptions = {
+    redeemer: { from: '0x0000000000000000000000000000000000000007' },
+    facilitator: { from: '0x0000000000000000000000000000000000000008' },
+    auxiliary: { from: '0x0000000000000000000000000000000000000009' },
+    beneficiary: { from: redeemParams.beneficiary },
+    originAnchor: { from: '0x000000000000000000000000000000000000000a' },
+  };
+
+  const unstakeProgressedEvent = {
+    event: 'UnstakeProgressed',
+    returnValues: {
+      _messageHash: messageHash,
+      _redeemer: txOptions.redeemer.from,
+      _beneficiary: redeemParams.beneficiary,
+      _redeemAmount: '100',
+      _unstakeAmount: '98',
+      _rewardAmount: '2',
+      _proofProgress: false,
+      _unlockSecret: Web3.utils.sha3('secret'),
+    },
+  };
+
+  const fakeSteps = (overrides = {}) => {
+    const fakes = {};
+    fakes.approve = sinon.replace(
+      redeemAndUnstake.utilityBrandedToken,
+      'approve',
+      sinon.fake.resolves({ status: true }),
+    );
+    sinon.replace(redeemAndUnstake.coGateway, 'getNonce', sinon.fake.resolves('4'));
+    sinon.replace(redeemAndUnstake.coGateway, 'getBounty', sinon.fake.resolves('10'));
+    fakes.redeem = sinon.replace(
+      redeemAndUnstake.coGateway,
+      'redeem',
+      sinon.fake.resolves({
+        status: true,
+        blockNumber: 20,
+        events: {
+          RedeemIntentDeclared: {
+            event: 'RedeemIntentDeclared',
+            returnValues: {
+              _messageHash: messageHash,
+              _redeemer: txOptions.redeemer.from,
+              _redeemerNonce: '4',
+              _beneficiary: redeemParams.beneficiary,
+              _amount: '100',
+            },
+          },
+        },
+      }),
+    );
+    sinon.replace(
+      auxiliaryWeb3.eth,
+      'getBlock',
+      sinon.fake.resolves({ number: 21, stateRoot: '0xroot' }),
+    );
+    fakes.anchorStateRoot = sinon.replace(
+      redeemAndUnstake.originAnchor,
+      'anchorStateRoot',
+      sinon.fake.resolves({ status: true }),
+    );
+    fakes.confirmRedeemIntent = sinon.replace(
+      redeemAndUnstake.mosaicFacilitator,
+      'confirmRedeemIntent',
+      overrides.confirmRedeemIntent || sinon.fake.resolves({ status: true }),
+    );
+    fakes.progressRedeem = sinon.replace(
+      redeemAndUnstake.mosaicFacilitator,
+      'performProgressRedeem',
+      sinon.fake.resolves({ status: true }),
+    );
+    fakes.progressUnstake = sinon.replace(
+      redeemAndUnstake.mosaicFacilitator,
+      'performProgressUnstake',
+      overrides.progressUnstake || sinon.fake.resolves({
+        status: true,
+        events: { UnstakeProgressed: unstakeProgressedEvent },
+      }),
+    );
+    fakes.redeemBrandedTokens = sinon.replace(
+      redeemAndUnstake.brandedToken,
+      'redeem',
+      sinon.fake.resolves({ status: true }),
+    );
+    return fakes;
+  };
+
+  beforeEach(() => {
+    auxiliaryWeb3 = new Web3();
+    redeemAndUnstake = new RedeemAndUnstake(new Web3(), auxiliaryWeb3, addresses);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should perform all steps in order and emit progress', async () => {
+    const fakes = fakeSteps();
+    const progress = [];
+    redeemAndUnstake.on('progress', event => progress.push(`${event.step}:${event.status}`));
+
+    const state = await redeemAndUnstake.perform(redeemParams, txOptions);
+
+    assert.deepEqual(
+      progress,
+      RedeemAndUnstake.Steps.reduce(
+        (acc, step) => acc.concat([`${step}:started`, `${step}:completed`]),
+        [],
+      ),
+      'Progress events must be emitted for each step',
+    );
+    assert.strictEqual(state.messageHash, messageHash, 'Message hash must match');
+    assert.strictEqual(state.redeemerNonce, '4', 'Redeemer nonce must match');
+    assert.strictEqual(state.unstakeAmount, '98', 'Unstake amount must match');
+    assert.strictEqual(
+      state.hashLock,
+      Web3.utils.keccak256(state.unlockSecret),
+      'Hash lock must match the unlock secret',
+    );
+    assert.deepEqual(
+      Object.keys(state.receipts),
+      RedeemAndUnstake.Steps,
+      'Receipts of all steps must be stored',
+    );
+
+    Spy.assert(fakes.approve, 1, [[addresses.coGateway, '100', txOptions.redeemer]]);
+    Spy.assert(fakes.redeem, 1, [[
+      '100',
+      redeemParams.beneficiary,
+      '1',
+      '2',
+      '4',
+      state.hashLock,
+      { ...txOptions.redeemer, value: '10' },
+    ]]);
+    Spy.assert(fakes.anchorStateRoot, 1, [['21', '0xroot', txOptions.originAnchor]]);
+    Spy.assert(fakes.confirmRedeemIntent, 1, [[
+      txOptions.redeemer.from,
+      '4',
+      redeemParams.beneficiary,
+      '100',
+      '1',
+      '2',
+      state.hashLock,
+      txOptions.facilitator,
+    ]]);
+    Spy.assert(fakes.progressRedeem, 1, [[
+      messageHash,
+      state.unlockSecret,
+      txOptions.auxiliary,
+    ]]);
+    Spy.assert(fakes.progressUnstake, 1, [[
+      messageHash,
+      state.unlockSecret,
+      txOptions.facilitator,
+    ]]);
+    Spy.assert(fakes.redeemBrandedTokens, 1, [['98', txOptions.beneficiary]]);
+  });
+
+  it('should resume from the first step that is not completed', async () => {
+    const firstRun = redeemAndUnstake;
+    fakeSteps({ confirmRedeemIntent: sinon.fake.rejects(new Error('connection lost')) });
+
+    await AssertAsync.reject(
+      firstRun.perform(redeemParams, txOptions),
+      'connection lost',
+    );
+    sinon.restore();
+
+    redeemAndUnstake = new RedeemAndUnstake(
+      new Web3(),
+      auxiliaryWeb3,
+      addresses,
+      { state: JSON.parse(JSON.stringify(firstRun.state)) },
+    );
+    const fakes = fakeSteps();
+
+    const state = await redeemAndUnstake.perform(undefined, txOptions);
+
+    Spy.assert(fakes.approve, 0, [[]]);
+    Spy.assert(fakes.redeem, 0, [[]]);
+    assert.strictEqual(
+      fakes.confirmRedeemIntent.args[0][6],
+      firstRun.state.hashLock,
+      'Hash lock of the first run must be used',
+    );
+    assert.strictEqual(fakes.progressRedeem.args[0][1], firstRun.state.unlockSecret);
+    Spy.assert(fakes.anchorStateRoot, 0, [[]]);
+    assert.strictEqual(fakes.confirmRedeemIntent.callCount, 1);
+    assert.strictEqual(fakes.redeemBrandedTokens.callCount, 1);
+    assert.deepEqual(
+      Object.keys(state.receipts),
+      RedeemAndUnstake.Steps,
+      'Receipts of all steps must be stored',
+    );
+  });
+
+  it('should create a new hash lock for every redeem', async () => {
+    fakeSteps();
+    const first = await redeemAndUnstake.perform(redeemParams, txOptions);
+    sinon.restore();
+
+    redeemAndUnstake = new RedeemAndUnstake(new Web3(), auxiliaryWeb3, addresses);
+    fakeSteps();
+    const second = await redeemAndUnstake.perform(redeemParams, txOptions);
+
+    assert.notStrictEqual(second.hashLock, first.hashLock, 'Hash locks must differ');
+    assert.notStrictEqual(second.unlockSecret, first.unlockSecret, 'Unlock secrets must differ');
+  });
+
+  it('should read the unstake amount from events if already progressed', async () => {
+    const fakes = fakeSteps({ progressUnstake: sinon.fake.resolves(true) });
+    const getPastEvents = sinon.replace(
+      Events,
+      'getPastEvents',
+      sinon.fake.resolves([{ args: { unstakeAmount: '97' } }]),
+    );
+
+    const state = await redeemAndUnstake.perform(redeemParams, txOptions);
+
+    assert.strictEqual(state.unstakeAmount, '97', 'Unstake amount must match');
+    Spy.assert(getPastEvents, 1, [[
+      redeemAndUnstake.originWeb3,
+      redeemAndUnstake.gateway.contract,
+      'UnstakeProgressed',
+      { filter: { _messageHash: messageHash } },
+    ]]);
+    Spy.assert(fakes.redeemBrandedTokens, 1, [['97', txOptions.beneficiary]]);
+  });
+
+  it('should wait for an anchored state root without anchor options', async () => {
+    fakeSteps();
+    let latestHeight = 15;
+    sinon.replace(
+      redeemAndUnstake.originAnchor,
+      'getLatestStateRootBlockHeight',
+      sinon.fake(() => {
+        latestHeight += 5;
+        return Promise.resolve(latestHeight.toString());
+      }),
+    );
+    redeemAndUnstake.pollInterval = 1;
+
+    await redeemAndUnstake.approveRedeem(redeemParams, txOptions);
+    await redeemAndUnstake.redeem(txOptions);
+    const result = await redeemAndUnstake.anchorStateRoot({
+      ...txOptions,
+      originAnchor: undefined,
+    });
+
+    assert.deepEqual(result, { blockHeight: '20' }, 'Anchored block height must match');
+  });
+
+  it('should reject invalid redeem parameters', async () => {
+    await AssertAsync.reject(
+      redeemAndUnstake.perform({ ...redeemParams, amount: '0' }, txOptions),
+      'Invalid redeem amount: 0.',
+    );
+  });
+
+  it('should reject when transaction options are undefined', async () => {
+    await AssertAsync.reject(
+      redeemAndUnstake.perform(redeemParams, undefined),
+      'Invalid transaction options: undefined.',
+    );
+  });
+});
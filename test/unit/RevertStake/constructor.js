@@ -0,0 +1,38 @@
+'use strict';
+
+const Web3 = require('web3');
+const { assert } = require('chai');
+
+const RevertStake = require('../../../lib/RevertStake');
+
+describe('RevertStake.constructor()', () => {
+  const addresses = {
+    valueToken: '0x0000000000000000000000000000000000000001',
+    gatewayComposer: '0x0000000000000000000000000000000000000002',
+    gateway: '0x0000000000000000000000000000000000000003',
+    coGateway: '0x0000000000000000000000000000000000000004',
+    anchor: '0x0000000000000000000000000000000000000005',
+    originAnchor: '0x0000000000000000000000000000000000000006',
+  };
+
+  it('should construct with valid arguments', () => {
+    const revertStake = new RevertStake(new Web3(), new Web3(), addresses);
+
+    assert.strictEqual(revertStake.gatewayComposer.address, addresses.gatewayComposer);
+    assert.deepEqual(revertStake.state.receipts, {}, 'No step must be completed');
+  });
+
+  it('should throw an error when an address is invalid', () => {
+    assert.throws(
+      () => new RevertStake(new Web3(), new Web3(), { ...addresses, originAnchor: '0x123' }),
+      'Invalid originAnchor address: 0x123.',
+    );
+  });
+
+  it('should throw an error when auxiliary web3 is invalid', () => {
+    assert.throws(
+      () => new RevertStake(new Web3(), undefined, addresses),
+      "Mandatory Parameter 'auxiliaryWeb3' is missing or invalid",
+    );
+  });
+});
@@ -0,0 +1,245 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const Utils = require('../../../utils/Utils');
+const RevertStake = require('../../../lib/RevertStake');
+
+describe('RevertStake.perform()', () => {
+  let revertStake;
+  let originWeb3;
+  let auxiliaryWeb3;
+  const messageHash = Web3.utils.sha3('message');
+  const addresses = {
+    valueToken: '0x0000000000000000000000000000000000000001',
+    gatewayComposer: '0x0000000000000000000000000000000000000002',
+    gateway: '0x0000000000000000000000000000000000000003',
+    coGateway: '0x0000000000000000000000000000000000000004',
+    anchor: '0x0000000000000000000000000000000000000005',
+    originAnchor: '0x0000000000000000000000000000000000000006',
+  };
+  const txOptions = {
+    staker: { from: '0x0000000000000000000000000000000000000007' },
+    auxiliary: { from: '0x0000000000000000000000000000000000000008' },
+    anchor: { from: '0x0000000000000000000000000000000000000009' },
+    originAnchor: { from: '0x000000000000000000000000000000000000000a' },
+  };
+  const proof = {
+    encodedAccountValue: '0xaccount',
+    serializedAccountProof: '0xaccountProof',
+    storageProof: [{ serializedProof: '0xstorageProof' }],
+  };
+
+  const fakeSteps = () => {
+    const fakes = {};
+    fakes.penalty = sinon.replace(
+      revertStake.gateway.contract.methods,
+      'penalty',
+      sinon.fake.returns({ call: sinon.fake.resolves('15') }),
+    );
+    fakes.approve = sinon.replace(
+      revertStake.valueToken,
+      'approve',
+      sinon.fake.resolves({ status: true }),
+    );
+    fakes.revertStake = sinon.replace(
+      revertStake.gatewayComposer,
+      'revertStake',
+      sinon.fake.resolves({ status: true, blockNumber: 20 }),
+    );
+    sinon.replace(
+      originWeb3.eth,
+      'getBlock',
+      sinon.fake.resolves({ number: 21, stateRoot: '0xoriginRoot' }),
+    );
+    sinon.replace(
+      auxiliaryWeb3.eth,
+      'getBlock',
+      sinon.fake.resolves({ number: 31, stateRoot: '0xauxiliaryRoot' }),
+    );
+    fakes.anchorStateRoot = sinon.replace(
+      revertStake.anchor,
+      'anchorStateRoot',
+      sinon.fake.resolves({ status: true }),
+    );
+    fakes.originAnchorStateRoot = sinon.replace(
+      revertStake.originAnchor,
+      'anchorStateRoot',
+      sinon.fake.resolves({ status: true }),
+    );
+    fakes.getOutboxProof = sinon.replace(
+      revertStake.proofGenerator,
+      'getOutboxProof',
+      sinon.fake.resolves(proof),
+    );
+    fakes.getInboxProof = sinon.replace(
+      revertStake.proofGenerator,
+      'getInboxProof',
+      sinon.fake.resolves(proof),
+    );
+    fakes.proveGatewayOnCoGateway = sinon.replace(
+      revertStake.coGateway,
+      'proveGateway',
+      sinon.fake.resolves({ status: true }),
+    );
+    fakes.proveGatewayOnGateway = sinon.replace(
+      revertStake.gateway,
+      'proveGateway',
+      sinon.fake.resolves({ status: true }),
+    );
+    fakes.confirmRevertStakeIntent = sinon.replace(
+      revertStake.coGateway.contract.methods,
+      'confirmRevertStakeIntent',
+      sinon.fake.returns('confirmTx'),
+    );
+    fakes.progressRevertStake = sinon.replace(
+      revertStake.gateway.contract.methods,
+      'progressRevertStake',
+      sinon.fake.returns('progressTx'),
+    );
+    fakes.sendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake(tx => Promise.resolve({ status: true, blockNumber: 30, tx })),
+    );
+    return fakes;
+  };
+
+  beforeEach(() => {
+    originWeb3 = new Web3();
+    auxiliaryWeb3 = new Web3();
+    revertStake = new RevertStake(originWeb3, auxiliaryWeb3, addresses);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should perform all steps in order and emit progress', async () => {
+    const fakes = fakeSteps();
+    const progress = [];
+    revertStake.on('progress', event => progress.push(`${event.step}:${event.status}`));
+
+    const state = await revertStake.perform(messageHash, txOptions);
+
+    assert.deepEqual(
+      progress,
+      RevertStake.Steps.reduce(
+        (acc, step) => acc.concat([`${step}:started`, `${step}:completed`]),
+        [],
+      ),
+      'Progress events must be emitted for each step',
+    );
+    Spy.assert(fakes.penalty, 1, [[messageHash]]);
+    assert.strictEqual(state.penalty, '15', 'Penalty must be read from the gateway');
+    assert.strictEqual(state.anchoredOriginBlockHeight, '21');
+    assert.strictEqual(state.anchoredAuxiliaryBlockHeight, '31');
+    assert.deepEqual(
+      Object.keys(state.receipts),
+      RevertStake.Steps,
+      'Receipts of all steps must be stored',
+    );
+
+    Spy.assert(fakes.approve, 1, [[addresses.gatewayComposer, '15', txOptions.staker]]);
+    Spy.assert(fakes.revertStake, 1, [[
+      addresses.gateway,
+      '15',
+      messageHash,
+      txOptions.staker,
+    ]]);
+    Spy.assert(fakes.anchorStateRoot, 1, [['21', '0xoriginRoot', txOptions.anchor]]);
+    Spy.assert(fakes.getOutboxProof, 1, [[addresses.gateway, [messageHash], '0x15']]);
+    Spy.assert(fakes.proveGatewayOnCoGateway, 1, [[
+      '21',
+      proof.encodedAccountValue,
+      proof.serializedAccountProof,
+      txOptions.auxiliary,
+    ]]);
+    Spy.assert(fakes.confirmRevertStakeIntent, 1, [[messageHash, '21', '0xstorageProof']]);
+    Spy.assert(fakes.originAnchorStateRoot, 1, [['31', '0xauxiliaryRoot', txOptions.originAnchor]]);
+    Spy.assert(fakes.getInboxProof, 1, [[addresses.coGateway, [messageHash], '0x1f']]);
+    Spy.assert(fakes.proveGatewayOnGateway, 1, [[
+      '31',
+      proof.encodedAccountValue,
+      proof.serializedAccountProof,
+      txOptions.staker,
+    ]]);
+    Spy.assert(fakes.progressRevertStake, 1, [[messageHash, '31', '0xstorageProof']]);
+    Spy.assert(fakes.sendTransaction, 2, [
+      ['confirmTx', txOptions.auxiliary],
+      ['progressTx', txOptions.staker],
+    ]);
+  });
+
+  it('should wait for an anchored state root without anchor options', async () => {
+    fakeSteps();
+    let latestHeight = 15;
+    sinon.replace(
+      revertStake.anchor,
+      'getLatestStateRootBlockHeight',
+      sinon.fake(() => {
+        latestHeight += 5;
+        return Promise.resolve(latestHeight.toString());
+      }),
+    );
+    revertStake.pollInterval = 1;
+
+    await revertStake.approvePenalty(messageHash, txOptions);
+    await revertStake.revertStake(txOptions);
+    const result = await revertStake.anchorOriginStateRoot({ ...txOptions, anchor: undefined });
+
+    assert.deepEqual(result, { blockHeight: '20' }, 'Anchored block height must match');
+  });
+
+  it('should reject when an anchored state root does not arrive in time', async () => {
+    fakeSteps();
+    sinon.replace(
+      revertStake.anchor,
+      'getLatestStateRootBlockHeight',
+      sinon.fake.resolves('10'),
+    );
+    revertStake.pollInterval = 1;
+    revertStake.anchorTimeout = 5;
+
+    await revertStake.approvePenalty(messageHash, txOptions);
+    await revertStake.revertStake(txOptions);
+
+    await AssertAsync.reject(
+      revertStake.anchorOriginStateRoot({ ...txOptions, anchor: undefined }),
+      'No state root at or after block 20 was anchored in time.',
+    );
+  });
+
+  it('should reject a step whose previous step is not completed', async () => {
+    const progress = [];
+    revertStake.on('progress', event => progress.push(`${event.step}:${event.status}`));
+
+    await AssertAsync.reject(
+      revertStake.confirmRevertStakeIntent(txOptions),
+      'Step anchorOriginStateRoot must be completed first.',
+    );
+    assert.deepEqual(
+      progress,
+      ['confirmRevertStakeIntent:started', 'confirmRevertStakeIntent:failed'],
+      'Failed progress must be emitted',
+    );
+  });
+
+  it('should reject an invalid message hash', async () => {
+    await AssertAsync.reject(
+      revertStake.perform('0x1234', txOptions),
+      'Invalid messageHash: 0x1234.',
+    );
+  });
+
+  it('should reject when transaction options are undefined', async () => {
+    await AssertAsync.reject(
+      revertStake.perform(messageHash, undefined),
+      'Invalid transaction options: undefined.',
+    );
+  });
+});
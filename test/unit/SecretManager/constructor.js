@@ -0,0 +1,34 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const SecretManager = require('../../../lib/SecretManager');
+const InMemoryCheckpointStore = require('../../../lib/Staker/InMemoryCheckpointStore');
+
+describe('SecretManager.constructor()', () => {
+  it('should accept a key as buffer', () => {
+    const encryptionKey = Buffer.alloc(32, 1);
+
+    const secretManager = new SecretManager(new InMemoryCheckpointStore(), { encryptionKey });
+
+    assert.deepEqual(secretManager._encryptionKey, encryptionKey, 'Key must be set');
+  });
+
+  it('should throw for an invalid encryption key', () => {
+    assert.throws(
+      () => new SecretManager(new InMemoryCheckpointStore(), { encryptionKey: '0x1234' }),
+      'Encryption key must be 32 bytes.',
+    );
+    assert.throws(
+      () => new SecretManager(new InMemoryCheckpointStore()),
+      'Encryption key must be 32 bytes.',
+    );
+  });
+
+  it('should throw for an invalid store', () => {
+    assert.throws(
+      () => new SecretManager({ get() {} }, { encryptionKey: Buffer.alloc(32) }),
+      'Invalid store, it must implement: get, save, remove.',
+    );
+  });
+});
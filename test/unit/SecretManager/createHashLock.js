@@ -0,0 +1,100 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const SecretManager = require('../../../lib/SecretManager');
+const InMemoryCheckpointStore = require('../../../lib/Staker/InMemoryCheckpointStore');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('SecretManager.createHashLock()', () => {
+  let store;
+  let secretManager;
+  const encryptionKey = Web3.utils.sha3('encryptionKey');
+  const stakeRequestHash = Web3.utils.sha3('stakeRequest');
+
+  beforeEach(() => {
+    store = new InMemoryCheckpointStore();
+    secretManager = new SecretManager(store, { encryptionKey });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should create random secrets with keccak256 hash locks', () => {
+    const first = SecretManager.createSecretHashLock();
+    const second = SecretManager.createSecretHashLock();
+
+    assert.match(first.unlockSecret, /^0x[0-9a-f]{64}$/, 'Secret must be 32 bytes');
+    assert.strictEqual(
+      first.hashLock,
+      Web3.utils.keccak256(first.unlockSecret),
+      'Hash lock must be the keccak256 hash of the secret',
+    );
+    assert.notStrictEqual(first.unlockSecret, second.unlockSecret, 'Secrets must differ');
+  });
+
+  it('should store the secret encrypted', async () => {
+    const hashLock = await secretManager.createHashLock(stakeRequestHash);
+
+    const stored = await store.get(stakeRequestHash);
+    const unlockSecret = await secretManager.getUnlockSecret(stakeRequestHash);
+    assert.strictEqual(stored.hashLock, hashLock, 'Hash lock must be stored');
+    assert.strictEqual(hashLock, Web3.utils.keccak256(unlockSecret), 'Hash lock must match');
+    assert.notInclude(
+      JSON.stringify(stored),
+      unlockSecret.slice(2),
+      'Secret must not be stored in plain text',
+    );
+  });
+
+  it('should return the stored hash lock on later calls', async () => {
+    const hashLock = await secretManager.createHashLock(stakeRequestHash);
+
+    assert.strictEqual(
+      await secretManager.createHashLock(stakeRequestHash),
+      hashLock,
+      'Hash lock must not change',
+    );
+  });
+
+  it('should create one secret for concurrent calls', async () => {
+    const save = sinon.spy(store, 'save');
+
+    const hashLocks = await Promise.all([
+      secretManager.createHashLock(stakeRequestHash),
+      secretManager.createHashLock(stakeRequestHash),
+    ]);
+
+    assert.strictEqual(hashLocks[0], hashLocks[1], 'Hash locks must match');
+    assert.strictEqual(save.callCount, 1, 'Secret must be stored once');
+    assert.deepEqual(secretManager._hashLockCreations, {}, 'Finished calls must be removed');
+  });
+
+  it('should create one secret for a hash in different case', async () => {
+    const save = sinon.spy(store, 'save');
+    const upperCaseHash = `0x${stakeRequestHash.slice(2).toUpperCase()}`;
+
+    const hashLocks = await Promise.all([
+      secretManager.createHashLock(upperCaseHash),
+      secretManager.createHashLock(stakeRequestHash),
+    ]);
+
+    assert.strictEqual(hashLocks[0], hashLocks[1], 'Hash locks must match');
+    assert.strictEqual(save.callCount, 1, 'Secret must be stored once');
+    assert.strictEqual(
+      save.firstCall.args[0],
+      stakeRequestHash,
+      'Secret must be stored under the lower case hash',
+    );
+  });
+
+  it('should reject an invalid stake request hash', async () => {
+    await AssertAsync.reject(
+      secretManager.createHashLock('0x12'),
+      'Invalid stakeRequestHash: 0x12.',
+    );
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const Web3 = require('web3');
+const { assert } = require('chai');
+
+const SecretManager = require('../../../lib/SecretManager');
+const InMemoryCheckpointStore = require('../../../lib/Staker/InMemoryCheckpointStore');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('SecretManager.getUnlockSecret()', () => {
+  let store;
+  let secretManager;
+  let hashLock;
+  const encryptionKey = Web3.utils.sha3('encryptionKey');
+  const stakeRequestHash = Web3.utils.sha3('stakeRequest');
+  const messageHash = Web3.utils.sha3('message');
+
+  beforeEach(async () => {
+    store = new InMemoryCheckpointStore();
+    secretManager = new SecretManager(store, { encryptionKey });
+    hashLock = await secretManager.createHashLock(stakeRequestHash);
+  });
+
+  it('should return the secret by message hash once set', async () => {
+    await AssertAsync.reject(
+      secretManager.getUnlockSecret(messageHash),
+      `No secret is stored for ${messageHash}.`,
+    );
+
+    await secretManager.setMessageHash(stakeRequestHash, messageHash);
+
+    const unlockSecret = await secretManager.getUnlockSecret(messageHash);
+    assert.strictEqual(Web3.utils.keccak256(unlockSecret), hashLock, 'Secret must match');
+    assert.strictEqual(
+      await secretManager.getUnlockSecret(stakeRequestHash),
+      unlockSecret,
+      'Secret must match by stake request hash',
+    );
+  });
+
+  it('should read the secret by hashes in any case', async () => {
+    const upperCase = hash => `0x${hash.slice(2).toUpperCase()}`;
+
+    await secretManager.setMessageHash(upperCase(stakeRequestHash), upperCase(messageHash));
+
+    const unlockSecret = await secretManager.getUnlockSecret(messageHash);
+    assert.strictEqual(Web3.utils.keccak256(unlockSecret), hashLock, 'Secret must match');
+    assert.strictEqual(
+      await secretManager.getUnlockSecret(upperCase(stakeRequestHash)),
+      unlockSecret,
+      'Secret must match by stake request hash',
+    );
+  });
+
+  it('should fail to decrypt with another key', async () => {
+    const other = new SecretManager(store, { encryptionKey: Web3.utils.sha3('other') });
+
+    await AssertAsync.reject(
+      other.getUnlockSecret(stakeRequestHash),
+      `Secret of hash lock ${hashLock} cannot be decrypted: Unsupported state or unable to authenticate data`,
+    );
+  });
+
+  it('should fail if the stored hash lock was changed', async () => {
+    const stored = await store.get(stakeRequestHash);
+    await store.save(stakeRequestHash, { ...stored, hashLock: Web3.utils.sha3('other') });
+
+    await AssertAsync.reject(
+      secretManager.getUnlockSecret(stakeRequestHash),
+      `Secret of hash lock ${Web3.utils.sha3('other')} cannot be decrypted: Unsupported state or unable to authenticate data`,
+    );
+  });
+
+  it('should remove the secret under both hashes', async () => {
+    await secretManager.setMessageHash(stakeRequestHash, messageHash);
+
+    await secretManager.removeSecret(messageHash);
+
+    assert.isUndefined(await store.get(stakeRequestHash), 'Secret must be removed');
+    assert.isUndefined(await store.get(messageHash), 'Secret must be removed');
+  });
+});
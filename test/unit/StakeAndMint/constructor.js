@@ -0,0 +1,43 @@
+'use strict';
+
+const Web3 = require('web3');
+const { assert } = require('chai');
+
+const StakeAndMint = require('../../../lib/StakeAndMint');
+
+describe('StakeAndMint.constructor()', () => {
+  const addresses = {
+    valueToken: '0x0000000000000000000000000000000000000001',
+    brandedToken: '0x0000000000000000000000000000000000000002',
+    gatewayComposer: '0x0000000000000000000000000000000000000003',
+    gateway: '0x0000000000000000000000000000000000000004',
+    coGateway: '0x0000000000000000000000000000000000000005',
+    anchor: '0x0000000000000000000000000000000000000006',
+  };
+
+  it('should derive hash lock from facilitator secret', () => {
+    const stakeAndMint = new StakeAndMint(new Web3(), new Web3(), addresses, 'secret');
+
+    const unlockSecret = Web3.utils.keccak256('secret');
+    assert.strictEqual(stakeAndMint.unlockSecret, unlockSecret, 'Unlock secret must match');
+    assert.strictEqual(
+      stakeAndMint.hashLock,
+      Web3.utils.keccak256(unlockSecret),
+      'Hash lock must match',
+    );
+  });
+
+  it('should throw an error when an address is invalid', () => {
+    assert.throws(
+      () => new StakeAndMint(new Web3(), new Web3(), { ...addresses, anchor: '0x123' }, 'secret'),
+      'Invalid anchor address: 0x123.',
+    );
+  });
+
+  it('should throw an error when facilitator secret is missing', () => {
+    assert.throws(
+      () => new StakeAndMint(new Web3(), new Web3(), addresses, ''),
+      'Invalid facilitator secret.',
+    );
+  });
+});
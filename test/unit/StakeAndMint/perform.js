@@ -0,0 +1,226 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const Events = require('../../../lib/ContractInteract/Events');
+const StakeAndMint = require('../../../lib/StakeAndMint');
+
+describe('StakeAndMint.perform()', () => {
+  let stakeAndMint;
+  let originWeb3;
+  const worker = '0x0000000000000000000000000000000000000010';
+  const messageHash = Web3.utils.sha3('message');
+  const stakeRequestHash = Web3.utils.sha3('stakeRequest');
+  const addresses = {
+    valueToken: '0x0000000000000000000000000000000000000001',
+    brandedToken: '0x0000000000000000000000000000000000000002',
+    gatewayComposer: '0x0000000000000000000000000000000000000003',
+    gateway: '0x0000000000000000000000000000000000000004',
+    coGateway: '0x0000000000000000000000000000000000000005',
+    anchor: '0x0000000000000000000000000000000000000006',
+  };
+  const stakeRequest = {
+    stakeVT: '100',
+    mintBT: '350',
+    gateway: addresses.gateway,
+    beneficiary: '0x0000000000000000000000000000000000000007',
+    gasPrice: '1',
+    gasLimit: '2',
+    nonce: '3',
+  };
+  const txOptions = {
+    staker: { from: '0x0000000000000000000000000000000000000008' },
+    facilitator: { from: '0x0000000000000000000000000000000000000009' },
+    worker,
+    auxiliary: { from: '0x0000000000000000000000000000000000000009' },
+    anchor: { from: '0x000000000000000000000000000000000000000a' },
+  };
+  const signature = { r: '0x1', s: '0x2', v: '0x1c' };
+
+  const fakeSteps = () => {
+    const fakes = {};
+    fakes.requestStake = sinon.replace(
+      stakeAndMint.staker,
+      'requestStake',
+      sinon.fake.resolves({ requestStakeReceipt: { status: true }, stakeRequest }),
+    );
+    sinon.replace(
+      stakeAndMint.brandedToken,
+      'getStakeRequestHash',
+      sinon.fake.resolves(stakeRequestHash),
+    );
+    sinon.replace(
+      stakeAndMint.brandedToken,
+      'getStakeRequest',
+      sinon.fake.resolves({ nonce: '5' }),
+    );
+    originWeb3.eth.accounts.wallet[worker] = {
+      signEIP712TypedData: sinon.fake.resolves(signature),
+    };
+    sinon.replace(stakeAndMint.gateway, 'getBounty', sinon.fake.resolves('10'));
+    fakes.acceptStakeRequest = sinon.replace(
+      stakeAndMint.facilitator,
+      'acceptStakeRequest',
+      sinon.fake.resolves({ acceptStakeRequestReceipt: { status: true, blockNumber: 20 } }),
+    );
+    fakes.getPastEvents = sinon.replace(
+      Events,
+      'getPastEvents',
+      sinon.fake.resolves([{
+        args: {
+          messageHash,
+          staker: addresses.gatewayComposer,
+          stakerNonce: stakeRequest.nonce,
+        },
+      }]),
+    );
+    sinon.replace(
+      originWeb3.eth,
+      'getBlock',
+      sinon.fake.resolves({ number: 21, stateRoot: '0xroot' }),
+    );
+    fakes.anchorStateRoot = sinon.replace(
+      stakeAndMint.anchor,
+      'anchorStateRoot',
+      sinon.fake.resolves({ status: true }),
+    );
+    fakes.confirmStakeIntent = sinon.replace(
+      stakeAndMint.mosaicFacilitator,
+      'confirmStakeIntent',
+      sinon.fake.resolves({ status: true }),
+    );
+    fakes.progressStake = sinon.replace(
+      stakeAndMint.mosaicFacilitator,
+      'performProgressStake',
+      sinon.fake.resolves({ status: true }),
+    );
+    fakes.progressMint = sinon.replace(
+      stakeAndMint.mosaicFacilitator,
+      'performProgressMint',
+      sinon.fake.resolves({ status: true }),
+    );
+    return fakes;
+  };
+
+  beforeEach(() => {
+    originWeb3 = new Web3();
+    stakeAndMint = new StakeAndMint(originWeb3, new Web3(), addresses, 'secret');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should perform all steps in order and emit progress', async () => {
+    const fakes = fakeSteps();
+    const progress = [];
+    stakeAndMint.on('progress', event => progress.push(`${event.step}:${event.status}`));
+
+    const stakeParams = {
+      stakeVT: '100',
+      beneficiary: stakeRequest.beneficiary,
+      gasPrice: '1',
+      gasLimit: '2',
+    };
+    const state = await stakeAndMint.perform(stakeParams, txOptions);
+
+    assert.deepEqual(
+      progress,
+      StakeAndMint.Steps.reduce(
+        (acc, step) => acc.concat([`${step}:started`, `${step}:completed`]),
+        [],
+      ),
+      'Progress events must be emitted for each step',
+    );
+    assert.strictEqual(state.messageHash, messageHash, 'Message hash must match');
+    assert.strictEqual(state.mintBT, stakeRequest.mintBT, 'Staked branded tokens must be stored');
+    assert.strictEqual(state.stakeRequestHash, stakeRequestHash, 'Stake request hash must match');
+    assert.deepEqual(
+      Object.keys(state.receipts),
+      StakeAndMint.Steps,
+      'Receipts of all steps must be stored',
+    );
+
+    Spy.assert(fakes.requestStake, 1, [[
+      { ...stakeParams, gateway: addresses.gateway },
+      txOptions.staker,
+    ]]);
+    Spy.assert(fakes.acceptStakeRequest, 1, [[
+      stakeRequestHash,
+      signature,
+      '10',
+      stakeAndMint.hashLock,
+      txOptions.facilitator,
+    ]]);
+    Spy.assert(fakes.anchorStateRoot, 1, [['21', '0xroot', txOptions.anchor]]);
+    Spy.assert(fakes.confirmStakeIntent, 1, [[
+      addresses.gatewayComposer,
+      stakeRequest.mintBT,
+      stakeRequest.beneficiary,
+      stakeRequest.gasPrice,
+      stakeRequest.gasLimit,
+      stakeRequest.nonce,
+      stakeAndMint.hashLock,
+      txOptions.auxiliary,
+    ]]);
+    Spy.assert(fakes.progressStake, 1, [[
+      messageHash,
+      stakeAndMint.unlockSecret,
+      txOptions.facilitator,
+    ]]);
+    Spy.assert(fakes.progressMint, 1, [[
+      messageHash,
+      stakeAndMint.unlockSecret,
+      txOptions.auxiliary,
+    ]]);
+  });
+
+  it('should wait for an anchored state root without anchor options', async () => {
+    fakeSteps();
+    let latestHeight = 15;
+    sinon.replace(
+      stakeAndMint.anchor,
+      'getLatestStateRootBlockHeight',
+      sinon.fake(() => {
+        latestHeight += 5;
+        return Promise.resolve(latestHeight.toString());
+      }),
+    );
+    stakeAndMint.pollInterval = 1;
+
+    await stakeAndMint.requestStake({ stakeVT: '100' }, txOptions);
+    await stakeAndMint.acceptStakeRequest(txOptions);
+    const result = await stakeAndMint.anchorStateRoot({ ...txOptions, anchor: undefined });
+
+    assert.deepEqual(result, { blockHeight: '20' }, 'Anchored block height must match');
+  });
+
+  it('should emit failed progress and reject when a step fails', async () => {
+    fakeSteps();
+    sinon.restore();
+    sinon.replace(
+      stakeAndMint.staker,
+      'requestStake',
+      sinon.fake.rejects(new Error('Request stake is failed')),
+    );
+    const progress = [];
+    stakeAndMint.on('progress', event => progress.push(event.status));
+
+    await AssertAsync.reject(
+      stakeAndMint.perform({ stakeVT: '100' }, txOptions),
+      'Request stake is failed',
+    );
+    assert.deepEqual(progress, ['started', 'failed'], 'Failure must be emitted');
+  });
+
+  it('should reject a step whose previous step is not completed', async () => {
+    await AssertAsync.reject(
+      stakeAndMint.progressStake(txOptions),
+      'Step acceptStakeRequest must be completed first.',
+    );
+  });
+});
@@ -0,0 +1,226 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const AssertAsync = require('../../utils/AssertAsync');
+const Events = require('../../../lib/ContractInteract/Events');
+const StakeStatus = require('../../../lib/StakeStatus');
+
+describe('StakeStatus.get()', () => {
+  let stakeStatus;
+  let pastEvents;
+  const stakeRequestHash = Web3.utils.sha3('stakeRequest');
+  const messageHash = Web3.utils.sha3('message');
+  const addresses = {
+    brandedToken: '0x0000000000000000000000000000000000000001',
+    gatewayComposer: '0x0000000000000000000000000000000000000002',
+    gateway: '0x0000000000000000000000000000000000000003',
+    coGateway: '0x0000000000000000000000000000000000000004',
+  };
+  const staker = addresses.gatewayComposer;
+
+  const event = (name, blockNumber, transactionHash, args = {}) => ({
+    event: name,
+    args,
+    blockNumber,
+    transactionHash,
+  });
+
+  const setup = ({
+    btExists = false,
+    gcExists = false,
+    gatewayStatus = '0',
+    coGatewayStatus = '0',
+  } = {}) => {
+    sinon.replace(
+      stakeStatus.brandedToken,
+      'getStakeRequest',
+      sinon.fake.resolves({
+        staker: btExists ? staker : '0x0000000000000000000000000000000000000000',
+        stake: btExists ? '100' : '0',
+        nonce: '0',
+        exists: btExists,
+      }),
+    );
+    sinon.replace(
+      stakeStatus.gatewayComposer,
+      'getStakeRequest',
+      sinon.fake.resolves({
+        gateway: gcExists ? addresses.gateway : '0x0000000000000000000000000000000000000000',
+        nonce: gcExists ? '4' : '0',
+        exists: gcExists,
+      }),
+    );
+    sinon.replace(
+      stakeStatus.gateway,
+      'getOutboxMessageStatus',
+      sinon.fake.resolves(gatewayStatus),
+    );
+    sinon.replace(
+      stakeStatus.coGateway,
+      'getInboxMessageStatus',
+      sinon.fake.resolves(coGatewayStatus),
+    );
+    sinon.replace(
+      Events,
+      'getPastEvents',
+      sinon.fake(async (web3, contract, eventName) => pastEvents[eventName] || []),
+    );
+  };
+
+  beforeEach(() => {
+    stakeStatus = new StakeStatus(new Web3(), new Web3(), addresses);
+    pastEvents = {
+      StakeRequested: [
+        event('StakeRequested', 10, '0x10', { staker, stake: '100', nonce: '0' }),
+      ],
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should reject an invalid stake request hash', async () => {
+    await AssertAsync.reject(
+      stakeStatus.get('0x1234'),
+      'Invalid stakeRequestHash: 0x1234.',
+    );
+  });
+
+  it('should return unknown for an unknown stake request', async () => {
+    pastEvents = {};
+    setup();
+
+    const info = await stakeStatus.get(stakeRequestHash);
+
+    assert.strictEqual(info.status, StakeStatus.Statuses.Unknown);
+    assert.strictEqual(info.staker, undefined);
+    assert.strictEqual(info.transactions.requested, undefined);
+  });
+
+  it('should return requested for a pending stake request', async () => {
+    setup({ btExists: true, gcExists: true });
+
+    const info = await stakeStatus.get(stakeRequestHash);
+
+    assert.strictEqual(info.status, StakeStatus.Statuses.Requested);
+    assert.strictEqual(info.staker, staker);
+    assert.strictEqual(info.stake, '100');
+    assert.strictEqual(info.gateway, addresses.gateway);
+    assert.strictEqual(info.gatewayNonce, '4');
+    assert.deepEqual(
+      info.transactions.requested,
+      { transactionHash: '0x10', blockNumber: 10 },
+    );
+  });
+
+  it('should return rejected for a rejected stake request', async () => {
+    pastEvents.StakeRequestRejected = [event('StakeRequestRejected', 11, '0x11')];
+    setup();
+
+    const info = await stakeStatus.get(stakeRequestHash);
+
+    assert.strictEqual(info.status, StakeStatus.Statuses.Rejected);
+    assert.deepEqual(
+      info.transactions.rejected,
+      { transactionHash: '0x11', blockNumber: 11 },
+    );
+  });
+
+  it('should return rejected while the gateway composer keeps the stake request', async () => {
+    pastEvents.StakeRequestRejected = [event('StakeRequestRejected', 11, '0x11')];
+    setup({ gcExists: true });
+
+    const info = await stakeStatus.get(stakeRequestHash);
+
+    assert.strictEqual(info.status, StakeStatus.Statuses.Rejected);
+    assert.strictEqual(info.gateway, addresses.gateway);
+  });
+
+  it('should return revoked for a revoked stake request', async () => {
+    pastEvents.StakeRequestRevoked = [event('StakeRequestRevoked', 11, '0x11')];
+    setup();
+
+    const info = await stakeStatus.get(stakeRequestHash);
+
+    assert.strictEqual(info.status, StakeStatus.Statuses.Revoked);
+  });
+
+  describe('accepted stake request', () => {
+    beforeEach(() => {
+      pastEvents.StakeRequestAccepted = [event('StakeRequestAccepted', 12, '0x12')];
+      pastEvents.StakeIntentDeclared = [
+        event('StakeIntentDeclared', 12, '0x99', { messageHash: Web3.utils.sha3('other') }),
+        event('StakeIntentDeclared', 12, '0x12', { messageHash }),
+      ];
+    });
+
+    it('should return accepted while the message is declared', async () => {
+      setup({ gatewayStatus: '1', coGatewayStatus: '1' });
+
+      const info = await stakeStatus.get(stakeRequestHash);
+
+      assert.strictEqual(info.status, StakeStatus.Statuses.Accepted);
+      assert.strictEqual(info.messageHash, messageHash);
+      assert.strictEqual(info.gatewayStatus, '1');
+      assert.strictEqual(info.coGatewayStatus, '1');
+      assert.deepEqual(
+        info.transactions.accepted,
+        { transactionHash: '0x12', blockNumber: 12 },
+      );
+    });
+
+    it('should return stake-progressed once the stake is progressed', async () => {
+      pastEvents.StakeProgressed = [event('StakeProgressed', 13, '0x13')];
+      setup({ gatewayStatus: '2', coGatewayStatus: '1' });
+
+      const info = await stakeStatus.get(stakeRequestHash);
+
+      assert.strictEqual(info.status, StakeStatus.Statuses.StakeProgressed);
+      assert.deepEqual(
+        info.transactions.stakeProgressed,
+        { transactionHash: '0x13', blockNumber: 13 },
+      );
+    });
+
+    it('should return minted once the mint is progressed', async () => {
+      pastEvents.StakeProgressed = [event('StakeProgressed', 13, '0x13')];
+      pastEvents.MintProgressed = [event('MintProgressed', 5, '0x05')];
+      setup({ gatewayStatus: '2', coGatewayStatus: '2' });
+
+      const info = await stakeStatus.get(stakeRequestHash);
+
+      assert.strictEqual(info.status, StakeStatus.Statuses.Minted);
+      assert.deepEqual(
+        info.transactions.minted,
+        { transactionHash: '0x05', blockNumber: 5 },
+      );
+    });
+
+    it('should return reverted once the stake is reverted', async () => {
+      pastEvents.RevertStakeIntentDeclared = [event('RevertStakeIntentDeclared', 14, '0x14')];
+      setup({ gatewayStatus: '3', coGatewayStatus: '1' });
+
+      const info = await stakeStatus.get(stakeRequestHash);
+
+      assert.strictEqual(info.status, StakeStatus.Statuses.Reverted);
+      assert.deepEqual(
+        info.transactions.reverted,
+        { transactionHash: '0x14', blockNumber: 14 },
+      );
+    });
+
+    it('should reject when the stake intent is not found', async () => {
+      pastEvents.StakeIntentDeclared = [];
+      setup();
+
+      await AssertAsync.reject(
+        stakeStatus.get(stakeRequestHash),
+        'StakeIntentDeclared event not found in transaction 0x12.',
+      );
+    });
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const UtilityBrandedToken = require('../../../lib/ContractInteract/UtilityBrandedToken');
+const Utils = require('../../../utils/Utils');
+
+describe('UtilityBrandedToken.getInfo()', () => {
+  const zeroAddress = '0x0000000000000000000000000000000000000000';
+  const coGatewayAddress = '0x0000000000000000000000000000000000000005';
+  let utilityBrandedToken;
+
+  const infoResult = coGateway => [
+    '1000',
+    'Branded Token',
+    'BT',
+    '18',
+    '0x0000000000000000000000000000000000000003',
+    coGateway,
+    '0x0000000000000000000000000000000000000004',
+  ];
+
+  beforeEach(() => {
+    const web3 = new Web3();
+    const tokenAddress = '0x0000000000000000000000000000000000000002';
+    utilityBrandedToken = new UtilityBrandedToken(web3, tokenAddress);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should fetch metadata in one batch request', async () => {
+    const spyBatchCall = sinon.replace(
+      Utils,
+      'batchCall',
+      sinon.fake.resolves(infoResult(coGatewayAddress)),
+    );
+
+    const info = await utilityBrandedToken.getInfo();
+
+    assert.deepEqual(
+      info,
+      {
+        name: 'Branded Token',
+        symbol: 'BT',
+        decimals: '18',
+        totalSupply: '1000',
+        token: '0x0000000000000000000000000000000000000003',
+        coGateway: coGatewayAddress,
+        organization: '0x0000000000000000000000000000000000000004',
+      },
+      'Info must match',
+    );
+    assert.strictEqual(spyBatchCall.args[0][1].length, 7, 'All fields must be fetched');
+  });
+
+  it('should fetch co-gateway again while it is not set', async () => {
+    sinon.replace(Utils, 'batchCall', sinon.fake.resolves(infoResult(zeroAddress)));
+    await utilityBrandedToken.getInfo();
+    sinon.restore();
+
+    const spyBatchCall = sinon.replace(
+      Utils,
+      'batchCall',
+      sinon.fake.resolves(['2000', coGatewayAddress]),
+    );
+    const info = await utilityBrandedToken.getInfo();
+
+    assert.strictEqual(spyBatchCall.args[0][1].length, 2, 'Total supply and co-gateway must be fetched');
+    assert.strictEqual(info.coGateway, coGatewayAddress, 'Co-gateway must be updated');
+    assert.strictEqual(info.totalSupply, '2000', 'Total supply must be updated');
+  });
+
+  it('should only fetch total supply once co-gateway is set', async () => {
+    sinon.replace(Utils, 'batchCall', sinon.fake.resolves(infoResult(coGatewayAddress)));
+    await utilityBrandedToken.getInfo();
+    sinon.restore();
+
+    const spyBatchCall = sinon.replace(
+      Utils,
+      'batchCall',
+      sinon.fake.resolves(['2000']),
+    );
+    const info = await utilityBrandedToken.getInfo();
+
+    assert.strictEqual(spyBatchCall.args[0][1].length, 1, 'Only total supply must be fetched');
+    assert.strictEqual(info.coGateway, coGatewayAddress, 'Co-gateway must be cached');
+  });
+});
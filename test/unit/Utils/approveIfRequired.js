@@ -0,0 +1,81 @@
+'use strict';
+
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+const Utils = require('../../../utils/Utils');
+
+describe('Utils.approveIfRequired()', () => {
+  const spender = '0x0000000000000000000000000000000000000004';
+  const txOptions = { from: '0x0000000000000000000000000000000000000002' };
+
+  const createToken = (allowance, approveReceipts = [{ status: true }]) => {
+    const approve = sinon.stub();
+    approveReceipts.forEach((receipt, index) => approve.onCall(index).resolves(receipt));
+    return {
+      allowance: sinon.fake.resolves(allowance),
+      approve,
+    };
+  };
+
+  it('should skip approval when the allowance is sufficient', async () => {
+    const token = createToken('100');
+
+    const result = await Utils.approveIfRequired(token, spender, '100', txOptions);
+
+    assert.deepEqual(result, { path: Utils.ApprovalPaths.Skipped, allowance: '100' });
+    Spy.assert(token.allowance, 1, [[txOptions.from, spender]]);
+    Spy.assert(token.approve, 0, [[]]);
+  });
+
+  it('should approve when the allowance is insufficient', async () => {
+    const token = createToken('10');
+
+    const result = await Utils.approveIfRequired(token, spender, '100', txOptions);
+
+    assert.deepEqual(result, {
+      path: Utils.ApprovalPaths.Approved,
+      allowance: '10',
+      approveReceipt: { status: true },
+    });
+    Spy.assert(token.approve, 1, [[spender, '100', txOptions]]);
+  });
+
+  it('should reset a non-zero allowance first when requested', async () => {
+    const token = createToken('10', [{ status: true, reset: true }, { status: true }]);
+
+    const result = await Utils.approveIfRequired(token, spender, '100', txOptions, true);
+
+    assert.deepEqual(result, {
+      path: Utils.ApprovalPaths.ResetAndApproved,
+      allowance: '10',
+      resetReceipt: { status: true, reset: true },
+      approveReceipt: { status: true },
+    });
+    Spy.assert(token.approve, 2, [
+      [spender, '0', txOptions],
+      [spender, '100', txOptions],
+    ]);
+  });
+
+  it('should not reset a zero allowance', async () => {
+    const token = createToken('0');
+
+    const result = await Utils.approveIfRequired(token, spender, '100', txOptions, true);
+
+    assert.strictEqual(result.path, Utils.ApprovalPaths.Approved);
+    Spy.assert(token.approve, 1, [[spender, '100', txOptions]]);
+  });
+
+  it('should reject when the reset fails', async () => {
+    const token = createToken('10', [{ status: false, transactionHash: '0x1' }]);
+
+    await AssertAsync.reject(
+      Utils.approveIfRequired(token, spender, '100', txOptions, true),
+      'Reset of allowance is failed with transactionHash: 0x1',
+    );
+    Spy.assert(token.approve, 1, [[spender, '0', txOptions]]);
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const Utils = require('../../../utils/Utils');
+const AssertAsync = require('../../utils/AssertAsync');
+
+/**
+ * Creates a fake web3 object whose batch requests resolve with the given
+ * responses when executed.
+ *
+ * @param {Array<Object>} responses `{ error, result }` per request.
+ *
+ * @returns {Object} Fake web3 object and the number of executed batches.
+ */
+const fakeWeb3 = (responses) => {
+  const state = { executed: 0 };
+  state.web3 = {
+    BatchRequest: class {
+      constructor() {
+        this.requests = [];
+      }
+
+      add(request) {
+        this.requests.push(request);
+      }
+
+      execute() {
+        state.executed += 1;
+        this.requests.forEach((request, index) => {
+          request.callback(responses[index].error, responses[index].result);
+        });
+      }
+    },
+  };
+  return state;
+};
+
+const fakeMethod = () => ({
+  call: {
+    request: (options, callback) => ({ callback }),
+  },
+});
+
+describe('Utils.batchCall()', () => {
+  it('should resolve results in the order of the methods', async () => {
+    const state = fakeWeb3([{ result: 'Name' }, { result: '18' }]);
+
+    const results = await Utils.batchCall(state.web3, [fakeMethod(), fakeMethod()]);
+
+    assert.deepEqual(results, ['Name', '18'], 'Results must match');
+    assert.strictEqual(state.executed, 1, 'Batch must be executed once');
+  });
+
+  it('should reject if a call fails', async () => {
+    const state = fakeWeb3([{ result: 'Name' }, { error: new Error('call failed') }]);
+
+    await AssertAsync.reject(
+      Utils.batchCall(state.web3, [fakeMethod(), fakeMethod()]),
+      'call failed',
+    );
+  });
+
+  it('should resolve without executing an empty batch', async () => {
+    const state = fakeWeb3([]);
+
+    const results = await Utils.batchCall(state.web3, []);
+
+    assert.deepEqual(results, [], 'Results must be empty');
+    assert.strictEqual(state.executed, 0, 'Batch must not be executed');
+  });
+});
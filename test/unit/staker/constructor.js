@@ -40,4 +40,30 @@ describe('Staker.constructor()', () => {
       'Gateway composer address must match',
     );
   });
+
+  it('should construct in direct mode without gateway composer', () => {
+    const staker = new Staker(
+      new Web3(),
+      '0x0000000000000000000000000000000000000002',
+      '0x0000000000000000000000000000000000000003',
+      undefined,
+      { mode: Staker.Modes.Direct },
+    );
+
+    assert.strictEqual(staker.mode, Staker.Modes.Direct, 'Mode must match');
+    assert.strictEqual(staker.gatewayComposer, undefined, 'Gateway composer must not be set');
+  });
+
+  it('should throw an error when mode is invalid', () => {
+    assert.throws(() => {
+      // eslint-disable-next-line no-new
+      new Staker(
+        new Web3(),
+        '0x0000000000000000000000000000000000000002',
+        '0x0000000000000000000000000000000000000003',
+        '0x0000000000000000000000000000000000000004',
+        { mode: 'composer' },
+      );
+    }, 'Invalid staker mode: composer.');
+  });
 });
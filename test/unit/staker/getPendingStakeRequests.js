@@ -0,0 +1,83 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Staker = require('../../../lib/Staker');
+const Spy = require('../../utils/Spy');
+
+describe('Staker.getPendingStakeRequests()', () => {
+  let staker;
+  const gatewayComposer = '0x0000000000000000000000000000000000000004';
+  const pendingHash = Web3.utils.sha3('pending');
+  const acceptedHash = Web3.utils.sha3('accepted');
+  const rejectedHash = Web3.utils.sha3('rejected');
+  const stakeRequest = {
+    stakeVT: '100',
+    gateway: '0x0000000000000000000000000000000000000001',
+    beneficiary: '0x0000000000000000000000000000000000000005',
+    gasPrice: '1',
+    gasLimit: '2',
+    nonce: '3',
+  };
+
+  beforeEach(() => {
+    staker = new Staker(
+      new Web3(),
+      '0x0000000000000000000000000000000000000002',
+      '0x0000000000000000000000000000000000000003',
+      gatewayComposer,
+      { fromBlock: 10 },
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return stake requests that the branded token still stores', async () => {
+    const getPastEvents = sinon.replace(
+      staker.gatewayComposer,
+      'getPastEvents',
+      sinon.fake.resolves([
+        { args: { stakeRequestHash: acceptedHash } },
+        { args: { stakeRequestHash: rejectedHash } },
+        { args: { stakeRequestHash: pendingHash } },
+      ]),
+    );
+    sinon.replace(
+      staker.brandedTokenInteract,
+      'getStakeRequest',
+      sinon.fake(hash => Promise.resolve({ exists: hash === pendingHash })),
+    );
+    // A rejected stake request stays in the gateway composer until resolved.
+    sinon.replace(
+      staker.gatewayComposer,
+      'getStakeRequest',
+      sinon.fake(hash => Promise.resolve(
+        hash === acceptedHash
+          ? { stakeVT: '0', exists: false }
+          : { ...stakeRequest, exists: true },
+      )),
+    );
+
+    const pending = await staker.getPendingStakeRequests();
+
+    assert.deepEqual(
+      pending,
+      [{ stakeRequestHash: pendingHash, ...stakeRequest }],
+      'Only pending stake requests must be returned',
+    );
+    Spy.assert(getPastEvents, 1, [[
+      'StakeRequested',
+      { fromBlock: 10, filter: { _staker: gatewayComposer } },
+    ]]);
+  });
+
+  it('should return an empty list without stake requests', async () => {
+    sinon.replace(staker.gatewayComposer, 'getPastEvents', sinon.fake.resolves([]));
+
+    assert.deepEqual(await staker.getPendingStakeRequests(), []);
+  });
+});
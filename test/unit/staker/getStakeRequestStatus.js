@@ -0,0 +1,84 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Staker = require('../../../lib/Staker');
+const StakeStatus = require('../../../lib/StakeStatus');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('Staker.getStakeRequestStatus()', () => {
+  let staker;
+  const stakeRequestHash = Web3.utils.sha3('stakeRequest');
+
+  beforeEach(() => {
+    staker = new Staker(
+      new Web3(),
+      '0x0000000000000000000000000000000000000002',
+      '0x0000000000000000000000000000000000000003',
+      '0x0000000000000000000000000000000000000004',
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return requested while the stake request is stored', async () => {
+    sinon.replace(staker.brandedTokenInteract, 'getStakeRequest', sinon.fake.resolves({ exists: true }));
+    const getPastEvents = sinon.replace(
+      staker.brandedTokenInteract,
+      'getPastEvents',
+      sinon.fake.resolves([]),
+    );
+
+    const status = await staker.getStakeRequestStatus(stakeRequestHash);
+
+    assert.strictEqual(status, StakeStatus.Statuses.Requested);
+    assert.strictEqual(getPastEvents.callCount, 0, 'Events must not be queried');
+  });
+
+  it('should return the status of the deciding event', async () => {
+    sinon.replace(staker.brandedTokenInteract, 'getStakeRequest', sinon.fake.resolves({ exists: false }));
+    sinon.replace(
+      staker.brandedTokenInteract,
+      'getPastEvents',
+      sinon.fake(name => Promise.resolve(name === 'StakeRequestRevoked' ? [{ args: {} }] : [])),
+    );
+
+    const status = await staker.getStakeRequestStatus(stakeRequestHash);
+
+    assert.strictEqual(status, StakeStatus.Statuses.Revoked);
+  });
+
+  it('should return rejected while the gateway composer keeps the stake request', async () => {
+    sinon.replace(staker.brandedTokenInteract, 'getStakeRequest', sinon.fake.resolves({ exists: false }));
+    sinon.replace(staker.gatewayComposer, 'getStakeRequest', sinon.fake.resolves({ exists: true }));
+    sinon.replace(
+      staker.brandedTokenInteract,
+      'getPastEvents',
+      sinon.fake(name => Promise.resolve(name === 'StakeRequestRejected' ? [{ args: {} }] : [])),
+    );
+
+    const status = await staker.getStakeRequestStatus(stakeRequestHash);
+
+    assert.strictEqual(status, StakeStatus.Statuses.Rejected);
+  });
+
+  it('should return unknown without stake request and events', async () => {
+    sinon.replace(staker.brandedTokenInteract, 'getStakeRequest', sinon.fake.resolves({ exists: false }));
+    sinon.replace(staker.brandedTokenInteract, 'getPastEvents', sinon.fake.resolves([]));
+
+    const status = await staker.getStakeRequestStatus(stakeRequestHash);
+
+    assert.strictEqual(status, StakeStatus.Statuses.Unknown);
+  });
+
+  it('should reject when stake request hash is invalid', async () => {
+    await AssertAsync.reject(
+      staker.getStakeRequestStatus('0x12'),
+      'Invalid stakeRequestHash: 0x12.',
+    );
+  });
+});
@@ -5,6 +5,7 @@ const sinon = require('sinon');
 const { assert } = require('chai');
 
 const Staker = require('../../../lib/Staker');
+const StakeRequestValidationError = require('../../../lib/Errors/StakeRequestValidationError');
 const Spy = require('../../utils/Spy');
 const AssertAsync = require('../../utils/AssertAsync');
 
@@ -24,6 +25,12 @@ describe('Staker.requestStake()', () => {
       brandedToken,
       gatewayComposer,
     );
+    sinon.replace(staker.valueToken, 'allowance', sinon.fake.resolves('0'));
+    sinon.replace(staker, 'validateStakeRequest', sinon.fake.resolves([]));
+  });
+
+  afterEach(() => {
+    sinon.restore();
   });
 
   it('should return valid receipts on success ', async () => {
@@ -101,6 +108,76 @@ describe('Staker.requestStake()', () => {
     );
   });
 
+  it('should resolve parameters when called with an object', async () => {
+    const stakeRequest = {
+      stakeVT: '100',
+      mintBT: '350',
+      gateway: '0x0000000000000000000000000000000000000001',
+      beneficiary: '0x0000000000000000000000000000000000000003',
+      gasPrice: '1',
+      gasLimit: '1',
+      nonce: '7',
+    };
+    const fakeApproveReceipt = { status: true };
+    const fakeRequestStakeReceipt = { status: true };
+
+    const spyResolve = sinon.replace(
+      staker.gatewayComposer,
+      'resolveStakeRequest',
+      sinon.fake.resolves(stakeRequest),
+    );
+    const fakeValueTokenApprove = sinon.replace(
+      staker.valueToken,
+      'approve',
+      sinon.fake.resolves(fakeApproveReceipt),
+    );
+    const fakeGatewayComposerRequestStakeRequest = sinon.replace(
+      staker.gatewayComposer,
+      'requestStake',
+      sinon.fake.resolves(fakeRequestStakeReceipt),
+    );
+    const params = {
+      stakeVT: '100',
+      gateway: stakeRequest.gateway,
+      beneficiary: stakeRequest.beneficiary,
+      gasPrice: '1',
+      gasLimit: '1',
+    };
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000002',
+    };
+
+    const receipts = await staker.requestStake(params, txOptions);
+
+    assert.deepEqual(
+      receipts,
+      {
+        approveForValueTokenPath: 'approved',
+        approveForValueTokenReceipt: fakeApproveReceipt,
+        requestStakeReceipt: fakeRequestStakeReceipt,
+        stakeRequest,
+      },
+      'Receipts and resolved stake request must be returned',
+    );
+    Spy.assert(spyResolve, 1, [[params]]);
+    Spy.assert(fakeValueTokenApprove, 1, [[gatewayComposer, stakeRequest.stakeVT, txOptions]]);
+    Spy.assert(
+      fakeGatewayComposerRequestStakeRequest, 1,
+      [
+        [
+          stakeRequest.stakeVT,
+          stakeRequest.mintBT,
+          stakeRequest.gateway,
+          stakeRequest.beneficiary,
+          stakeRequest.gasPrice,
+          stakeRequest.gasLimit,
+          stakeRequest.nonce,
+          txOptions,
+        ],
+      ],
+    );
+  });
+
   it('should fail if approval for value token fails', async () => {
     const fakeApproveReceipt = {
       status: false,
@@ -206,4 +283,129 @@ describe('Staker.requestStake()', () => {
       ],
     );
   });
+
+  it('should reset a non-zero allowance first when configured', async () => {
+    staker = new Staker(
+      originWeb3,
+      valueToken,
+      brandedToken,
+      gatewayComposer,
+      { resetAllowance: true },
+    );
+    sinon.replace(staker, 'validateStakeRequest', sinon.fake.resolves([]));
+    sinon.replace(staker.valueToken, 'allowance', sinon.fake.resolves('50'));
+    const fakeValueTokenApprove = sinon.replace(
+      staker.valueToken,
+      'approve',
+      sinon.fake.resolves({ status: true }),
+    );
+    sinon.replace(
+      staker.gatewayComposer,
+      'requestStake',
+      sinon.fake.resolves({ status: true }),
+    );
+    const txOptions = {
+      from: '0x0000000000000000000000000000000000000002',
+    };
+
+    const receipts = await staker.requestStake(
+      '100',
+      '100',
+      '0x0000000000000000000000000000000000000001',
+      '100',
+      '100',
+      '0x0000000000000000000000000000000000000003',
+      '1',
+      txOptions,
+    );
+
+    assert.strictEqual(receipts.approveForValueTokenPath, 'resetAndApproved');
+    assert.deepEqual(receipts.resetApprovalForValueTokenReceipt, { status: true });
+    Spy.assert(fakeValueTokenApprove, 2, [
+      [gatewayComposer, '0', txOptions],
+      [gatewayComposer, '100', txOptions],
+    ]);
+  });
+
+  it('should skip approval when the allowance covers the stake', async () => {
+    sinon.restore();
+    sinon.replace(staker, 'validateStakeRequest', sinon.fake.resolves([]));
+    sinon.replace(staker.valueToken, 'allowance', sinon.fake.resolves('150'));
+    const fakeValueTokenApprove = sinon.replace(
+      staker.valueToken,
+      'approve',
+      sinon.fake.resolves({ status: true }),
+    );
+    sinon.replace(
+      staker.gatewayComposer,
+      'requestStake',
+      sinon.fake.resolves({ status: true }),
+    );
+
+    const receipts = await staker.requestStake(
+      '100',
+      '100',
+      '0x0000000000000000000000000000000000000001',
+      '100',
+      '100',
+      '0x0000000000000000000000000000000000000003',
+      '1',
+      { from: '0x0000000000000000000000000000000000000002' },
+    );
+
+    assert.deepEqual(
+      receipts,
+      {
+        approveForValueTokenPath: 'skipped',
+        requestStakeReceipt: { status: true },
+      },
+      'Receipts must not contain an approval',
+    );
+    Spy.assert(fakeValueTokenApprove, 0, [[]]);
+  });
+
+  it('should not send transactions when validation finds violations', async () => {
+    sinon.restore();
+    const violations = [
+      {
+        reason: StakeRequestValidationError.Reasons.PendingStakeRequest,
+        message: 'Pending stake request.',
+      },
+      {
+        reason: StakeRequestValidationError.Reasons.MintAmountMismatch,
+        message: 'Mint amount mismatch.',
+      },
+    ];
+    sinon.replace(staker, 'validateStakeRequest', sinon.fake.resolves(violations));
+    const fakeValueTokenApprove = sinon.replace(
+      staker.valueToken,
+      'approve',
+      sinon.fake.resolves({ status: true }),
+    );
+    const fakeRequestStake = sinon.replace(
+      staker.gatewayComposer,
+      'requestStake',
+      sinon.fake.resolves({ status: true }),
+    );
+
+    const error = await staker.requestStake(
+      '100',
+      '100',
+      '0x0000000000000000000000000000000000000001',
+      '100',
+      '100',
+      '0x0000000000000000000000000000000000000003',
+      '1',
+      { from: '0x0000000000000000000000000000000000000002' },
+    ).catch(e => e);
+
+    assert.instanceOf(error, StakeRequestValidationError);
+    assert.strictEqual(
+      error.message,
+      'Stake request is invalid: Pending stake request. Mint amount mismatch.',
+    );
+    assert.deepEqual(error.violations, violations, 'All violations must be listed');
+    Spy.assert(fakeValueTokenApprove, 0, [[]]);
+    Spy.assert(fakeRequestStake, 0, [[]]);
+  });
 });
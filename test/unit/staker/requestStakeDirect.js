@@ -0,0 +1,141 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Staker = require('../../../lib/Staker');
+const Utils = require('../../../utils/Utils');
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('Staker.requestStake() in direct mode', () => {
+  let staker;
+  const valueToken = '0x0000000000000000000000000000000000000002';
+  const brandedToken = '0x0000000000000000000000000000000000000003';
+  const stakeRequestHash = Web3.utils.sha3('stakeRequest');
+  const txOptions = { from: '0x0000000000000000000000000000000000000005' };
+  const requestStakeTx = { name: 'requestStake' };
+  const requestStakeReceipt = {
+    status: true,
+    transactionHash: '0xb',
+    events: {
+      StakeRequested: {
+        returnValues: { _stakeRequestHash: stakeRequestHash },
+      },
+    },
+  };
+
+  const fakeContracts = (receipt = requestStakeReceipt) => {
+    const fakes = {};
+    fakes.validateStakeRequest = sinon.replace(
+      staker,
+      'validateStakeRequest',
+      sinon.fake.resolves([]),
+    );
+    fakes.convertToBrandedTokens = sinon.replace(
+      staker.brandedTokenInteract,
+      'convertToBrandedTokens',
+      sinon.fake.resolves('200'),
+    );
+    sinon.replace(staker.valueToken, 'allowance', sinon.fake.resolves('0'));
+    fakes.approve = sinon.replace(
+      staker.valueToken,
+      'approve',
+      sinon.fake.resolves({ status: true, transactionHash: '0xa' }),
+    );
+    fakes.requestStakeRawTx = sinon.replace(
+      staker.brandedTokenInteract,
+      'requestStakeRawTx',
+      sinon.fake.resolves(requestStakeTx),
+    );
+    fakes.sendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sinon.fake.resolves(receipt),
+    );
+    return fakes;
+  };
+
+  beforeEach(() => {
+    staker = new Staker(
+      new Web3(),
+      valueToken,
+      brandedToken,
+      undefined,
+      { mode: Staker.Modes.Direct },
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should approve the branded token and request stake there', async () => {
+    const fakes = fakeContracts();
+
+    const result = await staker.requestStake({ stakeVT: '100' }, txOptions);
+
+    assert.deepEqual(result, {
+      requestStakeReceipt,
+      approveForValueTokenPath: Utils.ApprovalPaths.Approved,
+      approveForValueTokenReceipt: { status: true, transactionHash: '0xa' },
+      stakeRequest: { stakeVT: '100', mintBT: '200' },
+      stakeRequestHash,
+    }, 'Result must match');
+    Spy.assert(fakes.validateStakeRequest, 1, [[
+      { stakeVT: '100', mintBT: '200' },
+      txOptions,
+    ]]);
+    Spy.assert(fakes.approve, 1, [[brandedToken, '100', txOptions]]);
+    Spy.assert(fakes.requestStakeRawTx, 1, [['100', '200']]);
+    Spy.assert(fakes.sendTransaction, 1, [[requestStakeTx, txOptions]]);
+  });
+
+  it('should use the given mint amount', async () => {
+    const fakes = fakeContracts();
+
+    const result = await staker.requestStake({ stakeVT: '100', mintBT: '250' }, txOptions);
+
+    assert.deepEqual(result.stakeRequest, { stakeVT: '100', mintBT: '250' });
+    Spy.assert(fakes.convertToBrandedTokens, 0, [[]]);
+    Spy.assert(fakes.requestStakeRawTx, 1, [['100', '250']]);
+  });
+
+  it('should read the stake request hash when the receipt has no event', async () => {
+    fakeContracts({ status: true, transactionHash: '0xb' });
+    const getStakeRequestHash = sinon.replace(
+      staker.brandedTokenInteract,
+      'getStakeRequestHash',
+      sinon.fake.resolves(stakeRequestHash),
+    );
+
+    const result = await staker.requestStake({ stakeVT: '100' }, txOptions);
+
+    assert.strictEqual(result.stakeRequestHash, stakeRequestHash);
+    Spy.assert(getStakeRequestHash, 1, [[txOptions.from]]);
+  });
+
+  it('should reject when request stake fails', async () => {
+    fakeContracts({ status: false, transactionHash: '0xb' });
+
+    await AssertAsync.reject(
+      staker.requestStake({ stakeVT: '100' }, txOptions),
+      'Request stake is failed with transactionHash: 0xb',
+    );
+  });
+
+  it('should reject when stake amount is missing', async () => {
+    await AssertAsync.reject(
+      staker.requestStake('100', txOptions),
+      'Invalid stake request parameters: "100".',
+    );
+  });
+
+  it('should reject methods that need a gateway composer', async () => {
+    await AssertAsync.reject(
+      staker.getPendingStakeRequests(),
+      'getPendingStakeRequests is not available in direct mode.',
+    );
+  });
+});
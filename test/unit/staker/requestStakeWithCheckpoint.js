@@ -0,0 +1,234 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Staker = require('../../../lib/Staker');
+const InMemoryCheckpointStore = require('../../../lib/Staker/InMemoryCheckpointStore');
+const Utils = require('../../../utils/Utils');
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('Staker.requestStakeWithCheckpoint()', () => {
+  let staker;
+  let store;
+  let originWeb3;
+  const operationId = 'stake-1';
+  const valueToken = '0x0000000000000000000000000000000000000002';
+  const brandedToken = '0x0000000000000000000000000000000000000003';
+  const gatewayComposer = '0x0000000000000000000000000000000000000004';
+  const stakeRequest = {
+    stakeVT: '100',
+    mintBT: '200',
+    gateway: '0x0000000000000000000000000000000000000001',
+    beneficiary: '0x0000000000000000000000000000000000000005',
+    gasPrice: '1',
+    gasLimit: '2',
+    nonce: '3',
+  };
+  const txOptions = { from: '0x0000000000000000000000000000000000000006' };
+  const approveTx = { name: 'approve' };
+  const requestStakeTx = { name: 'requestStake' };
+  const approveReceipt = { status: true, transactionHash: '0xa' };
+  const requestStakeReceipt = { status: true, transactionHash: '0xb' };
+
+  const receiptOf = tx => (tx === approveTx ? approveReceipt : requestStakeReceipt);
+
+  const fakeContracts = (sendTransaction) => {
+    const fakes = {};
+    fakes.resolveStakeRequest = sinon.replace(
+      staker.gatewayComposer,
+      'resolveStakeRequest',
+      sinon.fake.resolves(stakeRequest),
+    );
+    sinon.replace(staker.valueToken, 'allowance', sinon.fake.resolves('0'));
+    fakes.approveRawTx = sinon.replace(
+      staker.valueToken,
+      'approveRawTx',
+      sinon.fake.resolves(approveTx),
+    );
+    fakes.requestStakeRawTx = sinon.replace(
+      staker.gatewayComposer,
+      'requestStakeRawTx',
+      sinon.fake.resolves(requestStakeTx),
+    );
+    fakes.sendTransaction = sinon.replace(
+      Utils,
+      'sendTransaction',
+      sendTransaction || sinon.fake((tx, options, onTransactionHash) => {
+        onTransactionHash(receiptOf(tx).transactionHash);
+        return Promise.resolve(receiptOf(tx));
+      }),
+    );
+    return fakes;
+  };
+
+  beforeEach(() => {
+    originWeb3 = new Web3();
+    store = new InMemoryCheckpointStore();
+    staker = new Staker(
+      originWeb3,
+      valueToken,
+      brandedToken,
+      gatewayComposer,
+      { checkpointStore: store, pollInterval: 1 },
+    );
+    sinon.replace(staker, 'validateStakeRequest', sinon.fake.resolves([]));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should approve, request stake and store the result', async () => {
+    const fakes = fakeContracts();
+
+    const result = await staker.requestStakeWithCheckpoint(
+      operationId,
+      { stakeVT: '100', gateway: stakeRequest.gateway },
+      txOptions,
+    );
+
+    assert.deepEqual(result, {
+      requestStakeReceipt,
+      approveForValueTokenPath: Utils.ApprovalPaths.Approved,
+      approveForValueTokenReceipt: approveReceipt,
+      stakeRequest,
+    }, 'Result must match');
+    Spy.assert(fakes.approveRawTx, 1, [[gatewayComposer, '100']]);
+    Spy.assert(fakes.requestStakeRawTx, 1, [['100', '200', stakeRequest.gateway,
+      stakeRequest.beneficiary, '1', '2', '3']]);
+
+    const checkpoint = await store.get(operationId);
+    assert.deepEqual(checkpoint.result, result, 'Result must be stored');
+    assert.deepEqual(checkpoint.steps.approve, {
+      transactionHash: '0xa',
+      receipt: approveReceipt,
+    }, 'Approve step must be stored');
+  });
+
+  it('should return the stored result without sending transactions', async () => {
+    const fakes = fakeContracts();
+    const result = { requestStakeReceipt, stakeRequest };
+    await store.save(operationId, { stakeRequest, steps: {}, result });
+
+    const actual = await staker.requestStakeWithCheckpoint(operationId, {}, txOptions);
+
+    assert.deepEqual(actual, result, 'Stored result must be returned');
+    Spy.assert(fakes.resolveStakeRequest, 0, [[]]);
+    Spy.assert(fakes.sendTransaction, 0, [[]]);
+  });
+
+  it('should reattach to a pending request stake transaction', async () => {
+    const fakes = fakeContracts();
+    await store.save(operationId, {
+      stakeRequest,
+      steps: {
+        approve: { transactionHash: '0xa', receipt: approveReceipt },
+        requestStake: { transactionHash: '0xb' },
+      },
+    });
+    let polls = 0;
+    const getTransactionReceipt = sinon.replace(
+      originWeb3.eth,
+      'getTransactionReceipt',
+      sinon.fake(() => {
+        polls += 1;
+        return Promise.resolve(polls > 1 ? { ...requestStakeReceipt, logs: [] } : null);
+      }),
+    );
+    sinon.replace(originWeb3.eth, 'getTransaction', sinon.fake.resolves({ hash: '0xb' }));
+
+    const result = await staker.requestStakeWithCheckpoint(operationId, {}, txOptions);
+
+    assert.deepEqual(
+      result.requestStakeReceipt,
+      { ...requestStakeReceipt, events: {} },
+      'Receipt logs must be decoded into events',
+    );
+    assert.strictEqual(
+      result.approveForValueTokenPath,
+      Utils.ApprovalPaths.Approved,
+      'Approval path must match',
+    );
+    assert.strictEqual(getTransactionReceipt.callCount, 2);
+    Spy.assert(fakes.resolveStakeRequest, 0, [[]]);
+    Spy.assert(fakes.sendTransaction, 0, [[]]);
+  });
+
+  it('should send a dropped transaction again', async () => {
+    const fakes = fakeContracts();
+    await store.save(operationId, {
+      stakeRequest,
+      steps: { approve: { transactionHash: '0xdropped' } },
+    });
+    sinon.replace(originWeb3.eth, 'getTransactionReceipt', sinon.fake.resolves(null));
+    sinon.replace(originWeb3.eth, 'getTransaction', sinon.fake.resolves(null));
+
+    const result = await staker.requestStakeWithCheckpoint(operationId, {}, txOptions);
+
+    assert.deepEqual(result.approveForValueTokenReceipt, approveReceipt, 'Receipt must match');
+    Spy.assert(fakes.approveRawTx, 1, [[gatewayComposer, '100']]);
+    assert.strictEqual(fakes.sendTransaction.callCount, 2);
+  });
+
+  it('should keep the transaction hash when the process stops while mining', async () => {
+    fakeContracts(sinon.fake((tx, options, onTransactionHash) => {
+      onTransactionHash(receiptOf(tx).transactionHash);
+      return tx === approveTx
+        ? Promise.resolve(approveReceipt)
+        : Promise.reject(new Error('connection lost'));
+    }));
+
+    await AssertAsync.reject(
+      staker.requestStakeWithCheckpoint(operationId, {}, txOptions),
+      'connection lost',
+    );
+
+    const checkpoint = await store.get(operationId);
+    assert.deepEqual(
+      checkpoint.steps.requestStake,
+      { transactionHash: '0xb' },
+      'Transaction hash must be stored',
+    );
+    assert.strictEqual(checkpoint.result, undefined, 'Result must not be stored');
+  });
+
+  it('should reject when request stake fails', async () => {
+    fakeContracts(sinon.fake((tx) => {
+      if (tx === approveTx) {
+        return Promise.resolve(approveReceipt);
+      }
+      return Promise.resolve({ status: false, transactionHash: '0xb' });
+    }));
+
+    await AssertAsync.reject(
+      staker.requestStakeWithCheckpoint(operationId, {}, txOptions),
+      'Request stake is failed with transactionHash: 0xb',
+    );
+  });
+
+  it('should reject when checkpoint store is not configured', async () => {
+    staker.checkpointStore = undefined;
+
+    await AssertAsync.reject(
+      staker.requestStakeWithCheckpoint(operationId, {}, txOptions),
+      'Checkpoint store is not configured.',
+    );
+  });
+
+  it('should reject when operation id is invalid', async () => {
+    await AssertAsync.reject(
+      staker.requestStakeWithCheckpoint('', {}, txOptions),
+      'Invalid operation id: .',
+    );
+  });
+
+  it('should reject when transaction options are undefined', async () => {
+    await AssertAsync.reject(
+      staker.requestStakeWithCheckpoint(operationId, {}, undefined),
+      'Invalid transaction options: undefined.',
+    );
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Staker = require('../../../lib/Staker');
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('Staker.revokeStakeRequest()', () => {
+  let staker;
+  const stakeRequestHash = Web3.utils.sha3('stakeRequest');
+  const txOptions = { from: '0x0000000000000000000000000000000000000005' };
+
+  beforeEach(() => {
+    staker = new Staker(
+      new Web3(),
+      '0x0000000000000000000000000000000000000002',
+      '0x0000000000000000000000000000000000000003',
+      '0x0000000000000000000000000000000000000004',
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should revoke through the gateway composer', async () => {
+    const receipt = { status: true, transactionHash: '0x1' };
+    const revokeStakeRequest = sinon.replace(
+      staker.gatewayComposer,
+      'revokeStakeRequest',
+      sinon.fake.resolves(receipt),
+    );
+
+    const actual = await staker.revokeStakeRequest(stakeRequestHash, txOptions);
+
+    assert.deepEqual(actual, receipt, 'Receipt must match');
+    Spy.assert(revokeStakeRequest, 1, [[stakeRequestHash, txOptions]]);
+  });
+
+  it('should reject when revoke fails', async () => {
+    sinon.replace(
+      staker.gatewayComposer,
+      'revokeStakeRequest',
+      sinon.fake.resolves({ status: false, transactionHash: '0x1' }),
+    );
+
+    await AssertAsync.reject(
+      staker.revokeStakeRequest(stakeRequestHash, txOptions),
+      'Revoke stake request is failed with transactionHash: 0x1',
+    );
+  });
+
+  it('should reject when stake request hash is invalid', async () => {
+    await AssertAsync.reject(
+      staker.revokeStakeRequest('0x1234', txOptions),
+      'Invalid stakeRequestHash: 0x1234.',
+    );
+  });
+});
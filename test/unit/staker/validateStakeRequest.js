@@ -0,0 +1,224 @@
+'use strict';
+
+const Web3 = require('web3');
+const Mosaic = require('@openst/mosaic.js');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Staker = require('../../../lib/Staker');
+const StakeRequestValidationError = require('../../../lib/Errors/StakeRequestValidationError');
+const Spy = require('../../utils/Spy');
+const AssertAsync = require('../../utils/AssertAsync');
+
+const { Reasons } = StakeRequestValidationError;
+
+describe('Staker.validateStakeRequest()', () => {
+  let staker;
+  let originWeb3;
+  const valueToken = '0x0000000000000000000000000000000000000002';
+  const brandedToken = '0x0000000000000000000000000000000000000003';
+  const gatewayComposer = '0x0000000000000000000000000000000000000004';
+  const owner = '0x0000000000000000000000000000000000000006';
+  const zeroHash = '0x0000000000000000000000000000000000000000000000000000000000000000';
+  const stakeRequest = {
+    stakeVT: '100',
+    mintBT: '200',
+    gateway: '0x0000000000000000000000000000000000000001',
+    beneficiary: '0x0000000000000000000000000000000000000005',
+    gasPrice: '1',
+    gasLimit: '2',
+    nonce: '3',
+  };
+  const txOptions = { from: owner, gasPrice: '10' };
+
+  const fakeChain = (values = {}) => {
+    const chain = {
+      valueTokenBalance: '100',
+      etherBalance: '5000',
+      owner,
+      gatewayToken: brandedToken,
+      pendingStakeRequestHash: zeroHash,
+      convertedMintBT: '200',
+      allowance: '100',
+      approveGas: '50',
+      requestStakeGas: '300',
+      ...values,
+    };
+    sinon.replace(staker.valueToken, 'balanceOf', sinon.fake.resolves(chain.valueTokenBalance));
+    sinon.replace(originWeb3.eth, 'getBalance', sinon.fake.resolves(chain.etherBalance));
+    sinon.replace(originWeb3.eth, 'getGasPrice', sinon.fake.resolves('20'));
+    sinon.replace(staker.gatewayComposer, 'getOwner', sinon.fake.resolves(chain.owner));
+    sinon.replace(
+      Mosaic.ContractInteract.EIP20Gateway.prototype,
+      'getValueToken',
+      sinon.fake.resolves(chain.gatewayToken),
+    );
+    sinon.replace(
+      staker.brandedTokenInteract,
+      'getStakeRequestHash',
+      sinon.fake.resolves(chain.pendingStakeRequestHash),
+    );
+    sinon.replace(
+      staker.brandedTokenInteract,
+      'convertToBrandedTokens',
+      sinon.fake.resolves(chain.convertedMintBT),
+    );
+    sinon.replace(staker.valueToken, 'allowance', sinon.fake.resolves(chain.allowance));
+    const approveEstimate = sinon.fake.resolves(chain.approveGas);
+    const approveRawTx = sinon.replace(
+      staker.valueToken,
+      'approveRawTx',
+      sinon.fake.resolves({ estimateGas: approveEstimate }),
+    );
+    const requestStakeEstimate = chain.requestStakeGasError
+      ? sinon.fake.rejects(chain.requestStakeGasError)
+      : sinon.fake.resolves(chain.requestStakeGas);
+    sinon.replace(
+      staker.gatewayComposer,
+      'requestStakeRawTx',
+      sinon.fake.resolves({ estimateGas: requestStakeEstimate }),
+    );
+    return { approveRawTx, approveEstimate, requestStakeEstimate };
+  };
+
+  beforeEach(() => {
+    originWeb3 = new Web3();
+    staker = new Staker(originWeb3, valueToken, brandedToken, gatewayComposer);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should return no violations for a valid stake request', async () => {
+    const { requestStakeEstimate } = fakeChain();
+
+    const violations = await staker.validateStakeRequest(stakeRequest, txOptions);
+
+    assert.deepEqual(violations, []);
+    Spy.assert(requestStakeEstimate, 1, [[{ from: owner }]]);
+  });
+
+  it('should return all violations at once', async () => {
+    fakeChain({
+      valueTokenBalance: '99',
+      owner: '0x0000000000000000000000000000000000000007',
+      gatewayToken: '0x0000000000000000000000000000000000000008',
+      pendingStakeRequestHash: Web3.utils.sha3('pending'),
+      convertedMintBT: '201',
+      etherBalance: '2999',
+    });
+
+    const violations = await staker.validateStakeRequest(stakeRequest, txOptions);
+
+    assert.deepEqual(
+      violations.map(violation => violation.reason),
+      [
+        Reasons.InsufficientValueTokenBalance,
+        Reasons.InsufficientGasFunds,
+        Reasons.NotGatewayComposerOwner,
+        Reasons.GatewayTokenMismatch,
+        Reasons.PendingStakeRequest,
+        Reasons.MintAmountMismatch,
+      ],
+      'All violations must be returned',
+    );
+    assert.strictEqual(
+      violations[1].message,
+      `Insufficient ether balance of ${owner}: 2999 is less than the estimated gas cost 3000.`,
+    );
+  });
+
+  it('should skip the gas cost check when an approval is required without gas', async () => {
+    const { approveEstimate, requestStakeEstimate } = fakeChain({
+      allowance: '0',
+      etherBalance: '0',
+    });
+
+    const violations = await staker.validateStakeRequest(stakeRequest, txOptions);
+
+    assert.deepEqual(violations, []);
+    Spy.assert(approveEstimate, 0, [[]]);
+    Spy.assert(requestStakeEstimate, 0, [[]]);
+  });
+
+  it('should estimate the approval and use the gas of the transaction options for the stake request', async () => {
+    const { approveRawTx, approveEstimate, requestStakeEstimate } = fakeChain({
+      allowance: '0',
+      etherBalance: '1000',
+    });
+
+    const violations = await staker.validateStakeRequest(
+      stakeRequest,
+      { from: owner, gas: '100' },
+    );
+
+    // 50 gas of the approval and 100 gas of the stake request at the node
+    // gas price of 20.
+    assert.strictEqual(
+      violations[0].message,
+      `Insufficient ether balance of ${owner}: 1000 is less than the estimated gas cost 3000.`,
+    );
+    Spy.assert(approveRawTx, 1, [[gatewayComposer, '100']]);
+    Spy.assert(approveEstimate, 1, [[{ from: owner }]]);
+    Spy.assert(requestStakeEstimate, 0, [[]]);
+  });
+
+  it('should report failed gas estimation', async () => {
+    fakeChain({ requestStakeGasError: new Error('execution reverted') });
+
+    const violations = await staker.validateStakeRequest(stakeRequest, txOptions);
+
+    assert.deepEqual(violations, [{
+      reason: Reasons.GasEstimationFailed,
+      message: 'Gas estimation failed: execution reverted',
+    }]);
+  });
+
+  it('should check the pending stake request of the staker in direct mode', async () => {
+    staker = new Staker(originWeb3, valueToken, brandedToken, undefined, {
+      mode: Staker.Modes.Direct,
+    });
+    sinon.replace(staker.valueToken, 'balanceOf', sinon.fake.resolves('100'));
+    sinon.replace(originWeb3.eth, 'getBalance', sinon.fake.resolves('5000'));
+    const getStakeRequestHash = sinon.replace(
+      staker.brandedTokenInteract,
+      'getStakeRequestHash',
+      sinon.fake.resolves(Web3.utils.sha3('pending')),
+    );
+    sinon.replace(staker.brandedTokenInteract, 'convertToBrandedTokens', sinon.fake.resolves('200'));
+    const allowance = sinon.replace(staker.valueToken, 'allowance', sinon.fake.resolves('100'));
+    const requestStakeRawTx = sinon.replace(
+      staker.brandedTokenInteract,
+      'requestStakeRawTx',
+      sinon.fake.resolves({ estimateGas: sinon.fake.resolves('300') }),
+    );
+
+    const violations = await staker.validateStakeRequest(
+      { stakeVT: '100', mintBT: '200' },
+      txOptions,
+    );
+
+    assert.deepEqual(violations, [{
+      reason: Reasons.PendingStakeRequest,
+      message: `${owner} has a pending stake request ${Web3.utils.sha3('pending')}.`,
+    }]);
+    Spy.assert(getStakeRequestHash, 1, [[owner]]);
+    Spy.assert(allowance, 1, [[owner, brandedToken]]);
+    Spy.assert(requestStakeRawTx, 1, [['100', '200']]);
+  });
+
+  it('should reject when transaction options are undefined', async () => {
+    await AssertAsync.reject(
+      staker.validateStakeRequest(stakeRequest, undefined),
+      'Invalid transaction options: undefined.',
+    );
+  });
+
+  it('should reject when from address is invalid', async () => {
+    await AssertAsync.reject(
+      staker.validateStakeRequest(stakeRequest, { from: '0x12' }),
+      'Invalid from address 0x12 in transaction options.',
+    );
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const Web3 = require('web3');
+const sinon = require('sinon');
+const { assert } = require('chai');
+
+const Staker = require('../../../lib/Staker');
+const AssertAsync = require('../../utils/AssertAsync');
+
+describe('Staker.waitForAcceptance()', () => {
+  let staker;
+  const stakeRequestHash = Web3.utils.sha3('stakeRequest');
+  const acceptedEvent = {
+    event: 'StakeRequestAccepted',
+    args: { stakeRequestHash, stake: '100' },
+  };
+
+  const fakeDecision = (eventName, event, pendingPolls = 0) => {
+    let polls = 0;
+    sinon.replace(
+      staker.brandedTokenInteract,
+      'getStakeRequest',
+      sinon.fake(() => {
+        polls += 1;
+        return Promise.resolve({ exists: polls <= pendingPolls });
+      }),
+    );
+    // Like the contract, the gateway composer keeps the stake request after
+    // the BrandedToken rejected it, until it is resolved.
+    sinon.replace(
+      staker.gatewayComposer,
+      'getStakeRequest',
+      sinon.fake(() => Promise.resolve({
+        exists: eventName === 'StakeRequestRejected' || polls <= pendingPolls,
+      })),
+    );
+    return sinon.replace(
+      staker.brandedTokenInteract,
+      'getPastEvents',
+      sinon.fake(name => Promise.resolve(name === eventName ? [event] : [])),
+    );
+  };
+
+  beforeEach(() => {
+    staker = new Staker(
+      new Web3(),
+      '0x0000000000000000000000000000000000000002',
+      '0x0000000000000000000000000000000000000003',
+      '0x0000000000000000000000000000000000000004',
+      { pollInterval: 1 },
+    );
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('should resolve once the stake request is accepted', async () => {
+    const getPastEvents = fakeDecision('StakeRequestAccepted', acceptedEvent, 2);
+
+    const event = await staker.waitForAcceptance(stakeRequestHash);
+
+    assert.deepEqual(event, acceptedEvent, 'Accepted event must be returned');
+    assert.strictEqual(staker.brandedTokenInteract.getStakeRequest.callCount, 3);
+    assert.strictEqual(
+      getPastEvents.callCount,
+      3,
+      'Events must only be queried once the stake request is decided',
+    );
+  });
+
+  it('should reject when the stake request is rejected', async () => {
+    fakeDecision('StakeRequestRejected', { args: { stakeRequestHash } });
+
+    await AssertAsync.reject(
+      staker.waitForAcceptance(stakeRequestHash),
+      `Stake request ${stakeRequestHash} was rejected.`,
+    );
+  });
+
+  it('should reject when the stake request is revoked', async () => {
+    fakeDecision('StakeRequestRevoked', { args: { stakeRequestHash } });
+
+    await AssertAsync.reject(
+      staker.waitForAcceptance(stakeRequestHash),
+      `Stake request ${stakeRequestHash} was revoked.`,
+    );
+  });
+
+  it('should reject when the stake request is not accepted in time', async () => {
+    fakeDecision('StakeRequestAccepted', acceptedEvent, Infinity);
+
+    await AssertAsync.reject(
+      staker.waitForAcceptance(stakeRequestHash, { timeout: 5 }),
+      `Stake request ${stakeRequestHash} was not accepted in time.`,
+    );
+  });
+
+  it('should reject when stake request hash is invalid', async () => {
+    await AssertAsync.reject(
+      staker.waitForAcceptance(undefined),
+      'Invalid stakeRequestHash: undefined.',
+    );
+  });
+});
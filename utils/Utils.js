@@ -12,10 +12,19 @@
 
 'use strict';
 
+const Web3 = require('web3');
 const Mosaic = require('@openst/mosaic.js');
 
 const { EIP712TypedData: TypedDataClass } = Mosaic.Utils;
 const logger = require('../logger');
+
+const { BN } = Web3.utils;
+
+const ApprovalPaths = {
+  Skipped: 'skipped',
+  Approved: 'approved',
+  ResetAndApproved: 'resetAndApproved',
+};
 /**
  * This class includes the functions shared among various classes.
 
@@ -26,11 +35,13 @@ class Utils {
    *
    * @param {Object} tx Raw transaction object generated from web3.
    * @param {Object} txOption Transaction options.
+   * @param {Function} [onTransactionHash] Called with the transaction hash as
+   *                                       soon as the transaction is sent.
    *
    * @returns {Promise<Object>} Promise object of transaction receipt in case of
    *                            success otherwise error.
    */
-  static async sendTransaction(tx, txOption) {
+  static async sendTransaction(tx, txOption, onTransactionHash) {
     return new Promise(async (onResolve, onReject) => {
       const txOptions = Object.assign({}, txOption);
       if (!txOptions.gas) {
@@ -40,6 +51,9 @@ class Utils {
       tx.send(txOptions)
         .on('transactionHash', (transactionHash) => {
           logger.info(`Transaction Hash : ${transactionHash}`);
+          if (onTransactionHash) {
+            onTransactionHash(transactionHash);
+          }
         })
         .on('receipt', receipt => onResolve(receipt))
         .on('error', (error) => {
@@ -53,6 +67,106 @@ class Utils {
     });
   }
 
+  /**
+   * Executes contract calls in a single JSON-RPC batch request.
+   *
+   * @param {Web3} web3 Web3 object.
+   * @param {Array<Object>} methods Contract methods to call, e.g.
+   *                                `contract.methods.name()`.
+   *
+   * @returns {Promise<Array>} Promise that resolves to the results in the
+   *                           order of the methods. Rejects with the first
+   *                           error if any call fails.
+   */
+  static batchCall(web3, methods) {
+    return new Promise((onResolve, onReject) => {
+      const batch = new web3.BatchRequest();
+      const results = new Array(methods.length);
+      let pending = methods.length;
+      let failed = false;
+
+      methods.forEach((method, index) => {
+        batch.add(method.call.request({}, (error, result) => {
+          if (failed) {
+            return;
+          }
+          if (error) {
+            failed = true;
+            logger.error(`Error in batch request ${error}`);
+            onReject(error);
+            return;
+          }
+          results[index] = result;
+          pending -= 1;
+          if (pending === 0) {
+            onResolve(results);
+          }
+        }));
+      });
+
+      if (methods.length === 0) {
+        onResolve(results);
+        return;
+      }
+      batch.execute();
+    });
+  }
+
+  /**
+   * @returns {Object} Paths taken by {@link Utils.approveIfRequired}.
+   */
+  static get ApprovalPaths() {
+    return ApprovalPaths;
+  }
+
+  /**
+   * Approves a spender for an amount of tokens of `txOptions.from` unless
+   * the current allowance already covers the amount. Some tokens reject
+   * changing a non-zero allowance to another non-zero value; for these the
+   * allowance can be reset to zero first.
+   *
+   * @param {Object} token EIP20Token contract interact.
+   * @param {string} spender Address of the spender.
+   * @param {string} amount Amount in wei that the spender must be allowed to
+   *                        transfer.
+   * @param {Object} txOptions Transaction options of the token owner.
+   * @param {boolean} [resetAllowance] Resets a non-zero allowance to zero
+   *                                   before approving. Defaults to false.
+   *
+   * @returns {Promise<Object>} Promise that resolves to `{ path, allowance,
+   *                            approveReceipt, resetReceipt }`, where path is
+   *                            one of {@link Utils.ApprovalPaths} and
+   *                            allowance is the allowance before approving.
+   */
+  static async approveIfRequired(token, spender, amount, txOptions, resetAllowance = false) {
+    const allowance = (await token.allowance(txOptions.from, spender)).toString();
+    if (new BN(allowance).gte(new BN(amount))) {
+      logger.info(`Allowance of ${spender} is ${allowance}, skipping approval of ${amount}`);
+      return { path: ApprovalPaths.Skipped, allowance };
+    }
+
+    let resetReceipt;
+    if (resetAllowance && !new BN(allowance).isZero()) {
+      resetReceipt = await token.approve(spender, '0', txOptions);
+      if (!resetReceipt.status) {
+        const message = `Reset of allowance is failed with transactionHash: ${resetReceipt.transactionHash}`;
+        logger.error(message);
+        return Promise.reject(new Error(message));
+      }
+    }
+
+    const approveReceipt = await token.approve(spender, amount, txOptions);
+    if (resetReceipt) {
+      return {
+        path: ApprovalPaths.ResetAndApproved,
+        allowance,
+        resetReceipt,
+        approveReceipt,
+      };
+    }
+    return { path: ApprovalPaths.Approved, allowance, approveReceipt };
+  }
+
   /**
    * Prints a deprecation warning for deprecated Economy setup methods.
    * See {@link 'https://github.com/OpenST/brandedtoken.js#economy-setup'.